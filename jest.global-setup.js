@@ -0,0 +1,6 @@
+// Run the tests west of UTC. Dates parsed from YYYY-MM-DD strings are midnight
+// UTC, which is the previous day here, so code that mixes UTC and local
+// calendar fields fails in the tests rather than only for some users.
+module.exports = () => {
+  process.env.TZ = 'America/New_York';
+};
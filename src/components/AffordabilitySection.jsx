@@ -0,0 +1,103 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+
+const AffordabilitySection = ({ affordability }) => {
+  if (!affordability) return null;
+
+  const {
+    grossMonthlyIncome,
+    netMonthlyIncome,
+    monthlyDebtRepayments,
+    monthlyLivingExpenses,
+    rentalIncomeShare,
+    countedRent,
+    instalmentToIncomeLimit,
+    qualifyingIncome,
+    instalmentLimit,
+    disposableIncome,
+    limitingTest,
+    maximumInstalment,
+    maximumBond,
+    loanAmount,
+    monthlyInstalment,
+    instalmentToIncome,
+    passes,
+    shortfall
+  } = affordability;
+
+  return (
+    <div id="affordability" className="mb-8">
+      <h3 className="text-lg font-semibold mb-4 text-gray-700">Bond Affordability</h3>
+      <div className={`p-4 rounded-md mb-4 ${passes ? 'bg-green-50' : 'bg-red-50'}`}>
+        <div className={`text-base font-medium ${passes ? 'text-green-700' : 'text-red-700'}`}>
+          {passes
+            ? `The buyer qualifies for the ${formatCurrency(loanAmount)} bond.`
+            : `The ${formatCurrency(loanAmount)} bond is ${formatCurrency(shortfall)} more than the buyer qualifies for.`}
+        </div>
+        <div className="text-sm text-gray-600 mt-1">
+          Maximum bond: {formatCurrency(maximumBond)}, limited by the
+          {limitingTest === 'instalment-to-income' ? ' instalment-to-income test' : ' income left after debts and expenses'}.
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 text-left text-gray-600">Monthly</th>
+              <th className="py-2 px-4 text-right text-gray-600">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t">
+              <td className="py-2 px-4 text-gray-700">Gross Household Income</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(grossMonthlyIncome)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 text-gray-700">Rent Counted by the Bank ({formatPercent(rentalIncomeShare)} of Expected Rent)</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(countedRent)}</td>
+            </tr>
+            <tr className="border-t font-medium">
+              <td className="py-2 px-4 text-gray-700">Qualifying Income</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(qualifyingIncome)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 pl-8 text-gray-600">Instalment Limit ({formatPercent(instalmentToIncomeLimit)} of Qualifying Income)</td>
+              <td className="py-2 px-4 text-right text-gray-600">{formatCurrency(instalmentLimit)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 text-gray-700">Net Household Income Plus Counted Rent</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(netMonthlyIncome + countedRent)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 pl-8 text-gray-600">Less: Existing Debt Repayments</td>
+              <td className="py-2 px-4 text-right text-gray-600">-{formatCurrency(monthlyDebtRepayments)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 pl-8 text-gray-600">Less: Living Expenses</td>
+              <td className="py-2 px-4 text-right text-gray-600">-{formatCurrency(monthlyLivingExpenses)}</td>
+            </tr>
+            <tr className="border-t font-medium">
+              <td className="py-2 px-4 text-gray-700">Income Left for the Bond</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(disposableIncome)}</td>
+            </tr>
+            <tr className="border-t font-semibold">
+              <td className="py-2 px-4 text-gray-700">Maximum Instalment</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(maximumInstalment)}</td>
+            </tr>
+            <tr className="border-t font-semibold">
+              <td className="py-2 px-4 text-gray-700">
+                Bond Instalment
+                {instalmentToIncome !== null && (
+                  <span className="ml-2 text-xs font-normal text-gray-500">{formatPercent(instalmentToIncome)} of qualifying income</span>
+                )}
+              </td>
+              <td className={`py-2 px-4 text-right ${passes ? 'text-green-600' : 'text-red-600'}`}>{formatCurrency(monthlyInstalment)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AffordabilitySection;
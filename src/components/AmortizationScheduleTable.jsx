@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { formatCurrency } from '../utils/formatters';
+
+const AmortizationScheduleTable = ({ amortization }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [view, setView] = useState('yearly'); // 'yearly' or 'monthly'
+
+  if (!amortization || amortization.yearly.length === 0) return null;
+
+  // Saved analyses keep only the yearly schedule
+  const hasMonthly = Boolean(amortization.schedule);
+
+  const rows = view === 'yearly' || !hasMonthly
+    ? amortization.yearly.map((row) => ({
+      key: row.year,
+      label: `Year ${row.year}`,
+      payment: row.payments,
+      interest: row.interest,
+      principal: row.principal,
+      balance: row.balance
+    }))
+    : amortization.schedule.map((row) => ({
+      key: row.month,
+      label: `Month ${row.month}`,
+      payment: row.payment,
+      interest: row.interest,
+      principal: row.principal,
+      balance: row.balance
+    }));
+
+  return (
+    <div className="mb-8">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center justify-between w-full text-left"
+      >
+        <h3 className="text-lg font-semibold text-gray-700">Bond Amortization Schedule</h3>
+        <span className="text-sm text-blue-600">{isOpen ? 'Hide schedule' : 'Show schedule'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4">
+          <div className="flex justify-between items-center mb-3">
+            <div className="text-sm text-gray-600">
+              Total interest: {formatCurrency(amortization.totalInterest)}
+              <span className="mx-2">|</span>
+              Total repaid: {formatCurrency(amortization.totalPaid)}
+            </div>
+            {hasMonthly ? (
+              <div className="flex space-x-2">
+                {['yearly', 'monthly'].map((option) => (
+                  <button
+                    key={option}
+                    type="button"
+                    onClick={() => setView(option)}
+                    className={`px-3 py-1 text-sm rounded-md ${
+                      view === option ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    {option === 'yearly' ? 'Yearly' : 'Monthly'}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500">Recalculate to see the schedule month by month</div>
+            )}
+          </div>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full bg-white">
+              <thead className="sticky top-0">
+                <tr className="bg-gray-100">
+                  <th className="py-2 px-4 text-left text-gray-600">Period</th>
+                  <th className="py-2 px-4 text-right text-gray-600">Payment</th>
+                  <th className="py-2 px-4 text-right text-gray-600">Interest</th>
+                  <th className="py-2 px-4 text-right text-gray-600">Principal</th>
+                  <th className="py-2 px-4 text-right text-gray-600">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key} className="border-t">
+                    <td className="py-2 px-4 text-gray-700">{row.label}</td>
+                    <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(row.payment)}</td>
+                    <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(row.interest)}</td>
+                    <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(row.principal)}</td>
+                    <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(row.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AmortizationScheduleTable;
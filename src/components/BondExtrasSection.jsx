@@ -0,0 +1,99 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatCurrency, formatPercent, formatCompactCurrency } from '../utils/formatters';
+
+const formatPayoffDate = (date) => new Date(date).toLocaleDateString('en-ZA', { month: 'long', year: 'numeric' });
+
+const formatIrr = (irr) => (irr === null ? 'n/a' : formatPercent(irr));
+
+const formatDuration = (months) => {
+  const years = Math.floor(months / 12);
+  const remainder = months % 12;
+  return [years > 0 && `${years} yr`, remainder > 0 && `${remainder} mo`].filter(Boolean).join(' ') || '0 mo';
+};
+
+const BondExtrasSection = ({ bondExtras }) => {
+  if (!bondExtras) return null;
+
+  const {
+    interestSaved,
+    totalExtraPayments,
+    totalWithdrawals,
+    payoffDate,
+    baselinePayoffDate,
+    monthsSaved,
+    monthlyCashFlowChange,
+    irr,
+    baselineIrr,
+    afterTaxIrr,
+    baselineAfterTaxIrr,
+    balances
+  } = bondExtras;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-4 text-gray-700">Extra Bond Payments</h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="bg-green-50 p-4 rounded-md">
+          <h4 className="text-base font-medium mb-1 text-green-700">Interest Saved</h4>
+          <div className="text-2xl font-bold text-green-600">{formatCurrency(interestSaved)}</div>
+          <div className="text-sm text-gray-600 mt-1">
+            Extra paid in: {formatCurrency(totalExtraPayments)}
+            {totalWithdrawals > 0 && (
+              <>
+                <br />
+                Withdrawn: {formatCurrency(totalWithdrawals)}
+              </>
+            )}
+          </div>
+        </div>
+        <div className="bg-blue-50 p-4 rounded-md">
+          <h4 className="text-base font-medium mb-1 text-blue-700">Paid Off</h4>
+          <div className="text-2xl font-bold text-blue-600">{formatPayoffDate(payoffDate)}</div>
+          <div className="text-sm text-gray-600 mt-1">
+            Instead of {formatPayoffDate(baselinePayoffDate)}
+            <br />
+            {formatDuration(monthsSaved)} sooner
+          </div>
+        </div>
+        <div className="bg-gray-50 p-4 rounded-md">
+          <h4 className="text-base font-medium mb-1 text-gray-700">Effect on Returns</h4>
+          <div className="text-sm text-gray-600">
+            Monthly cash flow: {formatCurrency(monthlyCashFlowChange)}
+            <br />
+            IRR (pre-tax): {formatIrr(irr)} vs {formatIrr(baselineIrr)}
+            <br />
+            IRR (after tax): {formatIrr(afterTaxIrr)} vs {formatIrr(baselineAfterTaxIrr)}
+          </div>
+        </div>
+      </div>
+
+      <div className="h-80">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={balances}
+            margin={{
+              top: 5,
+              right: 30,
+              left: 20,
+              bottom: 5,
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" label={{ value: 'Loan Year', position: 'insideBottomRight', offset: -5 }} />
+            <YAxis tickFormatter={formatCompactCurrency} />
+            <Tooltip
+              formatter={(value, name) => [formatCurrency(value), name]}
+              labelFormatter={(value) => `Year ${value}`}
+            />
+            <Legend />
+            <Line type="monotone" dataKey="baselineBalance" stroke="#9CA3AF" name="Minimum Instalment Only" />
+            <Line type="monotone" dataKey="balance" stroke="#3B82F6" name="With Extra Payments" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default BondExtrasSection;
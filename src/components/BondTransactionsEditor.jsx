@@ -0,0 +1,101 @@
+import React from 'react';
+
+const NEW_TRANSACTION = {
+  type: 'lump-sum',
+  year: 1,
+  amount: ''
+};
+
+const BondTransactionsEditor = ({ transactions, onChange, error }) => {
+  const updateTransaction = (index) => (e) => {
+    const { name, value, type } = e.target;
+    onChange(transactions.map((transaction, i) => (
+      i === index
+        ? { ...transaction, [name]: type === 'number' ? (value === '' ? '' : Number(value)) : value }
+        : transaction
+    )));
+  };
+
+  const removeTransaction = (index) => {
+    onChange(transactions.filter((transaction, i) => i !== index));
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div>
+      {transactions.length > 0 && (
+        <div className="overflow-x-auto mb-3">
+          <table className="min-w-full bg-white text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-2 text-left text-gray-600">Transaction</th>
+                <th className="py-2 px-2 text-left text-gray-600">Loan Year</th>
+                <th className="py-2 px-2 text-left text-gray-600">Amount (R)</th>
+                <th className="py-2 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map((transaction, index) => (
+                <tr key={index} className="border-t">
+                  <td className="py-2 px-2">
+                    <select name="type" value={transaction.type} onChange={updateTransaction(index)} className={inputClass}>
+                      <option value="lump-sum">Lump sum into bond</option>
+                      <option value="withdrawal">Access-bond withdrawal</option>
+                    </select>
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="year"
+                      aria-label={`Bond transaction ${index + 1} year`}
+                      value={transaction.year}
+                      onChange={updateTransaction(index)}
+                      min="1"
+                      max="30"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="amount"
+                      aria-label={`Bond transaction ${index + 1} amount`}
+                      value={transaction.amount}
+                      onChange={updateTransaction(index)}
+                      min="0"
+                      step="1000"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => removeTransaction(index)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...transactions, NEW_TRANSACTION])}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + Add lump sum or withdrawal
+      </button>
+      <p className="mt-1 text-xs text-gray-500">
+        Paid or drawn at the end of the loan year. Withdrawals are limited to what has been paid in advance.
+      </p>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default BondTransactionsEditor;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+
+const ExitScenario = ({ exit }) => {
+  if (!exit) return null;
+
+  const rows = [
+    { label: 'Expected Sale Price', value: exit.salePrice },
+    { label: 'Less: Agent Commission (incl. VAT)', value: -exit.agentCommission },
+    { label: 'Less: Bond Cancellation Fees (incl. VAT)', value: -exit.bondCancellationCosts },
+    { label: 'Less: Outstanding Bond', value: -exit.loanBalance },
+    { label: 'Proceeds Before Tax', value: exit.proceedsBeforeTax, isSubtotal: true },
+    { label: 'Less: Capital Gains Tax', value: -exit.capitalGainsTax },
+    ...(exit.recoupmentTax > 0 ? [{ label: 'Less: Tax on Recouped 13sex Allowance', value: -exit.recoupmentTax }] : []),
+    ...(exit.dividendsTax > 0 ? [{ label: 'Less: Dividends Tax on Paying Out', value: -exit.dividendsTax }] : []),
+    { label: 'Net Cash From Sale', value: exit.netProceeds, isSubtotal: true }
+  ];
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-4 text-gray-700">Exit Scenario (Sale in Year {exit.saleYear})</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.label} className={`border-t ${row.isSubtotal ? 'font-semibold' : ''}`}>
+                  <td className="py-2 px-4 text-gray-700">{row.label}</td>
+                  <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(row.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="bg-gray-50 p-4 rounded-md">
+          <h4 className="text-base font-medium mb-2 text-gray-700">Capital Gains Tax</h4>
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Base Cost (incl. transfer costs):</span>
+              <span className="font-medium text-gray-800">{formatCurrency(exit.baseCost)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Capital Gain:</span>
+              <span className="font-medium text-gray-800">{formatCurrency(exit.capitalGain)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Annual Exclusion:</span>
+              <span className="font-medium text-gray-800">{formatCurrency(exit.annualExclusion)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Taxable Gain ({formatPercent(exit.inclusionRate)} inclusion):</span>
+              <span className="font-medium text-gray-800">{formatCurrency(exit.taxableCapitalGain)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Capital Gains Tax:</span>
+              <span className="font-medium text-red-600">{formatCurrency(exit.capitalGainsTax)}</span>
+            </div>
+            {exit.allowanceRecouped > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">13sex Allowance Recouped (Taxed as Income):</span>
+                <span className="font-medium text-gray-800">{formatCurrency(exit.allowanceRecouped)}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExitScenario;
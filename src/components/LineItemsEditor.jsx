@@ -0,0 +1,135 @@
+import React from 'react';
+
+// A new item starts as a recurring monthly expense from year 1
+const NEW_ITEM = {
+  name: '',
+  kind: 'expense',
+  amount: '',
+  frequency: 'monthly',
+  startYear: 1,
+  escalationRate: 6
+};
+
+const LineItemsEditor = ({ items, onChange, error }) => {
+  const updateItem = (index) => (e) => {
+    const { name, value, type } = e.target;
+    onChange(items.map((item, i) => (
+      i === index
+        ? { ...item, [name]: type === 'number' ? (value === '' ? '' : Number(value)) : value }
+        : item
+    )));
+  };
+
+  const removeItem = (index) => {
+    onChange(items.filter((item, i) => i !== index));
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div>
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">
+          Add income such as parking bay rental, or costs such as alarm monitoring, a garden service,
+          a special levy or a once-off geyser replacement. Amounts are in today's money.
+        </p>
+      ) : (
+        <div className="overflow-x-auto mb-3">
+          <table className="min-w-full bg-white text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-2 text-left text-gray-600">Name</th>
+                <th className="py-2 px-2 text-left text-gray-600">Type</th>
+                <th className="py-2 px-2 text-left text-gray-600">Amount (R)</th>
+                <th className="py-2 px-2 text-left text-gray-600">Frequency</th>
+                <th className="py-2 px-2 text-left text-gray-600">Start Year</th>
+                <th className="py-2 px-2 text-left text-gray-600">Escalation (%)</th>
+                <th className="py-2 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, index) => (
+                <tr key={index} className="border-t">
+                  <td className="py-2 px-2">
+                    <input
+                      type="text"
+                      name="name"
+                      aria-label={`Line item ${index + 1} name`}
+                      value={item.name}
+                      onChange={updateItem(index)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <select name="kind" value={item.kind} onChange={updateItem(index)} className={inputClass}>
+                      <option value="income">Income</option>
+                      <option value="expense">Expense</option>
+                    </select>
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="amount"
+                      aria-label={`Line item ${index + 1} amount`}
+                      value={item.amount}
+                      onChange={updateItem(index)}
+                      min="0"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <select name="frequency" value={item.frequency} onChange={updateItem(index)} className={inputClass}>
+                      <option value="monthly">Monthly</option>
+                      <option value="annual">Annual</option>
+                      <option value="once-off">Once-off</option>
+                    </select>
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="startYear"
+                      value={item.startYear}
+                      onChange={updateItem(index)}
+                      min="1"
+                      max="30"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="escalationRate"
+                      value={item.escalationRate}
+                      onChange={updateItem(index)}
+                      step="0.5"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => removeItem(index)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...items, NEW_ITEM])}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + Add line item
+      </button>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default LineItemsEditor;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+
+const FREQUENCY_LABELS = {
+  monthly: 'Monthly',
+  annual: 'Annual',
+  'once-off': 'Once-off'
+};
+
+const LineItemsSection = ({ lineItems }) => {
+  if (!lineItems || lineItems.length === 0) return null;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-4 text-gray-700">Other Income &amp; Expenses</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 text-left text-gray-600">Item</th>
+              <th className="py-2 px-4 text-left text-gray-600">Frequency</th>
+              <th className="py-2 px-4 text-right text-gray-600">Amount</th>
+              <th className="py-2 px-4 text-right text-gray-600">Escalation</th>
+              <th className="py-2 px-4 text-right text-gray-600">Per Month (Year 1)</th>
+              <th className="py-2 px-4 text-right text-gray-600">Projection Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lineItems.map((item, index) => {
+              const sign = item.kind === 'income' ? 1 : -1;
+              return (
+                <tr key={index} className="border-t">
+                  <td className="py-2 px-4 text-gray-700">
+                    {item.name}
+                    <span className="ml-2 text-xs text-gray-500">{item.kind === 'income' ? 'Income' : 'Expense'}</span>
+                  </td>
+                  <td className="py-2 px-4 text-gray-700">
+                    {FREQUENCY_LABELS[item.frequency]}
+                    {item.frequency === 'once-off' ? ` in year ${item.startYear || 1}` : item.startYear > 1 ? ` from year ${item.startYear}` : ''}
+                  </td>
+                  <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(item.amount)}</td>
+                  <td className="py-2 px-4 text-right text-gray-700">{formatPercent(item.escalationRate || 0)} p.a.</td>
+                  <td className={`py-2 px-4 text-right ${sign > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatCurrency(sign * item.monthlyAmount)}
+                  </td>
+                  <td className={`py-2 px-4 text-right ${sign > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatCurrency(sign * item.projectedTotal)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LineItemsSection;
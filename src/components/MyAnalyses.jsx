@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import {
+  deleteAnalysis,
+  duplicateAnalysis,
+  listAnalyses,
+  renameAnalysis
+} from '../services/analysis-storage';
+import { formatCurrency } from '../utils/formatters';
+
+const formatDate = (isoString) => new Date(isoString).toLocaleString('en-ZA', {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const MyAnalyses = ({ onOpen }) => {
+  const [query, setQuery] = useState('');
+  const [analyses, setAnalyses] = useState(() => listAnalyses());
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [error, setError] = useState(''); // Why the last change could not be saved, e.g. storage is full
+
+  const refresh = (nextQuery = query) => {
+    setAnalyses(listAnalyses({ query: nextQuery }));
+  };
+
+  const handleSearch = (e) => {
+    setQuery(e.target.value);
+    refresh(e.target.value);
+  };
+
+  const startRename = (analysis) => {
+    setEditingId(analysis.id);
+    setEditingName(analysis.name);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    try {
+      renameAnalysis(editingId, editingName);
+      setEditingId(null);
+      setError('');
+      refresh();
+    } catch (err) {
+      setError(`Could not rename this analysis: ${err.message}`);
+    }
+  };
+
+  const handleDuplicate = (id) => {
+    try {
+      duplicateAnalysis(id);
+      setError('');
+      refresh();
+    } catch (err) {
+      setError(`Could not duplicate this analysis: ${err.message}`);
+    }
+  };
+
+  const handleDelete = (analysis) => {
+    if (window.confirm(`Delete "${analysis.name}"? This cannot be undone.`)) {
+      deleteAnalysis(analysis.id);
+      setError('');
+      refresh();
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold mb-6 text-gray-800">My Analyses</h2>
+
+      <input
+        type="search"
+        value={query}
+        onChange={handleSearch}
+        placeholder="Search by name, tag or location"
+        className="w-full p-2 border border-gray-300 rounded-md mb-6"
+      />
+
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      {analyses.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">
+          {query ? 'No saved analyses match your search.' : 'You have not saved any analyses yet.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-4 text-left text-gray-600">Name</th>
+                <th className="py-2 px-4 text-right text-gray-600">Price</th>
+                <th className="py-2 px-4 text-left text-gray-600">Updated</th>
+                <th className="py-2 px-4 text-right text-gray-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analyses.map((analysis) => (
+                <tr key={analysis.id} className="border-t align-top">
+                  <td className="py-2 px-4 text-gray-700">
+                    {editingId === analysis.id ? (
+                      <form onSubmit={handleRename} className="flex">
+                        <input
+                          type="text"
+                          value={editingName}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          className="flex-grow p-1 border border-gray-300 rounded-md mr-2"
+                          autoFocus
+                        />
+                        <button type="submit" className="text-blue-600 hover:underline mr-2">Save</button>
+                        <button type="button" onClick={() => setEditingId(null)} className="text-gray-500 hover:underline">
+                          Cancel
+                        </button>
+                      </form>
+                    ) : (
+                      <div className="font-medium">{analysis.name}</div>
+                    )}
+                    {analysis.propertyData.location && (
+                      <div className="text-sm text-gray-500">{analysis.propertyData.location}</div>
+                    )}
+                    {analysis.tags.length > 0 && (
+                      <div className="mt-1">
+                        {analysis.tags.map((tag) => (
+                          <span key={tag} className="inline-block bg-blue-50 text-blue-700 text-xs px-2 py-0.5 rounded mr-1">
+                            {tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 px-4 text-right text-gray-700">
+                    {formatCurrency(analysis.propertyData.purchasePrice)}
+                  </td>
+                  <td className="py-2 px-4 text-sm text-gray-500">{formatDate(analysis.updatedAt)}</td>
+                  <td className="py-2 px-4 text-right text-sm whitespace-nowrap">
+                    <button onClick={() => onOpen(analysis)} className="text-blue-600 hover:underline mr-3">Open</button>
+                    <button onClick={() => startRename(analysis)} className="text-gray-600 hover:underline mr-3">Rename</button>
+                    <button onClick={() => handleDuplicate(analysis.id)} className="text-gray-600 hover:underline mr-3">
+                      Duplicate
+                    </button>
+                    <button onClick={() => handleDelete(analysis)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyAnalyses;
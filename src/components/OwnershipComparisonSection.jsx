@@ -0,0 +1,61 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+
+const formatIRR = (irr) => (irr === null ? 'n/a' : formatPercent(irr));
+
+const OwnershipComparisonSection = ({ ownershipComparison, saleYear }) => {
+  if (!ownershipComparison) return null;
+
+  const rows = [
+    { label: 'Tax on Rental Profit and Dividends (Year 1)', format: formatCurrency, getValue: (column) => column.annualTax },
+    { label: 'After-Tax Cash Flow (Monthly, Year 1)', format: formatCurrency, getValue: (column) => column.afterTaxCashFlow.monthly },
+    { label: 'After-Tax Cash Flow (Annual, Year 1)', format: formatCurrency, getValue: (column) => column.afterTaxCashFlow.annual },
+    { label: `Capital Gains Tax (Sale in Year ${saleYear})`, format: formatCurrency, getValue: (column) => column.capitalGainsTax },
+    { label: 'Dividends Tax on Sale Proceeds', format: formatCurrency, getValue: (column) => column.dividendsTax },
+    { label: 'After-Tax Exit Proceeds', format: formatCurrency, getValue: (column) => column.exitProceeds, bold: true },
+    { label: 'After-Tax IRR', format: formatIRR, getValue: (column) => column.irr, bold: true }
+  ];
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-2 text-gray-700">Ownership Structures</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        The same forecast with the property bought in your own name, through a company or through a trust.
+        Companies and trusts pay a flat rate and include 80% of the capital gain, and their losses are carried
+        forward instead of reducing the tax on your salary. A company also withholds dividends tax on what it
+        pays out once your loan to it has been repaid.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 text-left text-gray-600">Metric</th>
+              {ownershipComparison.map((column) => (
+                <th key={column.ownershipStructure} className="py-2 px-4 text-right text-gray-600">
+                  {column.label}{column.selected ? ' (Selected)' : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className={`border-t ${row.bold ? 'font-semibold' : ''}`}>
+                <td className="py-2 px-4 text-gray-700">{row.label}</td>
+                {ownershipComparison.map((column) => (
+                  <td
+                    key={column.ownershipStructure}
+                    className={`py-2 px-4 text-right text-gray-700 ${column.selected ? 'bg-blue-50' : ''}`}
+                  >
+                    {row.format(row.getValue(column))}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default OwnershipComparisonSection;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatCurrency, formatPercent, formatCompactCurrency } from '../utils/formatters';
+
+const ProjectionSection = ({ projection }) => {
+  if (!projection || projection.years.length === 0) return null;
+
+  const { years, escalation, appreciationRate, horizonYears, transferDelayMonths = 0 } = projection;
+  // Section 13sex columns only appear when an allowance is claimed
+  const showAllowance = years.some((row) => row.buildingAllowance > 0);
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-2 text-gray-700">{horizonYears}-Year Projection</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Rent +{formatPercent(escalation.rent)} p.a., levies +{formatPercent(escalation.levies)} p.a.,
+        rates +{formatPercent(escalation.rates)} p.a., maintenance +{formatPercent(escalation.maintenance)} p.a.,
+        property value +{formatPercent(appreciationRate)} p.a.
+        {transferDelayMonths > 0 && (
+          <> Year 1 starts at transfer, {transferDelayMonths} months after signing; the IRR and NPV allow for the wait.</>
+        )}
+      </p>
+
+      <div className="h-80 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart
+            data={years}
+            margin={{
+              top: 5,
+              right: 30,
+              left: 20,
+              bottom: 5,
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" label={{ value: 'Years', position: 'insideBottomRight', offset: -5 }} />
+            <YAxis tickFormatter={formatCompactCurrency} />
+            <Tooltip
+              formatter={(value, name) => [formatCurrency(value), name]}
+              labelFormatter={(value) => `Year ${value}`}
+            />
+            <Legend />
+            <Bar dataKey="cashFlow" fill="#10B981" name="Annual Cash Flow" />
+            <Line type="monotone" dataKey="propertyValue" stroke="#3B82F6" name="Property Value" />
+            <Line type="monotone" dataKey="loanBalance" stroke="#EF4444" name="Loan Balance" />
+            <Line type="monotone" dataKey="equity" stroke="#8B5CF6" name="Equity" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-3 text-left text-gray-600">Year</th>
+              <th className="py-2 px-3 text-right text-gray-600">Income</th>
+              <th className="py-2 px-3 text-right text-gray-600">Expenses</th>
+              <th className="py-2 px-3 text-right text-gray-600">Bond</th>
+              <th className="py-2 px-3 text-right text-gray-600">Cash Flow</th>
+              <th className="py-2 px-3 text-right text-gray-600">Property Value</th>
+              <th className="py-2 px-3 text-right text-gray-600">Loan Balance</th>
+              <th className="py-2 px-3 text-right text-gray-600">Equity</th>
+              {showAllowance && (
+                <>
+                  <th className="py-2 px-3 text-right text-gray-600">13sex Allowance</th>
+                  <th className="py-2 px-3 text-right text-gray-600">Tax Saved</th>
+                </>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {years.map((row) => (
+              <tr key={row.year} className="border-t">
+                <td className="py-2 px-3 text-gray-700">{row.year}</td>
+                <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.rentalIncome + row.otherIncome)}</td>
+                <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.expenses)}</td>
+                <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.bondPayment)}</td>
+                <td className={`py-2 px-3 text-right ${row.cashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatCurrency(row.cashFlow)}
+                </td>
+                <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.propertyValue)}</td>
+                <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.loanBalance)}</td>
+                <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.equity)}</td>
+                {showAllowance && (
+                  <>
+                    <td className="py-2 px-3 text-right text-gray-700">{formatCurrency(row.buildingAllowance)}</td>
+                    <td className="py-2 px-3 text-right text-green-600">{formatCurrency(row.allowanceTaxSaving)}</td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectionSection;
@@ -1,65 +1,220 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import PropertyInputForm from './PropertyInputForm';
 import PropertyUrlInput from './PropertyUrlInput';
 import PropertyForecastResults from './PropertyForecastResults';
-import { generatePropertyForecast } from '../services/financial-calculator';
+import MyAnalyses from './MyAnalyses';
+import PropertyComparison from './PropertyComparison';
+import { generatePropertyForecastInStages, isForecastOutdated } from '../services/financial-calculator';
+import { saveAnalysis, updateAnalysis } from '../services/analysis-storage';
+import { REPORT_DISCLAIMER } from '../services/pdf-report';
+import { extractListing } from '../services/listing-extractor';
+import { ValidationError, validatePropertyData } from '../services/validation';
 
 const PropForecastApp = () => {
   const [forecast, setForecast] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('input'); // 'input', 'url', or 'results'
+  const [activeTab, setActiveTab] = useState('input'); // 'input', 'results', 'library' or 'compare'
   const [inputMethod, setInputMethod] = useState('manual'); // 'manual' or 'url'
+  const [propertyData, setPropertyData] = useState(null);
+  const [savedAnalysis, setSavedAnalysis] = useState(null); // The saved analysis being worked on, if any
+  const [isSaveFormOpen, setIsSaveFormOpen] = useState(false);
+  const [saveName, setSaveName] = useState('');
+  const [saveTags, setSaveTags] = useState('');
+  const [saveMessage, setSaveMessage] = useState('');
+  const [extraction, setExtraction] = useState(null); // Portal and missing fields of the last listing read
+  const [extractionError, setExtractionError] = useState('');
+  const [formVersion, setFormVersion] = useState(0); // Bumped to reset the form when its values are replaced
+  const [formErrors, setFormErrors] = useState(null); // Errors to show when the form is reset with invalid values
+  const [forecastError, setForecastError] = useState(''); // Why the last forecast could not be generated
+  const [simulationStatus, setSimulationStatus] = useState(null); // Progress of the running simulation, or why it stopped
+  const [savedFigures, setSavedFigures] = useState(null); // When the forecast on screen was saved, if it comes from the library
+  const simulationRun = useRef(null); // Aborts the simulation still running for the forecast on screen
   
-  const handlePropertySubmit = (propertyData) => {
+  const stopSimulation = () => {
+    if (simulationRun.current) simulationRun.current.abort();
+    simulationRun.current = null;
+    setSimulationStatus(null);
+  };
+  
+  // Generate a forecast to show straight away, and fill in its simulation once the trials have run
+  const startForecast = (data) => {
+    stopSimulation();
+    const controller = new AbortController();
+    simulationRun.current = controller;
+    
+    const { forecast: forecastResults, simulation } = generatePropertyForecastInStages(data, {
+      signal: controller.signal,
+      onProgress: (done, total) => setSimulationStatus({ done, total })
+    });
+    
+    simulation
+      .then((result) => {
+        if (simulationRun.current !== controller) return;
+        if (result) setForecast((current) => ({ ...current, simulation: result }));
+        setSimulationStatus(null);
+      })
+      .catch((e) => {
+        // A newer forecast or a cancel stopped it, which has already updated the status
+        if (simulationRun.current !== controller || e.name === 'AbortError') return;
+        setSimulationStatus({ message: `The simulation could not be run: ${e.message}` });
+      });
+    
+    return forecastResults;
+  };
+  
+  // Show why a forecast could not be generated, on the form
+  const showForecastFailure = (e, data) => {
+    if (e instanceof ValidationError) {
+      // Reset the form with the inputs so each invalid field shows its error
+      setPropertyData(data);
+      setFormErrors(e.errors);
+      setFormVersion(formVersion + 1);
+    } else {
+      setForecastError(`Could not generate the forecast: ${e.message}`);
+    }
+  };
+  
+  const handleCancelSimulation = () => {
+    simulationRun.current.abort();
+    setSimulationStatus({ message: 'The simulation was cancelled. Generate the forecast again to run it.' });
+  };
+  
+  const handlePropertySubmit = (submittedData) => {
     setIsLoading(true);
+    setForecastError('');
     
     // Simulate API call delay
     setTimeout(() => {
-      // Generate the forecast
-      const forecastResults = generatePropertyForecast(propertyData);
-      
-      // Update state
-      setForecast(forecastResults);
-      setActiveTab('results');
-      setIsLoading(false);
+      try {
+        // Generate the forecast
+        const forecastResults = startForecast(submittedData);
+        
+        // Update state
+        setPropertyData(submittedData);
+        setExtraction(null);
+        setFormErrors(null);
+        setForecast(forecastResults);
+        setSavedFigures(null);
+        setSaveMessage('');
+        setActiveTab('results');
+      } catch (e) {
+        showForecastFailure(e, submittedData);
+      } finally {
+        setIsLoading(false);
+      }
     }, 1500);
   };
   
-  const handleUrlSubmit = (url) => {
-    setIsLoading(true);
-    
-    // In the real implementation, this would call the backend API
-    // For MVP, we'll simulate with mock data
-    setTimeout(() => {
-      // Mock property data
-      const mockPropertyData = {
-        propertyType: 'apartment',
-        purchasePrice: 1250000,
-        deposit: 125000,
-        interestRate: 10.5,
-        loanTerm: 20,
-        monthlyLevies: 1800,
-        monthlyRates: 950,
-        expectedRent: 8500,
-        bedrooms: 2,
-        bathrooms: 1,
-        location: url.includes('property24') ? 'Sandton, Johannesburg' : 'Rondebosch, Cape Town',
-        maintenancePercentage: 1,
-        vacancyRate: 5
-      };
-      
-      // Generate the forecast with mock data
-      const forecastResults = generatePropertyForecast(mockPropertyData);
+  const handleUrlSubmit = ({ url, html }) => {
+    try {
+      const result = extractListing({ url, html });
       
-      // Update state
-      setForecast(forecastResults);
-      setActiveTab('results');
-      setIsLoading(false);
-    }, 2000);
+      // Pre-fill the form with what was found so it can be reviewed before forecasting
+      setPropertyData(result.fields);
+      setExtraction(result);
+      setExtractionError('');
+      setSavedAnalysis(null);
+      setFormErrors(null);
+      setFormVersion(formVersion + 1);
+      setInputMethod('manual');
+      setActiveTab('input');
+    } catch (e) {
+      setExtractionError(e.message);
+    }
+  };
+  
+  // Put a solved price, rent or deposit into the form, ready to re-run the forecast
+  const handleApplySolvedValue = (changes) => {
+    setPropertyData({ ...propertyData, ...changes });
+    setFormErrors(null);
+    setFormVersion(formVersion + 1);
+    setInputMethod('manual');
+    setActiveTab('input');
+  };
+  
+  // Generate a saved analysis's forecast again with the current calculations and tax tables
+  const handleRecalculate = () => {
+    setForecastError('');
+    try {
+      setForecast(startForecast(propertyData));
+      setSavedFigures(null);
+      setSaveMessage('Recalculated with the current calculations and tax tables. Save the analysis to keep the new figures.');
+    } catch (e) {
+      showForecastFailure(e, propertyData);
+      setInputMethod('manual');
+      setActiveTab('input');
+    }
   };
   
   const handleBackToInput = () => {
     setActiveTab('input');
+    setInputMethod('manual');
+  };
+  
+  const openSaveForm = () => {
+    setSaveName(savedAnalysis ? savedAnalysis.name : propertyData.location || '');
+    setSaveTags(savedAnalysis ? savedAnalysis.tags.join(', ') : '');
+    setSaveMessage('');
+    setIsSaveFormOpen(true);
+  };
+  
+  const handleSave = (asNew) => {
+    try {
+      const analysis = savedAnalysis && !asNew
+        ? updateAnalysis(savedAnalysis.id, { name: saveName, tags: saveTags, propertyData, forecast })
+        : saveAnalysis({ name: saveName, tags: saveTags, propertyData, forecast });
+      
+      setSavedAnalysis(analysis);
+      setIsSaveFormOpen(false);
+      setSaveMessage(`Saved as "${analysis.name}".`);
+    } catch (e) {
+      // Most likely the browser's storage is full, which the message explains
+      setSaveMessage(`Could not save this analysis: ${e.message}`);
+    }
+  };
+  
+  const handleOpenAnalysis = (analysis) => {
+    // Analyses saved by older versions may hold values the schema no longer accepts.
+    // Fields missing altogether are filled from the form's defaults, so only check what is there.
+    const { values, errors, isValid } = validatePropertyData(analysis.propertyData, { partial: true });
+    
+    // Show the figures as they were saved, so they do not change under the user.
+    // Analyses saved without a forecast have it generated again.
+    let openedForecast = isValid ? analysis.forecast : null;
+    let openErrors = isValid ? null : errors;
+    stopSimulation();
+    setForecastError('');
+    setSavedFigures(openedForecast
+      ? { savedAt: analysis.updatedAt, outdated: isForecastOutdated(openedForecast, values) }
+      : null);
+    if (isValid && !openedForecast) {
+      try {
+        openedForecast = startForecast(values);
+      } catch (e) {
+        if (e instanceof ValidationError) {
+          openErrors = e.errors;
+        } else {
+          setForecastError(`Could not generate the forecast: ${e.message}`);
+        }
+      }
+    }
+    
+    setSavedAnalysis(analysis);
+    setPropertyData(values);
+    setExtraction(null);
+    setFormErrors(openErrors);
+    setFormVersion(formVersion + 1);
+    setIsSaveFormOpen(false);
+    setSaveMessage('');
+    
+    if (openedForecast) {
+      setForecast(openedForecast);
+      setActiveTab('results');
+    } else {
+      setForecast(null);
+      setInputMethod('manual');
+      setActiveTab('input');
+    }
   };
   
   return (
@@ -98,7 +253,7 @@ const PropForecastApp = () => {
                 setInputMethod('url');
               }}
             >
-              Property URL
+              Import Listing
             </button>
             <button
               className={`px-6 py-2 font-medium ${
@@ -111,20 +266,76 @@ const PropForecastApp = () => {
             >
               Forecast Results
             </button>
+            <button
+              className={`px-6 py-2 font-medium ${
+                activeTab === 'library'
+                  ? 'text-blue-600 border-b-2 border-blue-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+              onClick={() => setActiveTab('library')}
+            >
+              My Analyses
+            </button>
+            <button
+              className={`px-6 py-2 font-medium ${
+                activeTab === 'compare'
+                  ? 'text-blue-600 border-b-2 border-blue-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+              onClick={() => setActiveTab('compare')}
+            >
+              Compare
+            </button>
           </div>
         </div>
         
         {/* Content */}
         <div className="mb-8">
-          {activeTab === 'input' ? (
+          {activeTab === 'library' ? (
+            <MyAnalyses onOpen={handleOpenAnalysis} />
+          ) : activeTab === 'compare' ? (
+            <PropertyComparison currentForecast={forecast} currentAnalysis={savedAnalysis} />
+          ) : activeTab === 'input' ? (
             inputMethod === 'manual' ? (
-              <PropertyInputForm onSubmit={handlePropertySubmit} isLoading={isLoading} />
+              <>
+                {forecastError && (
+                  <p className="text-center text-sm text-red-600 mb-4">{forecastError}</p>
+                )}
+                <PropertyInputForm
+                  key={formVersion}
+                  onSubmit={handlePropertySubmit}
+                  isLoading={isLoading}
+                  initialValues={propertyData}
+                  initialErrors={formErrors}
+                  extraction={extraction}
+                />
+              </>
             ) : (
-              <PropertyUrlInput onSubmit={handleUrlSubmit} isLoading={isLoading} />
+              <PropertyUrlInput onSubmit={handleUrlSubmit} isLoading={isLoading} extractionError={extractionError} />
             )
           ) : (
             <div>
-              <PropertyForecastResults forecast={forecast} />
+              {savedFigures && (
+                <div className="max-w-4xl mx-auto bg-blue-50 rounded-lg p-4 mb-6 flex items-center justify-between">
+                  <p className="text-sm text-gray-700 mr-4">
+                    Showing the figures as saved on {new Date(savedFigures.savedAt).toLocaleDateString('en-ZA', { dateStyle: 'medium' })}.
+                    {savedFigures.outdated && ' The calculations or tax tables have changed since, so recalculating may give different figures.'}
+                  </p>
+                  <button
+                    onClick={handleRecalculate}
+                    className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition duration-300 whitespace-nowrap"
+                  >
+                    Recalculate
+                  </button>
+                </div>
+              )}
+              <PropertyForecastResults
+                forecast={forecast}
+                propertyData={propertyData}
+                onApplyValue={handleApplySolvedValue}
+                simulationStatus={simulationStatus}
+                onCancelSimulation={handleCancelSimulation}
+              />
               <div className="flex justify-center mt-6">
                 <button
                   onClick={handleBackToInput}
@@ -133,11 +344,64 @@ const PropForecastApp = () => {
                   Back to Input
                 </button>
                 <button
+                  onClick={openSaveForm}
                   className="bg-green-600 text-white py-2 px-6 rounded-md hover:bg-green-700 transition duration-300"
                 >
                   Save Analysis
                 </button>
               </div>
+              
+              {/* Save Form */}
+              {isSaveFormOpen && (
+                <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6 mt-6">
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={saveName}
+                      onChange={(e) => setSaveName(e.target.value)}
+                      placeholder="e.g., Sea Point 2-bed"
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                    />
+                  </div>
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                    <input
+                      type="text"
+                      value={saveTags}
+                      onChange={(e) => setSaveTags(e.target.value)}
+                      placeholder="e.g., cape town, sectional title"
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Separate tags with commas</p>
+                  </div>
+                  <div className="flex justify-end">
+                    <button
+                      onClick={() => setIsSaveFormOpen(false)}
+                      className="text-gray-600 py-2 px-4 mr-2"
+                    >
+                      Cancel
+                    </button>
+                    {savedAnalysis && (
+                      <button
+                        onClick={() => handleSave(true)}
+                        className="bg-gray-200 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-300 transition duration-300 mr-2"
+                      >
+                        Save as New
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleSave(false)}
+                      className="bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 transition duration-300"
+                    >
+                      {savedAnalysis ? 'Save Changes' : 'Save'}
+                    </button>
+                  </div>
+                </div>
+              )}
+              {saveMessage && (
+                <p className="text-center text-sm text-gray-600 mt-4">{saveMessage}</p>
+              )}
             </div>
           )}
         </div>
@@ -153,19 +417,17 @@ const PropForecastApp = () => {
               </p>
             </div>
             <div className="bg-white p-6 rounded-lg shadow-md">
-              <div className="text-xl font-semibold mb-3 text-blue-700">URL Property Analysis</div>
+              <div className="text-xl font-semibold mb-3 text-blue-700">Listing Import</div>
               <p className="text-gray-600">
-                Paste a Property24 or PrivateProperty listing URL to automatically
-                extract details and generate an investment forecast.
-                <span className="block mt-2 text-sm italic">(MVP Demo Mode)</span>
+                Paste or upload a saved Property24 or PrivateProperty listing page to
+                pre-fill the price, size, levies and rates for your forecast.
               </p>
             </div>
-            <div className="bg-white p-6 rounded-lg shadow-md opacity-60">
-              <div className="text-xl font-semibold mb-3 text-blue-700">Premium Reports</div>
+            <div className="bg-white p-6 rounded-lg shadow-md">
+              <div className="text-xl font-semibold mb-3 text-blue-700">PDF Reports</div>
               <p className="text-gray-600">
-                Unlock detailed PDF reports with comprehensive analysis and 
-                neighborhood-specific insights for better investment decisions.
-                <span className="block mt-2 text-sm italic">(Coming Soon)</span>
+                Download a multi-page PDF report of any forecast, with the charts,
+                cost breakdowns and assumptions, ready to send to clients.
               </p>
             </div>
           </div>
@@ -174,7 +436,7 @@ const PropForecastApp = () => {
         {/* Footer */}
         <div className="mt-12 text-center text-gray-500 text-sm">
           <p>© 2025 PropForecast. All rights reserved.</p>
-          <p className="mt-1">Investment forecasts are estimates and should not be considered financial advice.</p>
+          <p className="mt-1">{REPORT_DISCLAIMER}</p>
         </div>
       </div>
     </div>
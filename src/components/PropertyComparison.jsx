@@ -0,0 +1,176 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { listAnalyses } from '../services/analysis-storage';
+import { buildComparison, buildCumulativeReturnSeries } from '../services/comparison';
+import { generatePropertyForecast } from '../services/financial-calculator';
+import { ValidationError } from '../services/validation';
+import { formatCurrency, formatCompactCurrency, formatMetric } from '../utils/formatters';
+
+// Id used for the forecast currently on screen when it has not been saved
+const CURRENT_FORECAST_ID = 'current';
+
+const LINE_COLOURS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899'];
+
+/**
+ * Generate the forecast of an analysis saved without one from its inputs,
+ * leaving out the simulation and side-by-side comparisons the comparison does not show.
+ * @param {object} analysis - A saved analysis.
+ * @returns {object|null} - The forecast, or null if the saved inputs are no longer valid.
+ */
+const regenerateForecast = (analysis) => {
+  try {
+    return generatePropertyForecast({
+      ...analysis.propertyData,
+      runSimulation: false,
+      compareOwnership: false,
+      compareBondExtras: false
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return null;
+    throw error;
+  }
+};
+
+const PropertyComparison = ({ currentForecast, currentAnalysis }) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Read the library once: it cannot change while this view is open
+  const savedAnalyses = useMemo(() => listAnalyses(), []);
+  // Forecasts by analysis id; those saved without one are worked out here once, not on every toggle
+  const savedForecasts = useMemo(
+    () => Object.fromEntries(savedAnalyses.map((analysis) => [analysis.id, analysis.forecast || regenerateForecast(analysis)])),
+    [savedAnalyses]
+  );
+
+  // Offer the forecast on screen unless it is already in the saved list
+  const candidates = [
+    ...(currentForecast && !currentAnalysis
+      ? [{
+        id: CURRENT_FORECAST_ID,
+        name: `Current forecast${currentForecast.propertyDetails.location ? ` (${currentForecast.propertyDetails.location})` : ''}`,
+        forecast: currentForecast
+      }]
+      : []),
+    ...savedAnalyses
+  ];
+
+  const toggle = (id) => {
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter((selectedId) => selectedId !== id)
+      : [...selectedIds, id]);
+  };
+
+  const selected = candidates
+    .filter(({ id }) => selectedIds.includes(id))
+    .map((candidate) => (candidate.id === CURRENT_FORECAST_ID ? candidate : { ...candidate, forecast: savedForecasts[candidate.id] }));
+  const entries = selected.filter(({ forecast }) => forecast);
+  const invalid = selected.filter(({ forecast }) => !forecast);
+  const rows = entries.length >= 2 ? buildComparison(entries) : [];
+
+  const cellClass = (row, index) => {
+    if (index === row.bestIndex) return 'bg-green-50 text-green-700 font-semibold';
+    if (index === row.worstIndex) return 'bg-red-50 text-red-600';
+    return 'text-gray-700';
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold mb-6 text-gray-800">Compare Properties</h2>
+
+      {candidates.length < 2 ? (
+        <p className="text-gray-500 text-center py-8">
+          Save at least two analyses (or generate a forecast and save one) to compare them side by side.
+        </p>
+      ) : (
+        <div className="mb-8">
+          <h3 className="text-lg font-semibold mb-4 text-gray-700">Choose Properties</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {candidates.map(({ id, name }) => (
+              <label key={id} className="flex items-center text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(id)}
+                  onChange={() => toggle(id)}
+                  className="h-4 w-4 mr-2"
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {invalid.length > 0 && (
+        <p className="text-sm text-red-600 mb-4">
+          {invalid.map(({ name }) => `"${name}"`).join(', ')} could not be forecast from the saved inputs.
+          Open {invalid.length === 1 ? 'it' : 'them'} from My Analyses to fix the inputs.
+        </p>
+      )}
+
+      {candidates.length >= 2 && entries.length < 2 && (
+        <p className="text-gray-500 text-center py-4">Select two or more properties to compare.</p>
+      )}
+
+      {entries.length >= 2 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-2 px-4 text-left text-gray-600">Metric</th>
+                  {entries.map(({ id, name }) => (
+                    <th key={id} className="py-2 px-4 text-right text-gray-600">{name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key} className="border-t">
+                    <td className="py-2 px-4 text-gray-700">{row.label}</td>
+                    {row.values.map((value, index) => (
+                      <td key={entries[index].id} className={`py-2 px-4 text-right ${cellClass(row, index)}`}>
+                        {formatMetric(value, row.format)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-gray-500">
+              Best value in each row is highlighted green and worst in red.
+            </p>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold mb-4 text-gray-700">Cumulative Return if Sold</h3>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={buildCumulativeReturnSeries(entries)} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" label={{ value: 'Years', position: 'insideBottomRight', offset: -5 }} />
+                  <YAxis tickFormatter={formatCompactCurrency} />
+                  <Tooltip
+                    formatter={(value, name) => [formatCurrency(value), name]}
+                    labelFormatter={(value) => `Year ${value}`}
+                  />
+                  <Legend />
+                  {entries.map(({ id, name }, index) => (
+                    <Line
+                      key={id}
+                      type="monotone"
+                      dataKey={id}
+                      name={name}
+                      stroke={LINE_COLOURS[index % LINE_COLOURS.length]}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PropertyComparison;
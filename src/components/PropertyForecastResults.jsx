@@ -1,72 +1,124 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import AffordabilitySection from './AffordabilitySection';
+import AmortizationScheduleTable from './AmortizationScheduleTable';
+import BondExtrasSection from './BondExtrasSection';
+import ProjectionSection from './ProjectionSection';
+import RateScenariosSection from './RateScenariosSection';
+import ShortTermRentalSection from './ShortTermRentalSection';
+import SimulationSection from './SimulationSection';
+import SensitivitySection from './SensitivitySection';
+import SolveForPanel from './SolveForPanel';
+import LineItemsSection from './LineItemsSection';
+import RentRollSection from './RentRollSection';
+import TaxSummary from './TaxSummary';
+import ExitScenario from './ExitScenario';
+import OwnershipComparisonSection from './OwnershipComparisonSection';
+import { formatCurrency, formatPercent, formatCompactCurrency } from '../utils/formatters';
+import { captureCharts } from '../utils/chart-images';
+import { downloadPdfReport } from '../services/pdf-report';
+import { isDeveloperSale } from '../services/purchase-types';
 
-const PropertyForecastResults = ({ forecast }) => {
+const PropertyForecastResults = ({ forecast, propertyData, onApplyValue, simulationStatus, onCancelSimulation }) => {
+  const resultsRef = useRef(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  
   if (!forecast) return null;
   
   const {
     propertyDetails,
     financingDetails,
+    amortization,
+    bondExtras,
+    rateShocks,
+    affordability,
+    simulation,
     purchaseCosts,
     rentalDetails,
     expenses,
+    lineItems,
+    rentRoll,
     yields,
     cashFlow,
+    projection,
     roi,
+    returns,
+    exit,
+    tax,
+    ownershipComparison,
+    buildingAllowance,
     breakeven,
+    taxTableVersion,
     investmentSummary
   } = forecast;
   
-  // Format currency values
-  const formatCurrency = (value) => {
-    return new Intl.NumberFormat('en-ZA', { 
-      style: 'currency', 
-      currency: 'ZAR',
-      maximumFractionDigits: 0
-    }).format(value);
-  };
-  
-  // Format percentage values
-  const formatPercent = (value) => {
-    return value.toFixed(2) + '%';
-  };
+  // Expense categories that only apply to some rentals, listed when present
+  const otherExpenses = [
+    { label: 'Agent Management Fee', value: expenses.managementFees },
+    { label: 'Letting Fees', value: expenses.lettingFees },
+    { label: 'Building Insurance', value: expenses.insurance },
+    { label: 'Utilities', value: expenses.utilities },
+    { label: 'Hosting Costs', value: expenses.shortTermRentalCosts },
+    { label: 'Other Expenses', value: expenses.otherExpenses }
+  ];
   
   // Generate data for the ROI projection chart
   const generateROIChartData = () => {
-    const data = [];
-    
-    // Add initial investment point
-    data.push({
-      year: 0,
-      value: -1 * (financingDetails.deposit + purchaseCosts.total)
-    });
+    // Start from the initial investment, then follow the return if the property were sold that year
+    return [
+      {
+        year: 0,
+        value: -1 * returns.cashInvested
+      },
+      ...projection.years.map((row) => ({
+        year: row.year,
+        value: row.netReturnIfSold
+      }))
+    ];
+  };
+  
+  const handleDownloadReport = async () => {
+    setIsExporting(true);
+    setExportError('');
     
-    // Calculate cumulative return for each year
-    for (let year = 1; year <= 10; year++) {
-      let cumulativeReturn = 0;
-      
-      // Add cash flow for each year
-      cumulativeReturn += cashFlow.annual * year;
-      
-      // Add appreciation (simplified linear calculation)
-      const annualAppreciationRate = 0.05; // 5% annual appreciation
-      const totalAppreciation = propertyDetails.purchasePrice * 
-        (Math.pow(1 + annualAppreciationRate, year) - 1);
-      cumulativeReturn += totalAppreciation;
-      
-      // Add equity build (simplified)
-      const equityBuild = financingDetails.monthlyBondRepayment * 12 * year * 0.4;
-      cumulativeReturn += equityBuild;
-      
-      data.push({
-        year,
-        value: cumulativeReturn
-      });
+    try {
+      const chartImages = await captureCharts(resultsRef.current);
+      downloadPdfReport({ forecast, chartImages });
+    } catch (e) {
+      setExportError(`Could not create the PDF report: ${e.message}`);
+    } finally {
+      setIsExporting(false);
     }
-    
-    return data;
   };
   
+  // Transfer and bond registration costs, each listed with its own subtotal
+  const costGroups = [
+    {
+      title: purchaseCosts.transfer.paidByDeveloper ? 'Transfer Costs (Paid by the Developer)' : 'Transfer Costs',
+      total: purchaseCosts.transfer.total,
+      items: [
+        {
+          label: isDeveloperSale(propertyDetails.purchaseType) ? 'Transfer Duty (None: VAT Is in the Price)' : 'Transfer Duty',
+          value: purchaseCosts.transfer.transferDuty
+        },
+        { label: 'Conveyancing Attorney Fees (incl. VAT)', value: purchaseCosts.transfer.attorneyFees },
+        { label: 'Deeds Office Transfer Fee', value: purchaseCosts.transfer.deedsOfficeRegistration },
+        { label: 'Postage & Petties', value: purchaseCosts.transfer.postageAndPetties }
+      ]
+    },
+    {
+      title: 'Bond Registration Costs',
+      total: purchaseCosts.bond.total,
+      items: [
+        { label: 'Bond Attorney Fees (incl. VAT)', value: purchaseCosts.bond.attorneyFees },
+        { label: 'Deeds Office Bond Fee', value: purchaseCosts.bond.deedsOfficeFee },
+        { label: 'Bank Initiation Fee (incl. VAT)', value: purchaseCosts.bond.bankInitiationFee },
+        { label: 'Postage & Petties (incl. VAT)', value: purchaseCosts.bond.postageAndPetties }
+      ]
+    }
+  ];
+
   // Generate cash flow data for chart
   const generateCashFlowData = () => {
     return [
@@ -78,12 +130,24 @@ const PropertyForecastResults = ({ forecast }) => {
   };
 
   return (
-    <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-md p-6">
+    <div ref={resultsRef} className="max-w-4xl mx-auto bg-white rounded-lg shadow-md p-6">
       <div className="mb-8">
         <h2 className="text-2xl font-bold mb-2 text-gray-800">Investment Summary</h2>
         <div className="p-4 bg-blue-50 rounded-md border border-blue-100">
           <p className="text-gray-700">{investmentSummary}</p>
         </div>
+        {affordability && (
+          <div className="mt-3 flex items-center gap-3">
+            <span
+              className={`px-3 py-1 rounded-full text-sm font-medium ${
+                affordability.passes ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+              }`}
+            >
+              {affordability.passes ? 'Buyer qualifies for the bond' : 'Buyer does not qualify for the bond'}
+            </span>
+            <a href="#affordability" className="text-sm text-blue-600 hover:underline">See affordability breakdown</a>
+          </div>
+        )}
       </div>
       
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
@@ -132,6 +196,12 @@ const PropertyForecastResults = ({ forecast }) => {
               <span className="text-gray-600">Bedrooms/Bathrooms:</span>
               <span className="font-medium text-gray-800">{propertyDetails.bedrooms} / {propertyDetails.bathrooms}</span>
             </div>
+            {propertyDetails.floorSize && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Floor Size:</span>
+                <span className="font-medium text-gray-800">{propertyDetails.floorSize} m²</span>
+              </div>
+            )}
             <div className="flex justify-between">
               <span className="text-gray-600">Purchase Price:</span>
               <span className="font-medium text-gray-800">{formatCurrency(propertyDetails.purchasePrice)}</span>
@@ -140,8 +210,13 @@ const PropertyForecastResults = ({ forecast }) => {
         </div>
       </div>
       
+      <SolveForPanel propertyData={propertyData} onApplyValue={onApplyValue} />
+      
       <div className="mb-8">
-        <h3 className="text-lg font-semibold mb-4 text-gray-700">Financial Breakdown</h3>
+        <h3 className="text-lg font-semibold mb-1 text-gray-700">Financial Breakdown</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Using {taxTableVersion.taxYear} tax tables (effective {taxTableVersion.effectiveFrom})
+        </p>
         <div className="overflow-x-auto">
           <table className="min-w-full bg-white">
             <thead>
@@ -155,20 +230,20 @@ const PropertyForecastResults = ({ forecast }) => {
                 <td className="py-2 px-4 text-gray-700">Purchase Price</td>
                 <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(propertyDetails.purchasePrice)}</td>
               </tr>
-              <tr className="border-t">
-                <td className="py-2 px-4 text-gray-700">Transfer Duty</td>
-                <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(purchaseCosts.transferDuty)}</td>
-              </tr>
-              <tr className="border-t">
-                <td className="py-2 px-4 text-gray-700">Attorney Fees</td>
-                <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(purchaseCosts.attorneyFees)}</td>
-              </tr>
-              <tr className="border-t">
-                <td className="py-2 px-4 text-gray-700">Other Costs</td>
-                <td className="py-2 px-4 text-right text-gray-700">
-                  {formatCurrency(purchaseCosts.deedsOfficeRegistration + purchaseCosts.electronicallyFacilitatedTransfer)}
-                </td>
-              </tr>
+              {costGroups.map((group) => (
+                <React.Fragment key={group.title}>
+                  {group.items.map((item) => (
+                    <tr key={item.label} className="border-t">
+                      <td className="py-2 px-4 pl-8 text-gray-600">{item.label}</td>
+                      <td className="py-2 px-4 text-right text-gray-600">{formatCurrency(item.value)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t font-medium">
+                    <td className="py-2 px-4 text-gray-700">{group.title}</td>
+                    <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(group.total)}</td>
+                  </tr>
+                </React.Fragment>
+              ))}
               <tr className="border-t font-semibold">
                 <td className="py-2 px-4 text-gray-700">Total Purchase Cost</td>
                 <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(propertyDetails.totalPurchaseCost)}</td>
@@ -183,7 +258,14 @@ const PropertyForecastResults = ({ forecast }) => {
               </tr>
               <tr className="border-t">
                 <td className="py-2 px-4 text-gray-700">Interest Rate</td>
-                <td className="py-2 px-4 text-right text-gray-700">{formatPercent(financingDetails.interestRate)}</td>
+                <td className="py-2 px-4 text-right text-gray-700">
+                  {formatPercent(financingDetails.interestRate)}
+                  {financingDetails.rateBasis === 'prime' && (
+                    <span className="ml-2 text-xs text-gray-500">
+                      prime {formatPercent(financingDetails.primeRate)} {financingDetails.primeMargin < 0 ? '-' : '+'} {Math.abs(financingDetails.primeMargin)}
+                    </span>
+                  )}
+                </td>
               </tr>
               <tr className="border-t">
                 <td className="py-2 px-4 text-gray-700">Loan Term</td>
@@ -203,26 +285,62 @@ const PropertyForecastResults = ({ forecast }) => {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="bg-green-50 p-4 rounded-md">
             <h4 className="text-base font-medium mb-1 text-green-700">Income</h4>
-            <div className="text-2xl font-bold text-green-600">{formatCurrency(rentalDetails.effectiveRent)}</div>
+            <div className="text-2xl font-bold text-green-600">
+              {formatCurrency(rentalDetails.effectiveRent + rentalDetails.otherIncome)}
+            </div>
             <div className="text-sm text-gray-600 mt-1">
-              Expected Rent: {formatCurrency(rentalDetails.expectedRent)}
-              <br />
-              Vacancy: {formatPercent(rentalDetails.vacancyRate)}
+              {rentalDetails.shortTermRental ? (
+                <>
+                  Nightly Rate: {formatCurrency(rentalDetails.shortTermRental.nightlyRate)}
+                  <br />
+                  Occupancy: {formatPercent(rentalDetails.shortTermRental.averageOccupancy)}
+                </>
+              ) : (
+                <>
+                  Expected Rent: {formatCurrency(rentalDetails.expectedRent)}
+                  <br />
+                  Vacancy: {formatPercent(rentalDetails.vacancyRate)}
+                  {rentalDetails.unitCount && (
+                    <>
+                      <br />
+                      Units: {rentalDetails.unitCount}
+                    </>
+                  )}
+                </>
+              )}
+              {rentalDetails.otherIncome > 0 && (
+                <>
+                  <br />
+                  Other Income: {formatCurrency(rentalDetails.otherIncome)}
+                </>
+              )}
             </div>
           </div>
           <div className="bg-red-50 p-4 rounded-md">
             <h4 className="text-base font-medium mb-1 text-red-700">Expenses</h4>
             <div className="text-2xl font-bold text-red-600">
-              {formatCurrency(expenses.total + financingDetails.monthlyBondRepayment)}
+              {formatCurrency(expenses.total + financingDetails.monthlyBondRepayment + financingDetails.extraBondPayment)}
             </div>
             <div className="text-sm text-gray-600 mt-1">
               Bond: {formatCurrency(financingDetails.monthlyBondRepayment)}
+              {financingDetails.extraBondPayment > 0 && (
+                <>
+                  <br />
+                  Extra Bond Payment: {formatCurrency(financingDetails.extraBondPayment)}
+                </>
+              )}
               <br />
               Levies: {formatCurrency(expenses.levies)}
               <br />
               Rates: {formatCurrency(expenses.ratesAndTaxes)}
               <br />
               Maintenance: {formatCurrency(expenses.maintenance)}
+              {otherExpenses.filter((item) => item.value > 0).map((item) => (
+                <React.Fragment key={item.label}>
+                  <br />
+                  {item.label}: {formatCurrency(item.value)}
+                </React.Fragment>
+              ))}
             </div>
           </div>
           <div className={`p-4 rounded-md ${cashFlow.monthly >= 0 ? 'bg-blue-50' : 'bg-yellow-50'}`}>
@@ -237,6 +355,15 @@ const PropertyForecastResults = ({ forecast }) => {
         </div>
       </div>
       
+      <RentRollSection rentRoll={rentRoll} horizonYears={projection.horizonYears} />
+      
+      <LineItemsSection lineItems={lineItems} />
+      
+      <ShortTermRentalSection
+        shortTermRental={rentalDetails.shortTermRental}
+        furnishingCost={rentalDetails.furnishingCost}
+      />
+      
       <div className="mb-8">
         <h3 className="text-lg font-semibold mb-3 text-gray-700">Investment Performance</h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -279,8 +406,54 @@ const PropertyForecastResults = ({ forecast }) => {
             </div>
           </div>
         </div>
+        <div className="mt-6">
+          <h4 className="text-base font-medium mb-2 text-gray-700">
+            Returns on Cash Invested (Sold in Year {returns.saleYear}, Pre-Tax)
+          </h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Cash Invested:</span>
+              <span className="font-medium text-gray-800">{formatCurrency(returns.cashInvested)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">IRR:</span>
+              <span className="font-medium text-blue-600">
+                {returns.irr === null ? 'n/a' : formatPercent(returns.irr)}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">NPV @ {formatPercent(returns.discountRate)}:</span>
+              <span className={`font-medium ${returns.npv >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatCurrency(returns.npv)}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Equity Multiple:</span>
+              <span className="font-medium text-blue-600">{returns.equityMultiple.toFixed(2)}x</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Cash-on-Cash Return (Year 1):</span>
+              <span className="font-medium text-blue-600">{formatPercent(returns.cashOnCash)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Net Proceeds on Sale:</span>
+              <span className="font-medium text-gray-800">{formatCurrency(returns.netSaleProceeds)}</span>
+            </div>
+          </div>
+        </div>
       </div>
       
+      <TaxSummary
+        tax={tax}
+        cashFlow={cashFlow}
+        returns={returns}
+        buildingAllowance={isDeveloperSale(propertyDetails.purchaseType) ? buildingAllowance : null}
+      />
+      
+      <ExitScenario exit={exit} />
+      
+      <OwnershipComparisonSection ownershipComparison={ownershipComparison} saleYear={exit.saleYear} />
+      
       <div className="mb-8">
         <h3 className="text-lg font-semibold mb-4 text-gray-700">Projected ROI Over Time</h3>
         <div className="h-80">
@@ -297,26 +470,45 @@ const PropertyForecastResults = ({ forecast }) => {
               <CartesianGrid strokeDasharray="3 3" />
               <XAxis dataKey="year" label={{ value: 'Years', position: 'insideBottomRight', offset: -5 }} />
               <YAxis 
-                tickFormatter={(value) => `R${Math.abs(value) >= 1000000 ? (value / 1000000).toFixed(1) + 'M' : Math.abs(value) >= 1000 ? (value / 1000).toFixed(0) + 'K' : value}`}
+                tickFormatter={formatCompactCurrency}
               />
               <Tooltip 
-                formatter={(value) => [formatCurrency(value), 'Cumulative Return']}
+                formatter={(value) => [formatCurrency(value), 'Net Return if Sold']}
                 labelFormatter={(value) => `Year ${value}`}
               />
               <Legend />
-              <Line type="monotone" dataKey="value" stroke="#3B82F6" activeDot={{ r: 8 }} name="Cumulative Return" />
+              <Line type="monotone" dataKey="value" stroke="#3B82F6" activeDot={{ r: 8 }} name="Net Return if Sold" />
             </LineChart>
           </ResponsiveContainer>
         </div>
       </div>
       
-      <div className="flex justify-center mt-8">
+      <ProjectionSection projection={projection} />
+      
+      <SimulationSection simulation={simulation} status={simulationStatus} onCancel={onCancelSimulation} />
+      
+      <SensitivitySection propertyData={propertyData} />
+      
+      <AffordabilitySection affordability={affordability} />
+      
+      <RateScenariosSection rateShocks={rateShocks} financingDetails={financingDetails} />
+      
+      <BondExtrasSection bondExtras={bondExtras} />
+      
+      <AmortizationScheduleTable amortization={amortization} />
+      
+      <div className="flex flex-col items-center mt-8">
         <button
-          className="bg-blue-600 text-white py-2 px-6 rounded-md hover:bg-blue-700 transition duration-300"
+          onClick={handleDownloadReport}
+          disabled={isExporting}
+          className={`bg-blue-600 text-white py-2 px-6 rounded-md hover:bg-blue-700 transition duration-300 ${
+            isExporting ? 'opacity-70 cursor-not-allowed' : ''
+          }`}
           type="button"
         >
-          Download PDF Report
+          {isExporting ? 'Preparing Report...' : 'Download PDF Report'}
         </button>
+        {exportError && <p className="mt-2 text-sm text-red-600">{exportError}</p>}
       </div>
     </div>
   );
@@ -1,6 +1,38 @@
 import React, { useState } from 'react';
+import { listTaxYears } from '../services/tax-tables';
+import { validatePropertyData } from '../services/validation';
+import LineItemsEditor from './LineItemsEditor';
+import BondTransactionsEditor from './BondTransactionsEditor';
+import RatePathEditor from './RatePathEditor';
+import RentRollEditor from './RentRollEditor';
+import { DEFAULT_PRIME_RATE } from '../services/interest-rates';
+import { DEFAULT_RENTAL_INCOME_SHARE } from '../services/affordability';
+import { OWNERSHIP_STRUCTURES, OWNERSHIP_STRUCTURE_LABELS } from '../services/ownership';
+import { DEFAULT_RELETTING_MONTHS } from '../services/rent-roll';
+import {
+  DEFAULT_CONSTRUCTION_MONTHS,
+  PURCHASE_TYPES,
+  PURCHASE_TYPE_LABELS,
+  isDeveloperSale
+} from '../services/purchase-types';
+import {
+  DEFAULT_SIMULATION_SEED,
+  DEFAULT_SIMULATION_TRIALS,
+  DEFAULT_SIMULATION_VOLATILITY,
+  MAX_SIMULATION_TRIALS
+} from '../services/monte-carlo';
+import {
+  DEFAULT_SEASONAL_OCCUPANCY,
+  MONTH_NAMES,
+  getMonthlyOccupancy
+} from '../services/short-term-rental';
 
-const PropertyInputForm = ({ onSubmit, isLoading }) => {
+// Shown under fields the listing extractor could not fill in
+const NotFoundNote = () => (
+  <p className="mt-1 text-xs text-yellow-700">Not found in the listing. Please check this value.</p>
+);
+
+const PropertyInputForm = ({ onSubmit, isLoading, initialValues, initialErrors, extraction }) => {
   const [formData, setFormData] = useState({
     propertyType: 'apartment',
     purchasePrice: 1200000,
@@ -12,29 +44,171 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
     expectedRent: 9000,
     bedrooms: 2,
     bathrooms: 1,
+    floorSize: '',
     location: '',
     maintenancePercentage: 1,
     vacancyRate: 5,
+    rentRoll: [],
+    relettingMonths: DEFAULT_RELETTING_MONTHS,
+    rentalMode: 'long-term',
+    nightlyRate: 1200,
+    occupancyBasis: 'season',
+    peakOccupancy: DEFAULT_SEASONAL_OCCUPANCY.peak,
+    shoulderOccupancy: DEFAULT_SEASONAL_OCCUPANCY.shoulder,
+    lowOccupancy: DEFAULT_SEASONAL_OCCUPANCY.low,
+    monthlyOccupancy: getMonthlyOccupancy(),
+    averageStayNights: 3,
+    cleaningCostPerStay: 350,
+    platformFeeRate: 3,
+    managementCommissionRate: 20,
+    monthlyUtilities: 1500,
+    furnishingCost: 80000,
+    managementFeeRate: 8,
+    lettingFeeRate: 50,
+    averageTenancyMonths: 24,
+    monthlyInsurance: '',
+    landlordUtilities: 0,
+    lineItems: [],
+    purchaseType: 'resale',
+    developerPaysTransferCosts: true,
+    constructionMonths: DEFAULT_CONSTRUCTION_MONTHS,
+    residentialUnitsOwned: 1,
+    rateBasis: 'fixed',
+    primeRate: DEFAULT_PRIME_RATE,
+    primeMargin: 0,
+    rateChanges: [],
+    extraMonthlyPayment: 0,
+    annualLumpSum: 0,
+    bondTransactions: [],
+    projectionYears: 10,
+    annualAppreciationRate: 5,
+    rentEscalationRate: 6,
+    leviesEscalationRate: 7,
+    ratesEscalationRate: 7,
+    maintenanceEscalationRate: 6,
+    discountRate: 10,
+    saleYear: 10,
+    agentCommissionRate: 5,
+    bondCancellationFee: 6500,
+    runSimulation: false,
+    simulationTrials: DEFAULT_SIMULATION_TRIALS,
+    simulationSeed: DEFAULT_SIMULATION_SEED,
+    appreciationStdDev: DEFAULT_SIMULATION_VOLATILITY.appreciation,
+    rentEscalationStdDev: DEFAULT_SIMULATION_VOLATILITY.rentEscalation,
+    vacancyStdDev: DEFAULT_SIMULATION_VOLATILITY.vacancy,
+    interestRateStdDev: DEFAULT_SIMULATION_VOLATILITY.interestRate,
+    otherTaxableIncome: 600000,
+    investorAge: 40,
+    letToRelatives: false,
+    ownershipStructure: 'individual',
+    grossMonthlyIncome: '',
+    netMonthlyIncome: '',
+    monthlyDebtRepayments: '',
+    monthlyLivingExpenses: '',
+    rentalIncomeShare: DEFAULT_RENTAL_INCOME_SHARE,
+    // With no tax year chosen, the tables follow the transaction date (today when it is empty)
+    transactionDate: '',
+    taxYear: '',
+    // Values restored from a saved analysis take precedence over the defaults
+    ...initialValues,
   });
 
+  const [errors, setErrors] = useState(initialErrors || {});
+
+  const missingFields = extraction ? extraction.missing : [];
+  const fieldClass = (name) => `w-full p-2 border rounded-md ${
+    errors[name]
+      ? 'border-red-300'
+      : missingFields.includes(name) ? 'border-yellow-400 bg-yellow-50' : 'border-gray-300'
+  }`;
+  const fieldError = (name) => errors[name] && <p className="mt-1 text-sm text-red-600">{errors[name]}</p>;
+
   const handleChange = (e) => {
-    const { name, value, type } = e.target;
+    const { name, value, type, checked } = e.target;
+    if (errors[name]) {
+      const { [name]: fixed, ...remainingErrors } = errors;
+      setErrors(remainingErrors);
+    }
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox'
+        ? checked
+        : type === 'number' ? (value === '' ? '' : Number(value)) : value,
+    });
+  };
+
+  const handleMonthlyOccupancyChange = (index) => (e) => {
+    const { value } = e.target;
+    if (errors.monthlyOccupancy) {
+      const { monthlyOccupancy: fixed, ...remainingErrors } = errors;
+      setErrors(remainingErrors);
+    }
     setFormData({
       ...formData,
-      [name]: type === 'number' ? (value === '' ? '' : Number(value)) : value,
+      monthlyOccupancy: formData.monthlyOccupancy.map((occupancy, i) => (
+        i === index ? (value === '' ? '' : Number(value)) : occupancy
+      )),
     });
   };
 
+  // List fields (line items, bond transactions, rate changes) are edited as a whole
+  const handleListChange = (name) => (list) => {
+    if (errors[name]) {
+      const { [name]: fixed, ...remainingErrors } = errors;
+      setErrors(remainingErrors);
+    }
+    setFormData({ ...formData, [name]: list });
+  };
+
+  const isShortTerm = formData.rentalMode === 'short-term';
+  // With a rent roll, each unit has its own rent and vacancy
+  const hasRentRoll = formData.rentRoll.length > 0;
+
+  // Plain number input with its label and error, for the later sections
+  const numberField = ({ name, label, step = '1', max }) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type="number"
+        name={name}
+        value={formData[name]}
+        onChange={handleChange}
+        min="0"
+        max={max}
+        step={step}
+        className={fieldClass(name)}
+      />
+      {fieldError(name)}
+    </div>
+  );
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    
+    const { values, errors: validationErrors, isValid } = validatePropertyData(formData);
+    setErrors(validationErrors);
+    if (isValid) {
+      onSubmit(values);
+    }
   };
 
   return (
     <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold mb-6 text-gray-800">Property Investment Details</h2>
       
-      <form onSubmit={handleSubmit}>
+      {extraction && (
+        <div className="mb-6 p-4 bg-blue-50 rounded-md border border-blue-100 text-sm text-gray-700">
+          Details were pre-filled from the {extraction.portal} listing. Review them, add the deposit,
+          rent and financing details, then generate the forecast.
+          {extraction.missing.length > 0 && (
+            <span className="block mt-1 text-yellow-700">
+              Fields highlighted in yellow could not be found in the listing.
+            </span>
+          )}
+        </div>
+      )}
+      
+      <form onSubmit={handleSubmit} noValidate>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           {/* Property Type */}
           <div>
@@ -43,13 +217,15 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               name="propertyType"
               value={formData.propertyType}
               onChange={handleChange}
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('propertyType')}
             >
               <option value="apartment">Apartment</option>
               <option value="house">House</option>
               <option value="townhouse">Townhouse</option>
               <option value="duplex">Duplex</option>
             </select>
+            {missingFields.includes('propertyType') && <NotFoundNote />}
+            {fieldError('propertyType')}
           </div>
           
           {/* Location */}
@@ -61,8 +237,10 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               value={formData.location}
               onChange={handleChange}
               placeholder="e.g., Sandton, Johannesburg"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('location')}
             />
+            {missingFields.includes('location') && <NotFoundNote />}
+            {fieldError('location')}
           </div>
           
           {/* Purchase Price */}
@@ -75,8 +253,10 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               onChange={handleChange}
               min="0"
               step="10000"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('purchasePrice')}
             />
+            {missingFields.includes('purchasePrice') && <NotFoundNote />}
+            {fieldError('purchasePrice')}
           </div>
           
           {/* Deposit */}
@@ -89,24 +269,104 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               onChange={handleChange}
               min="0"
               step="10000"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('deposit')}
             />
+            {fieldError('deposit')}
           </div>
           
-          {/* Interest Rate */}
+          {/* Purchase Type */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Interest Rate (%)</label>
-            <input
-              type="number"
-              name="interestRate"
-              value={formData.interestRate}
+            <label className="block text-sm font-medium text-gray-700 mb-1">Purchase Type</label>
+            <select
+              name="purchaseType"
+              value={formData.purchaseType}
               onChange={handleChange}
-              min="0"
-              step="0.25"
-              className="w-full p-2 border border-gray-300 rounded-md"
-            />
+              className={fieldClass('purchaseType')}
+            >
+              {PURCHASE_TYPES.map((type) => (
+                <option key={type} value={type}>{PURCHASE_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+            {isDeveloperSale(formData.purchaseType) && (
+              <p className="mt-1 text-xs text-gray-500">
+                Bought from a VAT-registered developer: VAT is in the price, so no transfer duty is payable.
+              </p>
+            )}
+            {fieldError('purchaseType')}
+          </div>
+          
+          {formData.purchaseType === 'off-plan' && numberField({ name: 'constructionMonths', label: 'Months From Signing to Transfer', max: '60' })}
+          
+          {isDeveloperSale(formData.purchaseType) && numberField({
+            name: 'residentialUnitsOwned',
+            label: 'New Residential Units You Let Out (incl. This One)'
+          })}
+          
+          {isDeveloperSale(formData.purchaseType) && (
+            <div className="md:col-span-2">
+              <label className="flex items-center text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  name="developerPaysTransferCosts"
+                  checked={formData.developerPaysTransferCosts}
+                  onChange={handleChange}
+                  className="mr-2"
+                />
+                Developer pays the transfer attorney and deeds office fees
+              </label>
+            </div>
+          )}
+          
+          {/* Rate Basis */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Interest Rate Basis</label>
+            <select
+              name="rateBasis"
+              value={formData.rateBasis}
+              onChange={handleChange}
+              className={fieldClass('rateBasis')}
+            >
+              <option value="fixed">Fixed rate</option>
+              <option value="prime">Prime plus or minus a margin</option>
+            </select>
+            {fieldError('rateBasis')}
           </div>
           
+          {formData.rateBasis === 'prime' ? (
+            <>
+              {numberField({ name: 'primeRate', label: 'Prime Rate (%)', step: '0.25', max: '30' })}
+              {/* Prime Margin */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Margin Above Prime (percentage points, negative for below)</label>
+                <input
+                  type="number"
+                  name="primeMargin"
+                  value={formData.primeMargin}
+                  onChange={handleChange}
+                  min="-10"
+                  max="10"
+                  step="0.05"
+                  className={fieldClass('primeMargin')}
+                />
+                {fieldError('primeMargin')}
+              </div>
+            </>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Interest Rate (%)</label>
+              <input
+                type="number"
+                name="interestRate"
+                value={formData.interestRate}
+                onChange={handleChange}
+                min="0"
+                step="0.25"
+                className={fieldClass('interestRate')}
+              />
+              {fieldError('interestRate')}
+            </div>
+          )}
+          
           {/* Loan Term */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Loan Term (years)</label>
@@ -114,7 +374,7 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               name="loanTerm"
               value={formData.loanTerm}
               onChange={handleChange}
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('loanTerm')}
             >
               <option value="10">10</option>
               <option value="15">15</option>
@@ -122,6 +382,7 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               <option value="25">25</option>
               <option value="30">30</option>
             </select>
+            {fieldError('loanTerm')}
           </div>
           
           {/* Monthly Levies */}
@@ -133,8 +394,10 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               value={formData.monthlyLevies}
               onChange={handleChange}
               min="0"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('monthlyLevies')}
             />
+            {missingFields.includes('monthlyLevies') && <NotFoundNote />}
+            {fieldError('monthlyLevies')}
           </div>
           
           {/* Monthly Rates */}
@@ -146,21 +409,25 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               value={formData.monthlyRates}
               onChange={handleChange}
               min="0"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('monthlyRates')}
             />
+            {missingFields.includes('monthlyRates') && <NotFoundNote />}
+            {fieldError('monthlyRates')}
           </div>
           
-          {/* Expected Monthly Rent */}
+          {/* Building Insurance */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Expected Monthly Rent (R)</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Monthly Building Insurance (R)</label>
             <input
               type="number"
-              name="expectedRent"
-              value={formData.expectedRent}
+              name="monthlyInsurance"
+              value={formData.monthlyInsurance}
               onChange={handleChange}
               min="0"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('monthlyInsurance')}
             />
+            <p className="mt-1 text-xs text-gray-500">Freehold only; sectional title insurance is part of the levies.</p>
+            {fieldError('monthlyInsurance')}
           </div>
           
           {/* Bedrooms */}
@@ -170,12 +437,14 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               name="bedrooms"
               value={formData.bedrooms}
               onChange={handleChange}
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('bedrooms')}
             >
               {[0, 1, 2, 3, 4, 5, 6].map((value) => (
                 <option key={value} value={value}>{value}</option>
               ))}
             </select>
+            {missingFields.includes('bedrooms') && <NotFoundNote />}
+            {fieldError('bedrooms')}
           </div>
           
           {/* Bathrooms */}
@@ -185,12 +454,29 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               name="bathrooms"
               value={formData.bathrooms}
               onChange={handleChange}
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('bathrooms')}
             >
               {[1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5].map((value) => (
                 <option key={value} value={value}>{value}</option>
               ))}
             </select>
+            {missingFields.includes('bathrooms') && <NotFoundNote />}
+            {fieldError('bathrooms')}
+          </div>
+          
+          {/* Floor Size */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Floor Size (m²)</label>
+            <input
+              type="number"
+              name="floorSize"
+              value={formData.floorSize}
+              onChange={handleChange}
+              min="0"
+              className={fieldClass('floorSize')}
+            />
+            {missingFields.includes('floorSize') && <NotFoundNote />}
+            {fieldError('floorSize')}
           </div>
           
           {/* Maintenance Percentage */}
@@ -204,27 +490,490 @@ const PropertyInputForm = ({ onSubmit, isLoading }) => {
               min="0"
               max="100"
               step="0.1"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('maintenancePercentage')}
+            />
+            {fieldError('maintenancePercentage')}
+          </div>
+          
+          {/* Rental Income */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Rental Income</h3>
+          </div>
+          
+          {/* Rental Mode */}
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rental Mode</label>
+            <select
+              name="rentalMode"
+              value={formData.rentalMode}
+              onChange={handleChange}
+              className={fieldClass('rentalMode')}
+            >
+              <option value="long-term">Long-term lease (monthly rent)</option>
+              <option value="short-term">Short-term rental (Airbnb-style, nightly bookings)</option>
+            </select>
+            {fieldError('rentalMode')}
+          </div>
+          
+          {!isShortTerm && (
+            <>
+              {/* Rent Roll */}
+              <div className="md:col-span-2">
+                <RentRollEditor
+                  units={formData.rentRoll}
+                  onChange={handleListChange('rentRoll')}
+                  error={errors.rentRoll}
+                />
+              </div>
+              
+              {hasRentRoll ? (
+                numberField({ name: 'relettingMonths', label: 'Months Empty When a Lease Runs Out', max: '12' })
+              ) : (
+                <>
+                  {/* Expected Monthly Rent */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Expected Monthly Rent (R)</label>
+                    <input
+                      type="number"
+                      name="expectedRent"
+                      value={formData.expectedRent}
+                      onChange={handleChange}
+                      min="0"
+                      className={fieldClass('expectedRent')}
+                    />
+                    {fieldError('expectedRent')}
+                  </div>
+              
+                  {/* Vacancy Rate */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Vacancy Rate (%)</label>
+                    <input
+                      type="number"
+                      name="vacancyRate"
+                      value={formData.vacancyRate}
+                      onChange={handleChange}
+                      min="0"
+                      max="100"
+                      step="1"
+                      className={fieldClass('vacancyRate')}
+                    />
+                    {fieldError('vacancyRate')}
+                  </div>
+                </>
+              )}
+              
+              {numberField({ name: 'managementFeeRate', label: 'Agent Management Fee (% of rent collected, excl. VAT)', step: '0.5', max: '100' })}
+              {numberField({ name: 'lettingFeeRate', label: 'Letting Fee per New Tenant (% of one month\'s rent, excl. VAT)', step: '5', max: '200' })}
+              {numberField({ name: 'averageTenancyMonths', label: 'Average Tenancy (months)' })}
+              {numberField({ name: 'landlordUtilities', label: 'Monthly Utilities Paid by Landlord (R)', step: '100' })}
+            </>
+          )}
+          
+          {isShortTerm && (
+            <>
+              {numberField({ name: 'nightlyRate', label: 'Average Nightly Rate (R)', step: '50' })}
+              {numberField({ name: 'averageStayNights', label: 'Average Stay (nights)' })}
+              
+              {/* Occupancy Basis */}
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Occupancy</label>
+                <select
+                  name="occupancyBasis"
+                  value={formData.occupancyBasis}
+                  onChange={handleChange}
+                  className={fieldClass('occupancyBasis')}
+                >
+                  <option value="season">By season (peak Dec–Feb, shoulder Mar–Apr and Oct–Nov, low May–Sep)</option>
+                  <option value="month">By month</option>
+                </select>
+              </div>
+              
+              {formData.occupancyBasis === 'month' ? (
+                <div className="md:col-span-2">
+                  <div className="grid grid-cols-3 md:grid-cols-6 gap-3">
+                    {MONTH_NAMES.map((name, index) => (
+                      <div key={name}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">{name} (%)</label>
+                        <input
+                          type="number"
+                          aria-label={`${name} occupancy`}
+                          value={formData.monthlyOccupancy[index]}
+                          onChange={handleMonthlyOccupancyChange(index)}
+                          min="0"
+                          max="100"
+                          className={fieldClass('monthlyOccupancy')}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  {fieldError('monthlyOccupancy')}
+                </div>
+              ) : (
+                <>
+                  {numberField({ name: 'peakOccupancy', label: 'Peak Season Occupancy (%)', max: '100' })}
+                  {numberField({ name: 'shoulderOccupancy', label: 'Shoulder Season Occupancy (%)', max: '100' })}
+                  {numberField({ name: 'lowOccupancy', label: 'Low Season Occupancy (%)', max: '100' })}
+                </>
+              )}
+              
+              {numberField({ name: 'platformFeeRate', label: 'Platform Fee (% of bookings)', step: '0.5', max: '100' })}
+              {numberField({ name: 'managementCommissionRate', label: 'Management Commission (% after platform fees)', step: '0.5', max: '100' })}
+              {numberField({ name: 'cleaningCostPerStay', label: 'Cleaning & Laundry per Stay (R)', step: '50' })}
+              {numberField({ name: 'monthlyUtilities', label: 'Monthly Utilities Paid by Owner (R)', step: '100' })}
+              {numberField({ name: 'furnishingCost', label: 'Once-off Furnishing Cost (R)', step: '5000' })}
+            </>
+          )}
+          
+          {/* Interest Rate Path */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Interest Rate Path</h3>
+          </div>
+          
+          <div className="md:col-span-2">
+            <RatePathEditor
+              changes={formData.rateChanges}
+              onChange={handleListChange('rateChanges')}
+              error={errors.rateChanges}
+            />
+          </div>
+          
+          {/* Extra Bond Payments */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Extra Bond Payments</h3>
+          </div>
+          
+          {numberField({ name: 'extraMonthlyPayment', label: 'Extra Monthly Payment (R)', step: '500' })}
+          {numberField({ name: 'annualLumpSum', label: 'Annual Lump Sum, e.g. Bonus (R)', step: '1000' })}
+          
+          <div className="md:col-span-2">
+            <BondTransactionsEditor
+              transactions={formData.bondTransactions}
+              onChange={handleListChange('bondTransactions')}
+              error={errors.bondTransactions}
+            />
+          </div>
+          
+          {/* Custom Line Items */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Other Income &amp; Expenses</h3>
+          </div>
+          
+          <div className="md:col-span-2">
+            <LineItemsEditor
+              items={formData.lineItems}
+              onChange={handleListChange('lineItems')}
+              error={errors.lineItems}
+            />
+          </div>
+          
+          {/* Projection Assumptions */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Projection Assumptions</h3>
+          </div>
+          
+          {/* Projection Horizon */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Projection Horizon (years)</label>
+            <input
+              type="number"
+              name="projectionYears"
+              value={formData.projectionYears}
+              onChange={handleChange}
+              min="1"
+              max="30"
+              step="1"
+              className={fieldClass('projectionYears')}
+            />
+            {fieldError('projectionYears')}
+          </div>
+          
+          {/* Appreciation */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Annual Property Appreciation (%)</label>
+            <input
+              type="number"
+              name="annualAppreciationRate"
+              value={formData.annualAppreciationRate}
+              onChange={handleChange}
+              step="0.5"
+              className={fieldClass('annualAppreciationRate')}
+            />
+            {fieldError('annualAppreciationRate')}
+          </div>
+          
+          {/* Rent Escalation */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Annual Rent Escalation (%)</label>
+            <input
+              type="number"
+              name="rentEscalationRate"
+              value={formData.rentEscalationRate}
+              onChange={handleChange}
+              step="0.5"
+              className={fieldClass('rentEscalationRate')}
             />
+            {fieldError('rentEscalationRate')}
           </div>
           
-          {/* Vacancy Rate */}
+          {/* Levy Escalation */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Vacancy Rate (%)</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Annual Levy Increase (%)</label>
             <input
               type="number"
-              name="vacancyRate"
-              value={formData.vacancyRate}
+              name="leviesEscalationRate"
+              value={formData.leviesEscalationRate}
+              onChange={handleChange}
+              step="0.5"
+              className={fieldClass('leviesEscalationRate')}
+            />
+            {fieldError('leviesEscalationRate')}
+          </div>
+          
+          {/* Rates Escalation */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Annual Rates Increase (%)</label>
+            <input
+              type="number"
+              name="ratesEscalationRate"
+              value={formData.ratesEscalationRate}
+              onChange={handleChange}
+              step="0.5"
+              className={fieldClass('ratesEscalationRate')}
+            />
+            {fieldError('ratesEscalationRate')}
+          </div>
+          
+          {/* Maintenance Escalation */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Annual Maintenance Increase (%)</label>
+            <input
+              type="number"
+              name="maintenanceEscalationRate"
+              value={formData.maintenanceEscalationRate}
+              onChange={handleChange}
+              step="0.5"
+              className={fieldClass('maintenanceEscalationRate')}
+            />
+            {fieldError('maintenanceEscalationRate')}
+          </div>
+          
+          {/* Discount Rate */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Discount Rate for NPV (%)</label>
+            <input
+              type="number"
+              name="discountRate"
+              value={formData.discountRate}
               onChange={handleChange}
               min="0"
-              max="100"
+              step="0.5"
+              className={fieldClass('discountRate')}
+            />
+            {fieldError('discountRate')}
+          </div>
+          
+          {/* Sale Year */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Assumed Sale Year</label>
+            <input
+              type="number"
+              name="saleYear"
+              value={formData.saleYear}
+              onChange={handleChange}
+              min="1"
+              max="30"
               step="1"
-              className="w-full p-2 border border-gray-300 rounded-md"
+              className={fieldClass('saleYear')}
+            />
+            {fieldError('saleYear')}
+          </div>
+          
+          {/* Agent Commission */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Selling Agent Commission (% excl. VAT)</label>
+            <input
+              type="number"
+              name="agentCommissionRate"
+              value={formData.agentCommissionRate}
+              onChange={handleChange}
+              min="0"
+              step="0.25"
+              className={fieldClass('agentCommissionRate')}
             />
+            {fieldError('agentCommissionRate')}
+          </div>
+          
+          {/* Bond Cancellation Fee */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Bond Cancellation Fees (R excl. VAT)</label>
+            <input
+              type="number"
+              name="bondCancellationFee"
+              value={formData.bondCancellationFee}
+              onChange={handleChange}
+              min="0"
+              step="500"
+              className={fieldClass('bondCancellationFee')}
+            />
+            {fieldError('bondCancellationFee')}
+          </div>
+          
+          {/* Risk Simulation */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Risk Simulation</h3>
+          </div>
+          
+          {/* Run Simulation */}
+          <div className="md:col-span-2">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                name="runSimulation"
+                checked={formData.runSimulation}
+                onChange={handleChange}
+                className="mr-2"
+              />
+              Simulate a range of outcomes for appreciation, rent growth, vacancy and interest rates
+            </label>
+            <p className="mt-1 text-xs text-gray-500">
+              Each trial draws its own rates around the assumptions above, with the spreads below as standard deviations.
+            </p>
           </div>
+          
+          {formData.runSimulation && (
+            <>
+              {numberField({ name: 'simulationTrials', label: 'Number of Trials', step: '100', max: String(MAX_SIMULATION_TRIALS) })}
+              {numberField({ name: 'simulationSeed', label: 'Random Seed (same seed, same results)' })}
+              {numberField({ name: 'appreciationStdDev', label: 'Appreciation Spread (percentage points)', step: '0.5', max: '20' })}
+              {numberField({ name: 'rentEscalationStdDev', label: 'Rent Escalation Spread (percentage points)', step: '0.5', max: '20' })}
+              {formData.rentalMode !== 'short-term' && numberField({ name: 'vacancyStdDev', label: 'Vacancy Spread (percentage points)', step: '0.5', max: '50' })}
+              {numberField({ name: 'interestRateStdDev', label: 'Interest Rate Move per Year (percentage points)', step: '0.25', max: '5' })}
+            </>
+          )}
+          
+          {/* Tax Details */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Tax Details</h3>
+          </div>
+          
+          {/* Transaction Date */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Transaction Date</label>
+            <input
+              type="date"
+              name="transactionDate"
+              value={formData.transactionDate}
+              onChange={handleChange}
+              className={fieldClass('transactionDate')}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              The date the sale is signed; leave empty for today. The projection starts from it.
+            </p>
+            {fieldError('transactionDate')}
+          </div>
+          
+          {/* Tax Year */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Tax Year</label>
+            <select
+              name="taxYear"
+              value={formData.taxYear}
+              onChange={handleChange}
+              className={fieldClass('taxYear')}
+            >
+              <option value="">From the transaction date</option>
+              {listTaxYears().map(({ taxYear, effectiveFrom }) => (
+                <option key={taxYear} value={taxYear}>{taxYear} (transactions from {effectiveFrom})</option>
+              ))}
+            </select>
+            {fieldError('taxYear')}
+          </div>
+          
+          {/* Ownership Structure */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ownership Structure</label>
+            <select
+              name="ownershipStructure"
+              value={formData.ownershipStructure}
+              onChange={handleChange}
+              className={fieldClass('ownershipStructure')}
+            >
+              {OWNERSHIP_STRUCTURES.map((structure) => (
+                <option key={structure} value={structure}>{OWNERSHIP_STRUCTURE_LABELS[structure]}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              The results compare all three; income and age below apply when buying in your own name.
+            </p>
+            {fieldError('ownershipStructure')}
+          </div>
+          
+          {/* Other Taxable Income */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Other Annual Taxable Income (R)</label>
+            <input
+              type="number"
+              name="otherTaxableIncome"
+              value={formData.otherTaxableIncome}
+              onChange={handleChange}
+              min="0"
+              step="10000"
+              className={fieldClass('otherTaxableIncome')}
+            />
+            {fieldError('otherTaxableIncome')}
+          </div>
+          
+          {/* Investor Age */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Investor Age</label>
+            <input
+              type="number"
+              name="investorAge"
+              value={formData.investorAge}
+              onChange={handleChange}
+              min="18"
+              max="120"
+              step="1"
+              className={fieldClass('investorAge')}
+            />
+            {fieldError('investorAge')}
+          </div>
+          
+          {/* Let To Relatives */}
+          <div className="md:col-span-2">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                name="letToRelatives"
+                checked={formData.letToRelatives}
+                onChange={handleChange}
+                className="mr-2"
+              />
+              Property is let mainly to relatives or connected persons
+            </label>
+          </div>
+          
+          {/* Buyer Affordability */}
+          <div className="md:col-span-2 pt-2 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-700">Buyer Affordability</h3>
+            <p className="mt-1 text-xs text-gray-500">
+              Optional. Fill in the household's income to check whether a bank is likely to grant the bond.
+            </p>
+          </div>
+          
+          {numberField({ name: 'grossMonthlyIncome', label: 'Gross Monthly Household Income (R)', step: '1000' })}
+          {numberField({ name: 'netMonthlyIncome', label: 'Net Monthly Household Income (R)', step: '1000' })}
+          {numberField({ name: 'monthlyDebtRepayments', label: 'Existing Monthly Debt Repayments (R)', step: '500' })}
+          {numberField({ name: 'monthlyLivingExpenses', label: 'Monthly Living Expenses (R)', step: '500' })}
+          {numberField({ name: 'rentalIncomeShare', label: 'Share of Expected Rent the Bank Counts (%)', step: '5', max: '100' })}
         </div>
         
         <div className="mt-8">
+          {Object.keys(errors).length > 0 && (
+            <p className="mb-3 text-sm text-red-600">
+              Please fix the highlighted fields before generating the forecast.
+            </p>
+          )}
           <button
             type="submit"
             className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition duration-300"
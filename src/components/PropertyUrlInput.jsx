@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 
-const PropertyUrlInput = ({ onSubmit, isLoading }) => {
+const PropertyUrlInput = ({ onSubmit, isLoading, extractionError }) => {
   const [url, setUrl] = useState('');
+  const [html, setHtml] = useState('');
+  const [fileName, setFileName] = useState('');
   const [error, setError] = useState('');
   const [isValid, setIsValid] = useState(false);
 
@@ -56,14 +58,32 @@ const PropertyUrlInput = ({ onSubmit, isLoading }) => {
     }
   };
 
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      setHtml(reader.result);
+      setFileName(file.name);
+    };
+    reader.readAsText(file);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    if (validateUrl(url)) {
-      onSubmit(url);
+    // The URL is optional, but if one is given it must be a listing URL
+    if (url && !validateUrl(url)) {
+      return;
     }
+    onSubmit({ url, html });
   };
 
+  const canSubmit = html.trim() !== '' && (!url || isValid) && !isLoading;
+
   return (
     <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold mb-6 text-gray-800">Analyze Property Listing</h2>
@@ -71,7 +91,7 @@ const PropertyUrlInput = ({ onSubmit, isLoading }) => {
       <form onSubmit={handleSubmit}>
         <div className="mb-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Property Listing URL
+            Property Listing URL <span className="font-normal text-gray-500">(optional)</span>
           </label>
           <input
             type="text"
@@ -86,19 +106,45 @@ const PropertyUrlInput = ({ onSubmit, isLoading }) => {
             <p className="mt-1 text-sm text-red-600">{error}</p>
           )}
           <p className="mt-1 text-sm text-gray-500">
-            Paste a property listing URL from Property24 or PrivateProperty
+            Helps identify the portal if the saved page does not say where it came from
           </p>
         </div>
         
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Listing Page HTML
+          </label>
+          <textarea
+            value={html}
+            onChange={(e) => {
+              setHtml(e.target.value);
+              setFileName('');
+            }}
+            rows={6}
+            placeholder="Open the listing in your browser, view the page source and paste it here"
+            className="w-full p-3 border border-gray-300 rounded-md font-mono text-xs"
+          />
+          <div className="mt-2 flex items-center text-sm text-gray-600">
+            <label className="cursor-pointer text-blue-600 hover:underline mr-2">
+              Upload a saved .html file
+              <input type="file" accept=".html,.htm,text/html" onChange={handleFileChange} className="hidden" />
+            </label>
+            {fileName && <span className="text-gray-500">Loaded {fileName}</span>}
+          </div>
+          {extractionError && (
+            <p className="mt-2 text-sm text-red-600">{extractionError}</p>
+          )}
+        </div>
+        
         <div className="flex items-center space-x-4">
           <button
             type="submit"
             className={`bg-blue-600 text-white py-2 px-6 rounded-md hover:bg-blue-700 transition duration-300 ${
-              !isValid || isLoading ? 'opacity-50 cursor-not-allowed' : ''
+              !canSubmit ? 'opacity-50 cursor-not-allowed' : ''
             }`}
-            disabled={!isValid || isLoading}
+            disabled={!canSubmit}
           >
-            {isLoading ? 'Analyzing...' : 'Analyze Property'}
+            {isLoading ? 'Extracting...' : 'Extract Listing Details'}
           </button>
           
           {isLoading && (
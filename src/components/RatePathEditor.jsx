@@ -0,0 +1,112 @@
+import React from 'react';
+import { RATE_PATH_PRESETS } from '../services/interest-rates';
+
+const NEW_CHANGE = {
+  year: 1,
+  change: ''
+};
+
+const RatePathEditor = ({ changes, onChange, error }) => {
+  const updateChange = (index) => (e) => {
+    const { name, value } = e.target;
+    onChange(changes.map((step, i) => (
+      i === index ? { ...step, [name]: value === '' ? '' : Number(value) } : step
+    )));
+  };
+
+  const removeChange = (index) => {
+    onChange(changes.filter((step, i) => i !== index));
+  };
+
+  // Loading a preset replaces whatever path has been entered
+  const applyPreset = (e) => {
+    const preset = RATE_PATH_PRESETS.find(({ id }) => id === e.target.value);
+    if (preset) onChange(preset.changes.map((step) => ({ ...step })));
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div>
+      <div className="mb-3">
+        <label className="block text-sm font-medium text-gray-700 mb-1">Load a Preset Path</label>
+        <select value="" onChange={applyPreset} className="w-full md:w-1/2 p-2 border border-gray-300 rounded-md">
+          <option value="">Choose a preset…</option>
+          {RATE_PATH_PRESETS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {changes.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">
+          Without any changes the starting rate holds for the whole loan term.
+        </p>
+      ) : (
+        <div className="overflow-x-auto mb-3">
+          <table className="min-w-full bg-white text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-2 text-left text-gray-600">From Loan Year</th>
+                <th className="py-2 px-2 text-left text-gray-600">Rate Change (percentage points)</th>
+                <th className="py-2 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map((step, index) => (
+                <tr key={index} className="border-t">
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="year"
+                      aria-label={`Rate change ${index + 1} year`}
+                      value={step.year}
+                      onChange={updateChange(index)}
+                      min="1"
+                      max="30"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="change"
+                      aria-label={`Rate change ${index + 1} size`}
+                      value={step.change}
+                      onChange={updateChange(index)}
+                      min="-10"
+                      max="10"
+                      step="0.25"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => removeChange(index)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...changes, NEW_CHANGE])}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + Add rate change
+      </button>
+      <p className="mt-1 text-xs text-gray-500">
+        Changes add up and apply from the start of their loan year. The instalment is recalculated on every change.
+      </p>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default RatePathEditor;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+
+const formatShock = (shock) => `+${Math.round(shock * 100)}bps`;
+
+const RateScenariosSection = ({ rateShocks, financingDetails }) => {
+  if (!rateShocks || rateShocks.length === 0) return null;
+
+  const { interestRate, monthlyBondRepayment, ratePath } = financingDetails;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-4 text-gray-700">Interest Rate Scenarios</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        What the first year&apos;s monthly cash flow would be if the rate rose immediately and stayed there.
+      </p>
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 text-left text-gray-600">Scenario</th>
+              <th className="py-2 px-4 text-right text-gray-600">Rate</th>
+              <th className="py-2 px-4 text-right text-gray-600">Bond Instalment</th>
+              <th className="py-2 px-4 text-right text-gray-600">Monthly Cash Flow</th>
+              <th className="py-2 px-4 text-right text-gray-600">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t">
+              <td className="py-2 px-4 text-gray-700">Current rate</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatPercent(interestRate)}</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(monthlyBondRepayment)}</td>
+              <td className="py-2 px-4 text-right text-gray-700">
+                {formatCurrency(rateShocks[0].monthlyCashFlow - rateShocks[0].cashFlowChange)}
+              </td>
+              <td className="py-2 px-4 text-right text-gray-700">-</td>
+            </tr>
+            {rateShocks.map((scenario) => (
+              <tr key={scenario.shock} className="border-t">
+                <td className="py-2 px-4 text-gray-700">{formatShock(scenario.shock)}</td>
+                <td className="py-2 px-4 text-right text-gray-700">{formatPercent(scenario.rate)}</td>
+                <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(scenario.monthlyBondRepayment)}</td>
+                <td className={`py-2 px-4 text-right ${scenario.monthlyCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatCurrency(scenario.monthlyCashFlow)}
+                </td>
+                <td className="py-2 px-4 text-right text-red-600">{formatCurrency(scenario.cashFlowChange)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {ratePath && (
+        <>
+          <h4 className="text-base font-medium mb-2 text-gray-700">Rate Path</h4>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-2 px-4 text-left text-gray-600">Loan Year</th>
+                  <th className="py-2 px-4 text-right text-gray-600">Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ratePath
+                  .filter(({ rate }, index) => index === 0 || rate !== ratePath[index - 1].rate)
+                  .map(({ year, rate }) => (
+                    <tr key={year} className="border-t">
+                      <td className="py-2 px-4 text-gray-700">From year {year}</td>
+                      <td className="py-2 px-4 text-right text-gray-700">{formatPercent(rate)}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RateScenariosSection;
@@ -0,0 +1,165 @@
+import React from 'react';
+import { UNIT_TYPES, UNIT_TYPE_LABELS } from '../services/rent-roll';
+
+// A new unit starts as a one-bedroom flat with the usual vacancy allowance
+const NEW_UNIT = {
+  name: '',
+  unitType: 'flat',
+  bedrooms: 1,
+  bathrooms: 1,
+  rent: '',
+  vacancyRate: 5,
+  leaseExpiry: '',
+  escalationDate: ''
+};
+
+const RentRollEditor = ({ units, onChange, error }) => {
+  const updateUnit = (index) => (e) => {
+    const { name, value, type } = e.target;
+    onChange(units.map((unit, i) => (
+      i === index
+        ? { ...unit, [name]: type === 'number' ? (value === '' ? '' : Number(value)) : value }
+        : unit
+    )));
+  };
+
+  const removeUnit = (index) => {
+    onChange(units.filter((unit, i) => i !== index));
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div>
+      {units.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">
+          Letting more than one unit, such as a main house and a garden cottage or a small block of flats?
+          Add each unit with its own rent, vacancy, lease expiry and escalation date instead of a single rent.
+        </p>
+      ) : (
+        <div className="overflow-x-auto mb-3">
+          <table className="min-w-full bg-white text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-2 text-left text-gray-600">Unit</th>
+                <th className="py-2 px-2 text-left text-gray-600">Type</th>
+                <th className="py-2 px-2 text-left text-gray-600">Beds</th>
+                <th className="py-2 px-2 text-left text-gray-600">Baths</th>
+                <th className="py-2 px-2 text-left text-gray-600">Rent (R)</th>
+                <th className="py-2 px-2 text-left text-gray-600">Vacancy (%)</th>
+                <th className="py-2 px-2 text-left text-gray-600">Lease Expiry</th>
+                <th className="py-2 px-2 text-left text-gray-600">Escalation Date</th>
+                <th className="py-2 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {units.map((unit, index) => (
+                <tr key={index} className="border-t">
+                  <td className="py-2 px-2">
+                    <input
+                      type="text"
+                      name="name"
+                      aria-label={`Unit ${index + 1} name`}
+                      value={unit.name}
+                      onChange={updateUnit(index)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <select name="unitType" value={unit.unitType} onChange={updateUnit(index)} className={inputClass}>
+                      {UNIT_TYPES.map((type) => (
+                        <option key={type} value={type}>{UNIT_TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="bedrooms"
+                      value={unit.bedrooms}
+                      onChange={updateUnit(index)}
+                      min="0"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="bathrooms"
+                      value={unit.bathrooms}
+                      onChange={updateUnit(index)}
+                      min="0"
+                      step="0.5"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="rent"
+                      aria-label={`Unit ${index + 1} rent`}
+                      value={unit.rent}
+                      onChange={updateUnit(index)}
+                      min="0"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      name="vacancyRate"
+                      value={unit.vacancyRate}
+                      onChange={updateUnit(index)}
+                      min="0"
+                      max="100"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="date"
+                      name="leaseExpiry"
+                      aria-label={`Unit ${index + 1} lease expiry`}
+                      value={unit.leaseExpiry}
+                      onChange={updateUnit(index)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="date"
+                      name="escalationDate"
+                      aria-label={`Unit ${index + 1} escalation date`}
+                      value={unit.escalationDate}
+                      onChange={updateUnit(index)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => removeUnit(index)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...units, NEW_UNIT])}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + Add unit
+      </button>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default RentRollEditor;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+import { UNIT_TYPE_LABELS } from '../services/rent-roll';
+
+const RentRollSection = ({ rentRoll, horizonYears }) => {
+  if (!rentRoll) return null;
+
+  const { units, grossRent, effectiveRent, vacancyRate, relettingMonths } = rentRoll;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-2 text-gray-700">Rent Roll</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Rent escalates on each unit's escalation date, or once a year from transfer when none is given.
+        {relettingMonths > 0 && (
+          <> When a lease runs out the unit stands empty for {relettingMonths} month{relettingMonths === 1 ? '' : 's'} while it is re-let.</>
+        )}
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 text-left text-gray-600">Unit</th>
+              <th className="py-2 px-4 text-right text-gray-600">Bedrooms</th>
+              <th className="py-2 px-4 text-right text-gray-600">Rent</th>
+              <th className="py-2 px-4 text-right text-gray-600">Vacancy</th>
+              <th className="py-2 px-4 text-right text-gray-600">Effective Rent</th>
+              <th className="py-2 px-4 text-left text-gray-600">Lease Expiry</th>
+              <th className="py-2 px-4 text-left text-gray-600">Escalates</th>
+              <th className="py-2 px-4 text-right text-gray-600">{horizonYears}-Year Income</th>
+            </tr>
+          </thead>
+          <tbody>
+            {units.map((unit, index) => (
+              <tr key={index} className="border-t">
+                <td className="py-2 px-4 text-gray-700">
+                  {unit.name}
+                  <span className="ml-2 text-xs text-gray-500">{UNIT_TYPE_LABELS[unit.unitType]}</span>
+                </td>
+                <td className="py-2 px-4 text-right text-gray-700">{unit.bedrooms}</td>
+                <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(unit.rent)}</td>
+                <td className="py-2 px-4 text-right text-gray-700">{formatPercent(unit.vacancyRate)}</td>
+                <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(unit.effectiveRent)}</td>
+                <td className="py-2 px-4 text-gray-700">
+                  {unit.leaseExpiry || 'Not set'}
+                  {unit.relettingYear !== null && unit.relettingYear <= horizonYears && (
+                    <span className="ml-2 text-xs text-yellow-700">Re-let in year {unit.relettingYear}</span>
+                  )}
+                </td>
+                <td className="py-2 px-4 text-gray-700">{unit.escalationDate || 'Yearly from transfer'}</td>
+                <td className="py-2 px-4 text-right text-green-600">{formatCurrency(unit.projectedIncome)}</td>
+              </tr>
+            ))}
+            <tr className="border-t font-semibold">
+              <td className="py-2 px-4 text-gray-700">Total</td>
+              <td className="py-2 px-4 text-right text-gray-700">{rentRoll.bedrooms}</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(grossRent)}</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatPercent(vacancyRate)}</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(effectiveRent)}</td>
+              <td className="py-2 px-4" />
+              <td className="py-2 px-4" />
+              <td className="py-2 px-4 text-right text-green-600">
+                {formatCurrency(units.reduce((total, unit) => total + unit.projectedIncome, 0))}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RentRollSection;
@@ -0,0 +1,180 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import {
+  SENSITIVITY_INPUTS,
+  SENSITIVITY_METRICS,
+  calculateSensitivityGrid,
+  calculateTornado
+} from '../services/sensitivity';
+import { formatCompactCurrency, formatMetric } from '../utils/formatters';
+
+const CHANGE_OPTIONS = [5, 10, 20, 30];
+
+const selectClass = 'w-full p-2 border border-gray-300 rounded-md';
+
+const formatStep = (step) => (step > 0 ? `+${step}%` : step < 0 ? `${step}%` : 'Base');
+
+// Shade grid cells from red (worst) to green (best) for the chosen metric
+const cellColour = (value, min, max, better) => {
+  if (value === null || max === min) return undefined;
+  const position = (value - min) / (max - min);
+  const score = better === 'higher' ? position : 1 - position;
+  return `hsl(${Math.round(score * 120)}, 70%, 85%)`;
+};
+
+const SensitivitySection = ({ propertyData }) => {
+  const [metricKey, setMetricKey] = useState('monthlyCashFlow');
+  const [change, setChange] = useState(10);
+  const [gridMetricKey, setGridMetricKey] = useState('monthlyCashFlow');
+  const [rowKey, setRowKey] = useState('interestRate');
+  const [columnKey, setColumnKey] = useState('rent');
+
+  const tornado = useMemo(
+    () => (propertyData ? calculateTornado({ propertyData, metricKey, change }) : null),
+    [propertyData, metricKey, change]
+  );
+  const grid = useMemo(
+    () => (propertyData ? calculateSensitivityGrid({ propertyData, rowKey, columnKey, metricKey: gridMetricKey }) : null),
+    [propertyData, rowKey, columnKey, gridMetricKey]
+  );
+
+  if (!tornado) return null;
+
+  const metric = SENSITIVITY_METRICS.find(({ key }) => key === metricKey);
+  const gridMetric = SENSITIVITY_METRICS.find(({ key }) => key === gridMetricKey);
+  const { baseValue } = tornado;
+
+  // Bars run from the base value, so each input shows how far it moves the metric either way
+  const fromBase = (value) => (value === null || baseValue === null ? 0 : value - baseValue);
+  const tornadoData = tornado.rows.map((row) => ({
+    label: row.label,
+    low: fromBase(row.low),
+    high: fromBase(row.high)
+  }));
+  const formatAxis = (value) => (metric.format === 'currency' ? formatCompactCurrency(value) : `${value.toFixed(1)}%`);
+
+  const cellValues = grid ? grid.rows.flatMap(({ cells }) => cells).filter((value) => value !== null) : [];
+  const gridMin = Math.min(...cellValues);
+  const gridMax = Math.max(...cellValues);
+  const inputLabel = (key) => SENSITIVITY_INPUTS.find((input) => input.key === key).label;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-4 text-gray-700">Sensitivity Analysis</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Measure</label>
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className={selectClass}>
+            {SENSITIVITY_METRICS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Change Each Input By</label>
+          <select value={change} onChange={(e) => setChange(Number(e.target.value))} className={selectClass}>
+            {CHANGE_OPTIONS.map((option) => (
+              <option key={option} value={option}>±{option}%</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        {metric.label} is {formatMetric(baseValue, metric.format)} on your assumptions. Each bar shows how far it moves
+        when one input is {change}% lower or higher, with the input that matters most at the top.
+      </p>
+
+      <div className="h-80 mb-8">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart
+            data={tornadoData}
+            layout="vertical"
+            stackOffset="sign"
+            margin={{
+              top: 5,
+              right: 30,
+              left: 20,
+              bottom: 5,
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" tickFormatter={formatAxis} />
+            <YAxis type="category" dataKey="label" width={120} />
+            <Tooltip formatter={(value, name) => [formatMetric(baseValue + value, metric.format), name]} />
+            <Legend />
+            <ReferenceLine x={0} stroke="#6B7280" />
+            <Bar dataKey="low" stackId="swing" fill="#EF4444" name={`Input -${change}%`} />
+            <Bar dataKey="high" stackId="swing" fill="#3B82F6" name={`Input +${change}%`} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h4 className="text-base font-medium mb-2 text-gray-700">Two Inputs Together</h4>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Down the Side</label>
+          <select value={rowKey} onChange={(e) => setRowKey(e.target.value)} className={selectClass}>
+            {SENSITIVITY_INPUTS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Across the Top</label>
+          <select value={columnKey} onChange={(e) => setColumnKey(e.target.value)} className={selectClass}>
+            {SENSITIVITY_INPUTS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Coloured By</label>
+          <select value={gridMetricKey} onChange={(e) => setGridMetricKey(e.target.value)} className={selectClass}>
+            {SENSITIVITY_METRICS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {grid ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-4 text-left text-gray-600">
+                  {inputLabel(rowKey)} \ {inputLabel(columnKey)}
+                </th>
+                {grid.columns.map(({ step }) => (
+                  <th key={step} className="py-2 px-4 text-right text-gray-600">{formatStep(step)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.rows.map((row) => (
+                <tr key={row.step} className="border-t">
+                  <td className="py-2 px-4 font-medium text-gray-700">{formatStep(row.step)}</td>
+                  {row.cells.map((value, index) => (
+                    <td
+                      key={grid.columns[index].step}
+                      className={`py-2 px-4 text-right text-gray-800 ${row.step === 0 && grid.columns[index].step === 0 ? 'font-bold' : ''}`}
+                      style={{ backgroundColor: cellColour(value, gridMin, gridMax, gridMetric.better) }}
+                    >
+                      {formatMetric(value, gridMetric.format)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">Choose two different inputs that apply to this property.</p>
+      )}
+    </div>
+  );
+};
+
+export default SensitivitySection;
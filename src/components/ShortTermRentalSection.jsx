@@ -0,0 +1,90 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatCurrency, formatPercent, formatCompactCurrency } from '../utils/formatters';
+
+const ShortTermRentalSection = ({ shortTermRental, furnishingCost }) => {
+  if (!shortTermRental) return null;
+
+  const { nightlyRate, months, annual, averageOccupancy, averageStayNights } = shortTermRental;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-2 text-gray-700">Monthly Seasonality</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {formatCurrency(nightlyRate)} per night, {formatPercent(averageOccupancy)} average occupancy,
+        {' '}{averageStayNights}-night average stay. First year before escalation.
+      </p>
+
+      <div className="h-80 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart
+            data={months}
+            margin={{
+              top: 5,
+              right: 30,
+              left: 20,
+              bottom: 5,
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis yAxisId="amount" tickFormatter={formatCompactCurrency} />
+            <YAxis yAxisId="occupancy" orientation="right" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+            <Tooltip
+              formatter={(value, name) => [name === 'Occupancy' ? formatPercent(value) : formatCurrency(value), name]}
+            />
+            <Legend />
+            <Bar yAxisId="amount" dataKey="grossRevenue" fill="#3B82F6" name="Booking Revenue" />
+            <Bar yAxisId="amount" dataKey="netIncome" fill="#10B981" name="Net of Operating Costs" />
+            <Line yAxisId="occupancy" type="monotone" dataKey="occupancy" stroke="#F59E0B" name="Occupancy" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 text-left text-gray-600">Year One</th>
+              <th className="py-2 px-4 text-right text-gray-600">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t">
+              <td className="py-2 px-4 text-gray-700">Booking Revenue ({Math.round(annual.nightsBooked)} nights)</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(annual.grossRevenue)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 pl-8 text-gray-600">Platform Fees</td>
+              <td className="py-2 px-4 text-right text-gray-600">-{formatCurrency(annual.platformFees)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 pl-8 text-gray-600">Management Commission</td>
+              <td className="py-2 px-4 text-right text-gray-600">-{formatCurrency(annual.managementCommission)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 pl-8 text-gray-600">Cleaning &amp; Laundry</td>
+              <td className="py-2 px-4 text-right text-gray-600">-{formatCurrency(annual.cleaningCosts)}</td>
+            </tr>
+            <tr className="border-t">
+              <td className="py-2 px-4 pl-8 text-gray-600">Utilities</td>
+              <td className="py-2 px-4 text-right text-gray-600">-{formatCurrency(annual.utilities)}</td>
+            </tr>
+            <tr className="border-t font-semibold">
+              <td className="py-2 px-4 text-gray-700">Net of Operating Costs</td>
+              <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(annual.netIncome)}</td>
+            </tr>
+            {furnishingCost > 0 && (
+              <tr className="border-t">
+                <td className="py-2 px-4 text-gray-700">Once-off Furnishing (in cash invested)</td>
+                <td className="py-2 px-4 text-right text-gray-700">{formatCurrency(furnishingCost)}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ShortTermRentalSection;
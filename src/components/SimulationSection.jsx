@@ -0,0 +1,139 @@
+import React from 'react';
+import { ComposedChart, Area, Bar, BarChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatCurrency, formatPercent, formatCompactCurrency } from '../utils/formatters';
+
+const formatIrr = (irr) => (irr === null ? 'n/a' : formatPercent(irr));
+
+const SimulationSection = ({ simulation, status, onCancel }) => {
+  if (!simulation) {
+    // The trials run after the rest of the forecast is shown; status reports how far they have got
+    if (!status) return null;
+
+    return (
+      <div className="mb-8">
+        <h3 className="text-lg font-semibold mb-2 text-gray-700">Risk Simulation</h3>
+        {status.message ? (
+          <p className="text-sm text-gray-600">{status.message}</p>
+        ) : (
+          <div className="flex items-center">
+            <div className="flex-grow bg-gray-200 rounded-full h-2 mr-4">
+              <div
+                className="bg-blue-600 h-2 rounded-full"
+                style={{ width: `${(status.done / status.total) * 100}%` }}
+              />
+            </div>
+            <span className="text-sm text-gray-600 mr-4 whitespace-nowrap">
+              {status.done.toLocaleString('en-ZA')} of {status.total.toLocaleString('en-ZA')} trials
+            </span>
+            <button type="button" onClick={onCancel} className="text-sm text-red-600 hover:underline">
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const { trials, seed, cumulativeReturn, probabilityOfNegativeCashFlow, irr } = simulation;
+  const horizon = cumulativeReturn[cumulativeReturn.length - 1];
+
+  // Recharts draws a shaded band from an area whose value is a [low, high] pair
+  const fanData = cumulativeReturn.map((row) => ({ ...row, band: [row.p10, row.p90] }));
+  const histogramData = irr.histogram.map((bin) => ({
+    ...bin,
+    label: `${bin.from.toFixed(0)}% to ${bin.to.toFixed(0)}%`
+  }));
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-2 text-gray-700">Risk Simulation</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {trials.toLocaleString('en-ZA')} trials (seed {seed}). P10 and P90 mark the outcomes that 10% of trials
+        fell below and above.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="bg-blue-50 p-4 rounded-md">
+          <h4 className="text-base font-medium mb-1 text-blue-700">Net Return if Sold in Year {horizon.year}</h4>
+          <div className="text-2xl font-bold text-blue-600">{formatCurrency(horizon.p50)}</div>
+          <div className="text-sm text-gray-600 mt-1">
+            P10 {formatCurrency(horizon.p10)} to P90 {formatCurrency(horizon.p90)}
+          </div>
+        </div>
+        <div className="bg-green-50 p-4 rounded-md">
+          <h4 className="text-base font-medium mb-1 text-green-700">IRR (Pre-Tax)</h4>
+          <div className="text-2xl font-bold text-green-600">{formatIrr(irr.p50)}</div>
+          <div className="text-sm text-gray-600 mt-1">
+            P10 {formatIrr(irr.p10)} to P90 {formatIrr(irr.p90)}
+            {irr.unavailableTrials > 0 && (
+              <>
+                <br />
+                No IRR in {irr.unavailableTrials} trials
+              </>
+            )}
+          </div>
+        </div>
+        <div className="bg-red-50 p-4 rounded-md">
+          <h4 className="text-base font-medium mb-1 text-red-700">Chance of Negative Cash Flow</h4>
+          <div className="text-2xl font-bold text-red-600">{formatPercent(probabilityOfNegativeCashFlow)}</div>
+          <div className="text-sm text-gray-600 mt-1">Of trials with at least one year of negative pre-tax cash flow</div>
+        </div>
+      </div>
+
+      <div className="h-80 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart
+            data={fanData}
+            margin={{
+              top: 5,
+              right: 30,
+              left: 20,
+              bottom: 5,
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" label={{ value: 'Year', position: 'insideBottomRight', offset: -5 }} />
+            <YAxis tickFormatter={formatCompactCurrency} />
+            <Tooltip
+              formatter={(value, name) => [
+                Array.isArray(value) ? `${formatCurrency(value[0])} to ${formatCurrency(value[1])}` : formatCurrency(value),
+                name
+              ]}
+              labelFormatter={(value) => `Year ${value}`}
+            />
+            <Legend />
+            <Area type="monotone" dataKey="band" stroke="none" fill="#93C5FD" fillOpacity={0.5} name="P10 to P90" />
+            <Line type="monotone" dataKey="p50" stroke="#3B82F6" name="Net Return if Sold (P50)" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {histogramData.length > 0 && (
+        <>
+          <h4 className="text-base font-medium mb-2 text-gray-700">IRR Distribution</h4>
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={histogramData}
+                margin={{
+                  top: 5,
+                  right: 30,
+                  left: 20,
+                  bottom: 5,
+                }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis allowDecimals={false} />
+                <Tooltip formatter={(value) => [value, 'Trials']} />
+                <Bar dataKey="count" fill="#10B981" name="Trials" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SimulationSection;
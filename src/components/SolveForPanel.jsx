@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { GOAL_SEEK_QUESTIONS, GOAL_SEEK_VARIABLES, solveForInput } from '../services/goal-seek';
+import { SENSITIVITY_METRICS } from '../services/sensitivity';
+import { formatCurrency, formatMetric } from '../utils/formatters';
+
+const SolveForPanel = ({ propertyData, onApplyValue }) => {
+  const [questionId, setQuestionId] = useState(GOAL_SEEK_QUESTIONS[0].id);
+  const [target, setTarget] = useState(GOAL_SEEK_QUESTIONS[0].target);
+  const [result, setResult] = useState(null);
+
+  if (!propertyData) return null;
+
+  const question = GOAL_SEEK_QUESTIONS.find(({ id }) => id === questionId);
+  const variable = GOAL_SEEK_VARIABLES.find(({ key }) => key === question.variableKey);
+  const metric = SENSITIVITY_METRICS.find(({ key }) => key === question.metricKey);
+  const currentValue = propertyData[variable.field(propertyData)];
+
+  const handleQuestionChange = (e) => {
+    const next = GOAL_SEEK_QUESTIONS.find(({ id }) => id === e.target.value);
+    setQuestionId(next.id);
+    setTarget(next.target);
+    setResult(null);
+  };
+
+  const handleSolve = () => {
+    setResult(solveForInput({
+      propertyData,
+      variableKey: question.variableKey,
+      metricKey: question.metricKey,
+      target: Number(target)
+    }));
+  };
+
+  return (
+    <div className="mb-8 bg-gray-50 p-4 rounded-md">
+      <h3 className="text-lg font-semibold mb-3 text-gray-700">Solve for…</h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Question</label>
+          <select value={questionId} onChange={handleQuestionChange} className="w-full p-2 border border-gray-300 rounded-md">
+            {GOAL_SEEK_QUESTIONS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Target {metric.label} ({metric.format === 'currency' ? 'R' : '%'})
+          </label>
+          <input
+            type="number"
+            value={target}
+            onChange={(e) => {
+              setTarget(e.target.value);
+              setResult(null);
+            }}
+            step={metric.format === 'currency' ? '100' : '0.25'}
+            className="w-full p-2 border border-gray-300 rounded-md"
+          />
+        </div>
+      </div>
+      <div className="mt-4 flex flex-wrap items-center gap-4">
+        <button
+          type="button"
+          onClick={handleSolve}
+          disabled={target === ''}
+          className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition duration-300"
+        >
+          Solve
+        </button>
+        {currentValue !== undefined && (
+          <span className="text-sm text-gray-600">Current {variable.label.toLowerCase()}: {formatCurrency(currentValue)}</span>
+        )}
+      </div>
+
+      {result && (result.solved ? (
+        <div className="mt-4 flex flex-wrap items-center gap-4">
+          <div>
+            <div className="text-2xl font-bold text-blue-600">{formatCurrency(result.value)}</div>
+            <div className="text-sm text-gray-600">
+              {variable.label} giving {metric.label.toLowerCase()} of {formatMetric(result.achieved, metric.format)}
+            </div>
+          </div>
+          {onApplyValue && (
+            <button
+              type="button"
+              onClick={() => onApplyValue({ [result.field]: result.value })}
+              className="text-blue-600 hover:underline"
+            >
+              Apply to form
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="mt-4 text-sm text-red-600">{result.reason}</p>
+      ))}
+    </div>
+  );
+};
+
+export default SolveForPanel;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+
+const TaxSummary = ({ tax, cashFlow, returns, buildingAllowance }) => {
+  if (!tax) return null;
+
+  const { afterTaxCashFlow, afterTaxReturns } = tax;
+  const ringFencedYears = tax.years.filter((row) => row.ringFenced).map((row) => row.year);
+
+  const formatIRR = (irr) => (irr === null ? 'n/a' : formatPercent(irr));
+
+  const rows = [
+    { label: 'Monthly Cash Flow', preTax: formatCurrency(cashFlow.monthly), afterTax: formatCurrency(afterTaxCashFlow.monthly) },
+    { label: 'Annual Cash Flow (Year 1)', preTax: formatCurrency(cashFlow.annual), afterTax: formatCurrency(afterTaxCashFlow.annual) },
+    { label: 'Cash-on-Cash Return', preTax: formatPercent(returns.cashOnCash), afterTax: formatPercent(afterTaxReturns.cashOnCash) },
+    { label: 'IRR', preTax: formatIRR(returns.irr), afterTax: formatIRR(afterTaxReturns.irr) },
+    { label: `NPV @ ${formatPercent(returns.discountRate)}`, preTax: formatCurrency(returns.npv), afterTax: formatCurrency(afterTaxReturns.npv) }
+  ];
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold mb-2 text-gray-700">Pre-Tax vs After-Tax</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {tax.ownershipStructure && tax.ownershipStructure !== 'individual' ? (
+          <>
+            Tax on rental profit at the {tax.ownershipStructure}'s flat rate of {formatPercent(tax.marginalRate)} for
+            {' '}{tax.taxYear}, with losses carried forward against later profits.
+          </>
+        ) : (
+          <>
+            Income tax on rental profit using the {tax.taxYear} SARS tables, with other taxable income
+            of {formatCurrency(tax.otherTaxableIncome)} (marginal rate {formatPercent(tax.marginalRate)}).
+          </>
+        )}
+        {' '}Bond interest, levies, rates and running costs are deducted from the rent.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 text-left text-gray-600">Metric</th>
+              <th className="py-2 px-4 text-right text-gray-600">Pre-Tax</th>
+              <th className="py-2 px-4 text-right text-gray-600">After-Tax</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className="border-t">
+                <td className="py-2 px-4 text-gray-700">{row.label}</td>
+                <td className="py-2 px-4 text-right text-gray-700">{row.preTax}</td>
+                <td className="py-2 px-4 text-right text-gray-700">{row.afterTax}</td>
+              </tr>
+            ))}
+            <tr className="border-t font-semibold">
+              <td className="py-2 px-4 text-gray-700">
+                {tax.annualTax >= 0 ? 'Income Tax Payable (Year 1)' : 'Income Tax Saved (Year 1)'}
+              </td>
+              <td className="py-2 px-4 text-right text-gray-700">-</td>
+              <td className={`py-2 px-4 text-right ${tax.annualTax > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatCurrency(Math.abs(tax.annualTax))}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      {buildingAllowance && (
+        <p className={`mt-3 text-sm ${buildingAllowance.eligible ? 'text-green-700' : 'text-gray-600'}`}>
+          {buildingAllowance.eligible ? (
+            <>
+              The section 13sex allowance deducts {formatCurrency(buildingAllowance.annualAllowance)} a year
+              ({formatPercent(buildingAllowance.rate)} of the qualifying cost of {formatCurrency(buildingAllowance.qualifyingCost)})
+              from rental income. It is recouped and taxed as income when the property is sold.
+            </>
+          ) : (
+            <>No section 13sex allowance: {buildingAllowance.reason}</>
+          )}
+        </p>
+      )}
+      {ringFencedYears.length > 0 && (
+        <p className="mt-3 text-sm text-yellow-700">
+          Rental losses are ring-fenced under section 20A in year{ringFencedYears.length > 1 ? 's' : ''}{' '}
+          {ringFencedYears.join(', ')} and carried forward against future rental profits.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TaxSummary;
@@ -0,0 +1,20 @@
+/**
+ * Inputs shared by the service tests: a two-bedroom Sandton apartment bought
+ * with a bond and let long-term. Tests that need other values spread it and
+ * override the fields they change.
+ */
+export const sandtonApartment = {
+  propertyType: 'apartment',
+  purchasePrice: 1200000,
+  deposit: 200000,
+  interestRate: 10.75,
+  loanTerm: 20,
+  monthlyLevies: 1500,
+  monthlyRates: 800,
+  expectedRent: 9000,
+  bedrooms: 2,
+  bathrooms: 1,
+  location: 'Sandton, Johannesburg',
+  maintenancePercentage: 1,
+  vacancyRate: 5
+};
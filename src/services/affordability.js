@@ -0,0 +1,98 @@
+/**
+ * PropForecast Affordability
+ *
+ * Checks whether the buyer would qualify for the bond the way a South African
+ * bank assesses it: the instalment may not exceed a share of gross income
+ * (30% is the usual limit), and it has to fit into what is left of net income
+ * after existing debt repayments and living expenses. Banks count only part
+ * of the expected rent from the property towards income.
+ */
+
+export const DEFAULT_INSTALMENT_TO_INCOME_LIMIT = 30;
+
+// Share of the expected rent most banks will count as income
+export const DEFAULT_RENTAL_INCOME_SHARE = 50;
+
+/**
+ * Calculate the largest loan a monthly instalment can repay.
+ * @param {number} monthlyInstalment - The instalment the buyer can afford.
+ * @param {number} annualInterestRate - Annual interest rate as a percentage.
+ * @param {number} termYears - Loan term in years.
+ * @returns {number} - The loan amount, or 0 when no instalment is affordable.
+ */
+export const calculateMaximumLoan = (monthlyInstalment, annualInterestRate, termYears) => {
+  if (monthlyInstalment <= 0) return 0;
+
+  const monthlyInterestRate = annualInterestRate / 100 / 12;
+  const numberOfPayments = termYears * 12;
+
+  if (monthlyInterestRate === 0) {
+    return monthlyInstalment * numberOfPayments;
+  }
+
+  return monthlyInstalment * (1 - Math.pow(1 + monthlyInterestRate, -numberOfPayments)) / monthlyInterestRate;
+};
+
+/**
+ * Assess the bond against the buyer's income, debts and expenses.
+ * @param {object} params - Parameters object.
+ * @param {number} params.grossMonthlyIncome - Household income before tax.
+ * @param {number} params.netMonthlyIncome - Household income after tax and deductions.
+ * @param {number} [params.monthlyDebtRepayments] - Existing car, card, loan and bond repayments.
+ * @param {number} [params.monthlyLivingExpenses] - Household living expenses.
+ * @param {number} [params.expectedRent] - Monthly rent expected from the property.
+ * @param {number} [params.rentalIncomeShare] - Percentage of the rent the bank counts.
+ * @param {number} [params.instalmentToIncomeLimit] - Highest instalment as a percentage of gross income.
+ * @param {number} params.loanAmount - The bond applied for.
+ * @param {number} params.monthlyInstalment - The bond's monthly instalment.
+ * @param {number} params.interestRate - Annual interest rate as a percentage.
+ * @param {number} params.termYears - Loan term in years.
+ * @returns {object} - Both tests, the largest instalment and bond the buyer qualifies for and whether the bond passes.
+ */
+export const assessAffordability = ({
+  grossMonthlyIncome,
+  netMonthlyIncome,
+  monthlyDebtRepayments = 0,
+  monthlyLivingExpenses = 0,
+  expectedRent = 0,
+  rentalIncomeShare = DEFAULT_RENTAL_INCOME_SHARE,
+  instalmentToIncomeLimit = DEFAULT_INSTALMENT_TO_INCOME_LIMIT,
+  loanAmount,
+  monthlyInstalment,
+  interestRate,
+  termYears
+}) => {
+  const countedRent = expectedRent * (rentalIncomeShare / 100);
+
+  // Instalment-to-income test on gross income plus the counted rent
+  const qualifyingIncome = grossMonthlyIncome + countedRent;
+  const instalmentLimit = qualifyingIncome * (instalmentToIncomeLimit / 100);
+
+  // What is left each month once debts and living expenses are paid
+  const disposableIncome = netMonthlyIncome + countedRent - monthlyDebtRepayments - monthlyLivingExpenses;
+
+  const maximumInstalment = Math.max(Math.min(instalmentLimit, disposableIncome), 0);
+  const maximumBond = calculateMaximumLoan(maximumInstalment, interestRate, termYears);
+  const passes = monthlyInstalment <= maximumInstalment;
+
+  return {
+    grossMonthlyIncome,
+    netMonthlyIncome,
+    monthlyDebtRepayments,
+    monthlyLivingExpenses,
+    rentalIncomeShare,
+    countedRent,
+    instalmentToIncomeLimit,
+    qualifyingIncome,
+    instalmentLimit,
+    disposableIncome,
+    limitingTest: instalmentLimit <= disposableIncome ? 'instalment-to-income' : 'disposable-income',
+    maximumInstalment,
+    maximumBond,
+    loanAmount,
+    monthlyInstalment,
+    instalmentToIncome: qualifyingIncome > 0 ? (monthlyInstalment / qualifyingIncome) * 100 : null,
+    passes,
+    shortfall: passes ? 0 : loanAmount - maximumBond
+  };
+};
@@ -0,0 +1,70 @@
+import { calculateMonthlyBondRepayment } from './amortization';
+import { assessAffordability, calculateMaximumLoan } from './affordability';
+
+describe('calculateMaximumLoan', () => {
+  test('inverts the bond repayment formula', () => {
+    const instalment = calculateMonthlyBondRepayment(1000000, 10.75, 20);
+
+    expect(calculateMaximumLoan(instalment, 10.75, 20)).toBeCloseTo(1000000, 4);
+    expect(calculateMaximumLoan(1000, 0, 10)).toBe(120000);
+    expect(calculateMaximumLoan(-500, 10.75, 20)).toBe(0);
+  });
+});
+
+describe('assessAffordability', () => {
+  const loan = { loanAmount: 1000000, interestRate: 10.75, termYears: 20 };
+  const monthlyInstalment = calculateMonthlyBondRepayment(1000000, 10.75, 20);
+
+  test('limits the instalment to 30% of gross income plus the counted rent', () => {
+    const result = assessAffordability({
+      ...loan,
+      monthlyInstalment,
+      grossMonthlyIncome: 40000,
+      netMonthlyIncome: 30000,
+      monthlyDebtRepayments: 2000,
+      monthlyLivingExpenses: 8000,
+      expectedRent: 9000
+    });
+
+    expect(result.countedRent).toBe(4500);
+    expect(result.instalmentLimit).toBeCloseTo(0.3 * 44500, 6);
+    expect(result.disposableIncome).toBe(24500);
+    expect(result.limitingTest).toBe('instalment-to-income');
+    expect(result.maximumBond).toBeCloseTo(calculateMaximumLoan(13350, 10.75, 20), 6);
+    expect(result.passes).toBe(true);
+    expect(result.shortfall).toBe(0);
+  });
+
+  test('fails when debts and expenses leave too little for the instalment', () => {
+    const result = assessAffordability({
+      ...loan,
+      monthlyInstalment,
+      grossMonthlyIncome: 40000,
+      netMonthlyIncome: 30000,
+      monthlyDebtRepayments: 12000,
+      monthlyLivingExpenses: 12000,
+      expectedRent: 9000,
+      rentalIncomeShare: 0
+    });
+
+    expect(result.disposableIncome).toBe(6000);
+    expect(result.limitingTest).toBe('disposable-income');
+    expect(result.maximumInstalment).toBe(6000);
+    expect(result.passes).toBe(false);
+    expect(result.shortfall).toBeCloseTo(1000000 - calculateMaximumLoan(6000, 10.75, 20), 6);
+  });
+
+  test('qualifies for nothing when expenses exceed income', () => {
+    const result = assessAffordability({
+      ...loan,
+      monthlyInstalment,
+      grossMonthlyIncome: 10000,
+      netMonthlyIncome: 8000,
+      monthlyLivingExpenses: 9000
+    });
+
+    expect(result.maximumInstalment).toBe(0);
+    expect(result.maximumBond).toBe(0);
+    expect(result.shortfall).toBe(1000000);
+  });
+});
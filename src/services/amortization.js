@@ -0,0 +1,233 @@
+/**
+ * PropForecast Amortization Engine
+ *
+ * Builds month-by-month bond amortization schedules so that equity build,
+ * outstanding balances and interest costs come from the actual loan maths
+ * rather than rule-of-thumb estimates.
+ */
+
+/**
+ * Calculate monthly bond repayment.
+ * @param {number} principal - The loan amount (purchase price - deposit).
+ * @param {number} annualInterestRate - Annual interest rate as a percentage.
+ * @param {number} termYears - Loan term in years.
+ * @returns {number} - Monthly bond repayment amount.
+ */
+export const calculateMonthlyBondRepayment = (principal, annualInterestRate, termYears) => {
+  const monthlyInterestRate = annualInterestRate / 100 / 12;
+  const numberOfPayments = termYears * 12;
+
+  if (monthlyInterestRate === 0) {
+    return principal / numberOfPayments;
+  }
+
+  return principal *
+    (monthlyInterestRate * Math.pow(1 + monthlyInterestRate, numberOfPayments)) /
+    (Math.pow(1 + monthlyInterestRate, numberOfPayments) - 1);
+};
+
+/**
+ * Generate a month-by-month amortization schedule for a bond.
+ * The instalment stays at the minimum for the original term, so extra
+ * payments shorten the loan. Access-bond withdrawals can only take back what
+ * has been paid in advance, i.e. the amount the balance is below the minimum
+ * schedule's balance, and stop once the bond is settled. When the rate
+ * changes, the instalment is recalculated to clear the balance over the
+ * rest of the original term.
+ * @param {object} params - Parameters object.
+ * @param {number} params.principal - The loan amount.
+ * @param {number} params.annualInterestRate - Annual interest rate as a percentage.
+ * @param {number} params.termYears - Loan term in years.
+ * @param {Array<number>} [params.monthlyRates] - Annual rate (%) for each month, for a variable rate; defaults to annualInterestRate throughout.
+ * @param {number} [params.extraMonthlyPayment] - Paid into the bond every month on top of the instalment.
+ * @param {Array<object>} [params.lumpSums] - Once-off payments into the bond as { month, amount }.
+ * @param {Array<object>} [params.withdrawals] - Access-bond withdrawals as { month, amount }.
+ * @returns {object} - The monthly schedule along with totals for the life of the loan.
+ */
+export const generateAmortizationSchedule = ({
+  principal,
+  annualInterestRate,
+  termYears,
+  extraMonthlyPayment = 0,
+  lumpSums = [],
+  withdrawals = [],
+  monthlyRates = []
+}) => {
+  const numberOfPayments = Number(termYears) * 12;
+  const rateForMonth = (month) => (monthlyRates[month - 1] ?? annualInterestRate);
+  const monthlyPayment = principal > 0
+    ? calculateMonthlyBondRepayment(principal, rateForMonth(1), termYears)
+    : 0;
+
+  // Withdrawals are limited by how far ahead of the minimum schedule the bond is
+  const minimumSchedule = withdrawals.length > 0
+    ? generateAmortizationSchedule({ principal, annualInterestRate, termYears, monthlyRates }).schedule
+    : [];
+  const totalForMonth = (events, month) => events
+    .filter((event) => event.month === month)
+    .reduce((total, event) => total + event.amount, 0);
+
+  const schedule = [];
+  let balance = Math.max(principal, 0);
+  let totalInterest = 0;
+  let totalPrincipal = 0;
+  let totalExtraPayments = 0;
+  let totalWithdrawals = 0;
+
+  let instalment = monthlyPayment;
+
+  for (let month = 1; month <= numberOfPayments && balance > 0; month++) {
+    const openingBalance = balance;
+    const rate = rateForMonth(month);
+    if (month > 1 && rate !== rateForMonth(month - 1)) {
+      instalment = calculateMonthlyBondRepayment(openingBalance, rate, (numberOfPayments - month + 1) / 12);
+    }
+    const interest = openingBalance * (rate / 100 / 12);
+    // The final instalment only needs to clear what is left of the loan
+    const payment = Math.min(instalment, openingBalance + interest);
+    const extraPayment = Math.min(
+      extraMonthlyPayment + totalForMonth(lumpSums, month),
+      openingBalance + interest - payment
+    );
+    balance = openingBalance + interest - payment - extraPayment;
+
+    const minimumBalance = minimumSchedule[month - 1] ? minimumSchedule[month - 1].balance : 0;
+    const withdrawal = Math.min(totalForMonth(withdrawals, month), Math.max(minimumBalance - balance, 0));
+    balance += withdrawal;
+
+    // Guard against floating point dust keeping a paid-off loan alive
+    if (balance < 0.005) {
+      balance = 0;
+    }
+    const principalPaid = openingBalance - balance;
+
+    totalInterest += interest;
+    totalPrincipal += principalPaid;
+    totalExtraPayments += extraPayment;
+    totalWithdrawals += withdrawal;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      rate,
+      openingBalance,
+      payment,
+      extraPayment,
+      withdrawal,
+      interest,
+      principal: principalPaid,
+      balance
+    });
+  }
+
+  return {
+    monthlyPayment,
+    schedule,
+    totalInterest,
+    totalPrincipal,
+    totalExtraPayments,
+    totalWithdrawals,
+    totalPaid: totalInterest + totalPrincipal + totalWithdrawals
+  };
+};
+
+/**
+ * Turn yearly bond top-ups and withdrawals into the monthly events the
+ * schedule works with. Annual lump sums (e.g. a yearly bonus) and scheduled
+ * transactions are paid in the last month of their loan year.
+ * @param {object} params - Parameters object.
+ * @param {number} params.termYears - Loan term in years.
+ * @param {number} [params.annualLumpSum] - Paid into the bond at the end of every loan year.
+ * @param {Array<object>} [params.bondTransactions] - { type: 'lump-sum' | 'withdrawal', year, amount } entries.
+ * @returns {object} - Lump sums and withdrawals as { month, amount } lists.
+ */
+export const scheduleBondTransactions = ({ termYears, annualLumpSum = 0, bondTransactions = [] }) => {
+  const endOfYear = (year) => year * 12;
+  const annual = annualLumpSum > 0
+    ? Array.from({ length: Number(termYears) }, (_, index) => ({ month: endOfYear(index + 1), amount: annualLumpSum }))
+    : [];
+  const ofType = (type) => bondTransactions
+    .filter((transaction) => transaction.type === type)
+    .map(({ year, amount }) => ({ month: endOfYear(year), amount }));
+
+  return {
+    lumpSums: [...annual, ...ofType('lump-sum')],
+    withdrawals: ofType('withdrawal')
+  };
+};
+
+/**
+ * Summarise a monthly amortization schedule into yearly totals.
+ * @param {Array<object>} schedule - Monthly schedule from generateAmortizationSchedule.
+ * @returns {Array<object>} - One entry per loan year with payments, extra payments, withdrawals, interest, principal and closing balance.
+ */
+export const summariseScheduleByYear = (schedule) => {
+  const years = [];
+  let cumulativePrincipal = 0;
+  let cumulativeInterest = 0;
+
+  schedule.forEach((row) => {
+    let entry = years[years.length - 1];
+
+    if (!entry || entry.year !== row.year) {
+      entry = {
+        year: row.year,
+        openingBalance: row.openingBalance,
+        payments: 0,
+        extraPayments: 0,
+        withdrawals: 0,
+        interest: 0,
+        principal: 0,
+        balance: row.balance,
+        cumulativePrincipal,
+        cumulativeInterest
+      };
+      years.push(entry);
+    }
+
+    cumulativePrincipal += row.principal;
+    cumulativeInterest += row.interest;
+
+    entry.payments += row.payment;
+    entry.extraPayments += row.extraPayment;
+    entry.withdrawals += row.withdrawal;
+    entry.interest += row.interest;
+    entry.principal += row.principal;
+    entry.balance = row.balance;
+    entry.cumulativePrincipal = cumulativePrincipal;
+    entry.cumulativeInterest = cumulativeInterest;
+  });
+
+  return years;
+};
+
+/**
+ * Get the outstanding loan balance after a given number of months.
+ * @param {number} principal - The original loan amount.
+ * @param {Array<object>} schedule - Monthly schedule from generateAmortizationSchedule.
+ * @param {number} months - Number of months elapsed.
+ * @returns {number} - The outstanding balance (0 once the loan is paid off).
+ */
+export const getBalanceAfterMonths = (principal, schedule, months) => {
+  if (months <= 0) {
+    return principal;
+  }
+
+  if (months > schedule.length) {
+    return 0;
+  }
+
+  return schedule[months - 1].balance;
+};
+
+/**
+ * Calculate the principal repaid (equity built through bond repayments) over a number of months.
+ * @param {Array<object>} schedule - Monthly schedule from generateAmortizationSchedule.
+ * @param {number} months - Number of months elapsed.
+ * @returns {number} - Total principal repaid over the period.
+ */
+export const getPrincipalRepaid = (schedule, months) => {
+  return schedule
+    .slice(0, Math.max(months, 0))
+    .reduce((total, row) => total + row.principal, 0);
+};
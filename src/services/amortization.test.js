@@ -0,0 +1,151 @@
+import {
+  calculateMonthlyBondRepayment,
+  generateAmortizationSchedule,
+  getBalanceAfterMonths,
+  getPrincipalRepaid,
+  scheduleBondTransactions,
+  summariseScheduleByYear
+} from './amortization';
+
+describe('generateAmortizationSchedule', () => {
+  const loan = { principal: 1000000, annualInterestRate: 11.75, termYears: 20 };
+
+  test('produces one row per month that pays the loan off exactly', () => {
+    const { schedule, totalPrincipal } = generateAmortizationSchedule(loan);
+
+    expect(schedule).toHaveLength(240);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+    expect(totalPrincipal).toBeCloseTo(1000000, 2);
+  });
+
+  test('splits the first instalment into interest and principal', () => {
+    const { schedule, monthlyPayment } = generateAmortizationSchedule(loan);
+    const [first] = schedule;
+
+    expect(monthlyPayment).toBeCloseTo(calculateMonthlyBondRepayment(1000000, 11.75, 20), 6);
+    expect(first.interest).toBeCloseTo(1000000 * 0.1175 / 12, 6);
+    expect(first.principal).toBeCloseTo(monthlyPayment - first.interest, 6);
+    expect(first.balance).toBeCloseTo(1000000 - first.principal, 6);
+  });
+
+  test('handles interest-free loans', () => {
+    const { schedule, totalInterest } = generateAmortizationSchedule({
+      principal: 120000,
+      annualInterestRate: 0,
+      termYears: 10
+    });
+
+    expect(totalInterest).toBe(0);
+    expect(schedule[0].principal).toBeCloseTo(1000, 6);
+  });
+
+  test('returns an empty schedule when nothing is borrowed', () => {
+    const { schedule, monthlyPayment } = generateAmortizationSchedule({
+      principal: 0,
+      annualInterestRate: 11,
+      termYears: 20
+    });
+
+    expect(schedule).toHaveLength(0);
+    expect(monthlyPayment).toBe(0);
+  });
+
+  test('recalculates the instalment over the remaining term when the rate changes', () => {
+    const monthlyRates = Array.from({ length: 240 }, (_, index) => (index < 12 ? 11.75 : 13.75));
+    const { schedule, monthlyPayment } = generateAmortizationSchedule({ ...loan, monthlyRates });
+
+    expect(schedule[11].payment).toBeCloseTo(monthlyPayment, 6);
+    expect(schedule[12].rate).toBe(13.75);
+    expect(schedule[12].payment).toBeCloseTo(calculateMonthlyBondRepayment(schedule[11].balance, 13.75, 19), 6);
+    expect(schedule).toHaveLength(240);
+    expect(schedule[239].balance).toBeCloseTo(0, 6);
+  });
+});
+
+describe('extra payments and access-bond withdrawals', () => {
+  const loan = { principal: 1000000, annualInterestRate: 11.75, termYears: 20 };
+  const minimum = generateAmortizationSchedule(loan);
+
+  test('pays the bond off sooner and saves interest with an extra monthly payment', () => {
+    const { schedule, totalInterest, totalPrincipal, monthlyPayment } = generateAmortizationSchedule({
+      ...loan,
+      extraMonthlyPayment: 2000
+    });
+
+    expect(monthlyPayment).toBeCloseTo(minimum.monthlyPayment, 6);
+    expect(schedule[0].extraPayment).toBe(2000);
+    expect(schedule[0].principal).toBeCloseTo(minimum.schedule[0].principal + 2000, 6);
+    expect(schedule.length).toBeLessThan(240);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+    expect(totalInterest).toBeLessThan(minimum.totalInterest);
+    expect(totalPrincipal).toBeCloseTo(1000000, 2);
+  });
+
+  test('applies lump sums in their month and never overpays', () => {
+    const { schedule, totalExtraPayments } = generateAmortizationSchedule({
+      ...loan,
+      lumpSums: [{ month: 12, amount: 50000 }, { month: 24, amount: 5000000 }]
+    });
+
+    expect(schedule[11].extraPayment).toBe(50000);
+    expect(schedule[10].balance - schedule[11].balance).toBeCloseTo(schedule[11].principal, 6);
+    expect(schedule).toHaveLength(24);
+    expect(schedule[23].balance).toBe(0);
+    expect(totalExtraPayments).toBeCloseTo(50000 + schedule[23].extraPayment, 6);
+  });
+
+  test('limits withdrawals to what has been paid in advance', () => {
+    const { schedule, totalWithdrawals } = generateAmortizationSchedule({
+      ...loan,
+      lumpSums: [{ month: 12, amount: 40000 }],
+      withdrawals: [{ month: 24, amount: 100000 }]
+    });
+    const paidInAdvance = minimum.schedule[23].balance - (schedule[23].balance - schedule[23].withdrawal);
+
+    expect(schedule[23].withdrawal).toBeCloseTo(paidInAdvance, 6);
+    expect(schedule[23].withdrawal).toBeLessThan(100000);
+    expect(schedule[23].balance).toBeCloseTo(minimum.schedule[23].balance, 6);
+    expect(totalWithdrawals).toBeCloseTo(schedule[23].withdrawal, 6);
+  });
+
+  test('schedules annual lump sums and transactions at the end of each loan year', () => {
+    expect(scheduleBondTransactions({
+      termYears: 3,
+      annualLumpSum: 10000,
+      bondTransactions: [
+        { type: 'lump-sum', year: 2, amount: 25000 },
+        { type: 'withdrawal', year: 3, amount: 5000 }
+      ]
+    })).toEqual({
+      lumpSums: [
+        { month: 12, amount: 10000 },
+        { month: 24, amount: 10000 },
+        { month: 36, amount: 10000 },
+        { month: 24, amount: 25000 }
+      ],
+      withdrawals: [{ month: 36, amount: 5000 }]
+    });
+  });
+});
+
+describe('schedule helpers', () => {
+  const { schedule } = generateAmortizationSchedule({
+    principal: 800000,
+    annualInterestRate: 10.5,
+    termYears: 20
+  });
+
+  test('summarises the schedule per loan year', () => {
+    const yearly = summariseScheduleByYear(schedule);
+
+    expect(yearly).toHaveLength(20);
+    expect(yearly[0].balance).toBe(schedule[11].balance);
+    expect(yearly[4].cumulativePrincipal).toBeCloseTo(getPrincipalRepaid(schedule, 60), 6);
+  });
+
+  test('looks up balances and principal repaid by month', () => {
+    expect(getBalanceAfterMonths(800000, schedule, 0)).toBe(800000);
+    expect(getBalanceAfterMonths(800000, schedule, 60)).toBeCloseTo(800000 - getPrincipalRepaid(schedule, 60), 6);
+    expect(getBalanceAfterMonths(800000, schedule, 600)).toBe(0);
+  });
+});
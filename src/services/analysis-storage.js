@@ -0,0 +1,229 @@
+/**
+ * PropForecast Analysis Storage
+ *
+ * A small library of saved analyses kept in the browser's localStorage. Each
+ * saved analysis holds the form inputs, the forecast generated from them, a
+ * name, tags and created/updated timestamps. The forecast is saved without
+ * its month-by-month bond schedule, which is most of its size; the yearly
+ * schedule is kept.
+ */
+
+export const STORAGE_KEY = 'propforecast.analyses';
+
+// JSON has no Infinity (e.g. a breakeven that is never reached), so store it as a string
+const INFINITY_MARKER = 'Infinity';
+
+const replacer = (key, value) => (value === Infinity ? INFINITY_MARKER : value);
+const reviver = (key, value) => (value === INFINITY_MARKER ? Infinity : value);
+
+/**
+ * Thrown when the browser has no room left to save analyses.
+ */
+export class StorageFullError extends Error {
+  constructor() {
+    super('Your browser has run out of space for saved analyses. Delete some you no longer need and try again.');
+    this.name = 'StorageFullError';
+  }
+}
+
+// Browsers name the quota error differently; older ones only give its code
+const isQuotaExceeded = (error) => (
+  error.name === 'QuotaExceededError' ||
+  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 ||
+  error.code === 1014
+);
+
+const getDefaultStorage = () => (typeof window !== 'undefined' ? window.localStorage : undefined);
+
+const readAll = (storage) => {
+  const raw = storage.getItem(STORAGE_KEY);
+  if (!raw) {
+    return [];
+  }
+
+  try {
+    const analyses = JSON.parse(raw, reviver);
+    return Array.isArray(analyses) ? analyses : [];
+  } catch (e) {
+    // Corrupt data should not stop the rest of the app from working
+    return [];
+  }
+};
+
+const writeAll = (storage, analyses) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(analyses, replacer));
+  } catch (e) {
+    if (isQuotaExceeded(e)) {
+      throw new StorageFullError();
+    }
+    throw e;
+  }
+};
+
+/**
+ * Slim a forecast down for saving by leaving out its month-by-month bond schedule.
+ * @param {object} [forecast] - The generated forecast.
+ * @returns {object|null} - The forecast to save, or null when there is none.
+ */
+const compactForecast = (forecast) => (forecast
+  ? { ...forecast, amortization: { ...forecast.amortization, schedule: null } }
+  : null);
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Turn a comma-separated string or an array of tags into a clean list of tags.
+ * @param {string|Array<string>} tags - Tags as typed by the user.
+ * @returns {Array<string>} - Trimmed, non-empty, de-duplicated tags.
+ */
+export const normaliseTags = (tags = []) => {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map((tag) => tag.trim()).filter(Boolean))];
+};
+
+/**
+ * List saved analyses, most recently updated first, optionally filtered by a search term.
+ * The search matches the name, tags and location, ignoring case.
+ * @param {object} [options] - Options object.
+ * @param {string} [options.query] - Text to search for.
+ * @param {Storage} [options.storage] - Storage to read from. Defaults to window.localStorage.
+ * @returns {Array<object>} - The matching saved analyses.
+ */
+export const listAnalyses = ({ query = '', storage = getDefaultStorage() } = {}) => {
+  const term = query.trim().toLowerCase();
+
+  return readAll(storage)
+    .filter((analysis) => {
+      if (!term) {
+        return true;
+      }
+      const haystack = [analysis.name, analysis.propertyData?.location, ...analysis.tags]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return haystack.includes(term);
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Get a single saved analysis.
+ * @param {string} id - Id of the saved analysis.
+ * @param {Storage} [storage] - Storage to read from. Defaults to window.localStorage.
+ * @returns {object|null} - The saved analysis, or null if there is none with that id.
+ */
+export const getAnalysis = (id, storage = getDefaultStorage()) => {
+  return readAll(storage).find((analysis) => analysis.id === id) || null;
+};
+
+/**
+ * Save a new analysis.
+ * @param {object} params - Parameters object.
+ * @param {string} params.name - Name to show in the library.
+ * @param {string|Array<string>} [params.tags] - Tags, as a list or a comma-separated string.
+ * @param {object} params.propertyData - The inputs the forecast was generated from.
+ * @param {object} [params.forecast] - The generated forecast.
+ * @param {Storage} [params.storage] - Storage to write to. Defaults to window.localStorage.
+ * @returns {object} - The saved analysis, including its id and timestamps.
+ * @throws {StorageFullError} - When the browser has no room left to save it.
+ */
+export const saveAnalysis = ({ name, tags, propertyData, forecast, storage = getDefaultStorage() }) => {
+  const now = new Date().toISOString();
+  const analysis = {
+    id: createId(),
+    name: name.trim() || 'Untitled analysis',
+    tags: normaliseTags(tags),
+    propertyData,
+    forecast: compactForecast(forecast),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  writeAll(storage, [...readAll(storage), analysis]);
+  return analysis;
+};
+
+/**
+ * Update a saved analysis, e.g. with new inputs and a regenerated forecast.
+ * @param {string} id - Id of the saved analysis.
+ * @param {object} changes - Any of name, tags, propertyData and forecast.
+ * @param {Storage} [storage] - Storage to write to. Defaults to window.localStorage.
+ * @returns {object|null} - The updated analysis, or null if there is none with that id.
+ * @throws {StorageFullError} - When the browser has no room left to save it.
+ */
+export const updateAnalysis = (id, changes, storage = getDefaultStorage()) => {
+  const analyses = readAll(storage);
+  const index = analyses.findIndex((analysis) => analysis.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  const updated = {
+    ...analyses[index],
+    ...changes,
+    id,
+    createdAt: analyses[index].createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  if (changes.name !== undefined) {
+    updated.name = changes.name.trim() || analyses[index].name;
+  }
+  if (changes.tags !== undefined) {
+    updated.tags = normaliseTags(changes.tags);
+  }
+  if (changes.forecast !== undefined) {
+    updated.forecast = compactForecast(changes.forecast);
+  }
+
+  analyses[index] = updated;
+  writeAll(storage, analyses);
+  return updated;
+};
+
+/**
+ * Rename a saved analysis.
+ * @param {string} id - Id of the saved analysis.
+ * @param {string} name - The new name.
+ * @param {Storage} [storage] - Storage to write to. Defaults to window.localStorage.
+ * @returns {object|null} - The renamed analysis, or null if there is none with that id.
+ */
+export const renameAnalysis = (id, name, storage = getDefaultStorage()) => {
+  return updateAnalysis(id, { name }, storage);
+};
+
+/**
+ * Save a copy of an analysis under a new name.
+ * @param {string} id - Id of the saved analysis to copy.
+ * @param {Storage} [storage] - Storage to write to. Defaults to window.localStorage.
+ * @returns {object|null} - The copy, or null if there is no analysis with that id.
+ * @throws {StorageFullError} - When the browser has no room left to save it.
+ */
+export const duplicateAnalysis = (id, storage = getDefaultStorage()) => {
+  const original = getAnalysis(id, storage);
+  if (!original) {
+    return null;
+  }
+
+  return saveAnalysis({
+    name: `${original.name} (copy)`,
+    tags: original.tags,
+    propertyData: original.propertyData,
+    forecast: original.forecast,
+    storage
+  });
+};
+
+/**
+ * Delete a saved analysis.
+ * @param {string} id - Id of the saved analysis.
+ * @param {Storage} [storage] - Storage to write to. Defaults to window.localStorage.
+ * @returns {boolean} - True if an analysis was deleted.
+ */
+export const deleteAnalysis = (id, storage = getDefaultStorage()) => {
+  const analyses = readAll(storage);
+  const remaining = analyses.filter((analysis) => analysis.id !== id);
+  writeAll(storage, remaining);
+  return remaining.length < analyses.length;
+};
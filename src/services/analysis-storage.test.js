@@ -0,0 +1,117 @@
+import {
+  STORAGE_KEY,
+  StorageFullError,
+  deleteAnalysis,
+  duplicateAnalysis,
+  getAnalysis,
+  listAnalyses,
+  normaliseTags,
+  renameAnalysis,
+  saveAnalysis,
+  updateAnalysis
+} from './analysis-storage';
+
+const propertyData = { purchasePrice: 1200000, deposit: 200000, location: 'Sea Point, Cape Town' };
+const forecast = {
+  breakeven: { months: Infinity, years: Infinity },
+  returns: { irr: null },
+  amortization: {
+    schedule: [{ month: 1, balance: 999000 }, { month: 2, balance: 998000 }],
+    yearly: [{ year: 1, balance: 988000 }]
+  }
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('saveAnalysis', () => {
+  test('stores the inputs, forecast, name, tags and timestamps', () => {
+    const saved = saveAnalysis({ name: ' Sea Point flat ', tags: 'cape town, flat, ,flat', propertyData, forecast });
+
+    expect(saved.name).toBe('Sea Point flat');
+    expect(saved.tags).toEqual(['cape town', 'flat']);
+    expect(saved.createdAt).toBe(saved.updatedAt);
+    expect(getAnalysis(saved.id)).toEqual(saved);
+  });
+
+  test('keeps an unreachable breakeven as Infinity', () => {
+    const saved = saveAnalysis({ name: 'Loss maker', propertyData, forecast });
+
+    expect(getAnalysis(saved.id).forecast.breakeven.years).toBe(Infinity);
+  });
+
+  test('leaves the month-by-month bond schedule out of the saved forecast', () => {
+    const saved = saveAnalysis({ name: 'Flat', propertyData, forecast });
+    const { amortization } = getAnalysis(saved.id).forecast;
+
+    expect(amortization.schedule).toBeNull();
+    expect(amortization.yearly).toEqual(forecast.amortization.yearly);
+    expect(forecast.amortization.schedule).toHaveLength(2);
+  });
+
+  test('reports a full browser storage', () => {
+    const storage = {
+      getItem: () => null,
+      setItem: () => {
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+    };
+
+    expect(() => saveAnalysis({ name: 'Flat', propertyData, forecast, storage })).toThrow(StorageFullError);
+    expect(() => saveAnalysis({ name: 'Flat', propertyData, forecast, storage })).toThrow('run out of space');
+  });
+});
+
+describe('listAnalyses', () => {
+  test('searches names, tags and locations', () => {
+    saveAnalysis({ name: 'Sea Point flat', tags: ['rental'], propertyData, forecast });
+    saveAnalysis({ name: 'Sandton townhouse', tags: ['joburg'], propertyData: { location: 'Sandton' }, forecast });
+
+    expect(listAnalyses()).toHaveLength(2);
+    expect(listAnalyses({ query: 'JOBURG' }).map(({ name }) => name)).toEqual(['Sandton townhouse']);
+    expect(listAnalyses({ query: 'cape town' }).map(({ name }) => name)).toEqual(['Sea Point flat']);
+  });
+
+  test('ignores corrupt storage', () => {
+    window.localStorage.setItem(STORAGE_KEY, '{not json');
+    expect(listAnalyses()).toEqual([]);
+  });
+});
+
+describe('updating the library', () => {
+  test('renames, duplicates and deletes analyses', () => {
+    const saved = saveAnalysis({ name: 'Flat', propertyData, forecast });
+
+    expect(renameAnalysis(saved.id, 'Sea Point flat').name).toBe('Sea Point flat');
+
+    const copy = duplicateAnalysis(saved.id);
+    expect(copy.id).not.toBe(saved.id);
+    expect(copy.name).toBe('Sea Point flat (copy)');
+    expect(copy.propertyData).toEqual(propertyData);
+    expect(copy.forecast).toEqual(saved.forecast);
+
+    expect(deleteAnalysis(saved.id)).toBe(true);
+    expect(deleteAnalysis(saved.id)).toBe(false);
+    expect(listAnalyses().map(({ id }) => id)).toEqual([copy.id]);
+  });
+
+  test('updates the forecast without changing when it was created', () => {
+    const saved = saveAnalysis({ name: 'Flat', propertyData, forecast });
+    const updated = updateAnalysis(saved.id, { propertyData: { ...propertyData, deposit: 300000 } });
+
+    expect(updated.createdAt).toBe(saved.createdAt);
+    expect(updated.propertyData.deposit).toBe(300000);
+    expect(updated.name).toBe('Flat');
+    expect(updateAnalysis('missing', { name: 'x' })).toBeNull();
+  });
+});
+
+describe('normaliseTags', () => {
+  test('accepts lists and comma-separated strings', () => {
+    expect(normaliseTags(['a', ' b '])).toEqual(['a', 'b']);
+    expect(normaliseTags('')).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * PropForecast Bond Costs
+ *
+ * Once-off costs of registering a bond over the property: the bond
+ * registration attorney's fee, the deeds office bond registration fee,
+ * the bank's initiation fee and the attorney's postage and petties.
+ */
+
+import { applyBracketScale, getTaxTable, lookupTieredFee } from './tax-tables';
+
+// Attorney's disbursements for a bond registration, excluding VAT (simplified estimate)
+export const BOND_POSTAGE_AND_PETTIES = 1200;
+
+// National Credit Act initiation fee for mortgage agreements, before the cap
+const INITIATION_FEE_BASE = 1000;
+const INITIATION_FEE_RATE = 0.1;
+const INITIATION_FEE_THRESHOLD = 10000;
+
+/**
+ * Calculate the bank's initiation fee for a home loan, including VAT.
+ * @param {number} loanAmount - The bond amount.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @returns {number} - The initiation fee in Rands.
+ */
+export const calculateBankInitiationFee = (loanAmount, taxYear) => {
+  const { bondInitiationFeeCap, vatRate } = getTaxTable(taxYear);
+  const fee = INITIATION_FEE_BASE +
+    Math.max(loanAmount - INITIATION_FEE_THRESHOLD, 0) * INITIATION_FEE_RATE;
+
+  return Math.min(fee, bondInitiationFeeCap) * (1 + vatRate / 100);
+};
+
+/**
+ * Calculate the costs of registering a bond.
+ * @param {number} loanAmount - The bond amount.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @returns {object} - Breakdown of bond registration costs and their total (zero when nothing is borrowed).
+ */
+export const calculateBondRegistrationCosts = (loanAmount, taxYear) => {
+  if (loanAmount <= 0) {
+    return {
+      attorneyFees: 0,
+      deedsOfficeFee: 0,
+      bankInitiationFee: 0,
+      postageAndPetties: 0,
+      total: 0
+    };
+  }
+
+  const { conveyancingFees, deedsOfficeBondFees, vatRate } = getTaxTable(taxYear);
+  const vat = 1 + vatRate / 100;
+
+  const attorneyFees = applyBracketScale(conveyancingFees, 'baseFee', loanAmount) * vat;
+  const deedsOfficeFee = lookupTieredFee(deedsOfficeBondFees, loanAmount);
+  const bankInitiationFee = calculateBankInitiationFee(loanAmount, taxYear);
+  const postageAndPetties = BOND_POSTAGE_AND_PETTIES * vat;
+
+  return {
+    attorneyFees,
+    deedsOfficeFee,
+    bankInitiationFee,
+    postageAndPetties,
+    total: attorneyFees + deedsOfficeFee + bankInitiationFee + postageAndPetties
+  };
+};
@@ -0,0 +1,76 @@
+import { calculateBankInitiationFee, calculateBondRegistrationCosts } from './bond-costs';
+import { calculateAttorneyFees, calculateTotalPurchaseCosts } from './financial-calculator';
+
+describe('calculateBankInitiationFee', () => {
+  test('charges R1 000 plus 10% above R10 000, including VAT', () => {
+    expect(calculateBankInitiationFee(30000, '2024/2025')).toBeCloseTo(3000 * 1.15, 6);
+  });
+
+  test('is capped for typical home loans', () => {
+    expect(calculateBankInitiationFee(1200000, '2024/2025')).toBeCloseTo(6037.5, 6);
+  });
+});
+
+describe('calculateBondRegistrationCosts', () => {
+  test('breaks down the costs of registering a bond', () => {
+    const costs = calculateBondRegistrationCosts(1200000, '2024/2025');
+
+    // Bond attorneys charge on the same guideline scale as conveyancers, applied to the loan amount
+    expect(costs.attorneyFees).toBeCloseTo(calculateAttorneyFees(1200000, '2024/2025'), 6);
+    expect(costs.deedsOfficeFee).toBe(1722);
+    expect(costs.bankInitiationFee).toBeCloseTo(6037.5, 6);
+    expect(costs.postageAndPetties).toBeCloseTo(1380, 6);
+    expect(costs.total).toBeCloseTo(
+      costs.attorneyFees + costs.deedsOfficeFee + costs.bankInitiationFee + costs.postageAndPetties,
+      6
+    );
+  });
+
+  test('uses the deeds office bond fees of the chosen tax year', () => {
+    expect(calculateBondRegistrationCosts(1200000, '2023/2024').deedsOfficeFee).toBe(1610);
+  });
+
+  test('is zero for a cash purchase', () => {
+    expect(calculateBondRegistrationCosts(0, '2024/2025').total).toBe(0);
+  });
+});
+
+describe('calculateTotalPurchaseCosts', () => {
+  test('reports transfer and bond costs as separate subtotals', () => {
+    const costs = calculateTotalPurchaseCosts(1500000, '2024/2025', 1200000);
+
+    expect(costs.bond.total).toBeCloseTo(calculateBondRegistrationCosts(1200000, '2024/2025').total, 6);
+    expect(costs.total).toBeCloseTo(costs.transfer.total + costs.bond.total, 6);
+  });
+
+  test('leaves out bond costs when nothing is borrowed', () => {
+    const costs = calculateTotalPurchaseCosts(1500000, '2024/2025');
+
+    expect(costs.bond.total).toBe(0);
+    expect(costs.total).toBe(costs.transfer.total);
+  });
+
+  test('charges no transfer duty on a purchase from a developer', () => {
+    const resale = calculateTotalPurchaseCosts(1500000, '2024/2025', 1200000);
+    const newDevelopment = calculateTotalPurchaseCosts(1500000, '2024/2025', 1200000, { purchaseType: 'new-development' });
+
+    expect(resale.transfer.transferDuty).toBeGreaterThan(0);
+    expect(newDevelopment.transfer.transferDuty).toBe(0);
+    expect(newDevelopment.transfer.attorneyFees).toBeCloseTo(resale.transfer.attorneyFees, 6);
+    expect(newDevelopment.transfer.total).toBeCloseTo(resale.transfer.total - resale.transfer.transferDuty, 6);
+  });
+
+  test('leaves only the bond costs when the developer pays the transfer fees', () => {
+    const costs = calculateTotalPurchaseCosts(1500000, '2024/2025', 1200000, {
+      purchaseType: 'off-plan',
+      developerPaysTransferCosts: true
+    });
+
+    expect(costs.transfer.paidByDeveloper).toBe(true);
+    expect(costs.transfer.total).toBe(0);
+    expect(costs.total).toBeCloseTo(costs.bond.total, 6);
+
+    // The option only applies to developer sales
+    expect(calculateTotalPurchaseCosts(1500000, '2024/2025', 1200000, { developerPaysTransferCosts: true }).transfer.paidByDeveloper).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * PropForecast Building Allowance
+ *
+ * Section 13sex lets an investor who owns enough new residential units write
+ * off part of each unit's cost against rental income every year. Units bought
+ * from a developer qualify when they have never been used, and the allowance
+ * claimed is recouped and taxed as income when the unit is sold.
+ */
+
+import { isDeveloperSale } from './purchase-types';
+import { getTaxTable } from './tax-tables';
+
+/**
+ * Work out whether a purchase qualifies for the section 13sex allowance and
+ * how much can be claimed each year.
+ * @param {object} params - Parameters object.
+ * @param {number} params.purchasePrice - The purchase price of the unit.
+ * @param {string} params.propertyType - 'apartment', 'house', 'townhouse' or 'duplex'.
+ * @param {string} params.purchaseType - 'resale', 'new-development' or 'off-plan'.
+ * @param {number} params.residentialUnitsOwned - New residential units let out, including this one.
+ * @param {number} params.years - Number of projection years to schedule.
+ * @param {string} [params.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @returns {object} - Whether the unit qualifies (with the reason when not), the qualifying cost, the rate and the allowance for each year.
+ */
+export const calculateBuildingAllowance = ({
+  purchasePrice,
+  propertyType,
+  purchaseType,
+  residentialUnitsOwned,
+  years,
+  taxYear
+}) => {
+  const { minimumUnits, allowanceRate, lowCostAllowanceRate, deemedCostShare, lowCostLimits } = getTaxTable(taxYear).section13sex;
+
+  let reason = null;
+  if (!isDeveloperSale(purchaseType)) {
+    reason = 'Only new units bought from a developer qualify.';
+  } else if (residentialUnitsOwned < minimumUnits) {
+    reason = `You need to own at least ${minimumUnits} qualifying residential units.`;
+  }
+
+  if (reason) {
+    return { eligible: false, reason, minimumUnits, qualifyingCost: 0, rate: 0, years: Array(years).fill(0) };
+  }
+
+  const lowCostLimit = propertyType === 'apartment' ? lowCostLimits.apartment : lowCostLimits.other;
+  const lowCost = purchasePrice <= lowCostLimit;
+  const rate = lowCost ? lowCostAllowanceRate : allowanceRate;
+  const qualifyingCost = purchasePrice * deemedCostShare;
+
+  // The allowance stops once the whole qualifying cost has been written off
+  let remaining = qualifyingCost;
+  const schedule = Array.from({ length: years }, () => {
+    const allowance = Math.min(qualifyingCost * rate, remaining);
+    remaining -= allowance;
+    return allowance;
+  });
+
+  return {
+    eligible: true,
+    reason: null,
+    minimumUnits,
+    lowCost,
+    qualifyingCost,
+    rate: rate * 100,
+    annualAllowance: schedule[0],
+    years: schedule
+  };
+};
+
+/**
+ * Calculate how much of the allowance claimed is recouped on a sale: all of
+ * it, unless the unit sells for less than its original cost.
+ * @param {object} params - Parameters object.
+ * @param {number} params.proceeds - Sale price less selling costs.
+ * @param {number} params.baseCost - Purchase price plus the costs of acquiring the property.
+ * @param {number} params.allowanceClaimed - Allowances claimed up to the sale.
+ * @returns {number} - The amount recouped, which is taxed as income.
+ */
+export const calculateAllowanceRecoupment = ({ proceeds, baseCost, allowanceClaimed }) => {
+  return Math.min(allowanceClaimed, Math.max(proceeds - (baseCost - allowanceClaimed), 0));
+};
@@ -0,0 +1,47 @@
+import { calculateAllowanceRecoupment, calculateBuildingAllowance } from './building-allowance';
+
+describe('calculateBuildingAllowance', () => {
+  const purchase = {
+    purchasePrice: 1200000,
+    propertyType: 'apartment',
+    purchaseType: 'new-development',
+    residentialUnitsOwned: 5,
+    years: 3,
+    taxYear: '2024/2025'
+  };
+
+  test('allows 5% a year of 55% of the price of a unit bought from a developer', () => {
+    const allowance = calculateBuildingAllowance(purchase);
+
+    expect(allowance.eligible).toBe(true);
+    expect(allowance.qualifyingCost).toBeCloseTo(660000, 6);
+    expect(allowance.rate).toBe(5);
+    expect(allowance.years).toEqual([33000, 33000, 33000].map((value) => expect.closeTo(value, 6)));
+  });
+
+  test('allows 10% a year on a low-cost unit until the cost is written off', () => {
+    const allowance = calculateBuildingAllowance({ ...purchase, purchasePrice: 340000, years: 12 });
+
+    expect(allowance.lowCost).toBe(true);
+    expect(allowance.rate).toBe(10);
+    expect(allowance.years.reduce((total, value) => total + value, 0)).toBeCloseTo(340000 * 0.55, 6);
+    expect(allowance.years[11]).toBe(0);
+  });
+
+  test('requires a new unit and enough units owned', () => {
+    expect(calculateBuildingAllowance({ ...purchase, purchaseType: 'resale' }).eligible).toBe(false);
+
+    const tooFew = calculateBuildingAllowance({ ...purchase, residentialUnitsOwned: 2 });
+    expect(tooFew.eligible).toBe(false);
+    expect(tooFew.reason).toMatch(/at least 5/);
+    expect(tooFew.years).toEqual([0, 0, 0]);
+  });
+});
+
+describe('calculateAllowanceRecoupment', () => {
+  test('recoups the whole allowance unless the sale falls short of the original cost', () => {
+    expect(calculateAllowanceRecoupment({ proceeds: 1500000, baseCost: 1200000, allowanceClaimed: 100000 })).toBe(100000);
+    expect(calculateAllowanceRecoupment({ proceeds: 1150000, baseCost: 1200000, allowanceClaimed: 100000 })).toBe(50000);
+    expect(calculateAllowanceRecoupment({ proceeds: 1000000, baseCost: 1200000, allowanceClaimed: 100000 })).toBe(0);
+  });
+});
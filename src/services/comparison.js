@@ -0,0 +1,160 @@
+/**
+ * PropForecast Comparison
+ *
+ * Lines several forecasts up against each other: one row per metric with a
+ * value for each property, marking the best and worst value in the row.
+ */
+
+/**
+ * Metrics shown in the comparison table. `better` says whether a higher or
+ * lower value is preferable and `format` how the component should display it.
+ */
+export const COMPARISON_METRICS = [
+  {
+    key: 'purchasePrice',
+    label: 'Purchase Price',
+    format: 'currency',
+    better: 'lower',
+    getValue: (forecast) => forecast.propertyDetails.purchasePrice
+  },
+  {
+    key: 'totalPurchaseCost',
+    label: 'Total Purchase Cost',
+    format: 'currency',
+    better: 'lower',
+    getValue: (forecast) => forecast.propertyDetails.totalPurchaseCost
+  },
+  {
+    key: 'cashInvested',
+    label: 'Cash Invested',
+    format: 'currency',
+    better: 'lower',
+    getValue: (forecast) => forecast.returns.cashInvested
+  },
+  {
+    key: 'monthlyBondRepayment',
+    label: 'Monthly Bond Payment',
+    format: 'currency',
+    better: 'lower',
+    getValue: (forecast) => forecast.financingDetails.monthlyBondRepayment
+  },
+  {
+    key: 'monthlyCashFlow',
+    label: 'Monthly Cash Flow',
+    format: 'currency',
+    better: 'higher',
+    getValue: (forecast) => forecast.cashFlow.monthly
+  },
+  {
+    key: 'grossYield',
+    label: 'Gross Yield',
+    format: 'percent',
+    better: 'higher',
+    getValue: (forecast) => forecast.yields.grossYieldOnPrice
+  },
+  {
+    key: 'netYield',
+    label: 'Net Yield (on Investment)',
+    format: 'percent',
+    better: 'higher',
+    getValue: (forecast) => forecast.yields.netYieldOnInvestment
+  },
+  {
+    key: 'fiveYearROI',
+    label: '5-Year ROI',
+    format: 'percent',
+    better: 'higher',
+    getValue: (forecast) => forecast.roi.fiveYear.roi
+  },
+  {
+    key: 'tenYearROI',
+    label: '10-Year ROI',
+    format: 'percent',
+    better: 'higher',
+    getValue: (forecast) => forecast.roi.tenYear.roi
+  },
+  {
+    key: 'irr',
+    label: 'IRR',
+    format: 'percent',
+    better: 'higher',
+    getValue: (forecast) => forecast.returns.irr
+  },
+  {
+    key: 'breakeven',
+    label: 'Breakeven',
+    format: 'years',
+    better: 'lower',
+    getValue: (forecast) => forecast.breakeven.years
+  }
+];
+
+/**
+ * Find the positions of the best and worst values in a row. Missing values
+ * (null) are ignored, and nothing is marked when all values are the same.
+ * @param {Array<number|null>} values - One value per property.
+ * @param {string} better - 'higher' or 'lower'.
+ * @returns {object} - Indexes of the best and worst values, or null.
+ */
+export const rankValues = (values, better) => {
+  const present = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => value !== null && value !== undefined && !Number.isNaN(value));
+
+  if (present.length < 2) {
+    return { bestIndex: null, worstIndex: null };
+  }
+
+  const sorted = [...present].sort((a, b) => (better === 'higher' ? b.value - a.value : a.value - b.value));
+  const best = sorted[0];
+  const worst = sorted[sorted.length - 1];
+
+  if (best.value === worst.value) {
+    return { bestIndex: null, worstIndex: null };
+  }
+
+  return { bestIndex: best.index, worstIndex: worst.index };
+};
+
+/**
+ * Build the comparison table for a set of forecasts.
+ * @param {Array<object>} entries - Properties to compare, each with an id, name and forecast.
+ * @returns {Array<object>} - One row per metric with the values and the best and worst positions.
+ */
+export const buildComparison = (entries) => {
+  return COMPARISON_METRICS.map(({ key, label, format, better, getValue }) => {
+    const values = entries.map(({ forecast }) => getValue(forecast));
+
+    return {
+      key,
+      label,
+      format,
+      better,
+      values,
+      ...rankValues(values, better)
+    };
+  });
+};
+
+/**
+ * Build chart data overlaying each property's cumulative return: the return
+ * if the property were sold at the end of each year, starting from the cash
+ * invested in year 0.
+ * @param {Array<object>} entries - Properties to compare, each with an id, name and forecast.
+ * @returns {Array<object>} - One point per year keyed by property id.
+ */
+export const buildCumulativeReturnSeries = (entries) => {
+  const horizon = Math.max(...entries.map(({ forecast }) => forecast.projection.years.length));
+
+  return Array.from({ length: horizon + 1 }, (_, year) => {
+    const point = { year };
+    entries.forEach(({ id, forecast }) => {
+      if (year === 0) {
+        point[id] = -forecast.returns.cashInvested;
+      } else if (year <= forecast.projection.years.length) {
+        point[id] = forecast.projection.years[year - 1].netReturnIfSold;
+      }
+    });
+    return point;
+  });
+};
@@ -0,0 +1,53 @@
+import { buildComparison, buildCumulativeReturnSeries, rankValues } from './comparison';
+import { generatePropertyForecast } from './financial-calculator';
+import { sandtonApartment as propertyData } from './__fixtures__/property-data';
+
+const entries = [
+  { id: 'a', name: 'Sandton', forecast: generatePropertyForecast(propertyData) },
+  { id: 'b', name: 'Cheaper', forecast: generatePropertyForecast({ ...propertyData, purchasePrice: 950000 }) },
+  { id: 'c', name: 'Longer', forecast: generatePropertyForecast({ ...propertyData, projectionYears: 15 }) }
+];
+
+describe('rankValues', () => {
+  test('marks the best and worst value in the preferred direction', () => {
+    expect(rankValues([3, 1, 2], 'higher')).toEqual({ bestIndex: 0, worstIndex: 1 });
+    expect(rankValues([3, 1, 2], 'lower')).toEqual({ bestIndex: 1, worstIndex: 0 });
+  });
+
+  test('treats a breakeven that is never reached as the worst', () => {
+    expect(rankValues([8, Infinity, 12], 'lower')).toEqual({ bestIndex: 0, worstIndex: 1 });
+  });
+
+  test('ignores missing values and marks nothing when all values are equal', () => {
+    expect(rankValues([null, 5, 7], 'higher')).toEqual({ bestIndex: 2, worstIndex: 1 });
+    expect(rankValues([5, 5], 'higher')).toEqual({ bestIndex: null, worstIndex: null });
+  });
+});
+
+describe('buildComparison', () => {
+  test('has a value per property in every row', () => {
+    const rows = buildComparison(entries);
+    const price = rows.find(({ key }) => key === 'purchasePrice');
+
+    rows.forEach((row) => expect(row.values).toHaveLength(3));
+    expect(price.values).toEqual([1200000, 950000, 1200000]);
+    expect(price.bestIndex).toBe(1);
+  });
+
+  test('ranks the cheaper property best on monthly cash flow', () => {
+    const cashFlow = buildComparison(entries).find(({ key }) => key === 'monthlyCashFlow');
+    expect(cashFlow.bestIndex).toBe(1);
+  });
+});
+
+describe('buildCumulativeReturnSeries', () => {
+  test('starts from the cash invested and runs to the longest horizon', () => {
+    const series = buildCumulativeReturnSeries(entries);
+
+    expect(series).toHaveLength(16);
+    expect(series[0].a).toBeCloseTo(-entries[0].forecast.returns.cashInvested, 6);
+    expect(series[10].b).toBeCloseTo(entries[1].forecast.projection.years[9].netReturnIfSold, 6);
+    expect(series[15].a).toBeUndefined();
+    expect(series[15].c).toBeDefined();
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * PropForecast Exit Calculator
+ *
+ * Models selling the property: estate agent commission, bond cancellation
+ * costs, repaying the outstanding loan and South African capital gains tax,
+ * leaving the cash the investor actually walks away with.
+ */
+
+import { calculateIncomeTax, getIndividualTaxTable } from './income-tax';
+import { getTaxTable } from './tax-tables';
+import { calculateEntityCapitalGainsTax, calculateExitDividendsTax, getEntityTaxRates } from './ownership';
+import { calculateAllowanceRecoupment } from './building-allowance';
+
+export const DEFAULT_AGENT_COMMISSION_RATE = 5;
+export const DEFAULT_BOND_CANCELLATION_FEE = 6500;
+
+/**
+ * Calculate capital gains tax for an individual on the sale of an investment property.
+ * The included gain is taxed at the seller's marginal rate on top of their other income.
+ * @param {object} params - Parameters object.
+ * @param {number} params.proceeds - Sale price less selling costs.
+ * @param {number} params.baseCost - Purchase price plus the costs of acquiring the property.
+ * @param {number} params.otherTaxableIncome - Other taxable income in the year of sale.
+ * @param {string} [params.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @param {number} [params.age] - Age of the seller.
+ * @returns {object} - The capital gain, the amount included in taxable income and the tax on it.
+ */
+export const calculateCapitalGainsTax = ({
+  proceeds,
+  baseCost,
+  otherTaxableIncome,
+  taxYear,
+  age = 0
+}) => {
+  const { capitalGains } = getIndividualTaxTable(taxYear);
+  const capitalGain = proceeds - baseCost;
+  const gainAfterExclusion = Math.max(capitalGain - capitalGains.annualExclusion, 0);
+  const taxableCapitalGain = gainAfterExclusion * capitalGains.inclusionRate;
+  const capitalGainsTax = calculateIncomeTax(otherTaxableIncome + taxableCapitalGain, { taxYear, age }) -
+    calculateIncomeTax(otherTaxableIncome, { taxYear, age });
+
+  return {
+    capitalGain,
+    annualExclusion: capitalGains.annualExclusion,
+    inclusionRate: capitalGains.inclusionRate * 100,
+    taxableCapitalGain,
+    capitalGainsTax
+  };
+};
+
+/**
+ * Calculate the net proceeds from selling the property.
+ * @param {object} params - Parameters object.
+ * @param {number} params.saleYear - Year of the projection in which the property is sold.
+ * @param {number} params.salePrice - Expected sale price.
+ * @param {number} params.loanBalance - Outstanding bond balance at the time of sale.
+ * @param {number} params.baseCost - Purchase price plus the costs of acquiring the property.
+ * @param {number} [params.agentCommissionRate] - Estate agent commission as a percentage of the price, excluding VAT.
+ * @param {number} [params.bondCancellationFee] - Bond cancellation attorney fees, excluding VAT.
+ * @param {number} params.otherTaxableIncome - Other taxable income in the year of sale.
+ * @param {string} [params.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @param {number} [params.age] - Age of the seller.
+ * @param {string} [params.ownershipStructure] - 'individual', 'company' or 'trust'.
+ * @param {number} [params.assessedLoss] - A company or trust's rental losses carried forward to the year of sale.
+ * @param {number} [params.investorLoanBalance] - What a company owes the investor, which is repaid before dividends tax.
+ * @param {number} [params.allowanceClaimed] - Section 13sex allowances claimed up to the sale, which are recouped.
+ * @returns {object} - Breakdown of the sale with the proceeds before and after capital gains tax, tax on any recouped allowance and dividends tax.
+ */
+export const calculateExitProceeds = ({
+  saleYear,
+  salePrice,
+  loanBalance,
+  baseCost,
+  agentCommissionRate = DEFAULT_AGENT_COMMISSION_RATE,
+  bondCancellationFee = DEFAULT_BOND_CANCELLATION_FEE,
+  otherTaxableIncome,
+  taxYear,
+  age = 0,
+  ownershipStructure = 'individual',
+  assessedLoss = 0,
+  investorLoanBalance = 0,
+  allowanceClaimed = 0
+}) => {
+  const vat = getTaxTable(taxYear).vatRate / 100;
+  const agentCommission = salePrice * (agentCommissionRate / 100) * (1 + vat);
+  // Cancellation is only needed while there is still a bond registered
+  const bondCancellationCosts = loanBalance > 0 ? bondCancellationFee * (1 + vat) : 0;
+
+  // Recouped building allowances are taxed as income, ahead of the capital gain
+  const allowanceRecouped = calculateAllowanceRecoupment({
+    proceeds: salePrice - agentCommission,
+    baseCost,
+    allowanceClaimed
+  });
+  const recoupmentTax = ownershipStructure === 'individual'
+    ? calculateIncomeTax(otherTaxableIncome + allowanceRecouped, { taxYear, age }) -
+      calculateIncomeTax(otherTaxableIncome, { taxYear, age })
+    : Math.max(allowanceRecouped - assessedLoss, 0) * getEntityTaxRates(ownershipStructure, taxYear).incomeTaxRate;
+
+  const capitalGains = ownershipStructure === 'individual'
+    ? calculateCapitalGainsTax({
+      proceeds: salePrice - agentCommission,
+      baseCost,
+      otherTaxableIncome: otherTaxableIncome + allowanceRecouped,
+      taxYear,
+      age
+    })
+    : calculateEntityCapitalGainsTax({
+      proceeds: salePrice - agentCommission,
+      baseCost,
+      ownershipStructure,
+      assessedLoss: Math.max(assessedLoss - allowanceRecouped, 0),
+      taxYear
+    });
+
+  const proceedsBeforeTax = salePrice - agentCommission - bondCancellationCosts - loanBalance;
+  const dividendsTax = calculateExitDividendsTax({
+    proceedsAfterTax: proceedsBeforeTax - capitalGains.capitalGainsTax - recoupmentTax,
+    loanBalance: investorLoanBalance,
+    ownershipStructure,
+    taxYear
+  });
+
+  return {
+    saleYear,
+    salePrice,
+    agentCommission,
+    bondCancellationCosts,
+    loanBalance,
+    baseCost,
+    ...capitalGains,
+    sellingCosts: agentCommission + bondCancellationCosts,
+    proceedsBeforeTax,
+    allowanceRecouped,
+    recoupmentTax,
+    dividendsTax,
+    netProceeds: proceedsBeforeTax - capitalGains.capitalGainsTax - recoupmentTax - dividendsTax
+  };
+};
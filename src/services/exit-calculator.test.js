@@ -0,0 +1,54 @@
+import { calculateCapitalGainsTax, calculateExitProceeds } from './exit-calculator';
+import { calculateIncomeTax } from './income-tax';
+
+describe('calculateCapitalGainsTax', () => {
+  test('includes 40% of the gain above the annual exclusion at the marginal rate', () => {
+    const result = calculateCapitalGainsTax({
+      proceeds: 1500000,
+      baseCost: 1240000,
+      otherTaxableIncome: 600000,
+      taxYear: '2024/2025'
+    });
+
+    expect(result.capitalGain).toBe(260000);
+    // (260 000 - 40 000) * 40%
+    expect(result.taxableCapitalGain).toBeCloseTo(88000, 6);
+    expect(result.capitalGainsTax).toBeCloseTo(
+      calculateIncomeTax(688000, { taxYear: '2024/2025' }) - calculateIncomeTax(600000, { taxYear: '2024/2025' }),
+      6
+    );
+  });
+
+  test('charges nothing on a loss or a gain within the exclusion', () => {
+    expect(calculateCapitalGainsTax({ proceeds: 900000, baseCost: 1000000, otherTaxableIncome: 600000 }).capitalGainsTax).toBe(0);
+    expect(calculateCapitalGainsTax({ proceeds: 1030000, baseCost: 1000000, otherTaxableIncome: 600000 }).capitalGainsTax).toBe(0);
+  });
+});
+
+describe('calculateExitProceeds', () => {
+  const sale = {
+    saleYear: 10,
+    salePrice: 2000000,
+    loanBalance: 600000,
+    baseCost: 1250000,
+    agentCommissionRate: 5,
+    bondCancellationFee: 6000,
+    otherTaxableIncome: 600000,
+    taxYear: '2024/2025'
+  };
+
+  test('deducts commission and cancellation fees with VAT, then the loan and CGT', () => {
+    const exit = calculateExitProceeds(sale);
+
+    expect(exit.agentCommission).toBeCloseTo(115000, 6);
+    expect(exit.bondCancellationCosts).toBeCloseTo(6900, 6);
+    expect(exit.capitalGain).toBeCloseTo(2000000 - 115000 - 1250000, 6);
+    expect(exit.proceedsBeforeTax).toBeCloseTo(2000000 - 115000 - 6900 - 600000, 6);
+    expect(exit.netProceeds).toBeCloseTo(exit.proceedsBeforeTax - exit.capitalGainsTax, 6);
+    expect(exit.capitalGainsTax).toBeGreaterThan(0);
+  });
+
+  test('skips bond cancellation once the bond is repaid', () => {
+    expect(calculateExitProceeds({ ...sale, loanBalance: 0 }).bondCancellationCosts).toBe(0);
+  });
+});
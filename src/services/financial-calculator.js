@@ -5,93 +5,160 @@
  * specific to the South African real estate market.
  */
 
+import {
+  calculateMonthlyBondRepayment,
+  generateAmortizationSchedule,
+  scheduleBondTransactions,
+  summariseScheduleByYear
+} from './amortization';
+import {
+  DEFAULT_APPRECIATION_RATE,
+  DEFAULT_ESCALATION_RATES,
+  DEFAULT_PROJECTION_YEARS,
+  generateProjection
+} from './projection';
+import { DEFAULT_DISCOUNT_RATE, calculateInvestmentReturns } from './investment-metrics';
+import { calculateRentalIncomeTax, getMarginalTaxRate } from './income-tax';
+import { applyBracketScale, getTaxTable, getTaxTableForDate, lookupTieredFee } from './tax-tables';
+import {
+  DEFAULT_AGENT_COMMISSION_RATE,
+  DEFAULT_BOND_CANCELLATION_FEE,
+  calculateExitProceeds
+} from './exit-calculator';
+import { calculateBondRegistrationCosts } from './bond-costs';
+import { parsePropertyData } from './validation';
+import { calculateShortTermRentalIncome } from './short-term-rental';
+import { calculateMonthlyLineItems } from './line-items';
+import {
+  DEFAULT_PRIME_RATE,
+  buildMonthlyRates,
+  calculateRateShocks,
+  getInitialInterestRate
+} from './interest-rates';
+import {
+  DEFAULT_SIMULATION_SEED,
+  DEFAULT_SIMULATION_TRIALS,
+  DEFAULT_SIMULATION_VOLATILITY,
+  createRandom,
+  sampleTrialInputs,
+  summariseSimulation
+} from './monte-carlo';
+import { DEFAULT_RENTAL_INCOME_SHARE, assessAffordability } from './affordability';
+import { DEFAULT_CONSTRUCTION_MONTHS, getTransferDelayMonths, isDeveloperSale } from './purchase-types';
+import { calculateBuildingAllowance } from './building-allowance';
+import { DEFAULT_RELETTING_MONTHS, scheduleRentRoll, summariseRentRoll, usesRentRoll } from './rent-roll';
+import {
+  OWNERSHIP_STRUCTURES,
+  OWNERSHIP_STRUCTURE_LABELS,
+  calculateEntityRentalTax,
+  getEntityTaxRates
+} from './ownership';
+
+export { calculateMonthlyBondRepayment };
+
+// Bump whenever a change to the calculations could change a forecast's figures,
+// so that forecasts saved by earlier versions are flagged as out of date
+export const FORECAST_ENGINE_VERSION = 1;
+
+/**
+ * Resolve the tax tables a forecast uses: those for the chosen tax year, or
+ * else those in force on the transaction date, or today when there is none.
+ * @param {object} propertyData - Validated inputs with taxYear and transactionDate.
+ * @returns {object} - The tax table entry.
+ */
+const resolveTaxTable = ({ taxYear, transactionDate }) => (
+  taxYear ? getTaxTable(taxYear) : getTaxTableForDate(transactionDate)
+);
+
 /**
- * Calculate transfer duty based on South African transfer duty rates (2023/2024).
+ * Calculate transfer duty based on the South African transfer duty rates for a tax year.
  * @param {number} purchasePrice - The purchase price of the property in Rands.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
  * @returns {number} - The transfer duty in Rands.
  */
-export const calculateTransferDuty = (purchasePrice) => {
-  // As of 2023/2024 tax year in South Africa
-  if (purchasePrice <= 1000000) {
-    return 0;
-  } else if (purchasePrice <= 1375000) {
-    return (purchasePrice - 1000000) * 0.03;
-  } else if (purchasePrice <= 1925000) {
-    return 11250 + (purchasePrice - 1375000) * 0.06;
-  } else if (purchasePrice <= 2475000) {
-    return 44250 + (purchasePrice - 1925000) * 0.08;
-  } else if (purchasePrice <= 11000000) {
-    return 88250 + (purchasePrice - 2475000) * 0.11;
-  } else {
-    return 1026000 + (purchasePrice - 11000000) * 0.13;
-  }
+export const calculateTransferDuty = (purchasePrice, taxYear) => {
+  const { transferDuty } = getTaxTable(taxYear);
+  return applyBracketScale(transferDuty, 'baseDuty', purchasePrice);
 };
 
 /**
  * Calculate estimated attorney fees for property transfer.
  * @param {number} purchasePrice - The purchase price of the property in Rands.
- * @returns {number} - Estimated attorney fees in Rands.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @returns {number} - Estimated attorney fees in Rands, including VAT.
  */
-export const calculateAttorneyFees = (purchasePrice) => {
-  // This is a simplified estimate
-  let baseFee = 0;
-  
-  if (purchasePrice <= 100000) {
-    baseFee = 4500;
-  } else if (purchasePrice <= 500000) {
-    baseFee = 4500 + (purchasePrice - 100000) * 0.015;
-  } else if (purchasePrice <= 1000000) {
-    baseFee = 10500 + (purchasePrice - 500000) * 0.01;
-  } else if (purchasePrice <= 5000000) {
-    baseFee = 15500 + (purchasePrice - 1000000) * 0.007;
-  } else {
-    baseFee = 43500 + (purchasePrice - 5000000) * 0.003;
-  }
+export const calculateAttorneyFees = (purchasePrice, taxYear) => {
+  const { conveyancingFees, vatRate } = getTaxTable(taxYear);
+  const baseFee = applyBracketScale(conveyancingFees, 'baseFee', purchasePrice);
   
-  // Add VAT (15%)
-  return baseFee * 1.15;
+  return baseFee * (1 + vatRate / 100);
 };
 
 /**
- * Calculate monthly bond repayment.
- * @param {number} principal - The loan amount (purchase price - deposit).
- * @param {number} annualInterestRate - Annual interest rate as a percentage.
- * @param {number} termYears - Loan term in years.
- * @returns {number} - Monthly bond repayment amount.
+ * Calculate the costs of transferring the property into the buyer's name.
+ * @param {number} purchasePrice - The purchase price of the property.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @param {object} [options] - Options object.
+ * @param {string} [options.purchaseType] - 'resale', 'new-development' or 'off-plan'.
+ * @param {boolean} [options.developerPaysTransferCosts] - Whether the developer pays the attorney and deeds office fees.
+ * @returns {object} - Breakdown of transfer costs and total.
  */
-export const calculateMonthlyBondRepayment = (principal, annualInterestRate, termYears) => {
-  const monthlyInterestRate = annualInterestRate / 100 / 12;
-  const numberOfPayments = termYears * 12;
-  
-  if (monthlyInterestRate === 0) {
-    return principal / numberOfPayments;
+export const calculateTransferCosts = (
+  purchasePrice,
+  taxYear,
+  { purchaseType = 'resale', developerPaysTransferCosts = false } = {}
+) => {
+  const developerSale = isDeveloperSale(purchaseType);
+  // VAT is included in a developer's price, so there is no transfer duty
+  const transferDuty = developerSale ? 0 : calculateTransferDuty(purchasePrice, taxYear);
+
+  if (developerSale && developerPaysTransferCosts) {
+    return {
+      transferDuty,
+      attorneyFees: 0,
+      deedsOfficeRegistration: 0,
+      postageAndPetties: 0,
+      paidByDeveloper: true,
+      total: 0
+    };
   }
-  
-  return principal * 
-    (monthlyInterestRate * Math.pow(1 + monthlyInterestRate, numberOfPayments)) / 
-    (Math.pow(1 + monthlyInterestRate, numberOfPayments) - 1);
+
+  const attorneyFees = calculateAttorneyFees(purchasePrice, taxYear);
+  const deedsOfficeRegistration = lookupTieredFee(getTaxTable(taxYear).deedsOfficeFees, purchasePrice);
+  const postageAndPetties = 1800; // Simplified estimate
+
+  return {
+    transferDuty,
+    attorneyFees,
+    deedsOfficeRegistration,
+    postageAndPetties,
+    paidByDeveloper: false,
+    total: transferDuty + attorneyFees + deedsOfficeRegistration + postageAndPetties
+  };
 };
 
 /**
- * Calculate total purchase costs including transfer duties and attorney fees.
+ * Calculate total purchase costs: transferring the property and registering the bond.
  * @param {number} purchasePrice - The purchase price of the property.
- * @returns {object} - Breakdown of costs and total.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @param {number} [loanAmount] - The bond amount. No bond costs are included when omitted.
+ * @param {object} [options] - Purchase type options, as for calculateTransferCosts.
+ * @returns {object} - Transfer and bond cost breakdowns and the combined total.
  */
-export const calculateTotalPurchaseCosts = (purchasePrice) => {
-  const transferDuty = calculateTransferDuty(purchasePrice);
-  const attorneyFees = calculateAttorneyFees(purchasePrice);
-  const deedsOfficeRegistration = 1500; // Simplified estimate
-  const electronicallyFacilitatedTransfer = 1800; // Simplified estimate
-  
+export const calculateTotalPurchaseCosts = (purchasePrice, taxYear, loanAmount = 0, options = {}) => {
+  const transfer = calculateTransferCosts(purchasePrice, taxYear, options);
+  const bond = calculateBondRegistrationCosts(loanAmount, taxYear);
+
   return {
-    transferDuty,
-    attorneyFees,
-    deedsOfficeRegistration,
-    electronicallyFacilitatedTransfer,
-    total: transferDuty + attorneyFees + deedsOfficeRegistration + electronicallyFacilitatedTransfer
+    transfer,
+    bond,
+    total: transfer.total + bond.total
   };
 };
 
+// Average time a long-term tenant stays before a new one has to be placed
+export const DEFAULT_AVERAGE_TENANCY_MONTHS = 24;
+
 /**
  * Calculate monthly expenses for a property.
  * @param {object} params - Parameters object.
@@ -99,22 +166,54 @@ export const calculateTotalPurchaseCosts = (purchasePrice) => {
  * @param {number} params.monthlyLevies - Monthly levies (for apartments/complexes).
  * @param {number} params.monthlyRates - Monthly rates and taxes.
  * @param {number} params.maintenancePercentage - Annual maintenance as percentage of property value.
+ * @param {number} [params.monthlyRent] - Monthly rent per the lease, which the letting fee is based on.
+ * @param {number} [params.collectedRent] - Monthly rent actually collected after vacancy, which the management fee is based on.
+ * @param {number} [params.managementFeeRate] - Rental agent's management fee as a percentage of collected rent, excluding VAT.
+ * @param {number} [params.lettingFeeRate] - Letting fee per new tenant as a percentage of one month's rent, excluding VAT.
+ * @param {number} [params.averageTenancyMonths] - Average tenancy length, which sets how often the letting fee is paid.
+ * @param {number} [params.vatRate] - VAT rate (%) charged on the agent's fees.
+ * @param {number} [params.monthlyInsurance] - Building insurance paid by the owner (freehold; sectional title insurance is in the levies).
+ * @param {number} [params.landlordUtilities] - Utilities the landlord pays rather than the tenant.
+ * @param {number} [params.shortTermRentalCosts] - Average monthly platform fees, commission, cleaning and utilities of a holiday let.
+ * @param {number} [params.otherExpenses] - Monthly total of the custom expense line items.
  * @returns {object} - Breakdown of monthly expenses.
  */
 export const calculateMonthlyExpenses = ({ 
   purchasePrice, 
   monthlyLevies, 
   monthlyRates, 
-  maintenancePercentage 
+  maintenancePercentage,
+  monthlyRent = 0,
+  collectedRent = monthlyRent,
+  managementFeeRate = 0,
+  lettingFeeRate = 0,
+  averageTenancyMonths = DEFAULT_AVERAGE_TENANCY_MONTHS,
+  vatRate = 0,
+  monthlyInsurance = 0,
+  landlordUtilities = 0,
+  shortTermRentalCosts = 0,
+  otherExpenses = 0
 }) => {
   // Convert annual maintenance to monthly
   const monthlyMaintenance = (purchasePrice * (maintenancePercentage / 100)) / 12;
   
+  // Agent's fees attract VAT; the letting fee is spread over the average tenancy
+  const withVat = 1 + vatRate / 100;
+  const managementFees = collectedRent * (managementFeeRate / 100) * withVat;
+  const lettingFees = (monthlyRent * (lettingFeeRate / 100) * withVat) / averageTenancyMonths;
+  
   return {
     levies: monthlyLevies,
     ratesAndTaxes: monthlyRates,
     maintenance: monthlyMaintenance,
-    total: monthlyLevies + monthlyRates + monthlyMaintenance
+    managementFees,
+    lettingFees,
+    insurance: monthlyInsurance,
+    utilities: landlordUtilities,
+    shortTermRentalCosts,
+    otherExpenses,
+    total: monthlyLevies + monthlyRates + monthlyMaintenance + managementFees + lettingFees +
+      monthlyInsurance + landlordUtilities + shortTermRentalCosts + otherExpenses
   };
 };
 
@@ -136,6 +235,7 @@ export const calculateEffectiveRentalIncome = (expectedRent, vacancyRate) => {
  * @param {number} params.expectedRent - Monthly expected rent.
  * @param {number} params.effectiveRent - Monthly rent adjusted for vacancy.
  * @param {number} params.monthlyExpenses - Total monthly expenses.
+ * @param {number} [params.otherIncome] - Monthly income from custom line items, such as parking bay rental.
  * @returns {object} - Various yield calculations.
  */
 export const calculateYields = ({ 
@@ -143,19 +243,20 @@ export const calculateYields = ({
   totalPurchaseCost, 
   expectedRent, 
   effectiveRent, 
-  monthlyExpenses 
+  monthlyExpenses,
+  otherIncome = 0
 }) => {
   // Gross yield based on purchase price only
-  const grossYieldOnPrice = (expectedRent * 12) / purchasePrice * 100;
+  const grossYieldOnPrice = ((expectedRent + otherIncome) * 12) / purchasePrice * 100;
   
   // Gross yield based on total investment (including purchase costs)
-  const grossYieldOnInvestment = (expectedRent * 12) / totalPurchaseCost * 100;
+  const grossYieldOnInvestment = ((expectedRent + otherIncome) * 12) / totalPurchaseCost * 100;
   
   // Net yield based on purchase price
-  const netYieldOnPrice = ((effectiveRent - monthlyExpenses) * 12) / purchasePrice * 100;
+  const netYieldOnPrice = ((effectiveRent + otherIncome - monthlyExpenses) * 12) / purchasePrice * 100;
   
   // Net yield based on total investment
-  const netYieldOnInvestment = ((effectiveRent - monthlyExpenses) * 12) / totalPurchaseCost * 100;
+  const netYieldOnInvestment = ((effectiveRent + otherIncome - monthlyExpenses) * 12) / totalPurchaseCost * 100;
   
   return {
     grossYieldOnPrice,
@@ -171,14 +272,18 @@ export const calculateYields = ({
  * @param {number} params.effectiveRent - Monthly rent adjusted for vacancy.
  * @param {number} params.monthlyExpenses - Total monthly expenses.
  * @param {number} params.monthlyBondRepayment - Monthly bond payment.
+ * @param {number} [params.otherIncome] - Monthly income from custom line items.
+ * @param {number} [params.extraBondPayment] - Extra paid into the bond each month.
  * @returns {object} - Cash flow calculations.
  */
 export const calculateCashFlow = ({ 
   effectiveRent, 
   monthlyExpenses, 
-  monthlyBondRepayment 
+  monthlyBondRepayment,
+  otherIncome = 0,
+  extraBondPayment = 0
 }) => {
-  const monthlyCashFlow = effectiveRent - monthlyExpenses - monthlyBondRepayment;
+  const monthlyCashFlow = effectiveRent + otherIncome - monthlyExpenses - monthlyBondRepayment - extraBondPayment;
   const annualCashFlow = monthlyCashFlow * 12;
   
   return {
@@ -188,211 +293,838 @@ export const calculateCashFlow = ({
 };
 
 /**
- * Calculate return on investment (ROI) projections.
+ * Calculate return on investment (ROI) snapshots from the year-by-year projection,
+ * treating the return as if the property were sold at the end of the year.
  * @param {object} params - Parameters object.
- * @param {number} params.deposit - Initial deposit amount.
- * @param {number} params.totalPurchaseCost - Total cost including purchase price and all fees.
- * @param {number} params.annualCashFlow - Annual cash flow.
- * @param {number} params.monthlyBondRepayment - Monthly bond payment.
- * @param {number} params.loanTermYears - Loan term in years.
- * @param {number} params.annualAppreciationRate - Annual property appreciation rate (%).
+ * @param {number} params.initialInvestment - Cash actually put in (deposit plus purchase costs).
+ * @param {Array<object>} params.projectionYears - Yearly rows from generateProjection (at least 10 years).
+ * @param {Array<object>} params.exitScenarios - Result of calculateExitProceeds for a sale in each projection year.
  * @returns {object} - ROI projections for 5 and 10 years.
  */
 export const calculateROI = ({
-  deposit,
-  totalPurchaseCost,
-  annualCashFlow,
-  monthlyBondRepayment,
-  loanTermYears,
-  annualAppreciationRate = 5 // Default 5% annual appreciation
+  initialInvestment,
+  projectionYears,
+  exitScenarios
 }) => {
-  // Initial investment = deposit + purchase costs
-  const initialInvestment = deposit + (totalPurchaseCost - deposit);
-  
-  // Calculate 5-year projection
-  const fiveYearAppreciation = calculateAppreciation(totalPurchaseCost, annualAppreciationRate, 5);
-  const fiveYearCashFlow = annualCashFlow * 5;
-  const fiveYearEquityBuild = calculateEquityBuild(monthlyBondRepayment, loanTermYears, 5);
-  
-  const fiveYearTotalReturn = fiveYearAppreciation + fiveYearCashFlow + fiveYearEquityBuild;
-  const fiveYearROI = (fiveYearTotalReturn / initialInvestment) * 100;
-  const fiveYearAnnualizedROI = Math.pow(1 + fiveYearROI / 100, 1/5) - 1;
+  return {
+    fiveYear: calculateROISnapshot(projectionYears[4], exitScenarios[4], initialInvestment),
+    tenYear: calculateROISnapshot(projectionYears[9], exitScenarios[9], initialInvestment)
+  };
+};
+
+/**
+ * Calculate the ROI for a single projection year.
+ * @param {object} projectionYear - Yearly row from generateProjection.
+ * @param {object} exitScenario - Result of calculateExitProceeds for a sale in that year.
+ * @param {number} initialInvestment - Cash invested up front.
+ * @returns {object} - Return components, total return and (annualised) ROI.
+ */
+const calculateROISnapshot = (projectionYear, exitScenario, initialInvestment) => {
+  const { year, appreciation, cumulativeCashFlow, cumulativePrincipal } = projectionYear;
+  // Cash received over the hold plus the net sale proceeds, less the cash put in
+  const totalReturn = cumulativeCashFlow + exitScenario.proceedsBeforeTax - initialInvestment;
+  const roi = (totalReturn / initialInvestment) * 100;
+  const annualizedROI = roi > -100 ? Math.pow(1 + roi / 100, 1 / year) - 1 : -1;
   
-  // Calculate 10-year projection
-  const tenYearAppreciation = calculateAppreciation(totalPurchaseCost, annualAppreciationRate, 10);
-  const tenYearCashFlow = annualCashFlow * 10;
-  const tenYearEquityBuild = calculateEquityBuild(monthlyBondRepayment, loanTermYears, 10);
+  return {
+    appreciation,
+    cashFlow: cumulativeCashFlow,
+    equityBuild: cumulativePrincipal,
+    sellingCosts: exitScenario.sellingCosts,
+    totalReturn,
+    roi,
+    annualizedROI: annualizedROI * 100
+  };
+};
+
+// Longest period the breakeven search will look ahead
+const MAX_BREAKEVEN_MONTHS = 100 * 12;
+
+/**
+ * Calculate the breakeven point: the month in which cumulative cash flow plus
+ * the equity built through bond repayments recovers the initial cash outflow.
+ * @param {number} initialCashOutflow - Initial cash outflow (deposit + costs).
+ * @param {number} monthlyCashFlow - Monthly cash flow after the minimum instalment, before any extra bond payments.
+ * @param {object} [amortization] - Result of generateAmortizationSchedule for the bond.
+ * @returns {object} - Breakeven point in months and years.
+ */
+export const calculateBreakeven = (
+  initialCashOutflow,
+  monthlyCashFlow,
+  amortization = { monthlyPayment: 0, schedule: [] }
+) => {
+  const { monthlyPayment, schedule } = amortization;
+  // Cash flow before the bond, so that it improves once the loan is paid off
+  const cashFlowBeforeBond = monthlyCashFlow + monthlyPayment;
+  let recovered = 0;
   
-  const tenYearTotalReturn = tenYearAppreciation + tenYearCashFlow + tenYearEquityBuild;
-  const tenYearROI = (tenYearTotalReturn / initialInvestment) * 100;
-  const tenYearAnnualizedROI = Math.pow(1 + tenYearROI / 100, 1/10) - 1;
+  for (let month = 1; month <= MAX_BREAKEVEN_MONTHS; month++) {
+    const row = schedule[month - 1];
+    
+    if (row) {
+      // Extra payments and withdrawals move cash into or out of the bond; only the net principal counts
+      recovered += cashFlowBeforeBond - row.payment - row.extraPayment + row.withdrawal + row.principal;
+    } else {
+      recovered += cashFlowBeforeBond;
+    }
+    
+    if (recovered >= initialCashOutflow) {
+      return {
+        months: month,
+        years: month / 12
+      };
+    }
+    
+    // Nothing left to repay and no positive cash flow: breakeven is never reached
+    if (!row && cashFlowBeforeBond <= 0) {
+      break;
+    }
+  }
   
+  return { months: Infinity, years: Infinity };
+};
+
+/**
+ * Date a number of months after a start date, as an ISO date string.
+ * Works in UTC throughout, as dates parsed from YYYY-MM-DD strings are
+ * midnight UTC and would move to another day in local time.
+ * @param {Date} date - Start date.
+ * @param {number} months - Months to add.
+ * @returns {string} - The date as YYYY-MM-DD.
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Compare a bond with extra payments against paying only the minimum instalment.
+ * @param {object} params - Parameters object.
+ * @param {object} params.amortization - Schedule with the extra payments and withdrawals.
+ * @param {object} params.cashFlow - Monthly cash flow with the extra payments.
+ * @param {object} params.returns - Pre-tax returns with the extra payments.
+ * @param {object} params.afterTaxReturns - After-tax returns with the extra payments.
+ * @param {Date} params.startDate - Date the bond starts.
+ * @param {object} params.withoutExtras - The same forecast with the minimum instalment only.
+ * @returns {object} - Interest saved, payoff dates, the change in cash flow and IRR and yearly balances for both.
+ */
+const compareWithMinimumInstalment = ({ amortization, cashFlow, returns, afterTaxReturns, startDate, withoutExtras }) => {
+  const yearly = summariseScheduleByYear(amortization.schedule);
+  const payoffMonth = amortization.schedule.length;
+  const baselinePayoffMonth = withoutExtras.amortization.schedule.length;
+
   return {
-    fiveYear: {
-      appreciation: fiveYearAppreciation,
-      cashFlow: fiveYearCashFlow,
-      equityBuild: fiveYearEquityBuild,
-      totalReturn: fiveYearTotalReturn,
-      roi: fiveYearROI,
-      annualizedROI: fiveYearAnnualizedROI * 100
-    },
-    tenYear: {
-      appreciation: tenYearAppreciation,
-      cashFlow: tenYearCashFlow,
-      equityBuild: tenYearEquityBuild,
-      totalReturn: tenYearTotalReturn,
-      roi: tenYearROI,
-      annualizedROI: tenYearAnnualizedROI * 100
-    }
+    interestSaved: withoutExtras.amortization.totalInterest - amortization.totalInterest,
+    totalExtraPayments: amortization.totalExtraPayments,
+    totalWithdrawals: amortization.totalWithdrawals,
+    payoffMonth,
+    baselinePayoffMonth,
+    monthsSaved: baselinePayoffMonth - payoffMonth,
+    payoffDate: addMonths(startDate, payoffMonth),
+    baselinePayoffDate: addMonths(startDate, baselinePayoffMonth),
+    monthlyCashFlowChange: cashFlow.monthly - withoutExtras.cashFlow.monthly,
+    irr: returns.irr,
+    baselineIrr: withoutExtras.returns.irr,
+    afterTaxIrr: afterTaxReturns.irr,
+    baselineAfterTaxIrr: withoutExtras.tax.afterTaxReturns.irr,
+    balances: withoutExtras.amortization.yearly.map((row, index) => ({
+      year: row.year,
+      balance: yearly[index] ? yearly[index].balance : 0,
+      baselineBalance: row.balance
+    }))
   };
 };
 
 /**
- * Calculate property appreciation over a period.
- * @param {number} propertyValue - Current property value.
- * @param {number} annualRate - Annual appreciation rate as a percentage.
- * @param {number} years - Number of years to project.
- * @returns {number} - The appreciation amount.
+ * Summarise the after-tax results of holding the property one way.
+ * @param {string} ownershipStructure - 'individual', 'company' or 'trust'.
+ * @param {object} results - The forecast's first tax year, exit and after-tax returns.
+ * @returns {object} - Year 1 after-tax cash flow, the taxes on the sale, after-tax exit proceeds and IRR.
  */
-const calculateAppreciation = (propertyValue, annualRate, years) => {
-  const futureValue = propertyValue * Math.pow(1 + annualRate / 100, years);
-  return futureValue - propertyValue;
+const summariseOwnership = (ownershipStructure, { firstTaxYear, exit, afterTaxReturns }) => ({
+  ownershipStructure,
+  label: OWNERSHIP_STRUCTURE_LABELS[ownershipStructure],
+  annualTax: firstTaxYear.tax + (firstTaxYear.dividendsTax || 0),
+  afterTaxCashFlow: {
+    monthly: firstTaxYear.afterTaxCashFlow / 12,
+    annual: firstTaxYear.afterTaxCashFlow
+  },
+  capitalGainsTax: exit.capitalGainsTax,
+  dividendsTax: exit.dividendsTax,
+  exitProceeds: exit.netProceeds,
+  irr: afterTaxReturns.irr
+});
+
+/**
+ * Re-run the forecast with the property held in each ownership structure.
+ * @param {object} params - Parameters object.
+ * @param {object} params.propertyData - The inputs the forecast was generated from.
+ * @param {string} params.ownershipStructure - The structure the forecast was generated for.
+ * @param {object} params.current - The forecast's own first tax year, exit and after-tax returns.
+ * @returns {Array<object>} - One summary per structure, in the order of OWNERSHIP_STRUCTURES.
+ */
+const compareOwnershipStructures = ({ propertyData, ownershipStructure, current }) => {
+  return OWNERSHIP_STRUCTURES.map((structure) => {
+    if (structure === ownershipStructure) {
+      return { ...summariseOwnership(structure, current), selected: true };
+    }
+
+    const alternative = generatePropertyForecast({
+      ...propertyData,
+      ownershipStructure: structure,
+      runSimulation: false,
+      compareOwnership: false,
+      compareBondExtras: false
+    });
+
+    return {
+      ...summariseOwnership(structure, {
+        firstTaxYear: alternative.tax.years[0],
+        exit: alternative.exit,
+        afterTaxReturns: alternative.tax.afterTaxReturns
+      }),
+      selected: false
+    };
+  });
 };
 
+// Trials run between pauses, so the page can repaint and respond while a simulation runs
+const SIMULATION_CHUNK_SIZE = 50;
+
 /**
- * Calculate equity build through bond repayments over a period.
- * @param {number} monthlyPayment - Monthly bond payment.
- * @param {number} totalTermYears - Total loan term in years.
- * @param {number} yearsToCalculate - Number of years to calculate equity for.
- * @returns {number} - The equity built through payments.
+ * Set up the trials of a simulation, each a run of the forecast with randomly drawn assumptions.
+ * @param {object} settings - Simulation settings.
+ * @param {object} settings.propertyData - The inputs the forecast was generated from.
+ * @param {object} settings.means - The forecast's annualAppreciationRate, rentEscalationRate and vacancyRate.
+ * @param {Array<object>} settings.rateChanges - The forecast's own rate path, which the random moves are added to.
+ * @param {object} settings.volatility - Standard deviations as in DEFAULT_SIMULATION_VOLATILITY.
+ * @param {number} settings.seed - Seed for the random generator.
+ * @param {number} settings.years - Projection horizon in years.
+ * @param {boolean} settings.varyVacancy - Whether vacancy is drawn (long-term rentals only).
+ * @returns {Function} - Runs the next trial each time it is called and returns its yearly net returns and cash flows and its IRR.
  */
-const calculateEquityBuild = (monthlyPayment, totalTermYears, yearsToCalculate) => {
-  // Simplified calculation - we'd need an amortization schedule for exact figures
-  const totalPayments = monthlyPayment * 12 * yearsToCalculate;
-  // Roughly estimate the principal portion (increases over time)
-  // This is a simplification - real calculation would use amortization table
-  const principalPortion = totalPayments * 0.4; // Estimate 40% goes to principal in early years
-  
-  return principalPortion;
+const createTrialRunner = ({ propertyData, means, rateChanges, volatility, seed, years, varyVacancy }) => {
+  const random = createRandom(seed);
+
+  return () => {
+    const inputs = sampleTrialInputs({ random, means, volatility, years, varyVacancy });
+    const trial = generatePropertyForecast({
+      ...propertyData,
+      ...inputs,
+      rateChanges: [...rateChanges, ...inputs.rateChanges],
+      // Only the trial's own returns are read, so its comparisons are left out
+      runSimulation: false,
+      compareOwnership: false,
+      compareBondExtras: false
+    });
+
+    return {
+      netReturns: trial.projection.years.map((row) => row.netReturnIfSold),
+      cashFlows: trial.projection.years.map((row) => row.cashFlow),
+      irr: trial.returns.irr
+    };
+  };
 };
 
 /**
- * Calculate the breakeven point.
- * @param {number} initialCashOutflow - Initial cash outflow (deposit + costs).
- * @param {number} monthlyCashFlow - Monthly cash flow.
- * @returns {object} - Breakeven point in months and years.
+ * Summarise the trials of a simulation along with its settings.
+ * @param {object} settings - Simulation settings, as for createTrialRunner, with the number of trials.
+ * @param {Array<object>} results - The trials' results.
+ * @returns {object} - The simulation settings with percentile bands, the probability of a negative cash flow year and the IRR distribution.
  */
-export const calculateBreakeven = (initialCashOutflow, monthlyCashFlow) => {
-  if (monthlyCashFlow <= 0) {
-    return { months: Infinity, years: Infinity };
+const summariseTrials = ({ trials, seed, volatility, varyVacancy }, results) => ({
+  trials,
+  seed,
+  volatility: { ...volatility, vacancy: varyVacancy ? volatility.vacancy : null },
+  ...summariseSimulation(results)
+});
+
+/**
+ * Run the forecast many times with randomly drawn assumptions.
+ * @param {object} settings - Simulation settings, as for createTrialRunner, with the number of trials.
+ * @returns {object} - The simulation, as from summariseTrials.
+ */
+const simulateForecast = (settings) => {
+  const runTrial = createTrialRunner(settings);
+  return summariseTrials(settings, Array.from({ length: settings.trials }, () => runTrial()));
+};
+
+/**
+ * Run the forecast many times with randomly drawn assumptions, a chunk of
+ * trials at a time with a pause after each. The same settings give the same
+ * results as simulateForecast.
+ * @param {object} settings - Simulation settings, as for createTrialRunner, with the number of trials.
+ * @param {object} [options] - Options object.
+ * @param {Function} [options.onProgress] - Called at the start and after each chunk with the trials run so far and the total.
+ * @param {AbortSignal} [options.signal] - Stops the simulation when aborted.
+ * @returns {Promise<object>} - The simulation, as from summariseTrials. Rejects with an AbortError when stopped.
+ */
+const simulateForecastInChunks = async (settings, { onProgress, signal } = {}) => {
+  const runTrial = createTrialRunner(settings);
+  const results = [];
+  if (onProgress) onProgress(0, settings.trials);
+
+  while (results.length < settings.trials) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (signal && signal.aborted) {
+      const error = new Error('The simulation was cancelled.');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    const chunkEnd = Math.min(results.length + SIMULATION_CHUNK_SIZE, settings.trials);
+    while (results.length < chunkEnd) {
+      results.push(runTrial());
+    }
+    if (onProgress) onProgress(results.length, settings.trials);
   }
-  
-  const months = Math.ceil(initialCashOutflow / monthlyCashFlow);
-  return {
-    months,
-    years: months / 12
-  };
+
+  return summariseTrials(settings, results);
 };
 
 /**
- * Generate the complete property investment forecast.
+ * Work out the forecast, leaving its simulation to be run separately.
  * @param {object} propertyData - All property and investment parameters.
- * @returns {object} - Complete investment forecast.
+ * @returns {object} - The forecast without its simulation, and the settings for the simulation (null when none was asked for).
+ * @throws {ValidationError} - When the parameters fail validation.
  */
-export const generatePropertyForecast = (propertyData) => {
+const buildForecast = (propertyData) => {
   const {
     propertyType,
     purchasePrice,
     deposit,
-    interestRate,
+    interestRate: fixedInterestRate,
     loanTerm,
     monthlyLevies,
     monthlyRates,
     expectedRent,
     bedrooms,
     bathrooms,
+    floorSize,
     location,
     maintenancePercentage,
-    vacancyRate
-  } = propertyData;
+    vacancyRate,
+    projectionYears = DEFAULT_PROJECTION_YEARS,
+    annualAppreciationRate = DEFAULT_APPRECIATION_RATE,
+    rentEscalationRate = DEFAULT_ESCALATION_RATES.rent,
+    leviesEscalationRate = DEFAULT_ESCALATION_RATES.levies,
+    ratesEscalationRate = DEFAULT_ESCALATION_RATES.rates,
+    maintenanceEscalationRate = DEFAULT_ESCALATION_RATES.maintenance,
+    discountRate = DEFAULT_DISCOUNT_RATE,
+    otherTaxableIncome = 0,
+    investorAge = 0,
+    letToRelatives = false,
+    taxYear,
+    transactionDate,
+    saleYear = projectionYears,
+    agentCommissionRate = DEFAULT_AGENT_COMMISSION_RATE,
+    bondCancellationFee = DEFAULT_BOND_CANCELLATION_FEE,
+    rentalMode = 'long-term',
+    nightlyRate,
+    occupancyBasis = 'season',
+    peakOccupancy,
+    shoulderOccupancy,
+    lowOccupancy,
+    monthlyOccupancy,
+    averageStayNights,
+    cleaningCostPerStay,
+    platformFeeRate,
+    managementCommissionRate,
+    monthlyUtilities,
+    furnishingCost = 0,
+    managementFeeRate = 0,
+    lettingFeeRate = 0,
+    averageTenancyMonths = DEFAULT_AVERAGE_TENANCY_MONTHS,
+    monthlyInsurance = 0,
+    landlordUtilities = 0,
+    lineItems = [],
+    extraMonthlyPayment = 0,
+    annualLumpSum = 0,
+    bondTransactions = [],
+    rateBasis = 'fixed',
+    primeRate = DEFAULT_PRIME_RATE,
+    primeMargin = 0,
+    rateChanges = [],
+    runSimulation = false,
+    simulationTrials = DEFAULT_SIMULATION_TRIALS,
+    simulationSeed = DEFAULT_SIMULATION_SEED,
+    appreciationStdDev = DEFAULT_SIMULATION_VOLATILITY.appreciation,
+    rentEscalationStdDev = DEFAULT_SIMULATION_VOLATILITY.rentEscalation,
+    vacancyStdDev = DEFAULT_SIMULATION_VOLATILITY.vacancy,
+    interestRateStdDev = DEFAULT_SIMULATION_VOLATILITY.interestRate,
+    grossMonthlyIncome,
+    netMonthlyIncome,
+    monthlyDebtRepayments = 0,
+    monthlyLivingExpenses = 0,
+    rentalIncomeShare = DEFAULT_RENTAL_INCOME_SHARE,
+    ownershipStructure = 'individual',
+    compareOwnership = true,
+    compareBondExtras = true,
+    purchaseType = 'resale',
+    developerPaysTransferCosts = false,
+    constructionMonths = DEFAULT_CONSTRUCTION_MONTHS,
+    residentialUnitsOwned = 1,
+    rentRoll = [],
+    relettingMonths = DEFAULT_RELETTING_MONTHS
+  } = parsePropertyData(propertyData);
+  
+  const taxTable = resolveTaxTable({ taxYear, transactionDate });
   
   // Calculate loan amount
   const loanAmount = purchasePrice - deposit;
   
-  // Calculate purchase costs
-  const purchaseCosts = calculateTotalPurchaseCosts(purchasePrice);
+  // Calculate purchase costs; a developer's price includes VAT instead of transfer duty
+  const purchaseCosts = calculateTotalPurchaseCosts(purchasePrice, taxTable.taxYear, loanAmount, {
+    purchaseType,
+    developerPaysTransferCosts
+  });
   const totalPurchaseCost = purchasePrice + purchaseCosts.total;
   
-  // Calculate monthly bond repayment
-  const monthlyBondRepayment = calculateMonthlyBondRepayment(loanAmount, interestRate, loanTerm);
+  // Transfer costs form part of the CGT base cost; bond registration costs do not
+  const baseCost = purchasePrice + purchaseCosts.transfer.total;
+  
+  // Cash actually put in up front: the deposit, all purchase costs and any furnishing
+  const cashInvested = deposit + purchaseCosts.total + furnishingCost;
+  
+  // An off-plan deposit is paid on signing; transfer, the bond and the rent start once the unit is built
+  const transferDelayMonths = getTransferDelayMonths(purchaseType, constructionMonths);
+  const signingDate = transactionDate ? new Date(transactionDate) : new Date();
+  const transferDate = new Date(addMonths(signingDate, transferDelayMonths));
   
-  // Calculate monthly expenses
+  // Starting rate, either fixed or prime plus the margin, and how it moves over the loan
+  const interestRate = getInitialInterestRate({ rateBasis, interestRate: fixedInterestRate, primeRate, primeMargin });
+  const interestRateByMonth = buildMonthlyRates({ initialRate: interestRate, rateChanges, termYears: loanTerm });
+  
+  // Build the bond amortization schedule, with any extra payments and access-bond withdrawals
+  const hasBondExtras = extraMonthlyPayment > 0 || annualLumpSum > 0 || bondTransactions.length > 0;
+  const amortization = generateAmortizationSchedule({
+    principal: loanAmount,
+    annualInterestRate: interestRate,
+    termYears: loanTerm,
+    monthlyRates: interestRateByMonth,
+    extraMonthlyPayment,
+    ...scheduleBondTransactions({ termYears: loanTerm, annualLumpSum, bondTransactions })
+  });
+  const monthlyBondRepayment = amortization.monthlyPayment;
+  const extraBondPayment = amortization.schedule.length > 0 ? amortization.schedule[0].extraPayment : 0;
+  
+  // Holiday lets earn from nightly bookings instead of a monthly lease
+  const shortTermRental = rentalMode === 'short-term'
+    ? calculateShortTermRentalIncome({
+      nightlyRate,
+      occupancy: occupancyBasis === 'month'
+        ? monthlyOccupancy
+        : { peak: peakOccupancy, shoulder: shoulderOccupancy, low: lowOccupancy },
+      averageStayNights,
+      cleaningCostPerStay,
+      platformFeeRate,
+      managementCommissionRate,
+      monthlyUtilities
+    })
+    : null;
+  
+  // A property let as several units takes its rent and vacancy from the rent roll
+  const rentRollSummary = usesRentRoll({ rentalMode, rentRoll }) ? summariseRentRoll(rentRoll) : null;
+  const leaseRent = rentRollSummary ? rentRollSummary.grossRent : expectedRent;
+  const leaseVacancyRate = rentRollSummary ? rentRollSummary.vacancyRate : vacancyRate;
+  
+  // Calculate effective rental income; for a holiday let, occupancy already allows for empty nights
+  const grossRent = shortTermRental ? shortTermRental.annual.grossRevenue / 12 : leaseRent;
+  const effectiveRent = shortTermRental ? grossRent : calculateEffectiveRentalIncome(leaseRent, leaseVacancyRate);
+  const effectiveVacancyRate = shortTermRental ? 100 - shortTermRental.averageOccupancy : leaseVacancyRate;
+  
+  // Recurring custom line items count towards the monthly figures; all of them go into the projection
+  const monthlyLineItems = calculateMonthlyLineItems(lineItems);
+  
+  // Calculate monthly expenses; a holiday let's own commission and utilities replace the letting agent's
   const expenses = calculateMonthlyExpenses({
     purchasePrice,
     monthlyLevies,
     monthlyRates,
-    maintenancePercentage
+    maintenancePercentage,
+    ...(shortTermRental
+      ? { shortTermRentalCosts: shortTermRental.annual.operatingCosts / 12 }
+      : {
+        monthlyRent: leaseRent,
+        collectedRent: effectiveRent,
+        managementFeeRate,
+        lettingFeeRate,
+        averageTenancyMonths,
+        landlordUtilities
+      }),
+    vatRate: taxTable.vatRate,
+    monthlyInsurance,
+    otherExpenses: monthlyLineItems.expenses
   });
   
-  // Calculate effective rental income
-  const effectiveRent = calculateEffectiveRentalIncome(expectedRent, vacancyRate);
-  
   // Calculate yields
   const yields = calculateYields({
     purchasePrice,
     totalPurchaseCost,
-    expectedRent,
+    expectedRent: grossRent,
     effectiveRent,
-    monthlyExpenses: expenses.total
+    monthlyExpenses: expenses.total,
+    otherIncome: monthlyLineItems.income
   });
   
   // Calculate cash flow
   const cashFlow = calculateCashFlow({
     effectiveRent,
     monthlyExpenses: expenses.total,
-    monthlyBondRepayment
+    monthlyBondRepayment,
+    otherIncome: monthlyLineItems.income,
+    extraBondPayment
+  });
+  
+  // Each unit's lease expiry and escalation date, counted in months from transfer
+  const scheduledUnits = rentRollSummary
+    ? scheduleRentRoll({ units: rentRoll, startDate: transferDate, relettingMonths })
+    : null;
+  
+  // Project year by year; the ROI snapshots always need at least 10 years
+  const fullProjection = generateProjection({
+    purchasePrice,
+    loanAmount,
+    expectedRent: leaseRent,
+    vacancyRate: leaseVacancyRate,
+    monthlyLevies,
+    monthlyRates,
+    monthlyMaintenance: expenses.maintenance,
+    monthlyManagementFees: expenses.managementFees,
+    monthlyLettingFees: expenses.lettingFees,
+    monthlyInsurance: expenses.insurance,
+    monthlyUtilities: expenses.utilities,
+    amortizationSchedule: amortization.schedule,
+    horizonYears: Math.max(projectionYears, saleYear, 10),
+    escalation: {
+      rent: rentEscalationRate,
+      levies: leviesEscalationRate,
+      rates: ratesEscalationRate,
+      maintenance: maintenanceEscalationRate
+    },
+    appreciationRate: annualAppreciationRate,
+    lineItems,
+    shortTermRental,
+    rentRoll: scheduledUnits
   });
   
+  // Section 13sex allowance on new units, for investors who own enough of them
+  const buildingAllowance = calculateBuildingAllowance({
+    purchasePrice,
+    propertyType,
+    purchaseType,
+    residentialUnitsOwned,
+    years: fullProjection.years.length,
+    taxYear: taxTable.taxYear
+  });
+  
+  // Calculate tax on the rental profit for each projection year, in the investor's
+  // own hands or at the flat rate of a company or trust
+  const ownedByIndividual = ownershipStructure === 'individual';
+  const calculateTaxYears = (rows) => (ownedByIndividual
+    ? calculateRentalIncomeTax({
+      projectionYears: rows,
+      otherTaxableIncome,
+      taxYear: taxTable.taxYear,
+      age: investorAge,
+      letToRelatives
+    })
+    : calculateEntityRentalTax({
+      projectionYears: rows,
+      ownershipStructure,
+      cashInvested,
+      taxYear: taxTable.taxYear
+    }));
+  const taxYears = calculateTaxYears(fullProjection.years.map((row, index) => ({
+    ...row,
+    buildingAllowance: buildingAllowance.years[index]
+  })));
+  // Tax saved by the allowance each year, against the same forecast without it
+  const taxWithoutAllowance = buildingAllowance.eligible ? calculateTaxYears(fullProjection.years) : taxYears;
+  let allowanceClaimed = 0;
+  const allowanceClaimedByYear = buildingAllowance.years.map((allowance) => {
+    allowanceClaimed += allowance;
+    return allowanceClaimed;
+  });
+  const marginalRate = ownedByIndividual
+    ? getMarginalTaxRate(otherTaxableIncome + Math.max(taxYears[0].taxableRentalIncome, 0), taxTable.taxYear)
+    : getEntityTaxRates(ownershipStructure, taxTable.taxYear).incomeTaxRate * 100;
+  
+  // Work out what selling at the end of each year would leave the investor with
+  const exitScenarios = fullProjection.years.map((row, index) => calculateExitProceeds({
+    saleYear: row.year,
+    salePrice: row.propertyValue,
+    loanBalance: row.loanBalance,
+    baseCost,
+    agentCommissionRate,
+    bondCancellationFee,
+    otherTaxableIncome: otherTaxableIncome + Math.max(taxYears[index].taxableRentalIncome, 0),
+    taxYear: taxTable.taxYear,
+    age: investorAge,
+    ownershipStructure,
+    assessedLoss: taxYears[index].assessedLossCarriedForward,
+    investorLoanBalance: taxYears[index].investorLoanBalance,
+    allowanceClaimed: allowanceClaimedByYear[index]
+  }));
+  const exit = exitScenarios[saleYear - 1];
+  
+  const projection = {
+    ...fullProjection,
+    horizonYears: projectionYears,
+    transferDelayMonths,
+    years: fullProjection.years.slice(0, projectionYears).map((row, index) => ({
+      ...row,
+      netSaleProceeds: exitScenarios[index].proceedsBeforeTax,
+      netReturnIfSold: row.cumulativeCashFlow + exitScenarios[index].proceedsBeforeTax - cashInvested,
+      buildingAllowance: buildingAllowance.years[index],
+      allowanceTaxSaving: taxWithoutAllowance[index].tax - taxYears[index].tax
+    }))
+  };
+  
   // Calculate ROI projections
   const roi = calculateROI({
-    deposit,
-    totalPurchaseCost,
-    annualCashFlow: cashFlow.annual,
-    monthlyBondRepayment,
-    loanTermYears: loanTerm
+    initialInvestment: cashInvested,
+    projectionYears: fullProjection.years,
+    exitScenarios
   });
   
+  // Calculate IRR, NPV and cash multiples for a sale in the chosen year,
+  // before tax and after income tax and capital gains tax
+  const returns = calculateInvestmentReturns({
+    cashInvested,
+    projectionYears: fullProjection.years,
+    saleYear,
+    netSaleProceeds: exit.proceedsBeforeTax,
+    discountRate,
+    transferDelayYears: transferDelayMonths / 12,
+    paidAtSigning: deposit
+  });
+  const afterTaxReturns = calculateInvestmentReturns({
+    cashInvested,
+    projectionYears: taxYears.map((row) => ({ year: row.year, cashFlow: row.afterTaxCashFlow })),
+    saleYear,
+    netSaleProceeds: exit.netProceeds,
+    discountRate,
+    transferDelayYears: transferDelayMonths / 12,
+    paidAtSigning: deposit
+  });
+  
+  // What an instant rate rise would do to the monthly cash flow
+  const rateShocks = calculateRateShocks({
+    loanAmount,
+    interestRate,
+    termYears: loanTerm,
+    monthlyCashFlow: cashFlow.monthly
+  });
+  
+  // Whether the buyer would qualify for the bond, when their income is given
+  const affordability = grossMonthlyIncome !== undefined
+    ? assessAffordability({
+      grossMonthlyIncome,
+      netMonthlyIncome,
+      monthlyDebtRepayments,
+      monthlyLivingExpenses,
+      expectedRent: grossRent,
+      rentalIncomeShare,
+      loanAmount,
+      monthlyInstalment: monthlyBondRepayment,
+      interestRate: interestRateByMonth[0],
+      termYears: loanTerm
+    })
+    : null;
+  
   // Calculate breakeven point
-  const breakeven = calculateBreakeven(deposit + purchaseCosts.total, cashFlow.monthly);
+  const breakeven = calculateBreakeven(cashInvested, cashFlow.monthly + extraBondPayment, amortization);
   
-  // Return complete forecast
-  return {
+  // Compare against paying only the minimum instalment
+  const bondExtras = hasBondExtras && compareBondExtras
+    ? compareWithMinimumInstalment({
+      amortization,
+      cashFlow,
+      returns,
+      afterTaxReturns,
+      startDate: transferDate,
+      withoutExtras: generatePropertyForecast({
+        ...propertyData,
+        extraMonthlyPayment: 0,
+        annualLumpSum: 0,
+        bondTransactions: [],
+        runSimulation: false,
+        compareOwnership: false
+      })
+    })
+    : null;
+  
+  // Spread of outcomes when appreciation, rent growth, vacancy and rates vary, run once the rest is worked out
+  const simulationSettings = runSimulation
+    ? {
+      propertyData,
+      means: { annualAppreciationRate, rentEscalationRate, vacancyRate: leaseVacancyRate },
+      rateChanges,
+      volatility: {
+        appreciation: appreciationStdDev,
+        rentEscalation: rentEscalationStdDev,
+        vacancy: vacancyStdDev,
+        interestRate: interestRateStdDev
+      },
+      trials: simulationTrials,
+      seed: simulationSeed,
+      years: projectionYears,
+      // Each unit of a rent roll keeps its own vacancy rate
+      varyVacancy: rentalMode !== 'short-term' && !rentRollSummary
+    }
+    : null;
+  
+  // The same forecast with the property held in each way
+  const ownershipComparison = compareOwnership
+    ? compareOwnershipStructures({
+      propertyData,
+      ownershipStructure,
+      current: { firstTaxYear: taxYears[0], exit, afterTaxReturns }
+    })
+    : null;
+  
+  const forecast = {
     propertyDetails: {
       propertyType,
       location,
-      bedrooms,
-      bathrooms,
+      bedrooms: rentRollSummary ? rentRollSummary.bedrooms : bedrooms,
+      bathrooms: rentRollSummary ? rentRollSummary.bathrooms : bathrooms,
+      floorSize: floorSize || null,
       purchasePrice,
-      totalPurchaseCost
+      totalPurchaseCost,
+      purchaseType,
+      transferDelayMonths,
+      transferDate: transferDate.toISOString().slice(0, 10)
     },
     financingDetails: {
       deposit,
       loanAmount,
       interestRate,
       loanTerm,
-      monthlyBondRepayment
+      monthlyBondRepayment,
+      extraBondPayment,
+      rateBasis,
+      primeRate: rateBasis === 'prime' ? primeRate : null,
+      primeMargin: rateBasis === 'prime' ? primeMargin : null,
+      // The rate in force at the start of each loan year, when the rate moves
+      ratePath: rateChanges.length > 0
+        ? Array.from({ length: loanTerm }, (_, index) => ({ year: index + 1, rate: interestRateByMonth[index * 12] }))
+        : null
+    },
+    rateShocks,
+    affordability,
+    amortization: {
+      schedule: amortization.schedule,
+      yearly: summariseScheduleByYear(amortization.schedule),
+      totalInterest: amortization.totalInterest,
+      totalExtraPayments: amortization.totalExtraPayments,
+      totalWithdrawals: amortization.totalWithdrawals,
+      totalPaid: amortization.totalPaid
     },
+    bondExtras,
+    simulation: null,
     purchaseCosts,
     rentalDetails: {
-      expectedRent,
-      vacancyRate,
-      effectiveRent
+      mode: rentalMode,
+      expectedRent: grossRent,
+      vacancyRate: effectiveVacancyRate,
+      effectiveRent,
+      otherIncome: monthlyLineItems.income,
+      shortTermRental,
+      furnishingCost,
+      unitCount: rentRollSummary ? rentRollSummary.unitCount : null
     },
     expenses,
+    lineItems: lineItems.map((item, index) => ({
+      ...item,
+      monthlyAmount: monthlyLineItems.items[index].amount,
+      projectedTotal: projection.years.reduce((total, row) => total + row.lineItems[index].amount, 0)
+    })),
+    rentRoll: scheduledUnits
+      ? {
+        ...rentRollSummary,
+        relettingMonths,
+        units: scheduledUnits.map((unit, index) => ({
+          ...unit,
+          effectiveRent: calculateEffectiveRentalIncome(unit.rent, unit.vacancyRate),
+          // Projection year in which the unit first stands empty while it is re-let
+          relettingYear: unit.leaseEndMonth !== null && relettingMonths > 0 ? Math.ceil((unit.leaseEndMonth + 1) / 12) : null,
+          projectedIncome: projection.years.reduce((total, row) => total + row.units[index].rentalIncome, 0)
+        }))
+      }
+      : null,
     yields,
     cashFlow,
+    projection,
     roi,
+    returns,
+    exit,
+    ownershipComparison,
+    buildingAllowance: {
+      ...buildingAllowance,
+      years: buildingAllowance.years.slice(0, projectionYears),
+      claimedBySale: allowanceClaimedByYear[saleYear - 1],
+      recouped: exit.allowanceRecouped,
+      recoupmentTax: exit.recoupmentTax
+    },
+    tax: {
+      taxYear: taxTable.taxYear,
+      ownershipStructure,
+      otherTaxableIncome,
+      marginalRate,
+      years: taxYears.slice(0, projectionYears),
+      annualTax: taxYears[0].tax,
+      afterTaxCashFlow: {
+        monthly: taxYears[0].afterTaxCashFlow / 12,
+        annual: taxYears[0].afterTaxCashFlow
+      },
+      afterTaxReturns
+    },
     breakeven,
+    taxTableVersion: {
+      taxYear: taxTable.taxYear,
+      effectiveFrom: taxTable.effectiveFrom
+    },
+    engineVersion: FORECAST_ENGINE_VERSION,
+    // The assumptions behind the forecast, with defaults filled in
+    assumptions: {
+      interestRate,
+      loanTerm,
+      vacancyRate: effectiveVacancyRate,
+      maintenancePercentage,
+      projectionYears,
+      annualAppreciationRate,
+      escalation: projection.escalation,
+      discountRate,
+      saleYear,
+      agentCommissionRate,
+      bondCancellationFee,
+      taxYear: taxTable.taxYear,
+      otherTaxableIncome,
+      investorAge,
+      letToRelatives,
+      ownershipStructure,
+      purchaseType,
+      developerPaysTransferCosts,
+      constructionMonths: transferDelayMonths,
+      residentialUnitsOwned,
+      relettingMonths: rentRollSummary ? relettingMonths : null,
+      rentalMode,
+      furnishingCost,
+      managementFeeRate: shortTermRental ? 0 : managementFeeRate,
+      lettingFeeRate: shortTermRental ? 0 : lettingFeeRate,
+      averageTenancyMonths,
+      extraMonthlyPayment,
+      annualLumpSum,
+      bondTransactions,
+      rateBasis,
+      primeRate,
+      primeMargin,
+      rateChanges,
+      runSimulation
+    },
     investmentSummary: generateInvestmentSummary({
       cashFlow,
       yields,
@@ -400,6 +1132,58 @@ export const generatePropertyForecast = (propertyData) => {
       breakeven
     })
   };
+  
+  return { forecast, simulationSettings };
+};
+
+/**
+ * Generate the complete property investment forecast.
+ * @param {object} propertyData - All property and investment parameters.
+ * @returns {object} - Complete investment forecast.
+ * @throws {ValidationError} - When the parameters fail validation.
+ */
+export const generatePropertyForecast = (propertyData) => {
+  const { forecast, simulationSettings } = buildForecast(propertyData);
+  return simulationSettings ? { ...forecast, simulation: simulateForecast(simulationSettings) } : forecast;
+};
+
+/**
+ * Check whether a saved forecast could come out differently if it were
+ * generated again now, because the calculations have changed since or its
+ * inputs now resolve to different tax tables.
+ * @param {object} forecast - A forecast from generatePropertyForecast.
+ * @param {object} propertyData - The validated inputs it was generated from.
+ * @returns {boolean} - True when the forecast may be out of date.
+ */
+export const isForecastOutdated = (forecast, propertyData) => {
+  const taxTable = resolveTaxTable(propertyData);
+
+  return forecast.engineVersion !== FORECAST_ENGINE_VERSION ||
+    forecast.taxTableVersion.taxYear !== taxTable.taxYear ||
+    forecast.taxTableVersion.effectiveFrom !== taxTable.effectiveFrom;
+};
+
+/**
+ * Generate the forecast without waiting for its simulation, which can take
+ * seconds. The simulation's trials then run in chunks, pausing between them
+ * so the page stays responsive and can report progress.
+ * @param {object} propertyData - All property and investment parameters.
+ * @param {object} [options] - Options object.
+ * @param {Function} [options.onProgress] - Called with the trials run so far and the total, first straight away with none run.
+ * @param {AbortSignal} [options.signal] - Stops the simulation when aborted.
+ * @returns {object} - The forecast with no simulation yet, and a promise of the simulation that resolves to
+ * null when none was asked for and rejects with an AbortError when stopped.
+ * @throws {ValidationError} - When the parameters fail validation.
+ */
+export const generatePropertyForecastInStages = (propertyData, { onProgress, signal } = {}) => {
+  const { forecast, simulationSettings } = buildForecast(propertyData);
+
+  return {
+    forecast,
+    simulation: simulationSettings
+      ? simulateForecastInChunks(simulationSettings, { onProgress, signal })
+      : Promise.resolve(null)
+  };
 };
 
 /**
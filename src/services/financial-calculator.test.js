@@ -0,0 +1,415 @@
+import {
+  FORECAST_ENGINE_VERSION,
+  calculateMonthlyExpenses,
+  generatePropertyForecast,
+  generatePropertyForecastInStages,
+  isForecastOutdated
+} from './financial-calculator';
+import { sandtonApartment as propertyData } from './__fixtures__/property-data';
+
+describe('calculateMonthlyExpenses', () => {
+  test('charges the agent\'s fees plus VAT on rent and spreads the letting fee over the tenancy', () => {
+    const expenses = calculateMonthlyExpenses({
+      purchasePrice: 1200000,
+      monthlyLevies: 0,
+      monthlyRates: 800,
+      maintenancePercentage: 1,
+      monthlyRent: 10000,
+      collectedRent: 9500,
+      managementFeeRate: 8,
+      lettingFeeRate: 50,
+      averageTenancyMonths: 24,
+      vatRate: 15,
+      monthlyInsurance: 450,
+      landlordUtilities: 300
+    });
+
+    expect(expenses.managementFees).toBeCloseTo(9500 * 0.08 * 1.15, 6);
+    expect(expenses.lettingFees).toBeCloseTo(10000 * 0.5 * 1.15 / 24, 6);
+    expect(expenses.insurance).toBe(450);
+    expect(expenses.utilities).toBe(300);
+    expect(expenses.total).toBeCloseTo(
+      800 + 1000 + expenses.managementFees + expenses.lettingFees + 450 + 300,
+      6
+    );
+  });
+
+  test('leaves out the optional categories by default', () => {
+    const expenses = calculateMonthlyExpenses({
+      purchasePrice: 1200000,
+      monthlyLevies: 1500,
+      monthlyRates: 800,
+      maintenancePercentage: 1
+    });
+
+    expect(expenses.total).toBeCloseTo(3300, 6);
+  });
+});
+
+describe('generatePropertyForecast', () => {
+  test('measures returns against the deposit plus purchase costs', () => {
+    const forecast = generatePropertyForecast(propertyData);
+    const cashInvested = propertyData.deposit + forecast.purchaseCosts.total;
+
+    expect(forecast.returns.cashInvested).toBeCloseTo(cashInvested, 6);
+    expect(forecast.roi.tenYear.roi).toBeCloseTo(forecast.roi.tenYear.totalReturn / cashInvested * 100, 6);
+  });
+
+  test('projects over the chosen horizon and sells at the end of it by default', () => {
+    const forecast = generatePropertyForecast({ ...propertyData, projectionYears: 15 });
+    const lastYear = forecast.projection.years[14];
+
+    expect(forecast.projection.years).toHaveLength(15);
+    expect(forecast.returns.saleYear).toBe(15);
+    expect(forecast.exit.salePrice).toBeCloseTo(lastYear.propertyValue, 6);
+    expect(forecast.exit.loanBalance).toBeCloseTo(lastYear.loanBalance, 6);
+    expect(forecast.returns.netSaleProceeds).toBeCloseTo(forecast.exit.proceedsBeforeTax, 6);
+    expect(forecast.returns.irr).not.toBeNull();
+  });
+
+  test('bases returns on the net proceeds of a sale in the chosen year', () => {
+    const forecast = generatePropertyForecast({ ...propertyData, saleYear: 7, otherTaxableIncome: 600000 });
+    const saleYear = forecast.projection.years[6];
+
+    expect(forecast.exit.saleYear).toBe(7);
+    expect(forecast.exit.proceedsBeforeTax).toBeLessThan(saleYear.propertyValue - saleYear.loanBalance);
+    expect(forecast.tax.afterTaxReturns.netSaleProceeds).toBeCloseTo(forecast.exit.netProceeds, 6);
+    expect(forecast.roi.tenYear.totalReturn).toBeCloseTo(
+      forecast.projection.years[9].netReturnIfSold,
+      6
+    );
+  });
+
+  test('switches to nightly bookings in short-term rental mode', () => {
+    const forecast = generatePropertyForecast({
+      ...propertyData,
+      expectedRent: '',
+      vacancyRate: '',
+      rentalMode: 'short-term',
+      nightlyRate: 1100,
+      occupancyBasis: 'month',
+      monthlyOccupancy: [85, 85, 65, 65, 40, 40, 40, 40, 40, 65, 65, 85],
+      cleaningCostPerStay: 350,
+      monthlyUtilities: 1500,
+      furnishingCost: 60000
+    });
+    const { shortTermRental } = forecast.rentalDetails;
+
+    expect(forecast.rentalDetails.mode).toBe('short-term');
+    expect(shortTermRental.months[0].occupancy).toBe(85);
+    expect(forecast.rentalDetails.effectiveRent).toBeCloseTo(shortTermRental.annual.grossRevenue / 12, 6);
+    expect(forecast.rentalDetails.vacancyRate).toBeCloseTo(100 - shortTermRental.averageOccupancy, 6);
+    expect(forecast.expenses.shortTermRentalCosts).toBeCloseTo(shortTermRental.annual.operatingCosts / 12, 6);
+    expect(forecast.projection.years[0].shortTermRentalCosts).toBeCloseTo(shortTermRental.annual.operatingCosts, 6);
+    // Furnishing is cash the investor puts in, but not part of the property's cost
+    expect(forecast.returns.cashInvested).toBeCloseTo(200000 + forecast.purchaseCosts.total + 60000, 6);
+    expect(forecast.propertyDetails.totalPurchaseCost).toBeCloseTo(1200000 + forecast.purchaseCosts.total, 6);
+  });
+
+  test('requires a nightly rate in short-term rental mode', () => {
+    expect(() => generatePropertyForecast({ ...propertyData, rentalMode: 'short-term' })).toThrow('nightlyRate');
+  });
+
+  test('includes the agent, letting, insurance and utility costs in cash flow, yields and the projection', () => {
+    const base = generatePropertyForecast(propertyData);
+    const forecast = generatePropertyForecast({
+      ...propertyData,
+      managementFeeRate: 10,
+      lettingFeeRate: 100,
+      averageTenancyMonths: 12,
+      monthlyInsurance: 400,
+      landlordUtilities: 250
+    });
+    const added = forecast.expenses.managementFees + forecast.expenses.lettingFees + 400 + 250;
+
+    expect(forecast.expenses.managementFees).toBeCloseTo(forecast.rentalDetails.effectiveRent * 0.1 * 1.15, 6);
+    expect(forecast.expenses.lettingFees).toBeCloseTo(9000 * 1.15 / 12, 6);
+    expect(forecast.expenses.total).toBeCloseTo(base.expenses.total + added, 6);
+    expect(forecast.cashFlow.monthly).toBeCloseTo(base.cashFlow.monthly - added, 6);
+    expect(forecast.yields.netYieldOnPrice).toBeCloseTo(base.yields.netYieldOnPrice - added * 12 / 1200000 * 100, 6);
+    expect(forecast.projection.years[0].expenses).toBeCloseTo(base.projection.years[0].expenses + added * 12, 6);
+  });
+
+  test('folds custom line items into cash flow, yields and the projection', () => {
+    const base = generatePropertyForecast(propertyData);
+    const lineItems = [
+      { name: 'Parking bay', kind: 'income', amount: 500, frequency: 'monthly', escalationRate: 6 },
+      { name: 'Garden service', kind: 'expense', amount: 300, frequency: 'monthly', escalationRate: 6 },
+      { name: 'Geyser replacement', kind: 'expense', amount: 12000, frequency: 'once-off', startYear: 3 }
+    ];
+    const forecast = generatePropertyForecast({ ...propertyData, lineItems });
+
+    expect(forecast.cashFlow.monthly).toBeCloseTo(base.cashFlow.monthly + 200, 6);
+    expect(forecast.expenses.otherExpenses).toBeCloseTo(300, 6);
+    expect(forecast.yields.grossYieldOnPrice).toBeCloseTo((9500 * 12) / 1200000 * 100, 6);
+    expect(forecast.projection.years[2].cashFlow).toBeCloseTo(
+      base.projection.years[2].cashFlow + 200 * 12 * 1.06 * 1.06 - 12000,
+      6
+    );
+    expect(forecast.lineItems[2].monthlyAmount).toBe(0);
+    expect(forecast.lineItems[2].projectedTotal).toBe(12000);
+  });
+
+  test('compares extra bond payments with paying only the minimum instalment', () => {
+    const base = generatePropertyForecast({ ...propertyData, transactionDate: '2025-03-01' });
+    const forecast = generatePropertyForecast({
+      ...propertyData,
+      extraMonthlyPayment: 1500,
+      annualLumpSum: 20000,
+      transactionDate: '2025-03-01'
+    });
+    const { bondExtras } = forecast;
+
+    expect(base.bondExtras).toBeNull();
+    expect(bondExtras.interestSaved).toBeCloseTo(base.amortization.totalInterest - forecast.amortization.totalInterest, 6);
+    expect(bondExtras.interestSaved).toBeGreaterThan(0);
+    expect(bondExtras.baselinePayoffMonth).toBe(240);
+    expect(bondExtras.monthsSaved).toBe(240 - forecast.amortization.schedule.length);
+    expect(bondExtras.baselinePayoffDate).toBe('2045-03-01');
+    expect(bondExtras.monthlyCashFlowChange).toBeCloseTo(-1500, 6);
+    expect(bondExtras.baselineIrr).toBeCloseTo(base.returns.irr, 6);
+    expect(bondExtras.balances).toHaveLength(20);
+    expect(forecast.projection.years[0].cashFlow).toBeCloseTo(base.projection.years[0].cashFlow - 1500 * 12 - 20000, 4);
+  });
+
+  test('leaves the bond extras comparison out of forecasts that do not read it', () => {
+    const data = { ...propertyData, extraMonthlyPayment: 1500, transactionDate: '2025-03-01' };
+    const forecast = generatePropertyForecast(data);
+    const withoutComparison = generatePropertyForecast({ ...data, compareBondExtras: false });
+
+    expect(withoutComparison.bondExtras).toBeNull();
+    expect(withoutComparison.returns.irr).toBeCloseTo(forecast.returns.irr, 10);
+
+    // The simulation runs once, for the forecast itself, and the comparison is unchanged
+    const simulated = generatePropertyForecast({ ...data, runSimulation: true, simulationTrials: 100 });
+    expect(simulated.simulation.trials).toBe(100);
+    expect(simulated.bondExtras.baselineIrr).toBeCloseTo(forecast.bondExtras.baselineIrr, 10);
+  });
+
+  test('prices a prime-linked bond along its rate path', () => {
+    const fixed = generatePropertyForecast({ ...propertyData, interestRate: 11.25, transactionDate: '2025-03-01' });
+    const prime = generatePropertyForecast({
+      ...propertyData,
+      interestRate: '',
+      rateBasis: 'prime',
+      primeRate: 10.5,
+      primeMargin: 0.75,
+      transactionDate: '2025-03-01'
+    });
+    const hiked = generatePropertyForecast({
+      ...propertyData,
+      rateBasis: 'prime',
+      primeRate: 10.5,
+      primeMargin: 0.75,
+      rateChanges: [{ year: 2, change: 2 }],
+      transactionDate: '2025-03-01'
+    });
+
+    expect(prime.financingDetails.interestRate).toBe(11.25);
+    expect(prime.financingDetails.monthlyBondRepayment).toBeCloseTo(fixed.financingDetails.monthlyBondRepayment, 6);
+    expect(prime.financingDetails.ratePath).toBeNull();
+    expect(hiked.financingDetails.ratePath[1]).toEqual({ year: 2, rate: 13.25 });
+    expect(hiked.projection.years[0].bondPayment).toBeCloseTo(prime.projection.years[0].bondPayment, 6);
+    expect(hiked.projection.years[1].bondPayment).toBeGreaterThan(prime.projection.years[1].bondPayment);
+    expect(hiked.projection.years[1].cashFlow).toBeLessThan(prime.projection.years[1].cashFlow);
+  });
+
+  test('shows how far monthly cash flow falls under each rate shock', () => {
+    const { rateShocks, cashFlow } = generatePropertyForecast(propertyData);
+
+    expect(rateShocks.map(({ rate }) => rate)).toEqual([11.75, 12.75, 13.75]);
+    rateShocks.forEach(({ cashFlowChange, monthlyCashFlow }) => {
+      expect(cashFlowChange).toBeLessThan(0);
+      expect(monthlyCashFlow).toBeCloseTo(cashFlow.monthly + cashFlowChange, 6);
+    });
+  });
+
+  test('simulates a reproducible spread of outcomes when asked', () => {
+    const settings = { ...propertyData, runSimulation: true, simulationTrials: 200, simulationSeed: 7, transactionDate: '2025-03-01' };
+    const forecast = generatePropertyForecast(settings);
+    const { simulation } = forecast;
+
+    expect(generatePropertyForecast(propertyData).simulation).toBeNull();
+    expect(generatePropertyForecast(settings).simulation).toEqual(simulation);
+    expect(simulation.trials).toBe(200);
+    expect(simulation.cumulativeReturn).toHaveLength(forecast.projection.horizonYears);
+    simulation.cumulativeReturn.forEach(({ p10, p50, p90 }) => {
+      expect(p10).toBeLessThanOrEqual(p50);
+      expect(p50).toBeLessThanOrEqual(p90);
+    });
+    expect(simulation.irr.p10).toBeLessThan(forecast.returns.irr);
+    expect(simulation.irr.p90).toBeGreaterThan(forecast.returns.irr);
+    expect(simulation.irr.histogram.reduce((total, bin) => total + bin.count, 0)).toBe(200 - simulation.irr.unavailableTrials);
+    expect(simulation.probabilityOfNegativeCashFlow).toBeGreaterThanOrEqual(0);
+    expect(simulation.probabilityOfNegativeCashFlow).toBeLessThanOrEqual(100);
+  });
+
+  test('matches the single forecast when nothing varies', () => {
+    const forecast = generatePropertyForecast({
+      ...propertyData,
+      runSimulation: true,
+      simulationTrials: 100,
+      appreciationStdDev: 0,
+      rentEscalationStdDev: 0,
+      vacancyStdDev: 0,
+      interestRateStdDev: 0,
+      transactionDate: '2025-03-01'
+    });
+    const last = forecast.projection.years[forecast.projection.years.length - 1];
+
+    expect(forecast.simulation.cumulativeReturn[last.year - 1].p10).toBeCloseTo(last.netReturnIfSold, 4);
+    expect(forecast.simulation.irr.p50).toBeCloseTo(forecast.returns.irr, 6);
+    expect(forecast.simulation.probabilityOfNegativeCashFlow).toBe(forecast.projection.years.some((row) => row.cashFlow < 0) ? 100 : 0);
+  });
+
+  test('returns the forecast first and runs the simulation in chunks', async () => {
+    const settings = { ...propertyData, runSimulation: true, simulationTrials: 120, simulationSeed: 7, transactionDate: '2025-03-01' };
+    const onProgress = jest.fn();
+    const staged = generatePropertyForecastInStages(settings, { onProgress });
+
+    expect(staged.forecast.simulation).toBeNull();
+    expect(onProgress.mock.calls).toEqual([[0, 120]]);
+
+    const { simulation, ...forecast } = generatePropertyForecast(settings);
+    expect(staged.forecast).toEqual({ ...forecast, simulation: null });
+    await expect(staged.simulation).resolves.toEqual(simulation);
+    expect(onProgress.mock.calls).toEqual([[0, 120], [50, 120], [100, 120], [120, 120]]);
+
+    await expect(generatePropertyForecastInStages(propertyData).simulation).resolves.toBeNull();
+  });
+
+  test('flags a saved forecast as out of date when the calculations or its tax tables change', () => {
+    const data = { ...propertyData, transactionDate: '2025-03-31' };
+    const forecast = generatePropertyForecast(data);
+
+    expect(forecast.engineVersion).toBe(FORECAST_ENGINE_VERSION);
+    expect(isForecastOutdated(forecast, data)).toBe(false);
+    expect(isForecastOutdated(forecast, { ...data, transactionDate: '2025-04-01' })).toBe(true);
+    expect(isForecastOutdated({ ...forecast, engineVersion: FORECAST_ENGINE_VERSION - 1 }, data)).toBe(true);
+  });
+
+  test('stops a staged simulation when it is cancelled', async () => {
+    const controller = new AbortController();
+    const staged = generatePropertyForecastInStages(
+      { ...propertyData, runSimulation: true, simulationTrials: 1000 },
+      { signal: controller.signal, onProgress: () => controller.abort() }
+    );
+
+    await expect(staged.simulation).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('checks the bond against the buyer\'s income when it is given', () => {
+    const forecast = generatePropertyForecast({
+      ...propertyData,
+      grossMonthlyIncome: 60000,
+      netMonthlyIncome: 42000,
+      monthlyDebtRepayments: 3000,
+      monthlyLivingExpenses: 12000,
+      rentalIncomeShare: 60
+    });
+    const { affordability } = forecast;
+
+    expect(generatePropertyForecast(propertyData).affordability).toBeNull();
+    expect(affordability.loanAmount).toBe(1000000);
+    expect(affordability.monthlyInstalment).toBeCloseTo(forecast.financingDetails.monthlyBondRepayment, 6);
+    expect(affordability.countedRent).toBeCloseTo(5400, 6);
+    expect(affordability.passes).toBe(true);
+    expect(affordability.maximumBond).toBeGreaterThan(1000000);
+  });
+
+  test('compares holding the property in each ownership structure', () => {
+    const data = { ...propertyData, transactionDate: '2025-03-01', otherTaxableIncome: 600000 };
+    const individual = generatePropertyForecast(data);
+    const company = generatePropertyForecast({ ...data, ownershipStructure: 'company' });
+
+    expect(individual.ownershipComparison.map((column) => column.ownershipStructure)).toEqual(['individual', 'company', 'trust']);
+    expect(individual.ownershipComparison[0].selected).toBe(true);
+    expect(company.ownershipComparison[1].selected).toBe(true);
+
+    // Each column matches the forecast run under that structure
+    expect(individual.ownershipComparison[1].exitProceeds).toBeCloseTo(company.exit.netProceeds, 6);
+    expect(individual.ownershipComparison[1].irr).toBeCloseTo(company.tax.afterTaxReturns.irr, 6);
+    expect(company.ownershipComparison[0].afterTaxCashFlow.annual).toBeCloseTo(individual.tax.afterTaxCashFlow.annual, 6);
+
+    // A company pays a flat 27% with 80% of the gain included, plus dividends tax on the way out
+    expect(company.tax.marginalRate).toBeCloseTo(27, 6);
+    expect(company.exit.inclusionRate).toBe(80);
+    expect(company.exit.dividendsTax).toBeGreaterThan(0);
+    expect(company.exit.netProceeds).toBeLessThan(individual.exit.netProceeds);
+  });
+
+  test('uses the tax tables in force on the transaction date', () => {
+    const data = { ...propertyData, purchasePrice: 1500000 };
+
+    expect(generatePropertyForecast({ ...data, transactionDate: '2025-03-31' }).purchaseCosts.transfer.transferDuty).toBe(12000);
+    expect(generatePropertyForecast({ ...data, transactionDate: '2025-04-01' }).purchaseCosts.transfer.transferDuty).toBe(8700);
+  });
+
+  test('starts an off-plan purchase at transfer, after the construction period', () => {
+    const data = { ...propertyData, transactionDate: '2025-03-01' };
+    const resale = generatePropertyForecast(data);
+    const offPlan = generatePropertyForecast({ ...data, purchaseType: 'off-plan', constructionMonths: 18 });
+
+    expect(offPlan.propertyDetails.transferDate).toBe('2026-09-01');
+    expect(offPlan.projection.transferDelayMonths).toBe(18);
+    expect(offPlan.purchaseCosts.transfer.transferDuty).toBe(0);
+
+    // Only the deposit goes in on signing; the costs and every later cash flow wait for transfer
+    expect(offPlan.returns.cashFlows[0]).toEqual({ year: 0, amount: -200000 });
+    expect(offPlan.returns.cashFlows[1].year).toBe(1.5);
+    expect(offPlan.returns.cashFlows[2].year).toBe(2.5);
+
+    // The projection itself is the same apart from the lower purchase costs
+    expect(offPlan.projection.years[0].cashFlow).toBeCloseTo(resale.projection.years[0].cashFlow, 6);
+    expect(offPlan.returns.irr).not.toBeCloseTo(resale.returns.irr, 2);
+  });
+
+  test('claims the section 13sex allowance on a qualifying unit and recoups it on sale', () => {
+    const data = { ...propertyData, transactionDate: '2025-03-01', purchaseType: 'new-development', otherTaxableIncome: 600000 };
+    const single = generatePropertyForecast(data);
+    const portfolio = generatePropertyForecast({ ...data, residentialUnitsOwned: 5 });
+
+    expect(single.buildingAllowance.eligible).toBe(false);
+    expect(single.projection.years[0].allowanceTaxSaving).toBe(0);
+
+    const [firstYear] = portfolio.projection.years;
+    expect(firstYear.buildingAllowance).toBeCloseTo(1200000 * 0.55 * 0.05, 6);
+    expect(portfolio.tax.years[0].deductions.buildingAllowance).toBeCloseTo(firstYear.buildingAllowance, 6);
+    expect(firstYear.allowanceTaxSaving).toBeCloseTo(single.tax.years[0].tax - portfolio.tax.years[0].tax, 6);
+    expect(firstYear.allowanceTaxSaving).toBeGreaterThan(0);
+
+    // Everything claimed up to the sale is recouped and taxed as income
+    expect(portfolio.exit.allowanceRecouped).toBeCloseTo(firstYear.buildingAllowance * portfolio.exit.saleYear, 4);
+    expect(portfolio.exit.recoupmentTax).toBeGreaterThan(0);
+    expect(portfolio.tax.afterTaxReturns.irr).toBeGreaterThan(single.tax.afterTaxReturns.irr);
+  });
+
+  test('rolls a main house and garden cottage up from the rent roll', () => {
+    const rentRoll = [
+      { name: 'Main house', unitType: 'house', bedrooms: 3, bathrooms: 2, rent: 7000, vacancyRate: 4 },
+      { name: 'Cottage', unitType: 'cottage', bedrooms: 1, bathrooms: 1, rent: 2000, vacancyRate: 12, leaseExpiry: '2026-02-28' }
+    ];
+    const data = { ...propertyData, transactionDate: '2025-03-01' };
+    const single = generatePropertyForecast({ ...data, vacancyRate: 100 - (7000 * 96 + 2000 * 88) / 9000 });
+    const forecast = generatePropertyForecast({ ...data, expectedRent: '', vacancyRate: '', bedrooms: '', bathrooms: '', rentRoll });
+
+    expect(forecast.rentalDetails.expectedRent).toBe(9000);
+    expect(forecast.rentalDetails.effectiveRent).toBeCloseTo(6720 + 1760, 6);
+    expect(forecast.rentalDetails.unitCount).toBe(2);
+    expect(forecast.propertyDetails.bedrooms).toBe(4);
+    expect(forecast.yields.grossYieldOnPrice).toBeCloseTo(single.yields.grossYieldOnPrice, 6);
+    expect(forecast.cashFlow.monthly).toBeCloseTo(single.cashFlow.monthly, 6);
+
+    // The cottage stands empty for a month in year 2 once its lease runs out
+    const [house, cottage] = forecast.rentRoll.units;
+    expect(house.relettingYear).toBeNull();
+    expect(cottage.leaseEndMonth).toBe(12);
+    expect(cottage.relettingYear).toBe(2);
+    expect(forecast.projection.years[0].rentalIncome).toBeCloseTo(single.projection.years[0].rentalIncome, 6);
+    expect(forecast.projection.years[1].units[1].rentalIncome).toBeCloseTo(2000 * 1.06 * 0.88 * 11, 6);
+    expect(cottage.projectedIncome).toBeCloseTo(
+      forecast.projection.years.reduce((total, row) => total + row.units[1].rentalIncome, 0),
+      6
+    );
+  });
+});
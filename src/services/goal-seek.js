@@ -0,0 +1,115 @@
+/**
+ * PropForecast Goal Seek
+ *
+ * Runs the forecast backwards: finds the purchase price, rent or deposit at
+ * which a metric hits a target, such as the highest price that still gives a
+ * 7% net yield or the rent at which monthly cash flow breaks even. Each
+ * question is answered by bisection over generatePropertyForecast, so the
+ * metric must move in one direction as the input rises.
+ */
+
+import { SENSITIVITY_METRICS, evaluateMetric } from './sensitivity';
+import { usesRentRoll } from './rent-roll';
+
+const isShortTerm = (data) => data.rentalMode === 'short-term';
+
+/**
+ * Inputs that can be solved for. `field` picks the property to change (null
+ * when there is no single figure to change) and `bounds` the range to search,
+ * which must keep the inputs valid.
+ */
+export const GOAL_SEEK_VARIABLES = [
+  {
+    key: 'purchasePrice',
+    label: 'Purchase Price',
+    field: () => 'purchasePrice',
+    // A purchase price must be at least R1, even with no deposit
+    bounds: (data) => [Math.max(Number(data.deposit) || 0, 1), Number(data.purchasePrice) * 10]
+  },
+  {
+    key: 'rent',
+    label: 'Rent',
+    // A rent roll has a rent per unit rather than one figure to solve for
+    field: (data) => (isShortTerm(data) ? 'nightlyRate' : usesRentRoll(data) ? null : 'expectedRent'),
+    // A nightly rate must be at least R1
+    bounds: (data) => (isShortTerm(data)
+      ? [1, Math.max(Number(data.nightlyRate) * 10, 10000)]
+      : [0, Math.max(Number(data.expectedRent) * 10, 100000)])
+  },
+  {
+    key: 'deposit',
+    label: 'Deposit',
+    field: () => 'deposit',
+    bounds: (data) => [0, Number(data.purchasePrice)]
+  }
+];
+
+// Ready-made questions for the "Solve for…" panel
+export const GOAL_SEEK_QUESTIONS = [
+  { id: 'max-price-yield', label: 'Highest price for a net yield of…', variableKey: 'purchasePrice', metricKey: 'netYield', target: 7 },
+  { id: 'max-price-cash-flow', label: 'Highest price for a monthly cash flow of…', variableKey: 'purchasePrice', metricKey: 'monthlyCashFlow', target: 0 },
+  { id: 'break-even-rent', label: 'Rent needed for a monthly cash flow of…', variableKey: 'rent', metricKey: 'monthlyCashFlow', target: 0 },
+  { id: 'cash-flow-neutral-deposit', label: 'Deposit needed for a monthly cash flow of…', variableKey: 'deposit', metricKey: 'monthlyCashFlow', target: 0 }
+];
+
+// Search until the bracket is narrower than a rand
+const SOLVE_TOLERANCE = 0.5;
+const SOLVE_MAX_ITERATIONS = 100;
+
+/**
+ * Find the value of an input at which a metric reaches a target.
+ * The answer is rounded to a whole rand on the side that still meets the
+ * target, i.e. the metric is at least the target for metrics where higher is
+ * better and at most the target otherwise.
+ * @param {object} params - Parameters object.
+ * @param {object} params.propertyData - The forecast inputs.
+ * @param {string} params.variableKey - Key of the input in GOAL_SEEK_VARIABLES.
+ * @param {string} params.metricKey - Key of the metric in SENSITIVITY_METRICS.
+ * @param {number} params.target - The value the metric should reach.
+ * @returns {object} - { solved, field, value, achieved } when a value was found, or { solved: false, reason } when the target is out of reach or the input has no single value.
+ */
+export const solveForInput = ({ propertyData, variableKey, metricKey, target }) => {
+  const variable = GOAL_SEEK_VARIABLES.find(({ key }) => key === variableKey);
+  const metric = SENSITIVITY_METRICS.find(({ key }) => key === metricKey);
+  const field = variable.field(propertyData);
+  if (!field) {
+    return { solved: false, reason: `The ${variable.label.toLowerCase()} comes from each unit in the rent roll, so there is no single figure to solve for.` };
+  }
+
+  const measure = (value) => evaluateMetric(propertyData, { [field]: value }, metric);
+  const meetsTarget = (achieved) => (metric.better === 'higher' ? achieved >= target : achieved <= target);
+
+  let [low, high] = variable.bounds(propertyData);
+  let lowValue = measure(low);
+  const highValue = measure(high);
+
+  if (lowValue === null || highValue === null) {
+    return { solved: false, reason: 'The forecast cannot be calculated at the ends of the search range.' };
+  }
+  if (Math.sign(lowValue - target) === Math.sign(highValue - target) && lowValue !== target) {
+    return {
+      solved: false,
+      reason: `${metric.label} stays ${lowValue > target ? 'above' : 'below'} the target for any ${variable.label.toLowerCase()} from R${Math.round(low)} to R${Math.round(high)}.`
+    };
+  }
+
+  for (let i = 0; i < SOLVE_MAX_ITERATIONS && high - low > SOLVE_TOLERANCE; i++) {
+    const middle = (low + high) / 2;
+    const middleValue = measure(middle);
+    if (middleValue === null) {
+      return { solved: false, reason: `The forecast cannot be calculated for a ${variable.label.toLowerCase()} of R${Math.round(middle)}.` };
+    }
+
+    if (Math.sign(middleValue - target) === Math.sign(lowValue - target)) {
+      low = middle;
+      lowValue = middleValue;
+    } else {
+      high = middle;
+    }
+  }
+
+  // Step to the whole rand on the side of the bracket that meets the target
+  const value = meetsTarget(lowValue) ? Math.floor(low) : Math.ceil(high);
+
+  return { solved: true, field, value, achieved: measure(value) };
+};
@@ -0,0 +1,77 @@
+import { generatePropertyForecast } from './financial-calculator';
+import { solveForInput } from './goal-seek';
+import { sandtonApartment } from './__fixtures__/property-data';
+
+// A fixed transaction date keeps the tax tables from changing with today's date
+const propertyData = { ...sandtonApartment, transactionDate: '2025-03-01' };
+
+const cashFlowAt = (changes) => generatePropertyForecast({ ...propertyData, ...changes }).cashFlow.monthly;
+
+describe('solveForInput', () => {
+  test('finds the highest price that still gives the target net yield', () => {
+    const result = solveForInput({ propertyData, variableKey: 'purchasePrice', metricKey: 'netYield', target: 2 });
+    const yieldAt = (purchasePrice) => generatePropertyForecast({ ...propertyData, purchasePrice }).yields.netYieldOnInvestment;
+
+    expect(result.solved).toBe(true);
+    expect(result.field).toBe('purchasePrice');
+    expect(Number.isInteger(result.value)).toBe(true);
+    expect(yieldAt(result.value)).toBeGreaterThanOrEqual(2);
+    expect(yieldAt(result.value + 1)).toBeLessThan(2);
+    expect(result.achieved).toBeCloseTo(yieldAt(result.value), 10);
+  });
+
+  test('searches from a price of R1 for a 100% bond', () => {
+    const data = { ...propertyData, deposit: 0 };
+    const result = solveForInput({ propertyData: data, variableKey: 'purchasePrice', metricKey: 'monthlyCashFlow', target: 0 });
+    const cashFlow = (purchasePrice) => generatePropertyForecast({ ...data, purchasePrice }).cashFlow.monthly;
+
+    expect(result.solved).toBe(true);
+    expect(cashFlow(result.value)).toBeGreaterThanOrEqual(0);
+    expect(cashFlow(result.value + 1)).toBeLessThan(0);
+  });
+
+  test('finds the rent needed to break even', () => {
+    const result = solveForInput({ propertyData, variableKey: 'rent', metricKey: 'monthlyCashFlow', target: 0 });
+
+    expect(result.field).toBe('expectedRent');
+    expect(result.value).toBeGreaterThan(9000);
+    expect(cashFlowAt({ expectedRent: result.value })).toBeGreaterThanOrEqual(0);
+    expect(cashFlowAt({ expectedRent: result.value - 1 })).toBeLessThan(0);
+  });
+
+  test('finds the deposit that makes the property cash-flow neutral', () => {
+    const result = solveForInput({ propertyData, variableKey: 'deposit', metricKey: 'monthlyCashFlow', target: 0 });
+
+    expect(result.value).toBeGreaterThan(200000);
+    expect(result.value).toBeLessThan(1200000);
+    expect(cashFlowAt({ deposit: result.value })).toBeGreaterThanOrEqual(0);
+    expect(cashFlowAt({ deposit: result.value - 1 })).toBeLessThan(0);
+  });
+
+  test('solves the nightly rate for short-term rentals', () => {
+    const result = solveForInput({
+      propertyData: { ...propertyData, rentalMode: 'short-term', nightlyRate: 900 },
+      variableKey: 'rent',
+      metricKey: 'monthlyCashFlow',
+      target: 0
+    });
+
+    expect(result.field).toBe('nightlyRate');
+    expect(result.solved).toBe(true);
+  });
+
+  test('does not solve for one rent when the units of a rent roll each have their own', () => {
+    const rentRoll = [{ name: 'Flat 1', unitType: 'flat', bedrooms: 1, rent: 4500, vacancyRate: 5 }];
+    const result = solveForInput({ propertyData: { ...propertyData, rentRoll }, variableKey: 'rent', metricKey: 'monthlyCashFlow', target: 0 });
+
+    expect(result.solved).toBe(false);
+    expect(result.reason).toMatch(/rent roll/);
+  });
+
+  test('says so when the target is out of reach', () => {
+    const result = solveForInput({ propertyData, variableKey: 'deposit', metricKey: 'grossYield', target: 50 });
+
+    expect(result.solved).toBe(false);
+    expect(result.reason).toMatch(/Gross Yield stays below the target/);
+  });
+});
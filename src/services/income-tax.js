@@ -0,0 +1,160 @@
+/**
+ * PropForecast Income Tax
+ *
+ * South African individual income tax on rental profits, using versioned
+ * SARS tax brackets and rebates. Rental profit is the rent received less the
+ * deductible bond interest and operating expenses, and the tax is the extra
+ * tax the investor pays (or saves) on top of the tax on their other income.
+ */
+
+import { getTaxTable } from './tax-tables';
+
+// Section 20A looks at losses in the current year and the four years before it
+const RING_FENCE_LOOKBACK_YEARS = 5;
+const RING_FENCE_LOSS_YEARS = 3;
+
+/**
+ * Get the individual tax brackets, rebates and capital gains parameters for a tax year.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @returns {object} - The tax year used along with its brackets, rebates and capital gains parameters.
+ */
+export const getIndividualTaxTable = (taxYear) => {
+  const table = getTaxTable(taxYear);
+
+  return {
+    taxYear: table.taxYear,
+    ...table.incomeTax
+  };
+};
+
+/**
+ * Calculate individual income tax after rebates.
+ * @param {number} taxableIncome - Annual taxable income in Rands.
+ * @param {object} [options] - Options object.
+ * @param {string} [options.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @param {number} [options.age] - Age of the taxpayer, which determines the rebates.
+ * @returns {number} - Income tax payable in Rands.
+ */
+export const calculateIncomeTax = (taxableIncome, { taxYear, age = 0 } = {}) => {
+  if (taxableIncome <= 0) {
+    return 0;
+  }
+
+  const { brackets, rebates } = getIndividualTaxTable(taxYear);
+  const bracket = brackets.filter(({ threshold }) => taxableIncome > threshold).pop();
+  const taxBeforeRebates = bracket.baseTax + (taxableIncome - bracket.threshold) * bracket.rate;
+
+  let totalRebates = rebates.primary;
+  if (age >= 65) {
+    totalRebates += rebates.secondary;
+  }
+  if (age >= 75) {
+    totalRebates += rebates.tertiary;
+  }
+
+  return Math.max(taxBeforeRebates - totalRebates, 0);
+};
+
+/**
+ * Get the marginal tax rate for a level of taxable income.
+ * @param {number} taxableIncome - Annual taxable income in Rands.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'.
+ * @returns {number} - Marginal rate as a percentage.
+ */
+export const getMarginalTaxRate = (taxableIncome, taxYear) => {
+  const { brackets } = getIndividualTaxTable(taxYear);
+  const bracket = brackets.filter(({ threshold }) => taxableIncome > threshold).pop() || brackets[0];
+  return bracket.rate * 100;
+};
+
+/**
+ * Decide whether a rental loss is ring-fenced under section 20A. Losses are
+ * ring-fenced when taxable income before setting off the loss reaches the top
+ * tax bracket and either the letting is to relatives (a listed "suspect" trade)
+ * or there were losses in at least three of the last five years.
+ * @param {object} params - Parameters object.
+ * @param {number} params.otherTaxableIncome - Taxable income from other sources.
+ * @param {Array<boolean>} params.lossHistory - Whether each year so far (oldest first, including this one) made a loss.
+ * @param {boolean} params.letToRelatives - Whether the property is let mainly to relatives.
+ * @param {string} [params.taxYear] - Tax year label.
+ * @returns {boolean} - True when the loss may not be set off against other income.
+ */
+export const isRentalLossRingFenced = ({ otherTaxableIncome, lossHistory, letToRelatives, taxYear }) => {
+  const { brackets } = getIndividualTaxTable(taxYear);
+  const topBracketThreshold = brackets[brackets.length - 1].threshold;
+
+  if (otherTaxableIncome < topBracketThreshold) {
+    return false;
+  }
+
+  const recentLosses = lossHistory.slice(-RING_FENCE_LOOKBACK_YEARS).filter(Boolean).length;
+  return letToRelatives || recentLosses >= RING_FENCE_LOSS_YEARS;
+};
+
+/**
+ * Calculate the income tax on rental profit for each projection year.
+ * Ring-fenced losses are carried forward and set off against later rental profits.
+ * Tax brackets are held at the chosen tax year's values for the whole projection.
+ * @param {object} params - Parameters object.
+ * @param {Array<object>} params.projectionYears - Yearly rows from generateProjection, with any section 13sex buildingAllowance to deduct.
+ * @param {number} params.otherTaxableIncome - The investor's other annual taxable income.
+ * @param {string} [params.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @param {number} [params.age] - Age of the investor.
+ * @param {boolean} [params.letToRelatives] - Whether the property is let mainly to relatives.
+ * @returns {Array<object>} - One row per year with the rental profit, tax and after-tax cash flow.
+ */
+export const calculateRentalIncomeTax = ({
+  projectionYears,
+  otherTaxableIncome,
+  taxYear,
+  age = 0,
+  letToRelatives = false
+}) => {
+  const taxOnOtherIncome = calculateIncomeTax(otherTaxableIncome, { taxYear, age });
+  const lossHistory = [];
+  let ringFencedLosses = 0;
+
+  return projectionYears.map((row) => {
+    const deductions = {
+      bondInterest: row.interest,
+      operatingExpenses: row.expenses,
+      buildingAllowance: row.buildingAllowance || 0
+    };
+    // Other property income, such as parking bay rental, is taxed with the rent
+    const income = row.rentalIncome + (row.otherIncome || 0);
+    const rentalProfit = income - deductions.bondInterest - deductions.operatingExpenses - deductions.buildingAllowance;
+
+    lossHistory.push(rentalProfit < 0);
+
+    let taxableRentalIncome = rentalProfit;
+    let ringFenced = false;
+
+    if (rentalProfit < 0) {
+      ringFenced = isRentalLossRingFenced({ otherTaxableIncome, lossHistory, letToRelatives, taxYear });
+      if (ringFenced) {
+        ringFencedLosses -= rentalProfit;
+        taxableRentalIncome = 0;
+      }
+    } else if (ringFencedLosses > 0) {
+      // Earlier ring-fenced losses can only be used against rental profits
+      const lossUsed = Math.min(ringFencedLosses, rentalProfit);
+      ringFencedLosses -= lossUsed;
+      taxableRentalIncome = rentalProfit - lossUsed;
+    }
+
+    const tax = calculateIncomeTax(otherTaxableIncome + taxableRentalIncome, { taxYear, age }) - taxOnOtherIncome;
+
+    return {
+      year: row.year,
+      rentalIncome: income,
+      deductions,
+      rentalProfit,
+      ringFenced,
+      taxableRentalIncome,
+      ringFencedLossesCarriedForward: ringFencedLosses,
+      tax,
+      preTaxCashFlow: row.cashFlow,
+      afterTaxCashFlow: row.cashFlow - tax
+    };
+  });
+};
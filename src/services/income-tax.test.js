@@ -0,0 +1,74 @@
+import {
+  calculateIncomeTax,
+  calculateRentalIncomeTax,
+  getIndividualTaxTable,
+  isRentalLossRingFenced
+} from './income-tax';
+
+describe('calculateIncomeTax', () => {
+  test('applies the brackets and the primary rebate', () => {
+    // 121 475 + 36% of (600 000 - 512 800) - 17 235
+    expect(calculateIncomeTax(600000, { taxYear: '2024/2025' })).toBeCloseTo(135632, 6);
+    // 40 680 + 26% of (300 000 - 226 000) - 16 425
+    expect(calculateIncomeTax(300000, { taxYear: '2022/2023' })).toBeCloseTo(43495, 6);
+  });
+
+  test('adds the secondary and tertiary rebates by age', () => {
+    const base = calculateIncomeTax(600000, { taxYear: '2024/2025' });
+
+    expect(calculateIncomeTax(600000, { taxYear: '2024/2025', age: 65 })).toBeCloseTo(base - 9444, 6);
+    expect(calculateIncomeTax(600000, { taxYear: '2024/2025', age: 75 })).toBeCloseTo(base - 9444 - 3145, 6);
+  });
+
+  test('never goes below zero', () => {
+    expect(calculateIncomeTax(90000, { taxYear: '2024/2025' })).toBe(0);
+    expect(calculateIncomeTax(-5000, { taxYear: '2024/2025' })).toBe(0);
+  });
+});
+
+describe('getIndividualTaxTable', () => {
+  test('falls back to the latest published table', () => {
+    expect(getIndividualTaxTable('2030/2031').taxYear).toBe('2025/2026');
+    expect(getIndividualTaxTable('2023/2024').taxYear).toBe('2023/2024');
+  });
+});
+
+describe('rental losses', () => {
+  test('are only ring-fenced for top-bracket earners', () => {
+    const lossHistory = [true, true, true];
+
+    expect(isRentalLossRingFenced({ otherTaxableIncome: 900000, lossHistory, letToRelatives: true, taxYear: '2024/2025' })).toBe(false);
+    expect(isRentalLossRingFenced({ otherTaxableIncome: 2000000, lossHistory, letToRelatives: false, taxYear: '2024/2025' })).toBe(true);
+    expect(isRentalLossRingFenced({ otherTaxableIncome: 2000000, lossHistory: [true], letToRelatives: false, taxYear: '2024/2025' })).toBe(false);
+    expect(isRentalLossRingFenced({ otherTaxableIncome: 2000000, lossHistory: [true], letToRelatives: true, taxYear: '2024/2025' })).toBe(true);
+  });
+
+  const projectionYears = [-20000, -20000, -20000, 50000].map((profit, index) => ({
+    year: index + 1,
+    rentalIncome: 100000,
+    interest: 80000,
+    expenses: 20000 - profit,
+    cashFlow: 0
+  }));
+
+  test('are set off against other income when not ring-fenced', () => {
+    const [year1] = calculateRentalIncomeTax({ projectionYears, otherTaxableIncome: 600000, taxYear: '2024/2025' });
+
+    expect(year1.rentalProfit).toBeCloseTo(-20000, 6);
+    expect(year1.ringFenced).toBe(false);
+    // The loss saves tax at the 36% marginal rate
+    expect(year1.tax).toBeCloseTo(-7200, 6);
+    expect(year1.afterTaxCashFlow).toBeCloseTo(7200, 6);
+  });
+
+  test('are carried forward against later rental profits once ring-fenced', () => {
+    const years = calculateRentalIncomeTax({ projectionYears, otherTaxableIncome: 2000000, taxYear: '2024/2025' });
+
+    expect(years.map((row) => row.ringFenced)).toEqual([false, false, true, false]);
+    expect(years[2].tax).toBeCloseTo(0, 6);
+    expect(years[2].ringFencedLossesCarriedForward).toBeCloseTo(20000, 6);
+    // 50 000 profit less the 20 000 ring-fenced loss, taxed at 45%
+    expect(years[3].taxableRentalIncome).toBeCloseTo(30000, 6);
+    expect(years[3].tax).toBeCloseTo(13500, 6);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * PropForecast Interest Rates
+ *
+ * South African bonds are priced at the prime lending rate plus or minus a
+ * margin, and prime moves with every SARB repo rate decision. This module
+ * turns a starting rate and a path of step changes into a rate for every
+ * month of the loan, and prices instant rate shocks against the bond.
+ */
+
+import { calculateMonthlyBondRepayment } from './amortization';
+
+export const RATE_BASES = ['fixed', 'prime'];
+
+// Prime lending rate at the time of writing (repo rate plus 3.5 percentage points)
+export const DEFAULT_PRIME_RATE = 10.5;
+
+// Instant, permanent rate moves (percentage points) shown against every forecast
+export const RATE_SHOCKS = [1, 2, 3];
+
+// Ready-made rate paths; each change applies from the start of its loan year
+export const RATE_PATH_PRESETS = [
+  { id: 'shock-100', label: '+100bps shock', changes: [{ year: 1, change: 1 }] },
+  { id: 'shock-200', label: '+200bps shock', changes: [{ year: 1, change: 2 }] },
+  { id: 'hiking-cycle', label: 'Hiking cycle (+25bps a year for 4 years)', changes: [1, 2, 3, 4].map((year) => ({ year, change: 0.25 })) },
+  { id: 'easing-cycle', label: 'Easing cycle (-25bps a year for 3 years)', changes: [2, 3, 4].map((year) => ({ year, change: -0.25 })) }
+];
+
+/**
+ * Work out the bond's starting rate from how it is priced.
+ * @param {object} params - Parameters object.
+ * @param {string} [params.rateBasis] - 'fixed' for a set rate or 'prime' for prime plus a margin.
+ * @param {number} [params.interestRate] - The set rate (%), for the fixed basis.
+ * @param {number} [params.primeRate] - The prime lending rate (%).
+ * @param {number} [params.primeMargin] - Margin above (positive) or below (negative) prime, in percentage points.
+ * @returns {number} - The annual interest rate (%).
+ */
+export const getInitialInterestRate = ({
+  rateBasis = 'fixed',
+  interestRate,
+  primeRate = DEFAULT_PRIME_RATE,
+  primeMargin = 0
+}) => (rateBasis === 'prime' ? primeRate + primeMargin : interestRate);
+
+/**
+ * Build the annual rate that applies in each month of the loan.
+ * Changes are cumulative: two +0.5 changes leave the rate 1 point higher.
+ * @param {object} params - Parameters object.
+ * @param {number} params.initialRate - Annual rate (%) at the start of the loan.
+ * @param {Array<object>} [params.rateChanges] - { year, change } steps in percentage points, from the start of that loan year.
+ * @param {number} params.termYears - Loan term in years.
+ * @returns {Array<number>} - The annual rate (%) for each month, never below zero.
+ */
+export const buildMonthlyRates = ({ initialRate, rateChanges = [], termYears }) => (
+  Array.from({ length: Number(termYears) * 12 }, (_, index) => {
+    const year = Math.floor(index / 12) + 1;
+    const change = rateChanges
+      .filter((step) => step.year <= year)
+      .reduce((total, step) => total + step.change, 0);
+    return Math.max(initialRate + change, 0);
+  })
+);
+
+/**
+ * Price instant rate shocks against the first year's bond instalment.
+ * @param {object} params - Parameters object.
+ * @param {number} params.loanAmount - The bond amount.
+ * @param {number} params.interestRate - The starting annual rate (%).
+ * @param {number} params.termYears - Loan term in years.
+ * @param {number} params.monthlyCashFlow - Monthly cash flow at the starting rate.
+ * @param {Array<number>} [params.shocks] - Rate moves in percentage points.
+ * @returns {Array<object>} - The shocked rate, instalment, monthly cash flow and the change in cash flow for each shock.
+ */
+export const calculateRateShocks = ({ loanAmount, interestRate, termYears, monthlyCashFlow, shocks = RATE_SHOCKS }) => {
+  const instalment = (rate) => (loanAmount > 0 ? calculateMonthlyBondRepayment(loanAmount, rate, termYears) : 0);
+  const baseInstalment = instalment(interestRate);
+
+  return shocks.map((shock) => {
+    const rate = Math.max(interestRate + shock, 0);
+    const monthlyBondRepayment = instalment(rate);
+    const cashFlowChange = baseInstalment - monthlyBondRepayment;
+
+    return {
+      shock,
+      rate,
+      monthlyBondRepayment,
+      monthlyCashFlow: monthlyCashFlow + cashFlowChange,
+      cashFlowChange
+    };
+  });
+};
@@ -0,0 +1,72 @@
+import { calculateMonthlyBondRepayment } from './amortization';
+import {
+  RATE_PATH_PRESETS,
+  buildMonthlyRates,
+  calculateRateShocks,
+  getInitialInterestRate
+} from './interest-rates';
+
+describe('getInitialInterestRate', () => {
+  test('uses the set rate for a fixed basis', () => {
+    expect(getInitialInterestRate({ interestRate: 11.25, primeRate: 10.5, primeMargin: 1 })).toBe(11.25);
+  });
+
+  test('adds the margin to prime for a prime-linked basis', () => {
+    expect(getInitialInterestRate({ rateBasis: 'prime', primeRate: 10.5, primeMargin: 0.5 })).toBe(11);
+    expect(getInitialInterestRate({ rateBasis: 'prime', primeRate: 10.5, primeMargin: -0.75 })).toBe(9.75);
+  });
+});
+
+describe('buildMonthlyRates', () => {
+  test('holds the starting rate without any changes', () => {
+    const rates = buildMonthlyRates({ initialRate: 10.5, termYears: 2 });
+
+    expect(rates).toHaveLength(24);
+    expect(new Set(rates)).toEqual(new Set([10.5]));
+  });
+
+  test('applies cumulative changes from the start of their loan year', () => {
+    const rates = buildMonthlyRates({
+      initialRate: 10.5,
+      rateChanges: [{ year: 2, change: 0.5 }, { year: 3, change: 0.5 }],
+      termYears: 3
+    });
+
+    expect(rates[11]).toBe(10.5);
+    expect(rates[12]).toBe(11);
+    expect(rates[24]).toBe(11.5);
+  });
+
+  test('never lets the rate fall below zero', () => {
+    expect(buildMonthlyRates({ initialRate: 1, rateChanges: [{ year: 1, change: -3 }], termYears: 1 })[0]).toBe(0);
+  });
+
+  test('builds every preset path', () => {
+    const hiking = RATE_PATH_PRESETS.find(({ id }) => id === 'hiking-cycle');
+    const rates = buildMonthlyRates({ initialRate: 10.5, rateChanges: hiking.changes, termYears: 5 });
+
+    expect(rates[0]).toBe(10.75);
+    expect(rates[48]).toBe(11.5);
+  });
+});
+
+describe('calculateRateShocks', () => {
+  test('prices each shock against the instalment and monthly cash flow', () => {
+    const shocks = calculateRateShocks({ loanAmount: 1000000, interestRate: 10.75, termYears: 20, monthlyCashFlow: -2000 });
+    const base = calculateMonthlyBondRepayment(1000000, 10.75, 20);
+
+    expect(shocks.map(({ shock }) => shock)).toEqual([1, 2, 3]);
+    expect(shocks[1].rate).toBe(12.75);
+    expect(shocks[1].monthlyBondRepayment).toBeCloseTo(calculateMonthlyBondRepayment(1000000, 12.75, 20), 6);
+    expect(shocks[1].cashFlowChange).toBeCloseTo(base - shocks[1].monthlyBondRepayment, 6);
+    expect(shocks[1].monthlyCashFlow).toBeCloseTo(-2000 + shocks[1].cashFlowChange, 6);
+    expect(shocks[2].cashFlowChange).toBeLessThan(shocks[0].cashFlowChange);
+  });
+
+  test('leaves cash flow unchanged without a bond', () => {
+    const [shock] = calculateRateShocks({ loanAmount: 0, interestRate: 10.75, termYears: 20, monthlyCashFlow: 3000, shocks: [2] });
+
+    expect(shock.monthlyBondRepayment).toBe(0);
+    expect(shock.monthlyCashFlow).toBe(3000);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * PropForecast Investment Metrics
+ *
+ * Discounted cash flow metrics (IRR, NPV) and cash-based return ratios
+ * calculated from the cash an investor actually puts in and takes out.
+ *
+ * Cash flows are expressed as { year, amount } entries, where year is the
+ * time in years from the start of the investment (fractions allowed) and
+ * amount is negative for money paid in and positive for money received.
+ */
+
+export const DEFAULT_DISCOUNT_RATE = 10;
+
+// Search bounds and tolerance for the IRR solver (as decimal rates)
+const IRR_LOWER_BOUND = -0.9999;
+const IRR_UPPER_BOUND = 10;
+const IRR_TOLERANCE = 1e-7;
+const IRR_MAX_ITERATIONS = 200;
+
+/**
+ * Calculate the net present value of a series of cash flows.
+ * @param {number} discountRate - Annual discount rate as a percentage.
+ * @param {Array<object>} cashFlows - Cash flows as { year, amount }.
+ * @returns {number} - The net present value in Rands.
+ */
+export const calculateNPV = (discountRate, cashFlows) => {
+  const rate = discountRate / 100;
+
+  return cashFlows.reduce(
+    (total, { year, amount }) => total + amount / Math.pow(1 + rate, year),
+    0
+  );
+};
+
+/**
+ * Calculate the internal rate of return of a series of cash flows.
+ * Uses bisection, so the cash flows need money going in and coming out.
+ * @param {Array<object>} cashFlows - Cash flows as { year, amount }.
+ * @returns {number|null} - The IRR as a percentage, or null when no IRR exists.
+ */
+export const calculateIRR = (cashFlows) => {
+  const npvAt = (rate) => calculateNPV(rate * 100, cashFlows);
+
+  let low = IRR_LOWER_BOUND;
+  let high = IRR_UPPER_BOUND;
+  let npvLow = npvAt(low);
+  const npvHigh = npvAt(high);
+
+  if (!Number.isFinite(npvLow) || !Number.isFinite(npvHigh) || npvLow * npvHigh > 0) {
+    return null;
+  }
+
+  for (let i = 0; i < IRR_MAX_ITERATIONS; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npvAt(mid);
+
+    if (Math.abs(npvMid) < IRR_TOLERANCE || (high - low) / 2 < IRR_TOLERANCE) {
+      return mid * 100;
+    }
+
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return ((low + high) / 2) * 100;
+};
+
+/**
+ * Calculate the equity multiple: total cash received per Rand of cash put in.
+ * @param {Array<object>} cashFlows - Cash flows as { year, amount }.
+ * @returns {number} - The equity multiple (e.g. 2.1 means R2.10 back per R1 invested).
+ */
+export const calculateEquityMultiple = (cashFlows) => {
+  const paidIn = cashFlows
+    .filter(({ amount }) => amount < 0)
+    .reduce((total, { amount }) => total - amount, 0);
+  const received = cashFlows
+    .filter(({ amount }) => amount > 0)
+    .reduce((total, { amount }) => total + amount, 0);
+
+  return paidIn > 0 ? received / paidIn : 0;
+};
+
+/**
+ * Calculate the cash-on-cash return for a year.
+ * @param {number} annualCashFlow - Cash flow for the year.
+ * @param {number} cashInvested - Cash put in up front.
+ * @returns {number} - Cash-on-cash return as a percentage.
+ */
+export const calculateCashOnCashReturn = (annualCashFlow, cashInvested) => {
+  return cashInvested > 0 ? (annualCashFlow / cashInvested) * 100 : 0;
+};
+
+/**
+ * Build the investor's cash flows: cash in at the start, the yearly cash flow
+ * while the property is held, and the net sale proceeds in the sale year.
+ * When transfer comes some time after signing, as with an off-plan purchase,
+ * only the part paid on signing goes in at the start and everything else
+ * moves back by the delay.
+ * @param {object} params - Parameters object.
+ * @param {number} params.cashInvested - Cash put in up front (deposit plus purchase costs).
+ * @param {Array<object>} params.projectionYears - Yearly rows from generateProjection.
+ * @param {number} params.saleYear - Year at the end of which the property is sold.
+ * @param {number} params.netSaleProceeds - Cash received on sale after repaying the loan.
+ * @param {number} [params.transferDelayYears] - Years from signing to transfer.
+ * @param {number} [params.paidAtSigning] - Part of the cash invested paid on signing. Defaults to all of it.
+ * @returns {Array<object>} - Cash flows as { year, amount }.
+ */
+export const buildInvestmentCashFlows = ({
+  cashInvested,
+  projectionYears,
+  saleYear,
+  netSaleProceeds,
+  transferDelayYears = 0,
+  paidAtSigning = cashInvested
+}) => {
+  const cashFlows = transferDelayYears > 0
+    ? [
+      { year: 0, amount: -paidAtSigning },
+      { year: transferDelayYears, amount: -(cashInvested - paidAtSigning) }
+    ]
+    : [{ year: 0, amount: -cashInvested }];
+
+  projectionYears
+    .filter((row) => row.year <= saleYear)
+    .forEach((row) => {
+      const amount = row.year === saleYear ? row.cashFlow + netSaleProceeds : row.cashFlow;
+      cashFlows.push({ year: transferDelayYears + row.year, amount });
+    });
+
+  return cashFlows;
+};
+
+/**
+ * Calculate IRR, NPV, equity multiple and cash-on-cash return for a hold-and-sell scenario.
+ * @param {object} params - Parameters object.
+ * @param {number} params.cashInvested - Cash put in up front (deposit plus purchase costs).
+ * @param {Array<object>} params.projectionYears - Yearly rows from generateProjection.
+ * @param {number} params.saleYear - Year at the end of which the property is sold.
+ * @param {number} params.netSaleProceeds - Cash received on sale after repaying the loan.
+ * @param {number} params.discountRate - Annual discount rate (%) for the NPV.
+ * @param {number} [params.transferDelayYears] - Years from signing to transfer.
+ * @param {number} [params.paidAtSigning] - Part of the cash invested paid on signing.
+ * @returns {object} - Return metrics and the cash flows they were calculated from.
+ */
+export const calculateInvestmentReturns = ({
+  cashInvested,
+  projectionYears,
+  saleYear,
+  netSaleProceeds,
+  discountRate = DEFAULT_DISCOUNT_RATE,
+  transferDelayYears = 0,
+  paidAtSigning
+}) => {
+  const cashFlows = buildInvestmentCashFlows({
+    cashInvested,
+    projectionYears,
+    saleYear,
+    netSaleProceeds,
+    transferDelayYears,
+    paidAtSigning
+  });
+
+  return {
+    cashInvested,
+    saleYear,
+    netSaleProceeds,
+    discountRate,
+    cashFlows,
+    irr: calculateIRR(cashFlows),
+    npv: calculateNPV(discountRate, cashFlows),
+    equityMultiple: calculateEquityMultiple(cashFlows),
+    cashOnCash: calculateCashOnCashReturn(projectionYears[0].cashFlow, cashInvested)
+  };
+};
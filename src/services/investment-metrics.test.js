@@ -0,0 +1,90 @@
+import {
+  buildInvestmentCashFlows,
+  calculateCashOnCashReturn,
+  calculateEquityMultiple,
+  calculateIRR,
+  calculateNPV
+} from './investment-metrics';
+
+describe('calculateNPV', () => {
+  test('discounts each cash flow by its timing', () => {
+    const cashFlows = [
+      { year: 0, amount: -1000 },
+      { year: 1, amount: 550 },
+      { year: 2, amount: 605 }
+    ];
+
+    expect(calculateNPV(10, cashFlows)).toBeCloseTo(0, 6);
+    expect(calculateNPV(0, cashFlows)).toBeCloseTo(155, 6);
+  });
+});
+
+describe('calculateIRR', () => {
+  test('finds the rate at which the NPV is zero', () => {
+    expect(calculateIRR([{ year: 0, amount: -1000 }, { year: 1, amount: 1100 }])).toBeCloseTo(10, 4);
+    expect(calculateIRR([
+      { year: 0, amount: -100000 },
+      { year: 1, amount: 10000 },
+      { year: 2, amount: 10000 },
+      { year: 3, amount: 110000 }
+    ])).toBeCloseTo(10, 4);
+  });
+
+  test('supports fractional timings and negative returns', () => {
+    expect(calculateIRR([{ year: 0.5, amount: -1000 }, { year: 1.5, amount: 900 }])).toBeCloseTo(-10, 4);
+  });
+
+  test('returns null when the cash flows never change sign', () => {
+    expect(calculateIRR([{ year: 0, amount: -1000 }, { year: 1, amount: -100 }])).toBeNull();
+  });
+});
+
+describe('cash multiples', () => {
+  test('calculates the equity multiple from money paid in and received', () => {
+    expect(calculateEquityMultiple([
+      { year: 0, amount: -200000 },
+      { year: 1, amount: -20000 },
+      { year: 2, amount: 440000 }
+    ])).toBeCloseTo(2, 6);
+  });
+
+  test('calculates the cash-on-cash return', () => {
+    expect(calculateCashOnCashReturn(12000, 240000)).toBeCloseTo(5, 6);
+    expect(calculateCashOnCashReturn(12000, 0)).toBe(0);
+  });
+});
+
+describe('buildInvestmentCashFlows', () => {
+  test('adds the net sale proceeds to the cash flow of the sale year', () => {
+    const projectionYears = [1, 2, 3].map((year) => ({ year, cashFlow: -1000 * year }));
+
+    expect(buildInvestmentCashFlows({
+      cashInvested: 250000,
+      projectionYears,
+      saleYear: 2,
+      netSaleProceeds: 500000
+    })).toEqual([
+      { year: 0, amount: -250000 },
+      { year: 1, amount: -1000 },
+      { year: 2, amount: 498000 }
+    ]);
+  });
+
+  test('moves everything after the signing payment back by the transfer delay', () => {
+    const projectionYears = [1, 2].map((year) => ({ year, cashFlow: 1000 }));
+
+    expect(buildInvestmentCashFlows({
+      cashInvested: 250000,
+      projectionYears,
+      saleYear: 2,
+      netSaleProceeds: 500000,
+      transferDelayYears: 1.5,
+      paidAtSigning: 200000
+    })).toEqual([
+      { year: 0, amount: -200000 },
+      { year: 1.5, amount: -50000 },
+      { year: 2.5, amount: 1000 },
+      { year: 3.5, amount: 501000 }
+    ]);
+  });
+});
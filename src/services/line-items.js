@@ -0,0 +1,79 @@
+/**
+ * PropForecast Line Items
+ *
+ * Named income and expense items the standard inputs do not cover, such as
+ * parking bay rental, alarm monitoring, a special levy or a once-off geyser
+ * replacement. Amounts are in today's money and escalate every year from
+ * year 1, so an item starting later is already inflated when it begins.
+ */
+
+export const LINE_ITEM_KINDS = ['income', 'expense'];
+export const LINE_ITEM_FREQUENCIES = ['monthly', 'annual', 'once-off'];
+
+/**
+ * Work out what a line item brings in or costs over one projection year.
+ * @param {object} item - The line item.
+ * @param {number} item.amount - Amount per occurrence in today's money.
+ * @param {string} item.frequency - 'monthly', 'annual' or 'once-off'.
+ * @param {number} [item.startYear] - First projection year the item applies to (once-off items only occur then).
+ * @param {number} [item.escalationRate] - Annual escalation (%).
+ * @param {number} year - Projection year (1-based).
+ * @returns {number} - The item's total for the year.
+ */
+export const getLineItemAmountForYear = ({ amount, frequency, startYear = 1, escalationRate = 0 }, year) => {
+  const applies = frequency === 'once-off' ? year === startYear : year >= startYear;
+  if (!applies) {
+    return 0;
+  }
+
+  // Escalates from year 1 like the projection's other items
+  const occurrences = frequency === 'monthly' ? 12 : 1;
+  return amount * occurrences * Math.pow(1 + escalationRate / 100, year - 1);
+};
+
+/**
+ * Total the income and expense line items for one projection year.
+ * @param {Array<object>} lineItems - The line items.
+ * @param {number} year - Projection year (1-based).
+ * @returns {object} - Total income, total expenses and each item's amount for the year.
+ */
+export const summariseLineItemsForYear = (lineItems, year) => {
+  const items = lineItems.map((item) => ({
+    name: item.name,
+    kind: item.kind,
+    amount: getLineItemAmountForYear(item, year)
+  }));
+  const total = (kind) => items
+    .filter((item) => item.kind === kind)
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  return {
+    income: total('income'),
+    expenses: total('expense'),
+    items
+  };
+};
+
+/**
+ * Average monthly income and expenses from the recurring items that apply
+ * in year 1, for the monthly cash flow and yields. Once-off items and items
+ * starting later only show up in the projection.
+ * @param {Array<object>} lineItems - The line items.
+ * @returns {object} - Monthly income, monthly expenses and each item's monthly amount (in input order).
+ */
+export const calculateMonthlyLineItems = (lineItems) => {
+  const { items } = summariseLineItemsForYear(lineItems, 1);
+  const monthly = items.map((item, index) => ({
+    ...item,
+    amount: lineItems[index].frequency === 'once-off' ? 0 : item.amount / 12
+  }));
+  const total = (kind) => monthly
+    .filter((item) => item.kind === kind)
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  return {
+    income: total('income'),
+    expenses: total('expense'),
+    items: monthly
+  };
+};
@@ -0,0 +1,49 @@
+import {
+  calculateMonthlyLineItems,
+  getLineItemAmountForYear,
+  summariseLineItemsForYear
+} from './line-items';
+
+const parking = { name: 'Parking bay', kind: 'income', amount: 600, frequency: 'monthly', escalationRate: 5 };
+const alarm = { name: 'Alarm monitoring', kind: 'expense', amount: 450, frequency: 'monthly', startYear: 1, escalationRate: 8 };
+const insurance = { name: 'Contents insurance', kind: 'expense', amount: 2400, frequency: 'annual', startYear: 2 };
+const geyser = { name: 'Geyser replacement', kind: 'expense', amount: 15000, frequency: 'once-off', startYear: 3, escalationRate: 6 };
+
+describe('getLineItemAmountForYear', () => {
+  test('totals monthly items over the year and escalates them from year 1', () => {
+    expect(getLineItemAmountForYear(parking, 1)).toBeCloseTo(7200, 6);
+    expect(getLineItemAmountForYear(parking, 3)).toBeCloseTo(7200 * 1.05 * 1.05, 6);
+  });
+
+  test('starts annual items in their start year', () => {
+    expect(getLineItemAmountForYear(insurance, 1)).toBe(0);
+    expect(getLineItemAmountForYear(insurance, 2)).toBe(2400);
+    expect(getLineItemAmountForYear(insurance, 10)).toBe(2400);
+  });
+
+  test('charges once-off items only in their year, in that year\'s money', () => {
+    expect(getLineItemAmountForYear(geyser, 2)).toBe(0);
+    expect(getLineItemAmountForYear(geyser, 3)).toBeCloseTo(15000 * 1.06 * 1.06, 6);
+    expect(getLineItemAmountForYear(geyser, 4)).toBe(0);
+  });
+});
+
+describe('summariseLineItemsForYear', () => {
+  test('splits the year\'s items into income and expenses', () => {
+    const { income, expenses, items } = summariseLineItemsForYear([parking, alarm, insurance, geyser], 3);
+
+    expect(income).toBeCloseTo(7200 * 1.05 * 1.05, 6);
+    expect(expenses).toBeCloseTo(5400 * 1.08 * 1.08 + 2400 + 15000 * 1.06 * 1.06, 6);
+    expect(items.map((item) => item.name)).toEqual(['Parking bay', 'Alarm monitoring', 'Contents insurance', 'Geyser replacement']);
+  });
+});
+
+describe('calculateMonthlyLineItems', () => {
+  test('averages the recurring year 1 items per month and leaves out once-off items', () => {
+    const monthly = calculateMonthlyLineItems([parking, alarm, insurance, geyser]);
+
+    expect(monthly.income).toBeCloseTo(600, 6);
+    expect(monthly.expenses).toBeCloseTo(450, 6);
+    expect(monthly.items.map((item) => item.amount)).toEqual([600, 450, 0, 0]);
+  });
+});
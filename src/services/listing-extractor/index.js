@@ -0,0 +1,97 @@
+/**
+ * PropForecast Listing Extractor
+ *
+ * Pulls the details we need for a forecast out of a saved listing page from
+ * one of the supported property portals. Everything runs offline on HTML the
+ * user pastes in or uploads; nothing is fetched from the portals.
+ */
+
+import * as property24 from './property24';
+import * as privateProperty from './private-property';
+import { validatePropertyData } from '../validation';
+
+export const PORTALS = [property24, privateProperty];
+
+// Form fields the extractor tries to fill, with the labels used when flagging missing ones
+export const EXTRACTED_FIELDS = {
+  purchasePrice: 'Purchase price',
+  propertyType: 'Property type',
+  bedrooms: 'Bedrooms',
+  bathrooms: 'Bathrooms',
+  floorSize: 'Floor size',
+  monthlyLevies: 'Levies',
+  monthlyRates: 'Rates and taxes',
+  location: 'Suburb'
+};
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Work out which portal a listing comes from, from its URL or else from the
+ * canonical link and site name inside the page.
+ * @param {object} params - Parameters object.
+ * @param {string} [params.url] - The listing URL, if known.
+ * @param {Document} [params.doc] - The parsed listing page.
+ * @returns {object|null} - The portal's parser module, or null if the portal is not supported.
+ */
+export const detectPortal = ({ url, doc }) => {
+  const candidates = [url];
+  if (doc) {
+    candidates.push(
+      doc.querySelector('link[rel="canonical"]')?.getAttribute('href'),
+      doc.querySelector('meta[property="og:url"]')?.getAttribute('content')
+    );
+  }
+
+  const hostnames = candidates.filter(Boolean).map(getHostname).filter(Boolean);
+  const byHost = PORTALS.find((portal) => hostnames.some((hostname) => portal.matchesHost(hostname)));
+  if (byHost) {
+    return byHost;
+  }
+
+  const siteName = doc?.querySelector('meta[property="og:site_name"]')?.getAttribute('content') || '';
+  return PORTALS.find((portal) => portal.PORTAL_NAME.toLowerCase() === siteName.replace(/\s/g, '').toLowerCase()) || null;
+};
+
+/**
+ * Extract the listing details from a listing page's HTML.
+ * @param {object} params - Parameters object.
+ * @param {string} params.html - The listing page's HTML.
+ * @param {string} [params.url] - The listing URL, used to pick the portal when the page does not say.
+ * @returns {object} - The portal name, the fields found and the names of fields that were not found.
+ */
+export const extractListing = ({ html, url }) => {
+  if (!html || !html.trim()) {
+    throw new Error('Paste the listing page HTML or upload a saved .html file');
+  }
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const portal = detectPortal({ url, doc });
+  if (!portal) {
+    throw new Error('This page does not look like a Property24 or PrivateProperty listing');
+  }
+
+  // Values that fail validation (e.g. a R0 price) are treated as not found
+  const { values, errors } = validatePropertyData(portal.parse(doc), { partial: true });
+  const fields = {};
+  const missing = [];
+  Object.keys(EXTRACTED_FIELDS).forEach((name) => {
+    if (values[name] === undefined || errors[name]) {
+      missing.push(name);
+    } else {
+      fields[name] = values[name];
+    }
+  });
+
+  return {
+    portal: portal.PORTAL_NAME,
+    fields,
+    missing
+  };
+};
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import { detectPortal, extractListing } from './index';
+import { normalisePropertyType, parseFloorSize, parseRand } from './parse-helpers';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+describe('parse helpers', () => {
+  test('reads Rand amounts written with spaces, commas and non-breaking spaces', () => {
+    expect(parseRand('R 2 450 000')).toBe(2450000);
+    expect(parseRand('R1,850.00 per month')).toBe(1850);
+    expect(parseRand('POA')).toBeNull();
+  });
+
+  test('stops reading a Rand amount at the text after it', () => {
+    expect(parseRand('R 2 350 3 beds')).toBe(2350);
+    expect(parseRand('R 2 350  12 photos')).toBe(2350);
+    expect(parseRand('R12500 per month')).toBe(12500);
+    expect(parseRand('per month 2 350 3 beds')).toBeNull();
+  });
+
+  test('reads floor sizes', () => {
+    expect(parseFloorSize('1 020 m²')).toBe(1020);
+    expect(parseFloorSize('85m2')).toBe(85);
+  });
+
+  test('maps portal property types onto the form options', () => {
+    expect(normalisePropertyType('Apartment / Flat')).toBe('apartment');
+    expect(normalisePropertyType('Cluster Home')).toBe('townhouse');
+    expect(normalisePropertyType('Farm')).toBeNull();
+  });
+});
+
+describe('extractListing', () => {
+  test('reads a Property24 apartment listing', () => {
+    const result = extractListing({ html: fixture('property24-apartment.html') });
+
+    expect(result.portal).toBe('Property24');
+    expect(result.fields).toEqual({
+      purchasePrice: 2450000,
+      propertyType: 'apartment',
+      bedrooms: 2,
+      bathrooms: 2,
+      floorSize: 85,
+      monthlyLevies: 2350,
+      monthlyRates: 1120,
+      location: 'Sea Point, Cape Town'
+    });
+    expect(result.missing).toEqual([]);
+  });
+
+  test('flags fields a Property24 listing leaves out', () => {
+    const result = extractListing({ html: fixture('property24-house.html') });
+
+    expect(result.fields).toMatchObject({ propertyType: 'house', bedrooms: 4, bathrooms: 2.5, floorSize: 310 });
+    expect(result.missing).toEqual(['purchasePrice', 'monthlyLevies', 'monthlyRates']);
+  });
+
+  test('reads a PrivateProperty townhouse listing', () => {
+    const result = extractListing({ html: fixture('private-property-townhouse.html') });
+
+    expect(result.portal).toBe('PrivateProperty');
+    expect(result.fields).toEqual({
+      purchasePrice: 2950000,
+      propertyType: 'townhouse',
+      bedrooms: 3,
+      bathrooms: 2.5,
+      floorSize: 180,
+      monthlyLevies: 1650,
+      monthlyRates: 1480,
+      location: 'Bryanston, Sandton'
+    });
+  });
+
+  test('uses the URL when the page does not say which portal it is from', () => {
+    const html = fixture('property24-apartment.html').replace(/<link rel="canonical"[^>]*>/, '').replace(/<meta property="og:site_name"[^>]*>/, '');
+
+    expect(() => extractListing({ html })).toThrow('does not look like');
+    expect(extractListing({ html, url: 'https://www.property24.com/for-sale/x/1' }).portal).toBe('Property24');
+  });
+
+  test('rejects empty input', () => {
+    expect(() => extractListing({ html: '  ' })).toThrow('Paste the listing page HTML');
+  });
+});
+
+describe('detectPortal', () => {
+  test('matches portals by host name only', () => {
+    expect(detectPortal({ url: 'https://www.privateproperty.co.za/for-sale/T1' }).PORTAL_NAME).toBe('PrivateProperty');
+    expect(detectPortal({ url: 'https://example.com/property24.com' })).toBeNull();
+  });
+});
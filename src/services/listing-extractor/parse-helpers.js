@@ -0,0 +1,109 @@
+/**
+ * PropForecast Listing Extractor Helpers
+ *
+ * Text clean-up shared by the portal parsers: reading Rand amounts, counts
+ * and floor sizes, and mapping the portals' property types onto ours.
+ */
+
+// Portal property types mapped onto the property types the input form offers
+const PROPERTY_TYPE_KEYWORDS = [
+  { keyword: 'apartment', type: 'apartment' },
+  { keyword: 'flat', type: 'apartment' },
+  { keyword: 'penthouse', type: 'apartment' },
+  { keyword: 'studio', type: 'apartment' },
+  { keyword: 'townhouse', type: 'townhouse' },
+  { keyword: 'cluster', type: 'townhouse' },
+  { keyword: 'simplex', type: 'townhouse' },
+  { keyword: 'duplex', type: 'duplex' },
+  { keyword: 'house', type: 'house' }
+];
+
+/**
+ * Collapse runs of whitespace (including non-breaking spaces) and trim.
+ * @param {string} text - Raw text from the page.
+ * @returns {string} - Cleaned text.
+ */
+export const cleanText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Read a Rand amount such as "R 1 250 000" or "R1,850.00". The amount must
+ * follow a capital R, and only thousands groups separated by a single space
+ * or comma belong to it, so a number or word after it is not read as more
+ * digits (e.g. "R 2 350 3 beds" is R2 350).
+ * @param {string} text - Text containing the amount.
+ * @returns {number|null} - The amount in Rands, or null if there is none.
+ */
+export const parseRand = (text) => {
+  const match = (text || '').match(/\bR\s?(\d{1,3}(?:[\s,]\d{3})+|\d+)(\.\d{1,2})?(?!\d)/);
+  if (!match) {
+    return null;
+  }
+
+  const amount = Number(match[1].replace(/[\s,]/g, '') + (match[2] || ''));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+/**
+ * Read the first number in a piece of text, e.g. "2.5" from "2.5 Bathrooms".
+ * @param {string} text - Text containing the number.
+ * @returns {number|null} - The number, or null if there is none.
+ */
+export const parseNumber = (text) => {
+  const match = cleanText(text).match(/\d+(?:[.,]\d+)?/);
+  return match ? Number(match[0].replace(',', '.')) : null;
+};
+
+/**
+ * Read a floor size in square metres, e.g. "85 m²" or "1 200m2".
+ * @param {string} text - Text containing the size.
+ * @returns {number|null} - The size in square metres, or null if there is none.
+ */
+export const parseFloorSize = (text) => {
+  const match = cleanText(text).match(/([\d\s]+(?:[.,]\d+)?)\s?m(?:²|2)/i);
+  return match ? Number(match[1].replace(/\s/g, '').replace(',', '.')) : null;
+};
+
+/**
+ * Map a portal's property type (e.g. "Flat", "Cluster Home") onto one of ours.
+ * @param {string} text - The portal's property type or listing title.
+ * @returns {string|null} - 'apartment', 'house', 'townhouse' or 'duplex', or null if unknown.
+ */
+export const normalisePropertyType = (text) => {
+  const lower = cleanText(text).toLowerCase();
+  const match = PROPERTY_TYPE_KEYWORDS.find(({ keyword }) => lower.includes(keyword));
+  return match ? match.type : null;
+};
+
+/**
+ * Read the schema.org JSON-LD blocks embedded in a page.
+ * @param {Document} doc - The parsed page.
+ * @returns {Array<object>} - Every JSON-LD object on the page, with @graph entries flattened.
+ */
+export const readJsonLd = (doc) => {
+  return Array.from(doc.querySelectorAll('script[type="application/ld+json"]')).flatMap((script) => {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = Array.isArray(data) ? data : [data];
+      return items.flatMap((item) => (item['@graph'] ? item['@graph'] : [item]));
+    } catch (e) {
+      // Malformed JSON-LD is common enough that it should not stop the extraction
+      return [];
+    }
+  });
+};
+
+/**
+ * Find the value next to a label in a list of label/value pairs on the page.
+ * @param {Document} doc - The parsed page.
+ * @param {string} rowSelector - Selector for each label/value row.
+ * @param {string} labelSelector - Selector for the label within a row.
+ * @param {string} valueSelector - Selector for the value within a row.
+ * @param {RegExp} label - Pattern the label should match.
+ * @returns {string|null} - The value's text, or null if no label matches.
+ */
+export const findLabelledValue = (doc, rowSelector, labelSelector, valueSelector, label) => {
+  const row = Array.from(doc.querySelectorAll(rowSelector))
+    .find((element) => label.test(cleanText(element.querySelector(labelSelector)?.textContent)));
+  const value = row && row.querySelector(valueSelector);
+  return value ? cleanText(value.textContent) : null;
+};
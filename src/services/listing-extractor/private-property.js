@@ -0,0 +1,78 @@
+/**
+ * PropForecast PrivateProperty Parser
+ *
+ * Reads a PrivateProperty listing page. The schema.org JSON-LD embedded in
+ * the page is preferred, with the visible price and property details list
+ * used for anything the structured data leaves out (levies and rates are
+ * only ever on the page itself).
+ */
+
+import {
+  cleanText,
+  findLabelledValue,
+  normalisePropertyType,
+  parseFloorSize,
+  parseNumber,
+  parseRand,
+  readJsonLd
+} from './parse-helpers';
+
+export const PORTAL_ID = 'private-property';
+export const PORTAL_NAME = 'PrivateProperty';
+
+/**
+ * Check whether a host name belongs to PrivateProperty.
+ * @param {string} hostname - Host name of the listing URL.
+ * @returns {boolean} - True for PrivateProperty hosts.
+ */
+export const matchesHost = (hostname) => /(^|\.)privateproperty\.co\.za$/i.test(hostname);
+
+const detailValue = (doc, label) => findLabelledValue(
+  doc,
+  '.property-details__list-item',
+  '.property-details__name-value',
+  '.property-details__value',
+  label
+);
+
+// JSON-LD numbers are sometimes strings, and sometimes missing altogether
+const numberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return Number.isFinite(Number(value)) ? Number(value) : null;
+};
+
+/**
+ * Extract the listing details from a PrivateProperty page.
+ * @param {Document} doc - The parsed listing page.
+ * @returns {object} - The fields found, with null for anything missing.
+ */
+export const parse = (doc) => {
+  const jsonLd = readJsonLd(doc);
+  const residence = jsonLd.find((item) => item.numberOfRooms !== undefined || item.floorSize !== undefined) || {};
+  const offer = jsonLd.find((item) => item['@type'] === 'Offer') || residence.offers || {};
+  const breadcrumb = jsonLd.find((item) => item['@type'] === 'BreadcrumbList');
+
+  // The trail runs Province > Area > Suburb, so the last two give the suburb and area
+  const crumbs = breadcrumb
+    ? breadcrumb.itemListElement.map(({ name }) => cleanText(name))
+    : Array.from(doc.querySelectorAll('.breadcrumb a')).map((link) => cleanText(link.textContent));
+  const [suburb, area] = crumbs.slice(-2).reverse();
+  const locality = residence.address?.addressLocality;
+
+  const title = cleanText(doc.querySelector('.listing-details__title')?.textContent) || residence.name;
+
+  return {
+    purchasePrice: numberOrNull(offer.price) ?? parseRand(doc.querySelector('.listing-price-display__price')?.textContent),
+    propertyType: normalisePropertyType(detailValue(doc, /^property type$/i) || title),
+    bedrooms: numberOrNull(residence.numberOfRooms) ?? parseNumber(detailValue(doc, /^bedrooms?$/i)),
+    bathrooms: numberOrNull(residence.numberOfBathroomsTotal) ?? parseNumber(detailValue(doc, /^bathrooms?$/i)),
+    floorSize: numberOrNull(residence.floorSize?.value) ?? parseFloorSize(detailValue(doc, /^floor size$/i)),
+    monthlyLevies: parseRand(detailValue(doc, /^levies$/i)),
+    monthlyRates: parseRand(detailValue(doc, /^rates (and|&) taxes$/i)),
+    location: crumbs.length >= 2
+      ? [suburb, area].filter(Boolean).join(', ')
+      : locality || null
+  };
+};
@@ -0,0 +1,65 @@
+/**
+ * PropForecast Property24 Parser
+ *
+ * Reads a Property24 listing page: the price banner, the key features
+ * (bedrooms and bathrooms), the property overview rows (type, floor size,
+ * levies, rates) and the breadcrumb trail for the suburb and city.
+ */
+
+import {
+  cleanText,
+  findLabelledValue,
+  normalisePropertyType,
+  parseFloorSize,
+  parseNumber,
+  parseRand
+} from './parse-helpers';
+
+export const PORTAL_ID = 'property24';
+export const PORTAL_NAME = 'Property24';
+
+/**
+ * Check whether a host name belongs to Property24.
+ * @param {string} hostname - Host name of the listing URL.
+ * @returns {boolean} - True for Property24 hosts.
+ */
+export const matchesHost = (hostname) => /(^|\.)property24\.com$/i.test(hostname);
+
+const overviewValue = (doc, label) => findLabelledValue(
+  doc,
+  '.p24_propertyOverviewRow',
+  '.p24_propertyOverviewKey',
+  '.p24_info',
+  label
+);
+
+const featureValue = (doc, label) => findLabelledValue(
+  doc,
+  '.p24_featureDetails',
+  '.p24_feature',
+  '.p24_featureAmount',
+  label
+);
+
+/**
+ * Extract the listing details from a Property24 page.
+ * @param {Document} doc - The parsed listing page.
+ * @returns {object} - The fields found, with null for anything missing.
+ */
+export const parse = (doc) => {
+  const title = cleanText(doc.querySelector('.p24_title')?.textContent);
+  const crumbs = Array.from(doc.querySelectorAll('.p24_breadcrumb li')).map((item) => cleanText(item.textContent));
+  // The trail runs For Sale > Province > City > Suburb
+  const [suburb, city] = crumbs.slice(-2).reverse();
+
+  return {
+    purchasePrice: parseRand(doc.querySelector('.p24_price')?.textContent),
+    propertyType: normalisePropertyType(overviewValue(doc, /^type of property$/i) || title),
+    bedrooms: parseNumber(featureValue(doc, /^bedrooms?$/i) || overviewValue(doc, /^bedrooms?$/i)),
+    bathrooms: parseNumber(featureValue(doc, /^bathrooms?$/i) || overviewValue(doc, /^bathrooms?$/i)),
+    floorSize: parseFloorSize(overviewValue(doc, /^floor size$/i)),
+    monthlyLevies: parseRand(overviewValue(doc, /^levies$/i)),
+    monthlyRates: parseRand(overviewValue(doc, /^rates (and|&) taxes$/i)),
+    location: crumbs.length >= 3 ? [suburb, city].filter(Boolean).join(', ') : null
+  };
+};
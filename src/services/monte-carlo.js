@@ -0,0 +1,156 @@
+/**
+ * PropForecast Monte Carlo Simulation
+ *
+ * Helpers for running a forecast many times with randomly drawn assumptions.
+ * Each trial draws its own long-run appreciation, rent escalation and vacancy
+ * from normal distributions centred on the forecast's assumptions, and moves
+ * the interest rate by a random step at the start of every year after the
+ * first. A seeded generator keeps the results reproducible.
+ */
+
+export const DEFAULT_SIMULATION_TRIALS = 1000;
+export const MAX_SIMULATION_TRIALS = 10000;
+export const DEFAULT_SIMULATION_SEED = 1;
+
+// Standard deviations in percentage points; the interest rate figure is per year
+export const DEFAULT_SIMULATION_VOLATILITY = {
+  appreciation: 4,
+  rentEscalation: 2,
+  vacancy: 3,
+  interestRate: 1
+};
+
+// Percentiles reported for every simulated figure
+export const SIMULATION_PERCENTILES = [10, 50, 90];
+
+const IRR_HISTOGRAM_BINS = 12;
+
+// The IRR histogram spans the 2nd to 98th percentile; the tails fold into the end bins
+const HISTOGRAM_TAIL_PERCENTILE = 2;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * @param {number} seed - Any integer; the same seed always gives the same sequence.
+ * @returns {Function} - Returns the next number in [0, 1) each time it is called.
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw from a normal distribution (Box-Muller transform).
+ * @param {Function} random - Generator from createRandom.
+ * @param {number} mean - Mean of the distribution.
+ * @param {number} stdDev - Standard deviation of the distribution.
+ * @returns {number} - The drawn value.
+ */
+export const sampleNormal = (random, mean, stdDev) => {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  const v = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Calculate a percentile by linear interpolation between the closest ranks.
+ * @param {Array<number>} values - The values, in any order.
+ * @param {number} percentile - The percentile, from 0 to 100.
+ * @returns {number|null} - The percentile, or null when there are no values.
+ */
+export const calculatePercentile = (values, percentile) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Count values into equal-width bins. Values outside the range are counted in
+ * the end bins, so a few extreme trials do not squash the rest of the chart.
+ * @param {Array<number>} values - The values to count.
+ * @param {object} [options] - Options object.
+ * @param {number} [options.binCount] - Number of bins.
+ * @param {number} [options.min] - Lower edge of the first bin; defaults to the smallest value.
+ * @param {number} [options.max] - Upper edge of the last bin; defaults to the largest value.
+ * @returns {Array<object>} - Bins as { from, to, count }.
+ */
+export const buildHistogram = (values, { binCount = IRR_HISTOGRAM_BINS, min = Math.min(...values), max = Math.max(...values) } = {}) => {
+  if (values.length === 0) return [];
+
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: min + index * width,
+    to: min + (index + 1) * width,
+    count: 0
+  }));
+
+  values.forEach((value) => {
+    bins[clamp(Math.floor((value - min) / width), 0, binCount - 1)].count += 1;
+  });
+
+  return bins;
+};
+
+/**
+ * Draw one trial's assumptions.
+ * @param {object} params - Parameters object.
+ * @param {Function} params.random - Generator from createRandom.
+ * @param {object} params.means - The forecast's annualAppreciationRate, rentEscalationRate and vacancyRate.
+ * @param {object} params.volatility - Standard deviations as in DEFAULT_SIMULATION_VOLATILITY.
+ * @param {number} params.years - Number of years to draw interest rate moves for.
+ * @param {boolean} [params.varyVacancy] - Whether to draw the vacancy rate (long-term rentals only).
+ * @returns {object} - Forecast inputs: annualAppreciationRate, rentEscalationRate, vacancyRate (when drawn) and rateChanges.
+ */
+export const sampleTrialInputs = ({ random, means, volatility, years, varyVacancy = true }) => ({
+  annualAppreciationRate: clamp(sampleNormal(random, means.annualAppreciationRate, volatility.appreciation), -50, 50),
+  rentEscalationRate: clamp(sampleNormal(random, means.rentEscalationRate, volatility.rentEscalation), -50, 50),
+  ...(varyVacancy && { vacancyRate: clamp(sampleNormal(random, means.vacancyRate, volatility.vacancy), 0, 100) }),
+  rateChanges: Array.from({ length: Math.max(years - 1, 0) }, (_, index) => ({
+    year: index + 2,
+    change: clamp(sampleNormal(random, 0, volatility.interestRate), -10, 10)
+  }))
+});
+
+/**
+ * Summarise the trials into percentile bands and probabilities.
+ * @param {Array<object>} trials - One entry per trial as { netReturns, cashFlows, irr }, where
+ * netReturns and cashFlows hold one figure per projection year and irr may be null.
+ * @returns {object} - Yearly cumulative return bands, the probability of a negative cash flow year and the IRR distribution.
+ */
+export const summariseSimulation = (trials) => {
+  const years = trials.length > 0 ? trials[0].netReturns.length : 0;
+  const bands = (values) => Object.fromEntries(
+    SIMULATION_PERCENTILES.map((percentile) => [`p${percentile}`, calculatePercentile(values, percentile)])
+  );
+  const irrs = trials.map(({ irr }) => irr).filter((irr) => irr !== null);
+  const negativeTrials = trials.filter(({ cashFlows }) => cashFlows.some((cashFlow) => cashFlow < 0)).length;
+
+  return {
+    cumulativeReturn: Array.from({ length: years }, (_, index) => ({
+      year: index + 1,
+      ...bands(trials.map(({ netReturns }) => netReturns[index]))
+    })),
+    probabilityOfNegativeCashFlow: trials.length > 0 ? (negativeTrials / trials.length) * 100 : 0,
+    irr: {
+      ...bands(irrs),
+      histogram: buildHistogram(irrs, {
+        min: calculatePercentile(irrs, HISTOGRAM_TAIL_PERCENTILE),
+        max: calculatePercentile(irrs, 100 - HISTOGRAM_TAIL_PERCENTILE)
+      }),
+      unavailableTrials: trials.length - irrs.length
+    }
+  };
+};
@@ -0,0 +1,117 @@
+import {
+  buildHistogram,
+  calculatePercentile,
+  createRandom,
+  sampleNormal,
+  sampleTrialInputs,
+  summariseSimulation
+} from './monte-carlo';
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const other = createRandom(43);
+    const draws = Array.from({ length: 5 }, () => first());
+
+    expect(Array.from({ length: 5 }, () => second())).toEqual(draws);
+    expect(other()).not.toBe(draws[0]);
+    draws.forEach((draw) => {
+      expect(draw).toBeGreaterThanOrEqual(0);
+      expect(draw).toBeLessThan(1);
+    });
+  });
+});
+
+describe('sampleNormal', () => {
+  test('centres draws on the mean with the given spread', () => {
+    const random = createRandom(7);
+    const draws = Array.from({ length: 5000 }, () => sampleNormal(random, 5, 2));
+    const mean = draws.reduce((total, draw) => total + draw, 0) / draws.length;
+    const variance = draws.reduce((total, draw) => total + (draw - mean) ** 2, 0) / draws.length;
+
+    expect(mean).toBeCloseTo(5, 1);
+    expect(Math.sqrt(variance)).toBeCloseTo(2, 1);
+  });
+});
+
+describe('calculatePercentile', () => {
+  test('interpolates between the closest ranks', () => {
+    const values = [5, 1, 4, 2, 3];
+
+    expect(calculatePercentile(values, 0)).toBe(1);
+    expect(calculatePercentile(values, 50)).toBe(3);
+    expect(calculatePercentile(values, 90)).toBeCloseTo(4.6, 10);
+    expect(calculatePercentile(values, 100)).toBe(5);
+    expect(calculatePercentile([], 50)).toBeNull();
+  });
+});
+
+describe('buildHistogram', () => {
+  test('counts values into equal-width bins', () => {
+    const bins = buildHistogram([0, 1, 2, 3, 4, 5, 6, 7, 8, 10], { binCount: 5 });
+
+    expect(bins.map(({ from }) => from)).toEqual([0, 2, 4, 6, 8]);
+    expect(bins.map(({ count }) => count)).toEqual([2, 2, 2, 2, 2]);
+  });
+
+  test('folds values outside the range into the end bins', () => {
+    const bins = buildHistogram([-50, 1, 2, 3, 50], { binCount: 2, min: 0, max: 4 });
+
+    expect(bins.map(({ count }) => count)).toEqual([2, 3]);
+  });
+});
+
+describe('sampleTrialInputs', () => {
+  const means = { annualAppreciationRate: 5, rentEscalationRate: 6, vacancyRate: 5 };
+  const volatility = { appreciation: 4, rentEscalation: 2, vacancy: 3, interestRate: 1 };
+
+  test('draws the long-run rates and a rate move for every year after the first', () => {
+    const inputs = sampleTrialInputs({ random: createRandom(1), means, volatility, years: 10 });
+
+    expect(inputs.rateChanges.map(({ year }) => year)).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(inputs.vacancyRate).toBeGreaterThanOrEqual(0);
+    expect(sampleTrialInputs({ random: createRandom(1), means, volatility, years: 10 })).toEqual(inputs);
+  });
+
+  test('uses the assumptions unchanged when there is no spread', () => {
+    const inputs = sampleTrialInputs({
+      random: createRandom(1),
+      means,
+      volatility: { appreciation: 0, rentEscalation: 0, vacancy: 0, interestRate: 0 },
+      years: 3
+    });
+
+    expect(inputs).toEqual({
+      annualAppreciationRate: 5,
+      rentEscalationRate: 6,
+      vacancyRate: 5,
+      rateChanges: [{ year: 2, change: 0 }, { year: 3, change: 0 }]
+    });
+  });
+
+  test('leaves vacancy alone when it is not varied', () => {
+    const inputs = sampleTrialInputs({ random: createRandom(1), means, volatility, years: 1, varyVacancy: false });
+
+    expect(inputs).not.toHaveProperty('vacancyRate');
+    expect(inputs.rateChanges).toEqual([]);
+  });
+});
+
+describe('summariseSimulation', () => {
+  test('reports yearly percentile bands, the chance of a negative year and the IRR spread', () => {
+    const summary = summariseSimulation([
+      { netReturns: [-10, 10], cashFlows: [100, 200], irr: 4 },
+      { netReturns: [0, 20], cashFlows: [-50, 200], irr: 8 },
+      { netReturns: [10, 30], cashFlows: [100, -1], irr: null }
+    ]);
+
+    expect(summary.cumulativeReturn).toEqual([
+      { year: 1, p10: -8, p50: 0, p90: 8 },
+      { year: 2, p10: 12, p50: 20, p90: 28 }
+    ]);
+    expect(summary.probabilityOfNegativeCashFlow).toBeCloseTo(200 / 3, 10);
+    expect(summary.irr.p50).toBe(6);
+    expect(summary.irr.unavailableTrials).toBe(1);
+  });
+});
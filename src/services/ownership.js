@@ -0,0 +1,161 @@
+/**
+ * PropForecast Ownership Structures
+ *
+ * Tax on a property held through a (Pty) Ltd company or a trust rather than
+ * in the investor's own name. Both pay a flat rate on their rental profit and
+ * include 80% of a capital gain, and neither can set a rental loss off against
+ * the investor's salary: losses are carried forward as an assessed loss. A
+ * company's profits are taxed again when paid out as dividends.
+ *
+ * The investor is assumed to fund the deposit, purchase costs and any cash
+ * shortfalls through a loan account, which the entity repays before anything
+ * is paid out as a dividend.
+ */
+
+import { getTaxTable } from './tax-tables';
+
+export const OWNERSHIP_STRUCTURES = ['individual', 'company', 'trust'];
+
+export const OWNERSHIP_STRUCTURE_LABELS = {
+  individual: 'Own Name',
+  company: 'Company (Pty) Ltd',
+  trust: 'Trust'
+};
+
+/**
+ * Get the flat tax rates for a company or trust in a tax year.
+ * @param {string} ownershipStructure - 'company' or 'trust'.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @returns {object} - The tax year used with the income tax rate, CGT inclusion rate and dividends tax rate.
+ */
+export const getEntityTaxRates = (ownershipStructure, taxYear) => {
+  const table = getTaxTable(taxYear);
+  const rates = ownershipStructure === 'company' ? table.companyTax : table.trustTax;
+
+  return {
+    taxYear: table.taxYear,
+    dividendsTaxRate: 0,
+    ...rates
+  };
+};
+
+/**
+ * Split cash paid out to the investor into a tax-free loan repayment and a dividend.
+ * @param {number} amount - Cash paid out.
+ * @param {number} loanBalance - What the entity still owes the investor.
+ * @param {number} dividendsTaxRate - Dividends tax rate as a fraction.
+ * @returns {object} - The loan repaid, the dividend and the dividends tax on it.
+ */
+const extractCash = (amount, loanBalance, dividendsTaxRate) => {
+  const loanRepaid = Math.min(Math.max(amount, 0), loanBalance);
+  const dividend = Math.max(amount - loanRepaid, 0);
+
+  return { loanRepaid, dividend, dividendsTax: dividend * dividendsTaxRate };
+};
+
+/**
+ * Calculate the tax a company or trust pays on rental profit for each projection
+ * year, and the dividends tax on paying the rest of the cash out.
+ * Rates are held at the chosen tax year's values for the whole projection.
+ * @param {object} params - Parameters object.
+ * @param {Array<object>} params.projectionYears - Yearly rows from generateProjection, with any section 13sex buildingAllowance to deduct.
+ * @param {string} params.ownershipStructure - 'company' or 'trust'.
+ * @param {number} params.cashInvested - Cash the investor lent the entity to buy the property.
+ * @param {string} [params.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @returns {Array<object>} - One row per year with the rental profit, tax, dividends tax and after-tax cash flow.
+ */
+export const calculateEntityRentalTax = ({
+  projectionYears,
+  ownershipStructure,
+  cashInvested,
+  taxYear
+}) => {
+  const { incomeTaxRate, dividendsTaxRate } = getEntityTaxRates(ownershipStructure, taxYear);
+  let assessedLoss = 0;
+  let investorLoanBalance = cashInvested;
+
+  return projectionYears.map((row) => {
+    const deductions = {
+      bondInterest: row.interest,
+      operatingExpenses: row.expenses,
+      buildingAllowance: row.buildingAllowance || 0
+    };
+    const income = row.rentalIncome + (row.otherIncome || 0);
+    const rentalProfit = income - deductions.bondInterest - deductions.operatingExpenses - deductions.buildingAllowance;
+
+    // A loss is carried forward against the entity's later profits
+    const lossUsed = Math.min(assessedLoss, Math.max(rentalProfit, 0));
+    const taxableRentalIncome = Math.max(rentalProfit - lossUsed, 0);
+    assessedLoss = assessedLoss - lossUsed + Math.max(-rentalProfit, 0);
+
+    const tax = taxableRentalIncome * incomeTaxRate;
+    const cashAfterTax = row.cashFlow - tax;
+
+    // Shortfalls are lent in by the investor; surpluses repay the loan, then go out as dividends
+    const { loanRepaid, dividend, dividendsTax } = extractCash(cashAfterTax, investorLoanBalance, dividendsTaxRate);
+    investorLoanBalance = investorLoanBalance - loanRepaid + Math.max(-cashAfterTax, 0);
+
+    return {
+      year: row.year,
+      rentalIncome: income,
+      deductions,
+      rentalProfit,
+      ringFenced: false,
+      taxableRentalIncome,
+      assessedLossCarriedForward: assessedLoss,
+      tax,
+      dividend,
+      dividendsTax,
+      investorLoanBalance,
+      preTaxCashFlow: row.cashFlow,
+      afterTaxCashFlow: cashAfterTax - dividendsTax
+    };
+  });
+};
+
+/**
+ * Calculate capital gains tax for a company or trust. There is no annual
+ * exclusion, and the included gain is first set off against any assessed loss.
+ * @param {object} params - Parameters object.
+ * @param {number} params.proceeds - Sale price less selling costs.
+ * @param {number} params.baseCost - Purchase price plus the costs of acquiring the property.
+ * @param {string} params.ownershipStructure - 'company' or 'trust'.
+ * @param {number} [params.assessedLoss] - Rental losses carried forward to the year of sale.
+ * @param {string} [params.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @returns {object} - The capital gain, the amount included in taxable income and the tax on it.
+ */
+export const calculateEntityCapitalGainsTax = ({
+  proceeds,
+  baseCost,
+  ownershipStructure,
+  assessedLoss = 0,
+  taxYear
+}) => {
+  const { incomeTaxRate, capitalGainsInclusionRate } = getEntityTaxRates(ownershipStructure, taxYear);
+  const capitalGain = proceeds - baseCost;
+  const taxableCapitalGain = Math.max(capitalGain, 0) * capitalGainsInclusionRate;
+
+  return {
+    capitalGain,
+    annualExclusion: 0,
+    inclusionRate: capitalGainsInclusionRate * 100,
+    taxableCapitalGain,
+    capitalGainsTax: Math.max(taxableCapitalGain - assessedLoss, 0) * incomeTaxRate
+  };
+};
+
+/**
+ * Calculate the dividends tax on paying the sale proceeds out to the investor.
+ * @param {object} params - Parameters object.
+ * @param {number} params.proceedsAfterTax - Cash left in the entity after the bond and capital gains tax.
+ * @param {number} params.loanBalance - What the entity still owes the investor.
+ * @param {string} params.ownershipStructure - 'individual', 'company' or 'trust'.
+ * @param {string} [params.taxYear] - Tax year label, e.g. '2024/2025'.
+ * @returns {number} - Dividends tax in Rands.
+ */
+export const calculateExitDividendsTax = ({ proceedsAfterTax, loanBalance, ownershipStructure, taxYear }) => {
+  if (ownershipStructure === 'individual') return 0;
+
+  const { dividendsTaxRate } = getEntityTaxRates(ownershipStructure, taxYear);
+  return extractCash(proceedsAfterTax, loanBalance, dividendsTaxRate).dividendsTax;
+};
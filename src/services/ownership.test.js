@@ -0,0 +1,88 @@
+import {
+  calculateEntityCapitalGainsTax,
+  calculateEntityRentalTax,
+  calculateExitDividendsTax,
+  getEntityTaxRates
+} from './ownership';
+
+const projectionRow = (year, { rentalIncome, interest, expenses, cashFlow }) => ({
+  year,
+  rentalIncome,
+  interest,
+  expenses,
+  cashFlow
+});
+
+describe('getEntityTaxRates', () => {
+  test('reads the company and trust rates for the tax year', () => {
+    expect(getEntityTaxRates('company', '2022/2023').incomeTaxRate).toBe(0.28);
+    expect(getEntityTaxRates('company', '2024/2025')).toMatchObject({
+      taxYear: '2024/2025',
+      incomeTaxRate: 0.27,
+      capitalGainsInclusionRate: 0.8,
+      dividendsTaxRate: 0.2
+    });
+    expect(getEntityTaxRates('trust', '2024/2025')).toMatchObject({
+      incomeTaxRate: 0.45,
+      capitalGainsInclusionRate: 0.8,
+      dividendsTaxRate: 0
+    });
+  });
+});
+
+describe('calculateEntityRentalTax', () => {
+  const projectionYears = [
+    projectionRow(1, { rentalIncome: 100000, interest: 90000, expenses: 30000, cashFlow: -40000 }),
+    projectionRow(2, { rentalIncome: 120000, interest: 80000, expenses: 30000, cashFlow: 20000 }),
+    projectionRow(3, { rentalIncome: 200000, interest: 70000, expenses: 30000, cashFlow: 110000 })
+  ];
+
+  test('carries losses forward against later profits at the flat rate', () => {
+    const rows = calculateEntityRentalTax({ projectionYears, ownershipStructure: 'trust', cashInvested: 0, taxYear: '2024/2025' });
+
+    expect(rows.map((row) => row.rentalProfit)).toEqual([-20000, 10000, 100000]);
+    expect(rows.map((row) => row.assessedLossCarriedForward)).toEqual([20000, 10000, 0]);
+    expect(rows.map((row) => row.taxableRentalIncome)).toEqual([0, 0, 90000]);
+    expect(rows[2].tax).toBeCloseTo(90000 * 0.45, 6);
+    expect(rows.every((row) => row.dividendsTax === 0)).toBe(true);
+  });
+
+  test('repays the investor\'s loan before paying dividends', () => {
+    const rows = calculateEntityRentalTax({ projectionYears, ownershipStructure: 'company', cashInvested: 50000, taxYear: '2024/2025' });
+
+    // Year 1's shortfall is added to the loan, year 2 repays part of it
+    expect(rows[0].investorLoanBalance).toBe(90000);
+    expect(rows[1].dividend).toBe(0);
+    expect(rows[1].investorLoanBalance).toBe(70000);
+
+    const cashAfterTax = 110000 - 90000 * 0.27;
+    expect(rows[2].dividend).toBeCloseTo(cashAfterTax - 70000, 6);
+    expect(rows[2].afterTaxCashFlow).toBeCloseTo(cashAfterTax - (cashAfterTax - 70000) * 0.2, 6);
+  });
+});
+
+describe('calculateEntityCapitalGainsTax', () => {
+  test('includes 80% of the gain with no annual exclusion, less any assessed loss', () => {
+    const result = calculateEntityCapitalGainsTax({
+      proceeds: 1500000,
+      baseCost: 1000000,
+      ownershipStructure: 'company',
+      assessedLoss: 100000,
+      taxYear: '2024/2025'
+    });
+
+    expect(result.annualExclusion).toBe(0);
+    expect(result.taxableCapitalGain).toBe(400000);
+    expect(result.capitalGainsTax).toBeCloseTo(300000 * 0.27, 6);
+  });
+});
+
+describe('calculateExitDividendsTax', () => {
+  test('taxes what is paid out of a company beyond the investor\'s loan', () => {
+    const params = { proceedsAfterTax: 500000, loanBalance: 300000, taxYear: '2024/2025' };
+
+    expect(calculateExitDividendsTax({ ...params, ownershipStructure: 'company' })).toBeCloseTo(40000, 6);
+    expect(calculateExitDividendsTax({ ...params, ownershipStructure: 'trust' })).toBe(0);
+    expect(calculateExitDividendsTax({ ...params, ownershipStructure: 'individual' })).toBe(0);
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * PropForecast PDF Report
+ *
+ * Builds a multi-page A4 PDF of a forecast entirely in the browser with jsPDF:
+ * the investment summary, property details, financial breakdown, cash flow,
+ * yields, returns, chart images, the assumptions used and the disclaimer.
+ */
+
+import { jsPDF } from 'jspdf';
+import { formatCurrency, formatPercent } from '../utils/formatters';
+import { OWNERSHIP_STRUCTURE_LABELS } from './ownership';
+import { PURCHASE_TYPE_LABELS } from './purchase-types';
+import { UNIT_TYPE_LABELS } from './rent-roll';
+
+export const REPORT_DISCLAIMER = 'Investment forecasts are estimates and should not be considered financial advice.';
+
+// A4 portrait layout in millimetres
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 18;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const LINE_HEIGHT = 6;
+const FOOTER_HEIGHT = 12;
+
+const formatBreakeven = (breakeven) => (
+  breakeven.years < 100 ? `${breakeven.years.toFixed(1)} years` : 'Not within projection period'
+);
+
+const formatIrr = (irr) => (irr === null ? 'n/a' : formatPercent(irr));
+
+/**
+ * Wrap a jsPDF document with a cursor that moves down the page and starts a
+ * new page whenever the next block would run into the footer.
+ * @param {jsPDF} doc - The document to write to.
+ * @param {number} [startY] - Where to start writing on the first page.
+ * @returns {object} - Functions for writing headings, paragraphs, tables and images.
+ */
+const createLayout = (doc, startY = MARGIN) => {
+  let y = startY;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(LINE_HEIGHT * 3);
+    y += LINE_HEIGHT / 2;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(31, 41, 55);
+    doc.text(text, MARGIN, y);
+    y += 2;
+    doc.setDrawColor(209, 213, 219);
+    doc.line(MARGIN, y, PAGE_WIDTH - MARGIN, y);
+    y += LINE_HEIGHT;
+  };
+
+  const paragraph = (text) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(55, 65, 81);
+    doc.splitTextToSize(text, CONTENT_WIDTH).forEach((line) => {
+      ensureSpace(LINE_HEIGHT);
+      doc.text(line, MARGIN, y);
+      y += LINE_HEIGHT - 1;
+    });
+    y += 2;
+  };
+
+  // Two-column label/value rows; `bold` marks subtotals
+  const table = (rows) => {
+    doc.setFontSize(10);
+    doc.setTextColor(55, 65, 81);
+    rows.forEach(({ label, value, bold, indent }) => {
+      ensureSpace(LINE_HEIGHT);
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.text(label, MARGIN + (indent ? 5 : 0), y);
+      doc.text(value, PAGE_WIDTH - MARGIN, y, { align: 'right' });
+      y += LINE_HEIGHT;
+    });
+    y += 2;
+  };
+
+  const image = ({ title, dataUrl, width, height }) => {
+    const imageHeight = CONTENT_WIDTH * (height / width);
+    ensureSpace(imageHeight + LINE_HEIGHT * 2);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text(title, MARGIN, y);
+    y += 3;
+    doc.addImage(dataUrl, 'PNG', MARGIN, y, CONTENT_WIDTH, imageHeight);
+    y += imageHeight + LINE_HEIGHT;
+  };
+
+  return { heading, paragraph, table, image };
+};
+
+/**
+ * Stamp the disclaimer and page numbers at the bottom of every page.
+ * @param {jsPDF} doc - The finished document.
+ */
+const addFooters = (doc) => {
+  const pageCount = doc.getNumberOfPages();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(REPORT_DISCLAIMER, MARGIN, PAGE_HEIGHT - MARGIN / 2);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - MARGIN / 2, { align: 'right' });
+  }
+};
+
+/**
+ * Build the PDF report for a forecast.
+ * @param {object} params - Parameters object.
+ * @param {object} params.forecast - Result of generatePropertyForecast.
+ * @param {Array<object>} [params.chartImages] - Charts as PNG data URLs, each with a title, width and height.
+ * @param {Date} [params.generatedAt] - When the report was generated.
+ * @returns {jsPDF} - The finished document.
+ */
+export const generatePdfReport = ({ forecast, chartImages = [], generatedAt = new Date() }) => {
+  const {
+    propertyDetails,
+    financingDetails,
+    purchaseCosts,
+    rentalDetails,
+    expenses,
+    lineItems = [],
+    rentRoll = null,
+    rateShocks = [],
+    affordability = null,
+    simulation = null,
+    ownershipComparison = null,
+    buildingAllowance = null,
+    yields,
+    cashFlow,
+    projection,
+    roi,
+    returns,
+    exit,
+    tax,
+    breakeven,
+    assumptions,
+    investmentSummary
+  } = forecast;
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const layout = createLayout(doc, MARGIN + 18);
+
+  // Title block
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor(30, 64, 175);
+  doc.text('PropForecast Investment Report', MARGIN, MARGIN + 4);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.setTextColor(107, 114, 128);
+  doc.text(
+    `${propertyDetails.location || 'Unnamed property'} | Generated ${generatedAt.toLocaleDateString('en-ZA')}`,
+    MARGIN,
+    MARGIN + 11
+  );
+
+  layout.heading('Investment Summary');
+  layout.paragraph(investmentSummary);
+  layout.table([
+    { label: 'Monthly Cash Flow', value: formatCurrency(cashFlow.monthly) },
+    { label: 'Net Yield (on Investment)', value: formatPercent(yields.netYieldOnInvestment) },
+    { label: '10-Year ROI', value: formatPercent(roi.tenYear.roi) },
+    { label: 'Breakeven', value: formatBreakeven(breakeven) }
+  ]);
+
+  layout.heading('Property Details');
+  layout.table([
+    { label: 'Property Type', value: propertyDetails.propertyType },
+    { label: 'Location', value: propertyDetails.location || '-' },
+    { label: 'Bedrooms', value: String(propertyDetails.bedrooms) },
+    { label: 'Bathrooms', value: String(propertyDetails.bathrooms) },
+    ...(propertyDetails.floorSize ? [{ label: 'Floor Size', value: `${propertyDetails.floorSize} m²` }] : []),
+    { label: 'Purchase Price', value: formatCurrency(propertyDetails.purchasePrice) }
+  ]);
+
+  layout.heading('Financial Breakdown');
+  layout.table([
+    { label: 'Purchase Price', value: formatCurrency(propertyDetails.purchasePrice) },
+    ...(propertyDetails.purchaseType && propertyDetails.purchaseType !== 'resale'
+      ? [{ label: 'Purchase Type', value: PURCHASE_TYPE_LABELS[propertyDetails.purchaseType] }]
+      : []),
+    { label: 'Transfer Duty', value: formatCurrency(purchaseCosts.transfer.transferDuty), indent: true },
+    { label: 'Conveyancing Attorney Fees (incl. VAT)', value: formatCurrency(purchaseCosts.transfer.attorneyFees), indent: true },
+    { label: 'Deeds Office Transfer Fee', value: formatCurrency(purchaseCosts.transfer.deedsOfficeRegistration), indent: true },
+    { label: 'Postage & Petties', value: formatCurrency(purchaseCosts.transfer.postageAndPetties), indent: true },
+    { label: purchaseCosts.transfer.paidByDeveloper ? 'Transfer Costs (Paid by the Developer)' : 'Transfer Costs', value: formatCurrency(purchaseCosts.transfer.total), bold: true },
+    { label: 'Bond Attorney Fees (incl. VAT)', value: formatCurrency(purchaseCosts.bond.attorneyFees), indent: true },
+    { label: 'Deeds Office Bond Fee', value: formatCurrency(purchaseCosts.bond.deedsOfficeFee), indent: true },
+    { label: 'Bank Initiation Fee (incl. VAT)', value: formatCurrency(purchaseCosts.bond.bankInitiationFee), indent: true },
+    { label: 'Postage & Petties (incl. VAT)', value: formatCurrency(purchaseCosts.bond.postageAndPetties), indent: true },
+    { label: 'Bond Registration Costs', value: formatCurrency(purchaseCosts.bond.total), bold: true },
+    { label: 'Total Purchase Cost', value: formatCurrency(propertyDetails.totalPurchaseCost), bold: true },
+    { label: 'Deposit', value: formatCurrency(financingDetails.deposit) },
+    { label: 'Loan Amount', value: formatCurrency(financingDetails.loanAmount) },
+    { label: 'Interest Rate', value: formatPercent(financingDetails.interestRate) },
+    ...(financingDetails.rateBasis === 'prime'
+      ? [{ label: 'Priced At', value: `Prime ${formatPercent(financingDetails.primeRate)} ${financingDetails.primeMargin < 0 ? '-' : '+'} ${Math.abs(financingDetails.primeMargin)}`, indent: true }]
+      : []),
+    { label: 'Loan Term', value: `${financingDetails.loanTerm} years` },
+    { label: 'Monthly Bond Repayment', value: formatCurrency(financingDetails.monthlyBondRepayment), bold: true }
+  ]);
+
+  layout.heading('Monthly Cash Flow');
+  layout.table([
+    ...(rentalDetails.shortTermRental
+      ? [
+        { label: `Booking Revenue (${formatCurrency(rentalDetails.shortTermRental.nightlyRate)}/night, ${formatPercent(rentalDetails.shortTermRental.averageOccupancy)} occupancy)`, value: formatCurrency(rentalDetails.effectiveRent) }
+      ]
+      : [
+        { label: 'Expected Rent', value: formatCurrency(rentalDetails.expectedRent) },
+        { label: `Effective Rent (after ${formatPercent(rentalDetails.vacancyRate)} vacancy)`, value: formatCurrency(rentalDetails.effectiveRent) }
+      ]),
+    ...lineItems
+      .filter((item) => item.kind === 'income' && item.monthlyAmount > 0)
+      .map((item) => ({ label: `Plus: ${item.name}`, value: formatCurrency(item.monthlyAmount) })),
+    { label: 'Less: Bond Repayment', value: formatCurrency(-financingDetails.monthlyBondRepayment) },
+    ...(financingDetails.extraBondPayment > 0
+      ? [{ label: 'Less: Extra Bond Payment', value: formatCurrency(-financingDetails.extraBondPayment) }]
+      : []),
+    { label: 'Less: Levies', value: formatCurrency(-expenses.levies) },
+    { label: 'Less: Rates & Taxes', value: formatCurrency(-expenses.ratesAndTaxes) },
+    { label: 'Less: Maintenance', value: formatCurrency(-expenses.maintenance) },
+    ...[
+      { label: 'Less: Agent Management Fee (incl. VAT)', amount: expenses.managementFees },
+      { label: 'Less: Letting Fees (incl. VAT, per month)', amount: expenses.lettingFees },
+      { label: 'Less: Building Insurance', amount: expenses.insurance },
+      { label: 'Less: Utilities', amount: expenses.utilities },
+      { label: 'Less: Platform, Management, Cleaning & Utilities', amount: expenses.shortTermRentalCosts }
+    ]
+      .filter(({ amount }) => amount > 0)
+      .map(({ label, amount }) => ({ label, value: formatCurrency(-amount) })),
+    ...lineItems
+      .filter((item) => item.kind === 'expense' && item.monthlyAmount > 0)
+      .map((item) => ({ label: `Less: ${item.name}`, value: formatCurrency(-item.monthlyAmount) })),
+    { label: 'Net Monthly Cash Flow (Pre-Tax)', value: formatCurrency(cashFlow.monthly), bold: true },
+    { label: 'Net Annual Cash Flow (Pre-Tax)', value: formatCurrency(cashFlow.annual) },
+    { label: `Income Tax on Rental Profit (Year 1, ${tax.taxYear})`, value: formatCurrency(-tax.annualTax) },
+    { label: 'Net Annual Cash Flow (After Tax)', value: formatCurrency(tax.afterTaxCashFlow.annual), bold: true }
+  ]);
+
+  if (rentRoll) {
+    layout.heading('Rent Roll');
+    layout.table([
+      ...rentRoll.units.map((unit) => ({
+        label: `${unit.name} (${UNIT_TYPE_LABELS[unit.unitType]}, ${unit.bedrooms} bed): Rent / Vacancy / Lease Expiry`,
+        value: [formatCurrency(unit.rent), formatPercent(unit.vacancyRate), unit.leaseExpiry || 'Not set'].join(' / ')
+      })),
+      { label: 'Total Rent / Rent-Weighted Vacancy', value: `${formatCurrency(rentRoll.grossRent)} / ${formatPercent(rentRoll.vacancyRate)}`, bold: true }
+    ]);
+  }
+
+  if (affordability) {
+    layout.heading('Bond Affordability');
+    layout.table([
+      { label: 'Qualifying Income (Gross Income Plus Counted Rent)', value: formatCurrency(affordability.qualifyingIncome) },
+      { label: `Instalment Limit (${formatPercent(affordability.instalmentToIncomeLimit)} of Qualifying Income)`, value: formatCurrency(affordability.instalmentLimit) },
+      { label: 'Income Left After Debts and Living Expenses', value: formatCurrency(affordability.disposableIncome) },
+      { label: 'Maximum Bond', value: formatCurrency(affordability.maximumBond), bold: true },
+      { label: 'Bond Applied For', value: formatCurrency(affordability.loanAmount) },
+      { label: 'Result', value: affordability.passes ? 'Qualifies' : `Short by ${formatCurrency(affordability.shortfall)}`, bold: true }
+    ]);
+  }
+
+  if (rateShocks.length > 0) {
+    layout.heading('Interest Rate Scenarios');
+    layout.table(rateShocks.map((scenario) => ({
+      label: `+${Math.round(scenario.shock * 100)}bps to ${formatPercent(scenario.rate)}: Monthly Cash Flow`,
+      value: `${formatCurrency(scenario.monthlyCashFlow)} (${formatCurrency(scenario.cashFlowChange)})`
+    })));
+  }
+
+  layout.heading('Yields');
+  layout.table([
+    { label: 'Gross Yield (on Price)', value: formatPercent(yields.grossYieldOnPrice) },
+    { label: 'Gross Yield (on Investment)', value: formatPercent(yields.grossYieldOnInvestment) },
+    { label: 'Net Yield (on Price)', value: formatPercent(yields.netYieldOnPrice) },
+    { label: 'Net Yield (on Investment)', value: formatPercent(yields.netYieldOnInvestment) }
+  ]);
+
+  layout.heading('Returns');
+  layout.table([
+    { label: 'Cash Invested', value: formatCurrency(returns.cashInvested) },
+    { label: '5-Year ROI', value: formatPercent(roi.fiveYear.roi) },
+    { label: '5-Year Annualised ROI', value: formatPercent(roi.fiveYear.annualizedROI) },
+    { label: '10-Year ROI', value: formatPercent(roi.tenYear.roi) },
+    { label: '10-Year Annualised ROI', value: formatPercent(roi.tenYear.annualizedROI) },
+    { label: `IRR (Sold in Year ${returns.saleYear}, Pre-Tax)`, value: formatIrr(returns.irr) },
+    { label: `NPV @ ${formatPercent(returns.discountRate)}`, value: formatCurrency(returns.npv) },
+    { label: 'Equity Multiple', value: `${returns.equityMultiple.toFixed(2)}x` },
+    { label: 'Cash-on-Cash Return', value: formatPercent(returns.cashOnCash) },
+    { label: `Net Cash From Sale in Year ${exit.saleYear} (After CGT)`, value: formatCurrency(exit.netProceeds) },
+    { label: 'Breakeven', value: formatBreakeven(breakeven) }
+  ]);
+
+  if (buildingAllowance && buildingAllowance.eligible) {
+    layout.heading('Section 13sex Allowance');
+    layout.table([
+      { label: 'Qualifying Cost', value: formatCurrency(buildingAllowance.qualifyingCost) },
+      { label: `Yearly Allowance (${formatPercent(buildingAllowance.rate)})`, value: formatCurrency(buildingAllowance.annualAllowance) },
+      { label: 'Tax Saved (Year 1)', value: formatCurrency(projection.years[0].allowanceTaxSaving) },
+      { label: `Allowance Recouped on Sale in Year ${exit.saleYear}`, value: formatCurrency(buildingAllowance.recouped) },
+      { label: 'Tax on the Recoupment', value: formatCurrency(buildingAllowance.recoupmentTax), bold: true }
+    ]);
+  }
+
+  if (ownershipComparison) {
+    layout.heading(`Ownership Structures (Sold in Year ${exit.saleYear}, After Tax)`);
+    layout.table(ownershipComparison.map((column) => ({
+      label: `${column.label}${column.selected ? ' (Selected)' : ''}: Annual Cash Flow / Exit Proceeds / IRR`,
+      value: [formatCurrency(column.afterTaxCashFlow.annual), formatCurrency(column.exitProceeds), formatIrr(column.irr)].join(' / '),
+      bold: column.selected
+    })));
+  }
+
+  if (simulation) {
+    const horizon = simulation.cumulativeReturn[simulation.cumulativeReturn.length - 1];
+    layout.heading(`Risk Simulation (${simulation.trials} Trials)`);
+    layout.table([
+      { label: `Net Return if Sold in Year ${horizon.year} (P10 / P50 / P90)`, value: [horizon.p10, horizon.p50, horizon.p90].map(formatCurrency).join(' / ') },
+      { label: 'IRR, Pre-Tax (P10 / P50 / P90)', value: [simulation.irr.p10, simulation.irr.p50, simulation.irr.p90].map(formatIrr).join(' / ') },
+      { label: 'Chance of a Negative Cash Flow Year', value: formatPercent(simulation.probabilityOfNegativeCashFlow) }
+    ]);
+  }
+
+  if (chartImages.length > 0) {
+    layout.heading('Charts');
+    chartImages.forEach(layout.image);
+  }
+
+  layout.heading('Assumptions');
+  layout.table([
+    { label: 'Interest Rate', value: formatPercent(assumptions.interestRate) },
+    { label: 'Loan Term', value: `${assumptions.loanTerm} years` },
+    { label: 'Vacancy Rate', value: formatPercent(assumptions.vacancyRate) },
+    ...(assumptions.relettingMonths !== null && assumptions.relettingMonths !== undefined
+      ? [{ label: 'Months Empty When a Lease Runs Out', value: String(assumptions.relettingMonths) }]
+      : []),
+    { label: 'Agent Management Fee (excl. VAT)', value: formatPercent(assumptions.managementFeeRate) },
+    { label: `Letting Fee (of One Month's Rent, Every ${assumptions.averageTenancyMonths} Months)`, value: formatPercent(assumptions.lettingFeeRate) },
+    { label: 'Annual Maintenance (% of Value)', value: formatPercent(assumptions.maintenancePercentage) },
+    { label: 'Projection Period', value: `${assumptions.projectionYears} years` },
+    { label: 'Property Appreciation', value: `${formatPercent(assumptions.annualAppreciationRate)} p.a.` },
+    { label: 'Rent Escalation', value: `${formatPercent(assumptions.escalation.rent)} p.a.` },
+    { label: 'Levies Escalation', value: `${formatPercent(assumptions.escalation.levies)} p.a.` },
+    { label: 'Rates Escalation', value: `${formatPercent(assumptions.escalation.rates)} p.a.` },
+    { label: 'Maintenance Escalation', value: `${formatPercent(assumptions.escalation.maintenance)} p.a.` },
+    { label: 'Discount Rate', value: formatPercent(assumptions.discountRate) },
+    { label: 'Sale Year', value: String(assumptions.saleYear) },
+    { label: 'Agent Commission (excl. VAT)', value: formatPercent(assumptions.agentCommissionRate) },
+    { label: 'Bond Cancellation Fee (excl. VAT)', value: formatCurrency(assumptions.bondCancellationFee) },
+    ...(assumptions.constructionMonths > 0
+      ? [{ label: 'Signing to Transfer (Off-Plan)', value: `${assumptions.constructionMonths} months` }]
+      : []),
+    { label: 'Tax Year', value: assumptions.taxYear },
+    ...(assumptions.ownershipStructure
+      ? [{ label: 'Ownership Structure', value: OWNERSHIP_STRUCTURE_LABELS[assumptions.ownershipStructure] }]
+      : []),
+    { label: 'Other Taxable Income', value: formatCurrency(assumptions.otherTaxableIncome) }
+  ]);
+
+  layout.heading('Disclaimer');
+  layout.paragraph(
+    `${REPORT_DISCLAIMER} Figures are based on the assumptions above and the ${assumptions.taxYear} ` +
+    'SARS tables, and actual costs, rates and returns will differ.'
+  );
+
+  addFooters(doc);
+  return doc;
+};
+
+/**
+ * Build the PDF report and download it in the browser.
+ * @param {object} params - Same parameters as generatePdfReport.
+ * @returns {string} - The file name the report was saved as.
+ */
+export const downloadPdfReport = (params) => {
+  const location = params.forecast.propertyDetails.location || 'property';
+  const fileName = `PropForecast - ${location.replace(/[^\w\s-]/g, '').trim() || 'property'}.pdf`;
+
+  generatePdfReport(params).save(fileName);
+  return fileName;
+};
@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+
+import { REPORT_DISCLAIMER, generatePdfReport } from './pdf-report';
+import { generatePropertyForecast } from './financial-calculator';
+import { sandtonApartment as propertyData } from './__fixtures__/property-data';
+
+// A 1x1 transparent PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+describe('generatePdfReport', () => {
+  const forecast = generatePropertyForecast(propertyData);
+  const doc = generatePdfReport({
+    forecast,
+    chartImages: [{ title: 'Projected ROI Over Time', dataUrl: PIXEL, width: 800, height: 320 }],
+    generatedAt: new Date(2025, 5, 1)
+  });
+  const content = doc.output();
+
+  test('runs over several pages', () => {
+    expect(doc.getNumberOfPages()).toBeGreaterThan(1);
+  });
+
+  test('includes each section, the assumptions and the disclaimer', () => {
+    [
+      'Investment Summary',
+      'Property Details',
+      'Financial Breakdown',
+      'Bond Registration Costs',
+      'Monthly Cash Flow',
+      'Yields',
+      'Returns',
+      'Ownership Structures',
+      'Charts',
+      'Assumptions',
+      'Rent Escalation',
+      REPORT_DISCLAIMER
+    ].forEach((text) => expect(content).toContain(text));
+  });
+
+  test('embeds the chart images', () => {
+    expect(content).toContain('/Subtype /Image');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * PropForecast Projection Engine
+ *
+ * Projects a property investment year by year, escalating rent and running
+ * costs at their own annual rates and tracking the bond balance from the
+ * amortization schedule.
+ */
+
+import { summariseLineItemsForYear } from './line-items';
+import { getUnitRentForMonth } from './rent-roll';
+
+// Default annual escalation rates (%) used when no rate is supplied
+export const DEFAULT_ESCALATION_RATES = {
+  rent: 6,
+  levies: 7,
+  rates: 7,
+  maintenance: 6
+};
+
+export const DEFAULT_APPRECIATION_RATE = 5;
+export const DEFAULT_PROJECTION_YEARS = 10;
+export const MAX_PROJECTION_YEARS = 30;
+
+/**
+ * Calculate the escalation factor for a given year, where year 1 uses today's values.
+ * @param {number} annualRate - Annual escalation rate as a percentage.
+ * @param {number} year - Projection year (1-based).
+ * @returns {number} - Multiplier applied to the year 1 amount.
+ */
+export const getEscalationFactor = (annualRate, year) => {
+  return Math.pow(1 + annualRate / 100, year - 1);
+};
+
+/**
+ * Generate a year-by-year projection of income, expenses, bond payments and equity.
+ * @param {object} params - Parameters object.
+ * @param {number} params.purchasePrice - Property purchase price.
+ * @param {number} params.loanAmount - Original bond amount.
+ * @param {number} params.expectedRent - Monthly expected rent in year 1.
+ * @param {number} params.vacancyRate - Expected vacancy rate as a percentage.
+ * @param {number} params.monthlyLevies - Monthly levies in year 1.
+ * @param {number} params.monthlyRates - Monthly rates and taxes in year 1.
+ * @param {number} params.monthlyMaintenance - Monthly maintenance allowance in year 1.
+ * @param {number} [params.monthlyManagementFees] - Rental agent's monthly management fee in year 1; escalates with rent.
+ * @param {number} [params.monthlyLettingFees] - Letting fees spread per month in year 1; escalate with rent.
+ * @param {number} [params.monthlyInsurance] - Monthly building insurance in year 1; escalates with maintenance.
+ * @param {number} [params.monthlyUtilities] - Landlord-paid utilities in year 1; escalate with maintenance.
+ * @param {Array<object>} params.amortizationSchedule - Monthly bond amortization schedule, including any extra payments and withdrawals.
+ * @param {number} params.horizonYears - Number of years to project.
+ * @param {object} params.escalation - Annual escalation rates (%) for rent, levies, rates and maintenance.
+ * @param {number} params.appreciationRate - Annual property appreciation rate (%).
+ * @param {Array<object>} [params.lineItems] - Custom income and expense line items (see line-items.js).
+ * @param {object} [params.shortTermRental] - Result of calculateShortTermRentalIncome. When given, its monthly
+ * bookings replace the long-term rent, with booking revenue and commissions escalating with rent and
+ * cleaning and utilities with maintenance.
+ * @param {Array<object>} [params.rentRoll] - Units from scheduleRentRoll. When given, each unit's rent, escalated
+ * on its own anniversary and less its vacancy and any re-letting gap, replaces the single expected rent.
+ * @returns {object} - Projection settings and one row per year.
+ */
+export const generateProjection = ({
+  purchasePrice,
+  loanAmount,
+  expectedRent,
+  vacancyRate,
+  monthlyLevies,
+  monthlyRates,
+  monthlyMaintenance,
+  monthlyManagementFees = 0,
+  monthlyLettingFees = 0,
+  monthlyInsurance = 0,
+  monthlyUtilities = 0,
+  amortizationSchedule,
+  horizonYears = DEFAULT_PROJECTION_YEARS,
+  escalation = DEFAULT_ESCALATION_RATES,
+  appreciationRate = DEFAULT_APPRECIATION_RATE,
+  lineItems = [],
+  shortTermRental = null,
+  rentRoll = null
+}) => {
+  const rates = { ...DEFAULT_ESCALATION_RATES, ...escalation };
+  const years = [];
+  let loanBalance = loanAmount;
+  let cumulativeCashFlow = 0;
+  let cumulativePrincipal = 0;
+
+  for (let year = 1; year <= horizonYears; year++) {
+    const row = {
+      year,
+      grossRent: 0,
+      rentalIncome: 0,
+      levies: 0,
+      rates: 0,
+      maintenance: 0,
+      managementFees: 0,
+      lettingFees: 0,
+      insurance: 0,
+      utilities: 0,
+      shortTermRentalCosts: 0,
+      expenses: 0,
+      bondPayment: 0,
+      extraBondPayments: 0,
+      accessBondWithdrawals: 0,
+      interest: 0,
+      principal: 0
+    };
+
+    const rentFactor = getEscalationFactor(rates.rent, year);
+    const monthlyRent = expectedRent * rentFactor;
+    const levies = monthlyLevies * getEscalationFactor(rates.levies, year);
+    const ratesAndTaxes = monthlyRates * getEscalationFactor(rates.rates, year);
+    const maintenanceFactor = getEscalationFactor(rates.maintenance, year);
+    const maintenance = monthlyMaintenance * maintenanceFactor;
+    const managementFees = monthlyManagementFees * rentFactor;
+    const lettingFees = monthlyLettingFees * rentFactor;
+    const insurance = monthlyInsurance * maintenanceFactor;
+    const utilities = monthlyUtilities * maintenanceFactor;
+    const unitIncome = rentRoll ? rentRoll.map(() => 0) : [];
+
+    for (let monthOfYear = 1; monthOfYear <= 12; monthOfYear++) {
+      const month = (year - 1) * 12 + monthOfYear;
+      const bond = amortizationSchedule[month - 1];
+
+      if (shortTermRental) {
+        const bookings = shortTermRental.months[monthOfYear - 1];
+        row.grossRent += bookings.grossRevenue * rentFactor;
+        row.rentalIncome += bookings.grossRevenue * rentFactor;
+        row.shortTermRentalCosts += (bookings.platformFees + bookings.managementCommission) * rentFactor +
+          (bookings.cleaningCosts + bookings.utilities) * maintenanceFactor;
+      } else if (rentRoll) {
+        rentRoll.forEach((unit, index) => {
+          const rent = getUnitRentForMonth(unit, month, rates.rent);
+          row.grossRent += rent.grossRent;
+          row.rentalIncome += rent.collected;
+          unitIncome[index] += rent.collected;
+        });
+      } else {
+        row.grossRent += monthlyRent;
+        row.rentalIncome += monthlyRent * (1 - vacancyRate / 100);
+      }
+      row.levies += levies;
+      row.rates += ratesAndTaxes;
+      row.maintenance += maintenance;
+      row.managementFees += managementFees;
+      row.lettingFees += lettingFees;
+      row.insurance += insurance;
+      row.utilities += utilities;
+
+      if (bond) {
+        row.bondPayment += bond.payment;
+        row.extraBondPayments += bond.extraPayment;
+        row.accessBondWithdrawals += bond.withdrawal;
+        row.interest += bond.interest;
+        row.principal += bond.principal;
+        loanBalance = bond.balance;
+      } else {
+        loanBalance = 0;
+      }
+    }
+
+    const custom = summariseLineItemsForYear(lineItems, year);
+    row.otherIncome = custom.income;
+    row.otherExpenses = custom.expenses;
+    row.lineItems = custom.items;
+    row.units = unitIncome.map((rentalIncome, index) => ({ name: rentRoll[index].name, rentalIncome }));
+
+    row.expenses = row.levies + row.rates + row.maintenance + row.managementFees + row.lettingFees +
+      row.insurance + row.utilities + row.shortTermRentalCosts + row.otherExpenses;
+    // Extra bond payments come out of the investor's pocket and access-bond withdrawals go back in
+    row.cashFlow = row.rentalIncome + row.otherIncome - row.expenses - row.bondPayment -
+      row.extraBondPayments + row.accessBondWithdrawals;
+
+    cumulativeCashFlow += row.cashFlow;
+    cumulativePrincipal += row.principal;
+
+    row.cumulativeCashFlow = cumulativeCashFlow;
+    row.cumulativePrincipal = cumulativePrincipal;
+    row.propertyValue = purchasePrice * Math.pow(1 + appreciationRate / 100, year);
+    row.appreciation = row.propertyValue - purchasePrice;
+    row.loanBalance = loanBalance;
+    row.equity = row.propertyValue - loanBalance;
+    row.cumulativeReturn = cumulativeCashFlow + row.appreciation + cumulativePrincipal;
+
+    years.push(row);
+  }
+
+  return {
+    horizonYears,
+    escalation: rates,
+    appreciationRate,
+    years
+  };
+};
@@ -0,0 +1,133 @@
+import { generateAmortizationSchedule } from './amortization';
+import { generateProjection, getEscalationFactor } from './projection';
+import { calculateShortTermRentalIncome } from './short-term-rental';
+import { scheduleRentRoll } from './rent-roll';
+
+describe('generateProjection', () => {
+  const amortization = generateAmortizationSchedule({
+    principal: 900000,
+    annualInterestRate: 11,
+    termYears: 20
+  });
+
+  const baseParams = {
+    purchasePrice: 1000000,
+    loanAmount: 900000,
+    expectedRent: 10000,
+    vacancyRate: 10,
+    monthlyLevies: 1000,
+    monthlyRates: 500,
+    monthlyMaintenance: 800,
+    amortizationSchedule: amortization.schedule,
+    horizonYears: 25,
+    escalation: { rent: 6, levies: 8, rates: 7, maintenance: 5 },
+    appreciationRate: 4
+  };
+
+  test('returns one row per year of the horizon', () => {
+    const { years } = generateProjection(baseParams);
+
+    expect(years).toHaveLength(25);
+    expect(years.map((row) => row.year)).toEqual(Array.from({ length: 25 }, (_, i) => i + 1));
+  });
+
+  test('uses today\'s values in year 1 and escalates each item at its own rate', () => {
+    const { years } = generateProjection(baseParams);
+
+    expect(years[0].grossRent).toBeCloseTo(120000, 6);
+    expect(years[0].rentalIncome).toBeCloseTo(108000, 6);
+    expect(years[2].grossRent).toBeCloseTo(120000 * 1.06 * 1.06, 6);
+    expect(years[2].levies).toBeCloseTo(12000 * getEscalationFactor(8, 3), 6);
+    expect(years[2].rates).toBeCloseTo(6000 * getEscalationFactor(7, 3), 6);
+    expect(years[2].maintenance).toBeCloseTo(9600 * getEscalationFactor(5, 3), 6);
+  });
+
+  test('escalates agent fees with rent and insurance and utilities with maintenance', () => {
+    const { years } = generateProjection({
+      ...baseParams,
+      monthlyManagementFees: 900,
+      monthlyLettingFees: 200,
+      monthlyInsurance: 400,
+      monthlyUtilities: 300
+    });
+
+    expect(years[0].managementFees).toBeCloseTo(10800, 6);
+    expect(years[2].managementFees).toBeCloseTo(10800 * getEscalationFactor(6, 3), 6);
+    expect(years[2].lettingFees).toBeCloseTo(2400 * getEscalationFactor(6, 3), 6);
+    expect(years[2].insurance).toBeCloseTo(4800 * getEscalationFactor(5, 3), 6);
+    expect(years[2].utilities).toBeCloseTo(3600 * getEscalationFactor(5, 3), 6);
+    expect(years[2].expenses).toBeCloseTo(
+      years[2].levies + years[2].rates + years[2].maintenance +
+        years[2].managementFees + years[2].lettingFees + years[2].insurance + years[2].utilities,
+      6
+    );
+  });
+
+  test('tracks the bond and stops payments once the loan is repaid', () => {
+    const { years } = generateProjection(baseParams);
+
+    expect(years[0].bondPayment).toBeCloseTo(amortization.monthlyPayment * 12, 6);
+    expect(years[0].loanBalance).toBeCloseTo(amortization.schedule[11].balance, 6);
+    expect(years[19].loanBalance).toBe(0);
+    expect(years[20].bondPayment).toBe(0);
+    expect(years[24].cumulativePrincipal).toBeCloseTo(900000, 2);
+  });
+
+  test('derives cash flow, equity and cumulative return from the yearly figures', () => {
+    const { years } = generateProjection(baseParams);
+    const year5 = years[4];
+
+    expect(year5.cashFlow).toBeCloseTo(year5.rentalIncome - year5.expenses - year5.bondPayment, 6);
+    expect(year5.propertyValue).toBeCloseTo(1000000 * Math.pow(1.04, 5), 6);
+    expect(year5.equity).toBeCloseTo(year5.propertyValue - year5.loanBalance, 6);
+    expect(year5.cumulativeReturn).toBeCloseTo(
+      year5.cumulativeCashFlow + year5.appreciation + year5.cumulativePrincipal,
+      6
+    );
+  });
+
+  test('earns a holiday let\'s seasonal bookings and escalates its costs', () => {
+    const shortTermRental = calculateShortTermRentalIncome({
+      nightlyRate: 1000,
+      occupancy: { peak: 80, shoulder: 60, low: 40 },
+      cleaningCostPerStay: 300,
+      monthlyUtilities: 1200
+    });
+    const { years } = generateProjection({ ...baseParams, shortTermRental });
+    const { annual } = shortTermRental;
+
+    // Bookings replace the lease: no vacancy allowance on top of occupancy
+    expect(years[0].grossRent).toBeCloseTo(annual.grossRevenue, 6);
+    expect(years[0].rentalIncome).toBeCloseTo(annual.grossRevenue, 6);
+    expect(years[0].shortTermRentalCosts).toBeCloseTo(annual.operatingCosts, 6);
+    expect(years[0].expenses).toBeCloseTo(12000 + 6000 + 9600 + annual.operatingCosts, 6);
+    expect(years[2].grossRent).toBeCloseTo(annual.grossRevenue * 1.06 * 1.06, 6);
+    expect(years[2].shortTermRentalCosts).toBeCloseTo(
+      (annual.platformFees + annual.managementCommission) * 1.06 * 1.06
+        + (annual.cleaningCosts + annual.utilities) * getEscalationFactor(5, 3),
+      6
+    );
+  });
+
+  test('collects each unit\'s rent and leaves a unit empty while it is re-let', () => {
+    const rentRoll = scheduleRentRoll({
+      units: [
+        { name: 'House', rent: 12000, vacancyRate: 0 },
+        // Lease ends after six months and the escalation falls in month 4
+        { name: 'Cottage', rent: 5000, vacancyRate: 10, leaseExpiry: '2025-08-31', escalationDate: '2025-06-01' }
+      ],
+      startDate: new Date('2025-03-01'),
+      relettingMonths: 2
+    });
+    const { years } = generateProjection({ ...baseParams, rentRoll });
+
+    const cottage = 5000 * 3 * 0.9 + 5000 * 1.06 * 3 * 0.9 + 5000 * 1.06 * 4 * 0.9;
+    expect(years[0].units).toEqual([
+      { name: 'House', rentalIncome: expect.closeTo(144000, 6) },
+      { name: 'Cottage', rentalIncome: expect.closeTo(cottage, 6) }
+    ]);
+    expect(years[0].grossRent).toBeCloseTo(144000 + 5000 * 3 + 5000 * 1.06 * 9, 6);
+    expect(years[0].rentalIncome).toBeCloseTo(144000 + cottage, 6);
+    expect(years[1].units[1].rentalIncome).toBeCloseTo(5000 * 1.06 * 3 * 0.9 + 5000 * 1.06 * 1.06 * 9 * 0.9, 6);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * PropForecast Purchase Types
+ *
+ * A resale is bought from a private seller and carries transfer duty. A new
+ * unit bought from a VAT-registered developer carries VAT in the price
+ * instead, so no transfer duty is payable, and developers often pay the
+ * transfer attorney and deeds office fees as well. Off-plan units are bought
+ * before they are built: the deposit is paid on signing and held in trust,
+ * and transfer, the bond and the rent only start once construction is done.
+ */
+
+export const PURCHASE_TYPES = ['resale', 'new-development', 'off-plan'];
+
+export const PURCHASE_TYPE_LABELS = {
+  resale: 'Resale',
+  'new-development': 'New development',
+  'off-plan': 'Off-plan'
+};
+
+// Typical time from signing to occupation for a sectional title development
+export const DEFAULT_CONSTRUCTION_MONTHS = 18;
+
+/**
+ * Whether the property is bought from a developer, with VAT in the price
+ * instead of transfer duty.
+ * @param {string} purchaseType - One of PURCHASE_TYPES.
+ * @returns {boolean} - True for new developments and off-plan purchases.
+ */
+export const isDeveloperSale = (purchaseType) => purchaseType === 'new-development' || purchaseType === 'off-plan';
+
+/**
+ * Get the months between signing and transfer.
+ * @param {string} purchaseType - One of PURCHASE_TYPES.
+ * @param {number} [constructionMonths] - Expected construction period for an off-plan purchase.
+ * @returns {number} - The delay in months, which is 0 unless the purchase is off-plan.
+ */
+export const getTransferDelayMonths = (purchaseType, constructionMonths = DEFAULT_CONSTRUCTION_MONTHS) => (
+  purchaseType === 'off-plan' ? constructionMonths : 0
+);
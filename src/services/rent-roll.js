@@ -0,0 +1,112 @@
+/**
+ * PropForecast Rent Roll
+ *
+ * A property let as several units, such as a main house with a garden
+ * cottage or a small block of flats, each with its own tenant, rent, lease
+ * and escalation date. The units' rent and vacancy roll up into the figures a
+ * single lease would give. In the projection each unit's rent escalates on
+ * its own anniversary, and a unit stands empty while it is re-let once its
+ * lease runs out.
+ */
+
+export const UNIT_TYPES = ['house', 'cottage', 'flat', 'room'];
+
+export const UNIT_TYPE_LABELS = {
+  house: 'House',
+  cottage: 'Garden cottage',
+  flat: 'Flat',
+  room: 'Room'
+};
+
+// Months a unit typically stands empty between the old tenant leaving and a new one moving in
+export const DEFAULT_RELETTING_MONTHS = 1;
+
+/**
+ * Whether the rent comes from a rent roll rather than a single expected rent.
+ * Only long-term lets have one.
+ * @param {object} data - The property inputs.
+ * @returns {boolean} - True when there is at least one unit to let.
+ */
+export const usesRentRoll = (data) => (
+  data.rentalMode !== 'short-term' && Array.isArray(data.rentRoll) && data.rentRoll.length > 0
+);
+
+/**
+ * Count the calendar months from one date to another, ignoring the day.
+ * Dates parsed from YYYY-MM-DD strings are midnight UTC, so UTC months are compared.
+ * @param {Date} from - The earlier date.
+ * @param {Date} to - The later date.
+ * @returns {number} - Whole months, negative when `to` comes first.
+ */
+const monthsBetween = (from, to) => (
+  (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth()
+);
+
+/**
+ * Roll the units up into the rent, vacancy and rooms of the whole property.
+ * @param {Array<object>} units - The units, each with rent, vacancyRate, bedrooms and bathrooms.
+ * @returns {object} - The number of units, monthly gross rent, rent collected after each unit's
+ * vacancy, the rent-weighted vacancy rate and the total bedrooms and bathrooms.
+ */
+export const summariseRentRoll = (units) => {
+  const total = (value) => units.reduce((sum, unit) => sum + value(unit), 0);
+  const grossRent = total((unit) => unit.rent);
+  const effectiveRent = total((unit) => unit.rent * (1 - (unit.vacancyRate || 0) / 100));
+
+  return {
+    unitCount: units.length,
+    grossRent,
+    effectiveRent,
+    vacancyRate: grossRent > 0 ? (1 - effectiveRent / grossRent) * 100 : 0,
+    bedrooms: total((unit) => unit.bedrooms || 0),
+    bathrooms: total((unit) => unit.bathrooms || 0)
+  };
+};
+
+/**
+ * Place each unit's lease expiry and escalation date on the projection's
+ * month count, where month 1 starts on the start date.
+ * @param {object} params - Parameters object.
+ * @param {Array<object>} params.units - The units.
+ * @param {Date} params.startDate - The date the projection starts, i.e. transfer.
+ * @param {number} [params.relettingMonths] - Months each unit stands empty once its lease runs out.
+ * @returns {Array<object>} - The units with the last month of the current lease (null when there is
+ * none, or it ends before the start), the first month at the escalated rent and the re-letting period.
+ */
+export const scheduleRentRoll = ({ units, startDate, relettingMonths = DEFAULT_RELETTING_MONTHS }) => {
+  return units.map((unit) => {
+    const leaseEndMonth = unit.leaseExpiry ? monthsBetween(startDate, new Date(unit.leaseExpiry)) + 1 : null;
+    // Rent is in today's money for the first year, so an escalation in the start month waits a year
+    const escalationOffset = unit.escalationDate
+      ? ((monthsBetween(startDate, new Date(unit.escalationDate)) % 12) + 12) % 12
+      : 0;
+
+    return {
+      ...unit,
+      vacancyRate: unit.vacancyRate || 0,
+      leaseEndMonth: leaseEndMonth !== null && leaseEndMonth >= 1 ? leaseEndMonth : null,
+      firstEscalationMonth: escalationOffset === 0 ? 13 : escalationOffset + 1,
+      relettingMonths
+    };
+  });
+};
+
+/**
+ * Work out a unit's rent for one month of the projection.
+ * @param {object} unit - A unit from scheduleRentRoll.
+ * @param {number} month - Projection month (1-based).
+ * @param {number} escalationRate - Annual rent escalation (%).
+ * @returns {object} - The unit's gross rent and the rent collected after vacancy, which is
+ * nothing while the unit is being re-let.
+ */
+export const getUnitRentForMonth = (unit, month, escalationRate) => {
+  const { rent, vacancyRate, leaseEndMonth, firstEscalationMonth, relettingMonths } = unit;
+  const escalations = month >= firstEscalationMonth ? Math.floor((month - firstEscalationMonth) / 12) + 1 : 0;
+  const grossRent = rent * Math.pow(1 + escalationRate / 100, escalations);
+  const reletting = leaseEndMonth !== null && month > leaseEndMonth && month <= leaseEndMonth + relettingMonths;
+
+  return {
+    grossRent,
+    collected: reletting ? 0 : grossRent * (1 - vacancyRate / 100)
+  };
+};
@@ -0,0 +1,69 @@
+import { getUnitRentForMonth, scheduleRentRoll, summariseRentRoll, usesRentRoll } from './rent-roll';
+
+describe('summariseRentRoll', () => {
+  test('adds up the units and weights the vacancy rate by rent', () => {
+    const summary = summariseRentRoll([
+      { name: 'Main house', unitType: 'house', bedrooms: 3, bathrooms: 2, rent: 15000, vacancyRate: 4 },
+      { name: 'Cottage', unitType: 'cottage', bedrooms: 1, rent: 5000, vacancyRate: 12 }
+    ]);
+
+    expect(summary.unitCount).toBe(2);
+    expect(summary.grossRent).toBe(20000);
+    expect(summary.effectiveRent).toBeCloseTo(14400 + 4400, 6);
+    expect(summary.vacancyRate).toBeCloseTo(6, 6);
+    expect(summary.bedrooms).toBe(4);
+    expect(summary.bathrooms).toBe(2);
+  });
+});
+
+describe('scheduleRentRoll', () => {
+  const startDate = new Date('2025-03-01');
+
+  test('places the lease expiry and escalation date on the projection months', () => {
+    const [unit] = scheduleRentRoll({
+      units: [{ name: 'Flat 1', rent: 6000, leaseExpiry: '2026-02-28', escalationDate: '2025-09-01' }],
+      startDate
+    });
+
+    expect(unit.leaseEndMonth).toBe(12);
+    expect(unit.firstEscalationMonth).toBe(7);
+    expect(unit.vacancyRate).toBe(0);
+    expect(unit.relettingMonths).toBe(1);
+  });
+
+  test('escalates at the start of year 2 when the anniversary falls in the first month, and ignores leases already over', () => {
+    const [unit] = scheduleRentRoll({
+      units: [{ name: 'Flat 2', rent: 6000, leaseExpiry: '2024-12-31', escalationDate: '2024-03-15' }],
+      startDate
+    });
+
+    expect(unit.leaseEndMonth).toBeNull();
+    expect(unit.firstEscalationMonth).toBe(13);
+  });
+});
+
+describe('getUnitRentForMonth', () => {
+  const unit = { rent: 10000, vacancyRate: 5, leaseEndMonth: 6, firstEscalationMonth: 4, relettingMonths: 2 };
+
+  test('escalates the rent every twelve months from the first escalation', () => {
+    expect(getUnitRentForMonth(unit, 3, 6).grossRent).toBe(10000);
+    expect(getUnitRentForMonth(unit, 4, 6).grossRent).toBeCloseTo(10600, 6);
+    expect(getUnitRentForMonth(unit, 15, 6).grossRent).toBeCloseTo(10600, 6);
+    expect(getUnitRentForMonth(unit, 16, 6).grossRent).toBeCloseTo(11236, 6);
+  });
+
+  test('collects nothing while the unit is re-let after the lease runs out', () => {
+    expect(getUnitRentForMonth(unit, 6, 0).collected).toBeCloseTo(9500, 6);
+    expect(getUnitRentForMonth(unit, 7, 0).collected).toBe(0);
+    expect(getUnitRentForMonth(unit, 8, 0).collected).toBe(0);
+    expect(getUnitRentForMonth(unit, 9, 0).collected).toBeCloseTo(9500, 6);
+  });
+});
+
+describe('usesRentRoll', () => {
+  test('applies to long-term lets with at least one unit', () => {
+    expect(usesRentRoll({ rentRoll: [{ rent: 5000 }] })).toBe(true);
+    expect(usesRentRoll({ rentRoll: [] })).toBe(false);
+    expect(usesRentRoll({ rentalMode: 'short-term', rentRoll: [{ rent: 5000 }] })).toBe(false);
+  });
+});
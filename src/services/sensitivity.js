@@ -0,0 +1,162 @@
+/**
+ * PropForecast Sensitivity Analysis
+ *
+ * Re-runs the forecast with one or two inputs moved up and down by a
+ * percentage of their value, to show which assumptions the result depends on
+ * most (a tornado chart) and how two of them interact (a grid).
+ */
+
+import { generatePropertyForecast } from './financial-calculator';
+import { COMPARISON_METRICS } from './comparison';
+import { DEFAULT_APPRECIATION_RATE, DEFAULT_ESCALATION_RATES } from './projection';
+import { ValidationError } from './validation';
+import { usesRentRoll } from './rent-roll';
+
+const isShortTerm = (data) => data.rentalMode === 'short-term';
+
+/**
+ * Inputs that can be varied. `field` names the property to change, or picks
+ * it from the inputs when it depends on how the property is let or financed
+ * (null when the input does not apply). `defaultValue` stands in for
+ * optional inputs left empty.
+ */
+export const SENSITIVITY_INPUTS = [
+  { key: 'purchasePrice', label: 'Purchase Price', field: 'purchasePrice' },
+  // A rent roll sets the rent and vacancy unit by unit, so neither can be moved as one figure
+  { key: 'rent', label: 'Rent', field: (data) => (isShortTerm(data) ? 'nightlyRate' : usesRentRoll(data) ? null : 'expectedRent') },
+  { key: 'interestRate', label: 'Interest Rate', field: (data) => (data.rateBasis === 'prime' ? 'primeRate' : 'interestRate') },
+  { key: 'vacancyRate', label: 'Vacancy', field: (data) => (isShortTerm(data) || usesRentRoll(data) ? null : 'vacancyRate') },
+  { key: 'monthlyLevies', label: 'Levies', field: 'monthlyLevies' },
+  { key: 'monthlyRates', label: 'Rates & Taxes', field: 'monthlyRates' },
+  { key: 'maintenancePercentage', label: 'Maintenance', field: 'maintenancePercentage' },
+  { key: 'annualAppreciationRate', label: 'Appreciation', field: 'annualAppreciationRate', defaultValue: DEFAULT_APPRECIATION_RATE },
+  { key: 'rentEscalationRate', label: 'Rent Escalation', field: 'rentEscalationRate', defaultValue: DEFAULT_ESCALATION_RATES.rent }
+];
+
+// Outputs the analysis can be measured on, shared with the comparison table
+export const SENSITIVITY_METRICS = COMPARISON_METRICS.filter(({ key }) => (
+  ['monthlyCashFlow', 'grossYield', 'netYield', 'fiveYearROI', 'tenYearROI', 'irr'].includes(key)
+));
+
+export const DEFAULT_SENSITIVITY_CHANGE = 10;
+
+// Steps (percent of each input's value) along both sides of the grid
+export const DEFAULT_GRID_STEPS = [-20, -10, 0, 10, 20];
+
+const findInput = (key) => SENSITIVITY_INPUTS.find((input) => input.key === key);
+
+const findMetric = (key) => SENSITIVITY_METRICS.find((metric) => metric.key === key);
+
+/**
+ * Resolve which property an input changes, and its current value.
+ * @param {object} input - An entry from SENSITIVITY_INPUTS.
+ * @param {object} propertyData - The forecast inputs.
+ * @returns {object|null} - { field, value }, or null when the input does not apply.
+ */
+const resolveInput = (input, propertyData) => {
+  const field = typeof input.field === 'function' ? input.field(propertyData) : input.field;
+  if (!field) return null;
+
+  const raw = propertyData[field];
+  const value = raw === undefined || raw === null || raw === '' ? input.defaultValue : Number(raw);
+  return value === undefined ? null : { field, value };
+};
+
+/**
+ * Run the forecast with some inputs changed and read off one metric.
+ * @param {object} propertyData - The forecast inputs.
+ * @param {object} changes - Values to override, keyed by property.
+ * @param {object} metric - An entry from SENSITIVITY_METRICS.
+ * @returns {number|null} - The metric, or null when the changed inputs are not valid.
+ */
+export const evaluateMetric = (propertyData, changes, metric) => {
+  try {
+    // Simulations and the ownership and bond extras comparisons are left out: they would be re-run for each cell
+    return metric.getValue(generatePropertyForecast({
+      ...propertyData,
+      ...changes,
+      runSimulation: false,
+      compareOwnership: false,
+      compareBondExtras: false
+    }));
+  } catch (error) {
+    if (error instanceof ValidationError) return null;
+    throw error;
+  }
+};
+
+/**
+ * Move each input down and up by the same percentage of its value and rank
+ * the inputs by how far the metric swings.
+ * @param {object} params - Parameters object.
+ * @param {object} params.propertyData - The forecast inputs.
+ * @param {string} params.metricKey - Key of the metric in SENSITIVITY_METRICS.
+ * @param {number} [params.change] - Percentage to move each input by.
+ * @returns {object} - The metric, its base value and one row per input, largest swing first.
+ */
+export const calculateTornado = ({ propertyData, metricKey, change = DEFAULT_SENSITIVITY_CHANGE }) => {
+  const metric = findMetric(metricKey);
+  const baseValue = evaluateMetric(propertyData, {}, metric);
+
+  const rows = SENSITIVITY_INPUTS
+    .map((input) => ({ input, resolved: resolveInput(input, propertyData) }))
+    .filter(({ resolved }) => resolved !== null)
+    .map(({ input, resolved: { field, value } }) => {
+      const lowInput = value * (1 - change / 100);
+      const highInput = value * (1 + change / 100);
+      const low = evaluateMetric(propertyData, { [field]: lowInput }, metric);
+      const high = evaluateMetric(propertyData, { [field]: highInput }, metric);
+
+      return {
+        key: input.key,
+        label: input.label,
+        baseInput: value,
+        lowInput,
+        highInput,
+        low,
+        high,
+        swing: low === null || high === null ? 0 : Math.abs(high - low)
+      };
+    })
+    .sort((a, b) => b.swing - a.swing);
+
+  return { metric: metricKey, change, baseValue, rows };
+};
+
+/**
+ * Vary two inputs together over a grid of steps.
+ * @param {object} params - Parameters object.
+ * @param {object} params.propertyData - The forecast inputs.
+ * @param {string} params.rowKey - Key of the input down the side, from SENSITIVITY_INPUTS.
+ * @param {string} params.columnKey - Key of the input across the top.
+ * @param {string} params.metricKey - Key of the metric in SENSITIVITY_METRICS.
+ * @param {Array<number>} [params.steps] - Percentage changes applied to both inputs.
+ * @returns {object|null} - Column headings and one row per step with a metric value per column, or null when either input does not apply.
+ */
+export const calculateSensitivityGrid = ({
+  propertyData,
+  rowKey,
+  columnKey,
+  metricKey,
+  steps = DEFAULT_GRID_STEPS
+}) => {
+  const metric = findMetric(metricKey);
+  const row = resolveInput(findInput(rowKey), propertyData);
+  const column = resolveInput(findInput(columnKey), propertyData);
+  if (!row || !column || row.field === column.field) return null;
+
+  const stepValue = (resolved, step) => resolved.value * (1 + step / 100);
+
+  return {
+    metric: metricKey,
+    columns: steps.map((step) => ({ step, value: stepValue(column, step) })),
+    rows: steps.map((rowStep) => ({
+      step: rowStep,
+      value: stepValue(row, rowStep),
+      cells: steps.map((columnStep) => evaluateMetric(propertyData, {
+        [row.field]: stepValue(row, rowStep),
+        [column.field]: stepValue(column, columnStep)
+      }, metric))
+    }))
+  };
+};
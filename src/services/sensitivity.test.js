@@ -0,0 +1,86 @@
+import { generatePropertyForecast } from './financial-calculator';
+import { SENSITIVITY_INPUTS, calculateSensitivityGrid, calculateTornado } from './sensitivity';
+import { sandtonApartment } from './__fixtures__/property-data';
+
+// A fixed transaction date keeps the tax tables from changing with today's date
+const propertyData = { ...sandtonApartment, transactionDate: '2025-03-01' };
+
+describe('calculateTornado', () => {
+  test('moves each input either way and ranks the inputs by swing', () => {
+    const tornado = calculateTornado({ propertyData, metricKey: 'monthlyCashFlow', change: 10 });
+    const base = generatePropertyForecast(propertyData);
+    const rent = tornado.rows.find(({ key }) => key === 'rent');
+
+    expect(tornado.baseValue).toBeCloseTo(base.cashFlow.monthly, 6);
+    expect(tornado.rows).toHaveLength(SENSITIVITY_INPUTS.length);
+    expect(rent.lowInput).toBeCloseTo(8100, 6);
+    expect(rent.high).toBeCloseTo(
+      generatePropertyForecast({ ...propertyData, expectedRent: 9900 }).cashFlow.monthly,
+      6
+    );
+    expect(rent.high - rent.low).toBeCloseTo(rent.swing, 6);
+    tornado.rows.slice(1).forEach((row, index) => {
+      expect(row.swing).toBeLessThanOrEqual(tornado.rows[index].swing);
+    });
+  });
+
+  test('fills in defaults for inputs left empty and skips those that do not apply', () => {
+    const tornado = calculateTornado({
+      propertyData: { ...propertyData, rentalMode: 'short-term', nightlyRate: 900 },
+      metricKey: 'netYield'
+    });
+    const appreciation = tornado.rows.find(({ key }) => key === 'annualAppreciationRate');
+
+    expect(tornado.rows.map(({ key }) => key)).not.toContain('vacancyRate');
+    expect(tornado.rows.find(({ key }) => key === 'rent').baseInput).toBe(900);
+    expect(appreciation.baseInput).toBe(5);
+    expect(appreciation.swing).toBe(0);
+  });
+
+  test('moves prime rather than the fixed rate for a prime-linked bond', () => {
+    const tornado = calculateTornado({
+      propertyData: { ...propertyData, rateBasis: 'prime', primeRate: 10.5, primeMargin: 0.5 },
+      metricKey: 'monthlyCashFlow'
+    });
+
+    expect(tornado.rows.find(({ key }) => key === 'interestRate').baseInput).toBe(10.5);
+  });
+});
+
+describe('calculateSensitivityGrid', () => {
+  test('varies two inputs together over the steps', () => {
+    const grid = calculateSensitivityGrid({
+      propertyData,
+      rowKey: 'interestRate',
+      columnKey: 'rent',
+      metricKey: 'monthlyCashFlow',
+      steps: [-10, 0, 10]
+    });
+    const base = generatePropertyForecast(propertyData);
+
+    expect(grid.columns.map(({ value }) => value)).toEqual([8100, 9000, 9900]);
+    expect(grid.rows[1].cells[1]).toBeCloseTo(base.cashFlow.monthly, 6);
+    expect(grid.rows[0].cells[2]).toBeGreaterThan(grid.rows[2].cells[0]);
+    expect(grid.rows[2].cells[1]).toBeCloseTo(
+      generatePropertyForecast({ ...propertyData, interestRate: 10.75 * 1.1 }).cashFlow.monthly,
+      6
+    );
+  });
+
+  test('leaves out combinations the inputs do not allow', () => {
+    const grid = calculateSensitivityGrid({
+      propertyData: { ...propertyData, deposit: 1150000 },
+      rowKey: 'purchasePrice',
+      columnKey: 'rent',
+      metricKey: 'netYield',
+      steps: [-10, 0]
+    });
+
+    expect(grid.rows[0].cells).toEqual([null, null]);
+    expect(grid.rows[1].cells[0]).not.toBeNull();
+  });
+
+  test('needs two different inputs', () => {
+    expect(calculateSensitivityGrid({ propertyData, rowKey: 'rent', columnKey: 'rent', metricKey: 'irr' })).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * PropForecast Short-Term Rental
+ *
+ * Income model for holiday lets: nightly rate times the nights booked each
+ * month, less the platform's fees, the management company's commission,
+ * cleaning after every stay and the utilities the owner pays while guests
+ * are in. Occupancy can be set for each month or for each season.
+ */
+
+export const RENTAL_MODES = ['long-term', 'short-term'];
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Western Cape holiday seasons: summer peak, shoulder months either side and the winter low
+export const SEASON_BY_MONTH = [
+  'peak', 'peak', 'shoulder', 'shoulder', 'low', 'low',
+  'low', 'low', 'low', 'shoulder', 'shoulder', 'peak'
+];
+
+export const DEFAULT_SEASONAL_OCCUPANCY = { peak: 85, shoulder: 65, low: 40 };
+export const DEFAULT_AVERAGE_STAY_NIGHTS = 3;
+export const DEFAULT_PLATFORM_FEE_RATE = 3;
+export const DEFAULT_MANAGEMENT_COMMISSION_RATE = 20;
+
+// Nights in each month of a non-leap year
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Turn seasonal occupancy into an occupancy rate for each month.
+ * @param {object|Array<number>} occupancy - Either { peak, shoulder, low } or twelve monthly rates (%).
+ * @returns {Array<number>} - Occupancy (%) for January to December.
+ */
+export const getMonthlyOccupancy = (occupancy = DEFAULT_SEASONAL_OCCUPANCY) => {
+  if (Array.isArray(occupancy)) {
+    return occupancy;
+  }
+
+  return SEASON_BY_MONTH.map((season) => occupancy[season] ?? DEFAULT_SEASONAL_OCCUPANCY[season]);
+};
+
+/**
+ * Calculate a year of short-term rental income, month by month.
+ * Platform fees are charged on the booking revenue and the management
+ * commission on what is left after the platform's fees.
+ * @param {object} params - Parameters object.
+ * @param {number} params.nightlyRate - Average nightly rate charged to guests.
+ * @param {object|Array<number>} [params.occupancy] - Occupancy by season ({ peak, shoulder, low }) or by month (%).
+ * @param {number} [params.averageStayNights] - Average length of a stay, used to count cleanings.
+ * @param {number} [params.cleaningCostPerStay] - Cost of cleaning and laundry after each stay.
+ * @param {number} [params.platformFeeRate] - Booking platform fee as a percentage of revenue.
+ * @param {number} [params.managementCommissionRate] - Management commission as a percentage of revenue after platform fees.
+ * @param {number} [params.monthlyUtilities] - Electricity, water, internet and TV paid by the owner each month.
+ * @returns {object} - The assumptions used, monthly rows and annual totals.
+ */
+export const calculateShortTermRentalIncome = ({
+  nightlyRate,
+  occupancy = DEFAULT_SEASONAL_OCCUPANCY,
+  averageStayNights = DEFAULT_AVERAGE_STAY_NIGHTS,
+  cleaningCostPerStay = 0,
+  platformFeeRate = DEFAULT_PLATFORM_FEE_RATE,
+  managementCommissionRate = DEFAULT_MANAGEMENT_COMMISSION_RATE,
+  monthlyUtilities = 0
+}) => {
+  const monthlyOccupancy = getMonthlyOccupancy(occupancy);
+
+  const months = DAYS_IN_MONTH.map((days, index) => {
+    const nightsBooked = days * (monthlyOccupancy[index] / 100);
+    const stays = averageStayNights > 0 ? nightsBooked / averageStayNights : 0;
+    const grossRevenue = nightsBooked * nightlyRate;
+    const platformFees = grossRevenue * (platformFeeRate / 100);
+    const managementCommission = (grossRevenue - platformFees) * (managementCommissionRate / 100);
+    const cleaningCosts = stays * cleaningCostPerStay;
+    const operatingCosts = platformFees + managementCommission + cleaningCosts + monthlyUtilities;
+
+    return {
+      month: index + 1,
+      name: MONTH_NAMES[index],
+      season: SEASON_BY_MONTH[index],
+      occupancy: monthlyOccupancy[index],
+      nightsBooked,
+      stays,
+      grossRevenue,
+      platformFees,
+      managementCommission,
+      cleaningCosts,
+      utilities: monthlyUtilities,
+      operatingCosts,
+      netIncome: grossRevenue - operatingCosts
+    };
+  });
+
+  const sum = (key) => months.reduce((total, month) => total + month[key], 0);
+  const nightsBooked = sum('nightsBooked');
+
+  return {
+    nightlyRate,
+    averageStayNights,
+    cleaningCostPerStay,
+    platformFeeRate,
+    managementCommissionRate,
+    monthlyUtilities,
+    months,
+    annual: {
+      nightsBooked,
+      grossRevenue: sum('grossRevenue'),
+      platformFees: sum('platformFees'),
+      managementCommission: sum('managementCommission'),
+      cleaningCosts: sum('cleaningCosts'),
+      utilities: sum('utilities'),
+      operatingCosts: sum('operatingCosts'),
+      netIncome: sum('netIncome')
+    },
+    averageOccupancy: (nightsBooked / DAYS_IN_MONTH.reduce((total, days) => total + days, 0)) * 100
+  };
+};
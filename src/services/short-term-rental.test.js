@@ -0,0 +1,82 @@
+import {
+  SEASON_BY_MONTH,
+  calculateShortTermRentalIncome,
+  getMonthlyOccupancy
+} from './short-term-rental';
+
+describe('getMonthlyOccupancy', () => {
+  test('spreads seasonal occupancy over the months of each season', () => {
+    const occupancy = getMonthlyOccupancy({ peak: 90, shoulder: 60, low: 30 });
+
+    expect(occupancy).toHaveLength(12);
+    expect(occupancy[0]).toBe(90);
+    expect(occupancy[3]).toBe(60);
+    expect(occupancy[6]).toBe(30);
+    expect(occupancy[11]).toBe(90);
+  });
+
+  test('fills in missing seasons from the defaults and passes monthly rates through', () => {
+    expect(getMonthlyOccupancy({ peak: 100 })[5]).toBe(40);
+
+    const monthly = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 50, 50];
+    expect(getMonthlyOccupancy(monthly)).toBe(monthly);
+  });
+});
+
+describe('calculateShortTermRentalIncome', () => {
+  const params = {
+    nightlyRate: 1000,
+    occupancy: { peak: 80, shoulder: 60, low: 40 },
+    averageStayNights: 4,
+    cleaningCostPerStay: 400,
+    platformFeeRate: 3,
+    managementCommissionRate: 20,
+    monthlyUtilities: 1500
+  };
+
+  test('books nights from the month\'s occupancy and deducts each cost', () => {
+    const { months } = calculateShortTermRentalIncome(params);
+    const january = months[0];
+
+    expect(january.season).toBe('peak');
+    expect(january.nightsBooked).toBeCloseTo(24.8, 6);
+    expect(january.grossRevenue).toBeCloseTo(24800, 6);
+    expect(january.platformFees).toBeCloseTo(744, 6);
+    // Commission is charged on the revenue left after the platform's fees
+    expect(january.managementCommission).toBeCloseTo((24800 - 744) * 0.2, 6);
+    expect(january.cleaningCosts).toBeCloseTo((24.8 / 4) * 400, 6);
+    expect(january.netIncome).toBeCloseTo(24800 - january.operatingCosts, 6);
+    expect(january.operatingCosts).toBeCloseTo(
+      744 + january.managementCommission + january.cleaningCosts + 1500,
+      6
+    );
+  });
+
+  test('earns more in peak season than in the winter low', () => {
+    const { months } = calculateShortTermRentalIncome(params);
+
+    expect(months.map((month) => month.season)).toEqual(SEASON_BY_MONTH);
+    expect(months[0].grossRevenue).toBeGreaterThan(months[3].grossRevenue);
+    expect(months[3].grossRevenue).toBeGreaterThan(months[6].grossRevenue);
+  });
+
+  test('totals the year and reports the average occupancy', () => {
+    const { annual, months, averageOccupancy } = calculateShortTermRentalIncome(params);
+    const nights = months.reduce((total, month) => total + month.nightsBooked, 0);
+
+    expect(annual.nightsBooked).toBeCloseTo(nights, 6);
+    expect(annual.grossRevenue).toBeCloseTo(nights * 1000, 6);
+    expect(annual.utilities).toBe(18000);
+    expect(annual.netIncome).toBeCloseTo(annual.grossRevenue - annual.operatingCosts, 6);
+    expect(averageOccupancy).toBeCloseTo(nights / 365 * 100, 6);
+  });
+
+  test('applies the default fees when they are not given', () => {
+    const result = calculateShortTermRentalIncome({ nightlyRate: 1000, occupancy: new Array(12).fill(50) });
+
+    expect(result.platformFeeRate).toBe(3);
+    expect(result.managementCommissionRate).toBe(20);
+    expect(result.annual.cleaningCosts).toBe(0);
+    expect(result.averageOccupancy).toBeCloseTo(50, 6);
+  });
+});
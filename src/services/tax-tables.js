@@ -0,0 +1,326 @@
+/**
+ * PropForecast Tax Tables
+ *
+ * Registry of South African tax and fee tables, versioned by tax year
+ * (1 March to end of February) and the date each version took effect.
+ * Budget speech changes are added here as a new entry rather than by
+ * editing the calculators.
+ *
+ * Bracketed scales apply from their threshold:
+ * amount = base + (value - threshold) * rate.
+ */
+
+// Income tax brackets and rebates were not adjusted in the 2024 and 2025 budgets
+const INCOME_TAX_FROM_2023 = {
+  brackets: [
+    { threshold: 0, baseTax: 0, rate: 0.18 },
+    { threshold: 237100, baseTax: 42678, rate: 0.26 },
+    { threshold: 370500, baseTax: 77362, rate: 0.31 },
+    { threshold: 512800, baseTax: 121475, rate: 0.36 },
+    { threshold: 673000, baseTax: 179147, rate: 0.39 },
+    { threshold: 857900, baseTax: 251258, rate: 0.41 },
+    { threshold: 1817000, baseTax: 644489, rate: 0.45 }
+  ],
+  rebates: { primary: 17235, secondary: 9444, tertiary: 3145 },
+  capitalGains: { inclusionRate: 0.4, annualExclusion: 40000 }
+};
+
+// Companies pay a flat rate on taxable income and include 80% of capital gains,
+// with no annual exclusion. Dividends tax is withheld when profits are paid out.
+// The rate was cut from 28% for years of assessment ending on or after 31 March 2023.
+const COMPANY_TAX_2022 = { incomeTaxRate: 0.28, capitalGainsInclusionRate: 0.8, dividendsTaxRate: 0.2 };
+const COMPANY_TAX_FROM_2023 = { incomeTaxRate: 0.27, capitalGainsInclusionRate: 0.8, dividendsTaxRate: 0.2 };
+
+// Trusts (other than special trusts) pay the top individual rate on income they keep
+const TRUST_TAX = { incomeTaxRate: 0.45, capitalGainsInclusionRate: 0.8 };
+
+// Section 13sex building allowance for new residential units bought to let.
+// The taxpayer must own at least five units, and a unit bought in a building
+// from a developer is deemed to cost 55% of its price. Low-cost units (within
+// the price limits) earn 10% a year instead of 5%.
+const SECTION_13SEX = {
+  minimumUnits: 5,
+  allowanceRate: 0.05,
+  lowCostAllowanceRate: 0.1,
+  deemedCostShare: 0.55,
+  lowCostLimits: { apartment: 350000, other: 300000 }
+};
+
+// Transfer duty brackets in force from 1 March 2023 until 31 March 2025
+const TRANSFER_DUTY_FROM_2023 = [
+  { threshold: 0, baseDuty: 0, rate: 0 },
+  { threshold: 1100000, baseDuty: 0, rate: 0.03 },
+  { threshold: 1512500, baseDuty: 12375, rate: 0.06 },
+  { threshold: 2117500, baseDuty: 48675, rate: 0.08 },
+  { threshold: 2722500, baseDuty: 97075, rate: 0.11 },
+  { threshold: 12100000, baseDuty: 1128600, rate: 0.13 }
+];
+
+// Deeds office registration fees by property value
+const DEEDS_OFFICE_FEES_2022 = [
+  { upTo: 100000, fee: 46 },
+  { upTo: 200000, fee: 107 },
+  { upTo: 300000, fee: 656 },
+  { upTo: 600000, fee: 848 },
+  { upTo: 800000, fee: 1148 },
+  { upTo: 1000000, fee: 1333 },
+  { upTo: 2000000, fee: 1610 },
+  { upTo: 4000000, fee: 2223 },
+  { upTo: 6000000, fee: 2705 },
+  { upTo: 8000000, fee: 3216 },
+  { upTo: 10000000, fee: 4329 },
+  { upTo: 15000000, fee: 5204 },
+  { upTo: 20000000, fee: 6503 },
+  { upTo: Infinity, fee: 8667 }
+];
+
+const DEEDS_OFFICE_FEES_2024 = [
+  { upTo: 100000, fee: 48 },
+  { upTo: 200000, fee: 115 },
+  { upTo: 300000, fee: 701 },
+  { upTo: 600000, fee: 907 },
+  { upTo: 800000, fee: 1225 },
+  { upTo: 1000000, fee: 1422 },
+  { upTo: 2000000, fee: 1722 },
+  { upTo: 4000000, fee: 2373 },
+  { upTo: 6000000, fee: 2887 },
+  { upTo: 8000000, fee: 3432 },
+  { upTo: 10000000, fee: 4619 },
+  { upTo: 15000000, fee: 5554 },
+  { upTo: 20000000, fee: 6944 },
+  { upTo: Infinity, fee: 9250 }
+];
+
+// Deeds office bond registration fees by bond amount
+const DEEDS_OFFICE_BOND_FEES_2022 = [
+  { upTo: 150000, fee: 481 },
+  { upTo: 300000, fee: 604 },
+  { upTo: 600000, fee: 848 },
+  { upTo: 800000, fee: 1148 },
+  { upTo: 1000000, fee: 1333 },
+  { upTo: 2000000, fee: 1610 },
+  { upTo: 4000000, fee: 2223 },
+  { upTo: 6000000, fee: 2705 },
+  { upTo: 8000000, fee: 3216 },
+  { upTo: 10000000, fee: 4329 },
+  { upTo: 15000000, fee: 5204 },
+  { upTo: 20000000, fee: 6503 },
+  { upTo: 30000000, fee: 8667 },
+  { upTo: Infinity, fee: 13001 }
+];
+
+const DEEDS_OFFICE_BOND_FEES_2024 = [
+  { upTo: 150000, fee: 507 },
+  { upTo: 300000, fee: 637 },
+  { upTo: 600000, fee: 907 },
+  { upTo: 800000, fee: 1225 },
+  { upTo: 1000000, fee: 1422 },
+  { upTo: 2000000, fee: 1722 },
+  { upTo: 4000000, fee: 2373 },
+  { upTo: 6000000, fee: 2887 },
+  { upTo: 8000000, fee: 3432 },
+  { upTo: 10000000, fee: 4619 },
+  { upTo: 15000000, fee: 5554 },
+  { upTo: 20000000, fee: 6944 },
+  { upTo: 30000000, fee: 9250 },
+  { upTo: Infinity, fee: 13876 }
+];
+
+/**
+ * Tax tables in order of the date they took effect. Conveyancing fees are
+ * estimates of the attorney's fee (excluding VAT) based on the Law Society
+ * guideline tariff for the year, and apply to both transfers and bond
+ * registrations. The bond initiation fee is the National Credit Act cap for
+ * mortgage agreements, excluding VAT.
+ */
+export const TAX_TABLES = [
+  {
+    taxYear: '2022/2023',
+    effectiveFrom: '2022-03-01',
+    vatRate: 15,
+    transferDuty: [
+      { threshold: 0, baseDuty: 0, rate: 0 },
+      { threshold: 1000000, baseDuty: 0, rate: 0.03 },
+      { threshold: 1375000, baseDuty: 11250, rate: 0.06 },
+      { threshold: 1925000, baseDuty: 44250, rate: 0.08 },
+      { threshold: 2475000, baseDuty: 88250, rate: 0.11 },
+      { threshold: 11000000, baseDuty: 1026000, rate: 0.13 }
+    ],
+    conveyancingFees: [
+      { threshold: 0, baseFee: 4500, rate: 0 },
+      { threshold: 100000, baseFee: 4500, rate: 0.015 },
+      { threshold: 500000, baseFee: 10500, rate: 0.01 },
+      { threshold: 1000000, baseFee: 15500, rate: 0.007 },
+      { threshold: 5000000, baseFee: 43500, rate: 0.003 }
+    ],
+    deedsOfficeFees: DEEDS_OFFICE_FEES_2022,
+    deedsOfficeBondFees: DEEDS_OFFICE_BOND_FEES_2022,
+    bondInitiationFeeCap: 5250,
+    incomeTax: {
+      brackets: [
+        { threshold: 0, baseTax: 0, rate: 0.18 },
+        { threshold: 226000, baseTax: 40680, rate: 0.26 },
+        { threshold: 353100, baseTax: 73726, rate: 0.31 },
+        { threshold: 488700, baseTax: 115762, rate: 0.36 },
+        { threshold: 641400, baseTax: 170734, rate: 0.39 },
+        { threshold: 817600, baseTax: 239452, rate: 0.41 },
+        { threshold: 1731600, baseTax: 614192, rate: 0.45 }
+      ],
+      rebates: { primary: 16425, secondary: 9000, tertiary: 2997 },
+      capitalGains: { inclusionRate: 0.4, annualExclusion: 40000 }
+    },
+    companyTax: COMPANY_TAX_2022,
+    trustTax: TRUST_TAX,
+    section13sex: SECTION_13SEX
+  },
+  {
+    taxYear: '2023/2024',
+    effectiveFrom: '2023-03-01',
+    vatRate: 15,
+    transferDuty: TRANSFER_DUTY_FROM_2023,
+    conveyancingFees: [
+      { threshold: 0, baseFee: 4770, rate: 0 },
+      { threshold: 100000, baseFee: 4770, rate: 0.0159 },
+      { threshold: 500000, baseFee: 11130, rate: 0.0106 },
+      { threshold: 1000000, baseFee: 16430, rate: 0.00742 },
+      { threshold: 5000000, baseFee: 46110, rate: 0.00318 }
+    ],
+    deedsOfficeFees: DEEDS_OFFICE_FEES_2022,
+    deedsOfficeBondFees: DEEDS_OFFICE_BOND_FEES_2022,
+    bondInitiationFeeCap: 5250,
+    incomeTax: INCOME_TAX_FROM_2023,
+    companyTax: COMPANY_TAX_FROM_2023,
+    trustTax: TRUST_TAX,
+    section13sex: SECTION_13SEX
+  },
+  {
+    taxYear: '2024/2025',
+    effectiveFrom: '2024-03-01',
+    vatRate: 15,
+    transferDuty: TRANSFER_DUTY_FROM_2023,
+    conveyancingFees: [
+      { threshold: 0, baseFee: 5010, rate: 0 },
+      { threshold: 100000, baseFee: 5010, rate: 0.0167 },
+      { threshold: 500000, baseFee: 11690, rate: 0.0111 },
+      { threshold: 1000000, baseFee: 17240, rate: 0.0078 },
+      { threshold: 5000000, baseFee: 48440, rate: 0.0033 }
+    ],
+    deedsOfficeFees: DEEDS_OFFICE_FEES_2024,
+    deedsOfficeBondFees: DEEDS_OFFICE_BOND_FEES_2024,
+    bondInitiationFeeCap: 5250,
+    incomeTax: INCOME_TAX_FROM_2023,
+    companyTax: COMPANY_TAX_FROM_2023,
+    trustTax: TRUST_TAX,
+    section13sex: SECTION_13SEX
+  },
+  {
+    // The adjusted transfer duty brackets only took effect on 1 April 2025,
+    // so March 2025 transactions still use the 2024/2025 entry
+    taxYear: '2025/2026',
+    effectiveFrom: '2025-04-01',
+    vatRate: 15,
+    transferDuty: [
+      { threshold: 0, baseDuty: 0, rate: 0 },
+      { threshold: 1210000, baseDuty: 0, rate: 0.03 },
+      { threshold: 1663800, baseDuty: 13614, rate: 0.06 },
+      { threshold: 2329300, baseDuty: 53544, rate: 0.08 },
+      { threshold: 2994800, baseDuty: 106784, rate: 0.11 },
+      { threshold: 13310000, baseDuty: 1241456, rate: 0.13 }
+    ],
+    conveyancingFees: [
+      { threshold: 0, baseFee: 5260, rate: 0 },
+      { threshold: 100000, baseFee: 5260, rate: 0.0175 },
+      { threshold: 500000, baseFee: 12260, rate: 0.0117 },
+      { threshold: 1000000, baseFee: 18110, rate: 0.0082 },
+      { threshold: 5000000, baseFee: 50910, rate: 0.0035 }
+    ],
+    deedsOfficeFees: DEEDS_OFFICE_FEES_2024,
+    deedsOfficeBondFees: DEEDS_OFFICE_BOND_FEES_2024,
+    bondInitiationFeeCap: 5250,
+    incomeTax: INCOME_TAX_FROM_2023,
+    companyTax: COMPANY_TAX_FROM_2023,
+    trustTax: TRUST_TAX,
+    section13sex: SECTION_13SEX
+  }
+];
+
+/**
+ * Work out the SARS tax year (1 March to end of February) a date falls in.
+ * @param {Date} date - The date to look up.
+ * @returns {string} - Tax year label, e.g. '2024/2025'.
+ */
+export const getTaxYearForDate = (date = new Date()) => {
+  // Months are zero-based, so 2 is March
+  const startYear = date.getMonth() >= 2 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}/${startYear + 1}`;
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time, for comparing with effective dates.
+ * @param {Date} date - The date to format.
+ * @returns {string} - ISO calendar date.
+ */
+const toCalendarDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Get the tax tables in force on a date. Dates after the latest entry use the
+ * latest entry, and dates before the first entry use the first. A YYYY-MM-DD
+ * string is compared as it stands: parsing it would give midnight UTC, which
+ * falls on the previous day west of UTC.
+ * @param {Date|string} [date] - Transaction date, as a Date or a YYYY-MM-DD string. Defaults to today.
+ * @returns {object} - The tax table entry.
+ */
+export const getTaxTableForDate = (date = new Date()) => {
+  const calendarDate = typeof date === 'string' ? date.slice(0, 10) : toCalendarDate(date);
+  return TAX_TABLES.filter((table) => table.effectiveFrom <= calendarDate).pop() || TAX_TABLES[0];
+};
+
+/**
+ * Get the tax tables for a tax year, falling back to the latest table
+ * published before it when the year has no entry yet.
+ * @param {string} [taxYear] - Tax year label, e.g. '2024/2025'. Defaults to the tables in force today.
+ * @returns {object} - The tax table entry.
+ */
+export const getTaxTable = (taxYear) => {
+  if (!taxYear) {
+    return getTaxTableForDate();
+  }
+
+  return TAX_TABLES.filter((table) => table.taxYear <= taxYear).pop() || TAX_TABLES[0];
+};
+
+/**
+ * List the tax years that have tables, newest first, for selectors.
+ * @returns {Array<object>} - Tax year labels with the date each took effect.
+ */
+export const listTaxYears = () => {
+  return TAX_TABLES
+    .map(({ taxYear, effectiveFrom }) => ({ taxYear, effectiveFrom }))
+    .reverse();
+};
+
+/**
+ * Look up a value in a bracketed scale.
+ * @param {Array<object>} scale - Brackets with a threshold, a base amount and a marginal rate.
+ * @param {string} baseKey - Name of the base amount field in each bracket.
+ * @param {number} value - The value to apply the scale to.
+ * @returns {number} - The scaled amount.
+ */
+export const applyBracketScale = (scale, baseKey, value) => {
+  const bracket = scale.filter(({ threshold }) => value > threshold).pop() || scale[0];
+  return bracket[baseKey] + Math.max(value - bracket.threshold, 0) * bracket.rate;
+};
+
+/**
+ * Look up a fee in a tiered fee schedule.
+ * @param {Array<object>} tiers - Tiers with an upper value limit and a fixed fee.
+ * @param {number} value - The value to look up.
+ * @returns {number} - The fee for the tier the value falls in.
+ */
+export const lookupTieredFee = (tiers, value) => {
+  return tiers.find(({ upTo }) => value <= upTo).fee;
+};
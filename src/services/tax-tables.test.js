@@ -0,0 +1,113 @@
+import {
+  calculateAttorneyFees,
+  calculateTransferCosts,
+  calculateTransferDuty
+} from './financial-calculator';
+import { calculateIncomeTax } from './income-tax';
+import {
+  TAX_TABLES,
+  getTaxTable,
+  getTaxTableForDate,
+  getTaxYearForDate,
+  listTaxYears
+} from './tax-tables';
+
+describe('tax table lookup', () => {
+  test('maps dates to SARS tax years starting on 1 March', () => {
+    expect(getTaxYearForDate(new Date(2025, 1, 28))).toBe('2024/2025');
+    expect(getTaxYearForDate(new Date(2025, 2, 1))).toBe('2025/2026');
+  });
+
+  test('picks the tables in force on a transaction date', () => {
+    expect(getTaxTableForDate(new Date(2023, 1, 28)).taxYear).toBe('2022/2023');
+    expect(getTaxTableForDate(new Date(2023, 2, 1)).taxYear).toBe('2023/2024');
+    // The 2025 transfer duty adjustment took effect on 1 April
+    expect(getTaxTableForDate(new Date(2025, 2, 15)).taxYear).toBe('2024/2025');
+    expect(getTaxTableForDate(new Date(2025, 3, 1)).taxYear).toBe('2025/2026');
+    expect(getTaxTableForDate(new Date(2019, 0, 1)).taxYear).toBe('2022/2023');
+  });
+
+  test('reads a date-only string as that calendar day in any time zone', () => {
+    expect(getTaxTableForDate('2025-03-31').taxYear).toBe('2024/2025');
+    expect(getTaxTableForDate('2025-04-01').taxYear).toBe('2025/2026');
+  });
+
+  test('falls back to the latest earlier tax year', () => {
+    expect(getTaxTable('2024/2025').taxYear).toBe('2024/2025');
+    expect(getTaxTable('2031/2032').taxYear).toBe(TAX_TABLES[TAX_TABLES.length - 1].taxYear);
+  });
+
+  test('lists tax years newest first', () => {
+    expect(listTaxYears().map(({ taxYear }) => taxYear)).toEqual([
+      '2025/2026',
+      '2024/2025',
+      '2023/2024',
+      '2022/2023'
+    ]);
+  });
+});
+
+describe('pinned values per tax year', () => {
+  const cases = [
+    {
+      taxYear: '2022/2023',
+      transferDuty: { 1000000: 0, 1500000: 18750, 3000000: 146000, 12000000: 1156000 },
+      attorneyFees: { 1500000: 21850 },
+      deedsOffice: { 1500000: 1610 },
+      incomeTax: { 500000: 103405 }
+    },
+    {
+      taxYear: '2023/2024',
+      transferDuty: { 1100000: 0, 1500000: 12000, 3000000: 127600, 12500000: 1180600 },
+      attorneyFees: { 1500000: 23161 },
+      deedsOffice: { 1500000: 1610 },
+      incomeTax: { 500000: 100272 }
+    },
+    {
+      taxYear: '2024/2025',
+      transferDuty: { 1100000: 0, 1500000: 12000, 3000000: 127600, 12500000: 1180600 },
+      attorneyFees: { 1500000: 24311 },
+      deedsOffice: { 1500000: 1722 },
+      incomeTax: { 500000: 100272 }
+    },
+    {
+      taxYear: '2025/2026',
+      transferDuty: { 1210000: 0, 1500000: 8700, 3000000: 107356, 14000000: 1331156 },
+      attorneyFees: { 1500000: 25541.5 },
+      deedsOffice: { 1500000: 1722 },
+      incomeTax: { 500000: 100272 }
+    }
+  ];
+
+  cases.forEach(({ taxYear, transferDuty, attorneyFees, deedsOffice, incomeTax }) => {
+    describe(`${taxYear}`, () => {
+      test('transfer duty', () => {
+        Object.entries(transferDuty).forEach(([price, duty]) => {
+          expect(calculateTransferDuty(Number(price), taxYear)).toBeCloseTo(duty, 2);
+        });
+      });
+
+      test('VAT rate', () => {
+        expect(getTaxTable(taxYear).vatRate).toBe(15);
+      });
+
+      test('conveyancing fees including VAT', () => {
+        Object.entries(attorneyFees).forEach(([price, fee]) => {
+          expect(calculateAttorneyFees(Number(price), taxYear)).toBeCloseTo(fee, 2);
+        });
+      });
+
+      test('deeds office fees', () => {
+        Object.entries(deedsOffice).forEach(([price, fee]) => {
+          expect(calculateTransferCosts(Number(price), taxYear).deedsOfficeRegistration).toBe(fee);
+        });
+      });
+
+      test('individual income tax', () => {
+        Object.entries(incomeTax).forEach(([income, tax]) => {
+          expect(calculateIncomeTax(Number(income), { taxYear })).toBeCloseTo(tax, 2);
+        });
+      });
+    });
+  });
+});
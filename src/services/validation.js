@@ -0,0 +1,343 @@
+/**
+ * PropForecast Validation
+ *
+ * One schema for the property inputs, shared by the input form, listing
+ * import, saved-analysis loading and generatePropertyForecast. Validating
+ * coerces values to their proper types (form fields and selects hand over
+ * strings), checks each field's range and then the rules that span fields.
+ */
+
+import { MAX_PROJECTION_YEARS } from './projection';
+import { RENTAL_MODES } from './short-term-rental';
+import { LINE_ITEM_FREQUENCIES, LINE_ITEM_KINDS } from './line-items';
+import { RATE_BASES } from './interest-rates';
+import { MAX_SIMULATION_TRIALS } from './monte-carlo';
+import { OWNERSHIP_STRUCTURES } from './ownership';
+import { PURCHASE_TYPES } from './purchase-types';
+import { UNIT_TYPES, usesRentRoll } from './rent-roll';
+
+export const PROPERTY_TYPES = ['apartment', 'house', 'townhouse', 'duplex'];
+
+const isShortTerm = (data) => data.rentalMode === 'short-term';
+const isLongTerm = (data) => !isShortTerm(data);
+// A rent roll supplies the rent, vacancy and rooms unit by unit
+const needsSingleRent = (data) => isLongTerm(data) && !usesRentRoll(data);
+const needsRooms = (data) => !usesRentRoll(data);
+const isFixedRate = (data) => data.rateBasis !== 'prime';
+const hasIncome = (data) => !isEmpty(data.grossMonthlyIncome);
+
+/**
+ * Check that a value is a real day written as YYYY-MM-DD. `new Date` alone
+ * accepts far more, e.g. '1' or 'March', and rolls 2025-02-30 into March.
+ * @param {string} value - The value to check.
+ * @returns {boolean} - True when the value is an ISO calendar date that exists.
+ */
+const isCalendarDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Thrown when property inputs fail validation.
+ * `errors` maps each invalid field to a message suitable for showing next to it.
+ */
+export class ValidationError extends Error {
+  constructor(errors) {
+    const fields = Object.keys(errors);
+    super(`Invalid property inputs: ${fields.map((field) => `${field} (${errors[field]})`).join(', ')}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Fields of each custom income or expense line item
+const LINE_ITEM_FIELDS = {
+  name: { type: 'string', label: 'Name', required: true },
+  kind: { type: 'enum', label: 'Type', required: true, options: LINE_ITEM_KINDS },
+  amount: { type: 'number', label: 'Amount', required: true, min: 0 },
+  frequency: { type: 'enum', label: 'Frequency', required: true, options: LINE_ITEM_FREQUENCIES },
+  startYear: { type: 'integer', label: 'Start year', min: 1, max: MAX_PROJECTION_YEARS },
+  escalationRate: { type: 'number', label: 'Escalation', min: -50, max: 50 }
+};
+
+// Fields of each unit in a rent roll
+const RENT_ROLL_FIELDS = {
+  name: { type: 'string', label: 'Name', required: true },
+  unitType: { type: 'enum', label: 'Type', required: true, options: UNIT_TYPES },
+  bedrooms: { type: 'integer', label: 'Bedrooms', required: true, min: 0, max: 50 },
+  bathrooms: { type: 'number', label: 'Bathrooms', min: 0, max: 50 },
+  rent: { type: 'number', label: 'Rent', required: true, min: 0 },
+  vacancyRate: { type: 'number', label: 'Vacancy', min: 0, max: 100 },
+  leaseExpiry: { type: 'date', label: 'Lease expiry' },
+  escalationDate: { type: 'date', label: 'Escalation date' }
+};
+
+// Fields of each scheduled bond lump sum or access-bond withdrawal
+const BOND_TRANSACTION_FIELDS = {
+  type: { type: 'enum', label: 'Type', required: true, options: ['lump-sum', 'withdrawal'] },
+  year: { type: 'integer', label: 'Year', required: true, min: 1, max: 30 },
+  amount: { type: 'number', label: 'Amount', required: true, min: 1 }
+};
+
+// Fields of each step in a variable rate path
+const RATE_CHANGE_FIELDS = {
+  year: { type: 'integer', label: 'Year', required: true, min: 1, max: 30 },
+  change: { type: 'number', label: 'Change', required: true, min: -10, max: 10 }
+};
+
+/**
+ * Field definitions. Required fields must be present; optional fields fall
+ * back to the calculator's defaults when left empty. `required` may be a
+ * function of the inputs for fields that only apply to one rental mode.
+ */
+export const PROPERTY_SCHEMA = {
+  propertyType: { type: 'enum', label: 'Property type', required: true, options: PROPERTY_TYPES },
+  location: { type: 'string', label: 'Location' },
+  purchasePrice: { type: 'number', label: 'Purchase price', required: true, min: 1 },
+  deposit: { type: 'number', label: 'Deposit', required: true, min: 0 },
+  purchaseType: { type: 'enum', label: 'Purchase type', options: PURCHASE_TYPES },
+  developerPaysTransferCosts: { type: 'boolean', label: 'Developer pays transfer costs' },
+  constructionMonths: { type: 'integer', label: 'Construction period', min: 0, max: 60 },
+  residentialUnitsOwned: { type: 'integer', label: 'Residential units owned', min: 1, max: 10000 },
+  rateBasis: { type: 'enum', label: 'Rate basis', options: RATE_BASES },
+  interestRate: { type: 'number', label: 'Interest rate', required: isFixedRate, min: 0, max: 30 },
+  primeRate: { type: 'number', label: 'Prime rate', min: 0, max: 30 },
+  primeMargin: { type: 'number', label: 'Margin', min: -10, max: 10 },
+  rateChanges: { type: 'list', label: 'Rate change', fields: RATE_CHANGE_FIELDS },
+  loanTerm: { type: 'integer', label: 'Loan term', required: true, min: 1, max: 30 },
+  monthlyLevies: { type: 'number', label: 'Monthly levies', required: true, min: 0 },
+  monthlyRates: { type: 'number', label: 'Monthly rates and taxes', required: true, min: 0 },
+  rentalMode: { type: 'enum', label: 'Rental mode', options: RENTAL_MODES },
+  expectedRent: { type: 'number', label: 'Expected rent', required: needsSingleRent, min: 0 },
+  bedrooms: { type: 'integer', label: 'Bedrooms', required: needsRooms, min: 0, max: 50 },
+  bathrooms: { type: 'number', label: 'Bathrooms', required: needsRooms, min: 0, max: 50 },
+  floorSize: { type: 'number', label: 'Floor size', min: 1 },
+  maintenancePercentage: { type: 'number', label: 'Annual maintenance', required: true, min: 0, max: 100 },
+  vacancyRate: { type: 'number', label: 'Vacancy rate', required: needsSingleRent, min: 0, max: 100 },
+  rentRoll: { type: 'list', label: 'Unit', fields: RENT_ROLL_FIELDS },
+  relettingMonths: { type: 'integer', label: 'Re-letting period', min: 0, max: 12 },
+  nightlyRate: { type: 'number', label: 'Nightly rate', required: isShortTerm, min: 1 },
+  occupancyBasis: { type: 'enum', label: 'Occupancy basis', options: ['season', 'month'] },
+  peakOccupancy: { type: 'number', label: 'Peak season occupancy', min: 0, max: 100 },
+  shoulderOccupancy: { type: 'number', label: 'Shoulder season occupancy', min: 0, max: 100 },
+  lowOccupancy: { type: 'number', label: 'Low season occupancy', min: 0, max: 100 },
+  monthlyOccupancy: {
+    type: 'numberList',
+    label: 'Monthly occupancy',
+    required: (data) => isShortTerm(data) && data.occupancyBasis === 'month',
+    length: 12,
+    min: 0,
+    max: 100
+  },
+  averageStayNights: { type: 'number', label: 'Average stay', min: 1, max: 365 },
+  cleaningCostPerStay: { type: 'number', label: 'Cleaning cost per stay', min: 0 },
+  platformFeeRate: { type: 'number', label: 'Platform fee', min: 0, max: 100 },
+  managementCommissionRate: { type: 'number', label: 'Management commission', min: 0, max: 100 },
+  monthlyUtilities: { type: 'number', label: 'Monthly utilities', min: 0 },
+  furnishingCost: { type: 'number', label: 'Furnishing cost', min: 0 },
+  managementFeeRate: { type: 'number', label: 'Management fee', min: 0, max: 100 },
+  lettingFeeRate: { type: 'number', label: 'Letting fee', min: 0, max: 200 },
+  averageTenancyMonths: { type: 'integer', label: 'Average tenancy', min: 1, max: 240 },
+  monthlyInsurance: { type: 'number', label: 'Building insurance', min: 0 },
+  landlordUtilities: { type: 'number', label: 'Landlord utilities', min: 0 },
+  lineItems: { type: 'list', label: 'Line item', fields: LINE_ITEM_FIELDS },
+  extraMonthlyPayment: { type: 'number', label: 'Extra monthly bond payment', min: 0 },
+  annualLumpSum: { type: 'number', label: 'Annual lump sum', min: 0 },
+  bondTransactions: { type: 'list', label: 'Bond transaction', fields: BOND_TRANSACTION_FIELDS },
+  projectionYears: { type: 'integer', label: 'Projection horizon', min: 1, max: MAX_PROJECTION_YEARS },
+  annualAppreciationRate: { type: 'number', label: 'Appreciation rate', min: -50, max: 50 },
+  rentEscalationRate: { type: 'number', label: 'Rent escalation', min: -50, max: 50 },
+  leviesEscalationRate: { type: 'number', label: 'Levies escalation', min: -50, max: 50 },
+  ratesEscalationRate: { type: 'number', label: 'Rates escalation', min: -50, max: 50 },
+  maintenanceEscalationRate: { type: 'number', label: 'Maintenance escalation', min: -50, max: 50 },
+  discountRate: { type: 'number', label: 'Discount rate', min: 0, max: 100 },
+  saleYear: { type: 'integer', label: 'Sale year', min: 1, max: MAX_PROJECTION_YEARS },
+  agentCommissionRate: { type: 'number', label: 'Agent commission', min: 0, max: 100 },
+  bondCancellationFee: { type: 'number', label: 'Bond cancellation fee', min: 0 },
+  runSimulation: { type: 'boolean', label: 'Run simulation' },
+  simulationTrials: { type: 'integer', label: 'Simulation trials', min: 100, max: MAX_SIMULATION_TRIALS },
+  simulationSeed: { type: 'integer', label: 'Random seed', min: 0 },
+  appreciationStdDev: { type: 'number', label: 'Appreciation spread', min: 0, max: 20 },
+  rentEscalationStdDev: { type: 'number', label: 'Rent escalation spread', min: 0, max: 20 },
+  vacancyStdDev: { type: 'number', label: 'Vacancy spread', min: 0, max: 50 },
+  interestRateStdDev: { type: 'number', label: 'Interest rate spread', min: 0, max: 5 },
+  otherTaxableIncome: { type: 'number', label: 'Other taxable income', min: 0 },
+  investorAge: { type: 'integer', label: 'Age', min: 0, max: 120 },
+  letToRelatives: { type: 'boolean', label: 'Let to relatives' },
+  ownershipStructure: { type: 'enum', label: 'Ownership structure', options: OWNERSHIP_STRUCTURES },
+  compareOwnership: { type: 'boolean', label: 'Compare ownership structures' },
+  compareBondExtras: { type: 'boolean', label: 'Compare bond extras' },
+  grossMonthlyIncome: { type: 'number', label: 'Gross monthly income', min: 0 },
+  netMonthlyIncome: { type: 'number', label: 'Net monthly income', required: hasIncome, min: 0 },
+  monthlyDebtRepayments: { type: 'number', label: 'Monthly debt repayments', min: 0 },
+  monthlyLivingExpenses: { type: 'number', label: 'Monthly living expenses', min: 0 },
+  rentalIncomeShare: { type: 'number', label: 'Share of rent counted', min: 0, max: 100 },
+  taxYear: { type: 'string', label: 'Tax year', pattern: /^\d{4}\/\d{4}$/ },
+  transactionDate: { type: 'date', label: 'Transaction date' }
+};
+
+/**
+ * Rules that compare fields with each other. Each returns an error message
+ * for `field`, or null when the rule holds. Rules are skipped when any of the
+ * fields they read is missing or already invalid.
+ */
+const CROSS_FIELD_RULES = [
+  {
+    field: 'deposit',
+    uses: ['deposit', 'purchasePrice'],
+    check: ({ deposit, purchasePrice }) => (deposit > purchasePrice ? 'Deposit cannot be more than the purchase price' : null)
+  },
+  {
+    field: 'netMonthlyIncome',
+    uses: ['netMonthlyIncome', 'grossMonthlyIncome'],
+    check: ({ netMonthlyIncome, grossMonthlyIncome }) => (
+      netMonthlyIncome > grossMonthlyIncome ? 'Net monthly income cannot be more than gross monthly income' : null
+    )
+  }
+];
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.every(isEmpty));
+
+const formatLimit = (value) => value.toLocaleString('en-ZA');
+
+/**
+ * Coerce and check a single value against its field definition.
+ * @param {object} rule - The field's schema entry.
+ * @param {*} raw - The value as supplied.
+ * @returns {object} - The coerced value, or an error message.
+ */
+const validateField = (rule, raw) => {
+  const { type, label, min, max, options, pattern, length, fields } = rule;
+
+  if (type === 'list') {
+    if (!Array.isArray(raw)) {
+      return { error: `${label}s must be a list` };
+    }
+    const value = [];
+    for (let index = 0; index < raw.length; index++) {
+      const item = { ...raw[index] };
+      for (const [name, fieldRule] of Object.entries(fields)) {
+        if (isEmpty(item[name])) {
+          if (fieldRule.required) {
+            return { error: `${label} ${index + 1}: ${fieldRule.label} is required` };
+          }
+          delete item[name];
+        } else {
+          const result = validateField(fieldRule, item[name]);
+          if (result.error) {
+            return { error: `${label} ${index + 1}: ${result.error}` };
+          }
+          item[name] = result.value;
+        }
+      }
+      value.push(item);
+    }
+    return { value };
+  }
+
+  if (type === 'numberList') {
+    const list = Array.isArray(raw) ? raw : String(raw).split(/[;,]/);
+    if (list.length !== length || list.some(isEmpty)) {
+      return { error: `${label} needs ${length} values` };
+    }
+    const results = list.map((item) => validateField({ ...rule, type: 'number' }, item));
+    const failed = results.find((result) => result.error);
+    return failed || { value: results.map((result) => result.value) };
+  }
+
+  if (type === 'boolean') {
+    return { value: raw === true || raw === 'true' };
+  }
+
+  if (type === 'string' || type === 'date') {
+    const value = String(raw).trim();
+    if (pattern && !pattern.test(value)) {
+      return { error: `${label} is not in the expected format` };
+    }
+    if (type === 'date' && !isCalendarDate(value)) {
+      return { error: `${label} is not a valid date` };
+    }
+    return { value };
+  }
+
+  if (type === 'enum') {
+    const value = String(raw).trim().toLowerCase();
+    return options.includes(value) ? { value } : { error: `${label} must be one of: ${options.join(', ')}` };
+  }
+
+  const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/[\s,]/g, ''));
+  if (!Number.isFinite(value)) {
+    return { error: `${label} must be a number` };
+  }
+  if (type === 'integer' && !Number.isInteger(value)) {
+    return { error: `${label} must be a whole number` };
+  }
+  if (min !== undefined && value < min) {
+    return { error: min === 1 && type === 'number' ? `${label} must be greater than 0` : `${label} must be at least ${formatLimit(min)}` };
+  }
+  if (max !== undefined && value > max) {
+    return { error: `${label} must be at most ${formatLimit(max)}` };
+  }
+  return { value };
+};
+
+/**
+ * Validate property inputs against the schema.
+ * Fields that are not in the schema are passed through untouched.
+ * @param {object} data - Property inputs, e.g. straight from the form.
+ * @param {object} [options] - Options object.
+ * @param {boolean} [options.partial] - Only check the fields that are present, e.g. for an imported listing.
+ * @returns {object} - The coerced values, errors keyed by field and whether the inputs are valid.
+ */
+export const validatePropertyData = (data, { partial = false } = {}) => {
+  const values = { ...data };
+  const errors = {};
+
+  Object.entries(PROPERTY_SCHEMA).forEach(([field, rule]) => {
+    if (isEmpty(data[field])) {
+      // Leave optional fields out so the calculator's defaults apply
+      delete values[field];
+      const required = typeof rule.required === 'function' ? rule.required(data) : rule.required;
+      if (required && !partial) {
+        errors[field] = `${rule.label} is required`;
+      }
+      return;
+    }
+
+    const { value, error } = validateField(rule, data[field]);
+    if (error) {
+      errors[field] = error;
+    } else {
+      values[field] = value;
+    }
+  });
+
+  CROSS_FIELD_RULES.forEach(({ field, uses, check }) => {
+    const ready = uses.every((name) => values[name] !== undefined && !errors[name]);
+    const error = ready && check(values);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+
+  return {
+    values,
+    errors,
+    isValid: Object.keys(errors).length === 0
+  };
+};
+
+/**
+ * Validate property inputs, throwing when they are invalid.
+ * @param {object} data - Property inputs.
+ * @returns {object} - The coerced values.
+ */
+export const parsePropertyData = (data) => {
+  const { values, errors, isValid } = validatePropertyData(data);
+  if (!isValid) {
+    throw new ValidationError(errors);
+  }
+  return values;
+};
@@ -0,0 +1,160 @@
+import { ValidationError, parsePropertyData, validatePropertyData } from './validation';
+import { generatePropertyForecast } from './financial-calculator';
+import { sandtonApartment as propertyData } from './__fixtures__/property-data';
+
+describe('validatePropertyData', () => {
+  test('accepts valid inputs', () => {
+    expect(validatePropertyData(propertyData)).toEqual({ values: propertyData, errors: {}, isValid: true });
+  });
+
+  test('coerces the strings sent by selects and text fields', () => {
+    const { values, isValid } = validatePropertyData({
+      ...propertyData,
+      loanTerm: '25',
+      bedrooms: '3',
+      bathrooms: '1.5',
+      purchasePrice: '1 350 000',
+      letToRelatives: 'true'
+    });
+
+    expect(isValid).toBe(true);
+    expect(values).toMatchObject({ loanTerm: 25, bedrooms: 3, bathrooms: 1.5, purchasePrice: 1350000, letToRelatives: true });
+  });
+
+  test('requires required fields but drops empty optional ones so defaults apply', () => {
+    const { values, errors } = validatePropertyData({ ...propertyData, deposit: '', projectionYears: '' });
+
+    expect(errors).toEqual({ deposit: 'Deposit is required' });
+    expect(values).not.toHaveProperty('projectionYears');
+  });
+
+  test('enforces ranges', () => {
+    const { errors } = validatePropertyData({
+      ...propertyData,
+      purchasePrice: 0,
+      vacancyRate: 120,
+      loanTerm: 20.5,
+      propertyType: 'castle',
+      interestRate: 'abc'
+    });
+
+    expect(errors).toEqual({
+      purchasePrice: 'Purchase price must be greater than 0',
+      vacancyRate: 'Vacancy rate must be at most 100',
+      loanTerm: 'Loan term must be a whole number',
+      propertyType: 'Property type must be one of: apartment, house, townhouse, duplex',
+      interestRate: 'Interest rate must be a number'
+    });
+  });
+
+  test('accepts only real dates written as YYYY-MM-DD', () => {
+    const dateError = (transactionDate) => validatePropertyData({ ...propertyData, transactionDate }).errors.transactionDate;
+
+    expect(dateError('2025-03-01')).toBeUndefined();
+    expect(dateError('2024-02-29')).toBeUndefined();
+    ['1', 'March', '2025-3-1', '01/03/2025', '2025-02-30', '2025-13-01'].forEach((junk) => {
+      expect(dateError(junk)).toBe('Transaction date is not a valid date');
+    });
+  });
+
+  test('checks the deposit against the purchase price', () => {
+    const { errors } = validatePropertyData({ ...propertyData, deposit: 1300000 });
+    expect(errors).toEqual({ deposit: 'Deposit cannot be more than the purchase price' });
+  });
+
+  test('requires the income inputs of the chosen rental mode', () => {
+    const shortTerm = { ...propertyData, expectedRent: '', vacancyRate: '', rentalMode: 'short-term' };
+
+    expect(validatePropertyData(shortTerm).errors).toEqual({ nightlyRate: 'Nightly rate is required' });
+    expect(validatePropertyData({ ...shortTerm, nightlyRate: '950' }).isValid).toBe(true);
+    expect(validatePropertyData({ ...propertyData, expectedRent: '' }).errors).toEqual({
+      expectedRent: 'Expected rent is required'
+    });
+  });
+
+  test('checks each monthly occupancy rate', () => {
+    const data = { ...propertyData, rentalMode: 'short-term', nightlyRate: 950, occupancyBasis: 'month' };
+
+    expect(validatePropertyData({ ...data, monthlyOccupancy: new Array(12).fill('50') }).values.monthlyOccupancy)
+      .toEqual(new Array(12).fill(50));
+    expect(validatePropertyData({ ...data, monthlyOccupancy: [50, 50] }).errors).toEqual({
+      monthlyOccupancy: 'Monthly occupancy needs 12 values'
+    });
+    expect(validatePropertyData({ ...data, monthlyOccupancy: [...new Array(11).fill(50), 120] }).errors).toEqual({
+      monthlyOccupancy: 'Monthly occupancy must be at most 100'
+    });
+    expect(validatePropertyData({ ...data, monthlyOccupancy: new Array(12).fill('') }).errors).toEqual({
+      monthlyOccupancy: 'Monthly occupancy is required'
+    });
+  });
+
+  test('checks each custom line item', () => {
+    const item = { name: 'Alarm', kind: 'expense', amount: '450', frequency: 'monthly', startYear: '', escalationRate: '8' };
+
+    expect(validatePropertyData({ ...propertyData, lineItems: [item] }).values.lineItems).toEqual([
+      { name: 'Alarm', kind: 'expense', amount: 450, frequency: 'monthly', escalationRate: 8 }
+    ]);
+    expect(validatePropertyData({ ...propertyData, lineItems: [item, { ...item, name: ' ' }] }).errors).toEqual({
+      lineItems: 'Line item 2: Name is required'
+    });
+    expect(validatePropertyData({ ...propertyData, lineItems: [{ ...item, frequency: 'weekly' }] }).errors).toEqual({
+      lineItems: 'Line item 1: Frequency must be one of: monthly, annual, once-off'
+    });
+  });
+
+  test('takes the rent, vacancy and rooms from a rent roll when there is one', () => {
+    const unit = { name: 'Cottage', unitType: 'cottage', bedrooms: '1', bathrooms: '', rent: '5500', vacancyRate: '8', leaseExpiry: '2026-01-31' };
+    const data = { ...propertyData, expectedRent: '', vacancyRate: '', bedrooms: '', bathrooms: '', rentRoll: [unit] };
+
+    expect(validatePropertyData(data).values.rentRoll).toEqual([
+      { name: 'Cottage', unitType: 'cottage', bedrooms: 1, rent: 5500, vacancyRate: 8, leaseExpiry: '2026-01-31' }
+    ]);
+    expect(validatePropertyData(data).isValid).toBe(true);
+    expect(validatePropertyData({ ...data, rentRoll: [{ ...unit, leaseExpiry: 'soon' }] }).errors).toEqual({
+      rentRoll: 'Unit 1: Lease expiry is not a valid date'
+    });
+  });
+
+  test('needs a fixed rate only when the bond is not linked to prime', () => {
+    const { interestRate, ...withoutRate } = propertyData;
+
+    expect(validatePropertyData(withoutRate).errors).toEqual({ interestRate: 'Interest rate is required' });
+    expect(validatePropertyData({ ...withoutRate, rateBasis: 'prime', primeRate: '10.5', primeMargin: '-0.5' }).isValid).toBe(true);
+    expect(validatePropertyData({ ...propertyData, rateChanges: [{ year: 2, change: 12 }] }).errors).toEqual({
+      rateChanges: 'Rate change 1: Change must be at most 10'
+    });
+  });
+
+  test('needs net income alongside gross income, and no more than it', () => {
+    expect(validatePropertyData({ ...propertyData, grossMonthlyIncome: '50000' }).errors).toEqual({
+      netMonthlyIncome: 'Net monthly income is required'
+    });
+    expect(validatePropertyData({ ...propertyData, grossMonthlyIncome: 50000, netMonthlyIncome: 60000 }).errors).toEqual({
+      netMonthlyIncome: 'Net monthly income cannot be more than gross monthly income'
+    });
+  });
+
+  test('only checks the fields present when partial', () => {
+    const { errors, isValid } = validatePropertyData({ bedrooms: '3', monthlyLevies: -5 }, { partial: true });
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual({ monthlyLevies: 'Monthly levies must be at least 0' });
+  });
+});
+
+describe('parsePropertyData', () => {
+  test('throws a ValidationError listing every invalid field', () => {
+    const parse = () => parsePropertyData({ ...propertyData, purchasePrice: '', vacancyRate: -1 });
+
+    expect(parse).toThrow(ValidationError);
+    expect(parse).toThrow('purchasePrice (Purchase price is required), vacancyRate (Vacancy rate must be at least 0)');
+  });
+
+  test('returns the coerced values when valid', () => {
+    expect(parsePropertyData({ ...propertyData, loanTerm: '20' }).loanTerm).toBe(20);
+  });
+
+  test('guards the calculator entry point', () => {
+    expect(() => generatePropertyForecast({ ...propertyData, deposit: 2000000 })).toThrow(ValidationError);
+  });
+});
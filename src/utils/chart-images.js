@@ -0,0 +1,63 @@
+/**
+ * Helpers for turning the recharts SVG charts on screen into PNG images.
+ */
+
+// Render at twice the on-screen size so the charts stay sharp in print
+const SCALE = 2;
+
+/**
+ * Render an SVG element to a PNG data URL.
+ * @param {SVGSVGElement} svg - The chart's SVG element.
+ * @returns {Promise<object>} - The PNG data URL with the chart's width and height.
+ */
+export const svgToPng = (svg) => new Promise((resolve, reject) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+
+  const svgUrl = URL.createObjectURL(
+    new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml;charset=utf-8' })
+  );
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * SCALE;
+    canvas.height = height * SCALE;
+
+    const context = canvas.getContext('2d');
+    // PNGs have no background, so paint the page colour behind the chart
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(svgUrl);
+
+    resolve({ dataUrl: canvas.toDataURL('image/png'), width, height });
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(svgUrl);
+    reject(new Error('Could not render chart image'));
+  };
+  image.src = svgUrl;
+});
+
+/**
+ * Capture every chart inside a container, titled by the heading of the section it sits in.
+ * @param {HTMLElement} container - Element containing the charts.
+ * @returns {Promise<Array<object>>} - One image per chart with its title, data URL, width and height.
+ */
+export const captureCharts = (container) => {
+  const charts = Array.from(container.querySelectorAll('.recharts-wrapper > svg.recharts-surface'));
+
+  return Promise.all(charts.map(async (svg) => {
+    const section = svg.closest('.mb-8');
+    const heading = section && section.querySelector('h3');
+
+    return {
+      title: heading ? heading.textContent : 'Chart',
+      ...(await svgToPng(svg))
+    };
+  }));
+};
@@ -0,0 +1,53 @@
+/**
+ * Display formatting helpers shared by the results components.
+ */
+
+/**
+ * Format a value as South African Rand.
+ * @param {number} value - Amount in Rands.
+ * @returns {string} - Formatted currency string.
+ */
+export const formatCurrency = (value) => {
+  return new Intl.NumberFormat('en-ZA', { 
+    style: 'currency', 
+    currency: 'ZAR',
+    maximumFractionDigits: 0
+  }).format(value);
+};
+
+/**
+ * Format a value as a percentage with two decimals.
+ * @param {number} value - Percentage value (e.g. 7.5 for 7.5%).
+ * @returns {string} - Formatted percentage string.
+ */
+export const formatPercent = (value) => {
+  return value.toFixed(2) + '%';
+};
+
+/**
+ * Format a chart axis value as a compact Rand amount (e.g. R1.2M, R350K).
+ * @param {number} value - Amount in Rands.
+ * @returns {string} - Compact currency string.
+ */
+export const formatCompactCurrency = (value) => {
+  return `R${Math.abs(value) >= 1000000 ? (value / 1000000).toFixed(1) + 'M' : Math.abs(value) >= 1000 ? (value / 1000).toFixed(0) + 'K' : value}`;
+};
+
+/**
+ * Format a metric by its kind, as listed in COMPARISON_METRICS.
+ * @param {number|null} value - The metric value; null or undefined when not available.
+ * @param {string} format - 'currency', 'percent' or 'years'.
+ * @returns {string} - Formatted value.
+ */
+export const formatMetric = (value, format) => {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  if (format === 'currency') {
+    return formatCurrency(value);
+  }
+  if (format === 'percent') {
+    return formatPercent(value);
+  }
+  return value < 100 ? `${value.toFixed(1)} years` : 'Not reached';
+};